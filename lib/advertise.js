@@ -2,15 +2,17 @@
  *
  *  A dynamic DNS advertisement client.
  *
+ *  Each Advertise instance is a single service registration on an mDNS
+ *  Responder (see responder.js), which owns the multicast socket and the host
+ *  address records.  The registration probes for, announces and maintains its
+ *  records while the Responder answers queries for them.
+ *
  */
 var Util    = require('util'),
     Events  = require('events'),
     Os      = require('os'),
-    Net     = require('net'),
-    Dgram   = require('dgram'),
-    Utils   = require('./utils'),
     Mdns    = require('./mdns'),
-    Client  = require('./client'),
+    Utils   = require('./utils'),
     _       = require('lodash');
 
 /** @brief  Create a new Advertise instance.
@@ -19,17 +21,32 @@ var Util    = require('util'),
  *                                  object {Object};
  *  @param  [config.name=hostname]  The service/instance name {String};
  *  @param  [config.domain=local]   The service domain {String};
- *  @param  [config.host=hostname]  The hostname of the service provider
- *                                  {String};
- *  @param  [config.port=5353]      The port of the service provider {Number};
+ *  @param  [config.host=hostname]  For a private Responder, the hostname of
+ *                                  the service provider {String};
+ *  @param  [config.port=0]         The port of the service provider {Number};
  *  @param  [config.goodbye=false]  If true, send a GoodBye announcement
  *                                  indicating that the service is going away
  *                                  {Boolean};
- *  @param  [config.txtRecords]     If provided, a string or array
- *                                              of strings;
+ *  @param  [config.txtRecords]     If provided, a string, array of strings
+ *                                  or key/value object (see setTxt());
+ *  @param  [config.pollInterval=5000]
+ *                                  For a private Responder, the interval (in
+ *                                  milliseconds) at which network interfaces
+ *                                  are checked for address changes, 0 to
+ *                                  disable {Number};
+ *  @param  [config.responder]      If provided, the shared Responder to
+ *                                  register with.  If not provided, a private
+ *                                  Responder is created {Mdns::Responder};
+ *  @param  [config.handleSignals=false]
+ *                                  For a private Responder, if true, send
+ *                                  goodbyes upon receipt of a terminating
+ *                                  signal (see Mdns::Responder) {Boolean};
  *
  *
- *  @emits  response  records, rinfo, response-message, raw-data (for mDNS 0+)
+ *  @emits  listening address
+ *          query     query-message, rinfo, raw-data
+ *          response  response-message, rinfo, raw-data (for mDNS 0+)
+ *          rename    name, host (a conflict required a new name)
  *          end
  *          timeout
  *          error     Error instance
@@ -39,39 +56,119 @@ function Advertise(serviceType, config)
     config = config || {};
 
     var self        = this,
-        hostParts   = Os.hostname().split('.');
+        hostParts   = Os.hostname().split('.'),
         hostname    = hostParts.shift(),
         domain      = (hostParts.length > 0
                         ? hostParts.join('.')
-                        : 'local'),
-        clientConfig= {
-            port:       config.port,
-            bindings:   {
-                'listening':    _.bind(_onListening, self),
-                'close':        _.bind(self.end, self),
-                'message':      _.bind(_processResponse, self)
-            }
-        };
+                        : 'local');
 
     if (! serviceType)  { throw new Error("'serviceType' is required."); }
 
-    _.defer(function() {Client.call( self, clientConfig ); });
+    Events.EventEmitter.call(self);
+
+    self._ownResponder = (! config.responder);
+    self.responder   = (config.responder || Mdns.Responder({
+                            host:           config.host,
+                            pollInterval:   config.pollInterval,
+                            handleSignals:  config.handleSignals
+                        }));
 
     self.serviceType = serviceType;
     self.name        = (config.name       || hostname);
     self.domain      = (config.domain     || domain);
-    self.host        = (config.host       || hostname +'.'+ self.domain);
+    self.host        = self.responder.host;
     self.port        = (config.port       || 0);
-    self.txtRecords  = (config.txtRecords || [ ]);
+    self.txtRecords  = _txtRecords(config.txtRecords);
     self.goodbye     = (config.goodbye === true ? true : false);
 
-    if (! Array.isArray(self.txtRecords))
-    {
-        self.txtRecords = [ self.txtRecords ];
-    }
+    self._bindings   = {
+        ready:      _.bind(_onReady, self),
+        message:    _.bind(_processResponse, self),
+        interfaces: _.bind(_refresh, self),
+        rename:     _.bind(_hostRenamed, self),
+        listening:  function(ainfo) { self.emit('listening', ainfo); },
+        query:      function(msg, rinfo, data) {
+                        self.emit('query', msg, rinfo, data);
+                    },
+        response:   function(msg, rinfo, data) {
+                        self.emit('response', msg, rinfo, data);
+                    },
+        error:      function(e) { self.emit('error', e); }
+    };
+
+    _.each(self._bindings, function(cb, name) {
+        self.responder.on(name, cb);
+    });
+
+    self.responder.register( self );
 }
 Util.inherits(Advertise, Events.EventEmitter);
-Util.inherits(Advertise, Client);
+
+/** The fraction of the (minimum) record TTL after which our records are
+ *  re-announced, ahead of the cache maintenance queries peers will begin
+ *  sending at 80% (RFC 6762 section 5.2).
+ */
+Advertise.REANNOUNCE    = 0.75;
+
+/** @brief  Compare our records with those of a simultaneous probe from
+ *          another host (RFC 6762 section 8.2).  For each owner name, the
+ *          records of that name are sorted and compared pairwise (see
+ *          RR#compare()), with any additional records being later.
+ *  @param  ours    Our (unique) records {Array};
+ *  @param  theirs  The authority records of the other probe {Array};
+ *
+ *  @return < 0 if we lose (our records are earlier), > 0 if we win and 0 if
+ *          the records are identical (or do not overlap) {Number};
+ */
+Advertise.tiebreak = function(ours, theirs) {
+    var names   = {};
+
+    ours.forEach(function(rr) { names[ _key(rr.name) ] = true; });
+
+    for (var name in names)
+    {
+        var mine    = __sorted(ours,   name),
+            other   = __sorted(theirs, name),
+            cmp     = 0;
+
+        if (other.length < 1)   { continue; }
+
+        for (var idex = 0, len = Math.min(mine.length, other.length);
+                (idex < len) && (cmp === 0); idex++)
+        {
+            cmp = mine[idex].compare( other[idex] );
+        }
+        if (cmp === 0)  { cmp = mine.length - other.length; }
+
+        if (cmp !== 0)  { return cmp; }
+    }
+
+    return 0;
+
+    /*********************************************************************
+     * Context-bound helpers
+     *
+     */
+    function __sorted(records, name) {
+        return records
+                .filter(function(rr) { return _key(rr.name) === name; })
+                .sort(function(a, b) { return a.compare(b); });
+    }
+};
+
+/** @brief  Choose the next name following a conflict (RFC 6762 section 9):
+ *          'My Printer' => 'My Printer (2)' => 'My Printer (3)' ...
+ *  @param  name    The conflicting name {String};
+ *
+ *  @return The new name {String};
+ */
+Advertise.nextName = function(name) {
+    var nameNum = name.match(/^(.*) \((\d+)\)$/);
+
+    return (nameNum
+                ? nameNum[1] +' ('+ (parseInt(nameNum[2], 10) + 1) +')'
+                : name +' (2)');
+};
 
 /** @brief  Begin an advertisement.
  *
@@ -80,11 +177,211 @@ Util.inherits(Advertise, Client);
 Advertise.prototype.begin = function() {
     var self        = this;
 
+    self.state = 'beginning';
+
+    _generate.call(self);
+
+    // Probing begins once our Responder is ready
+    if (self.responder.isReady) { _.defer( self._bindings.ready ); }
+
+    return true;
+};
+
+/** @brief  Change the TXT record of this advertisement.  If the
+ *          advertisement is live, the new TXT record is announced (with
+ *          cache-flush) and used to answer all subsequent queries.
+ *  @param  txt     A key/value object, encoded per RFC 6763 section 6
+ *                  (see Utils.txtEncode()), or a string or array of raw
+ *                  strings;
+ *
+ *  @return this for a fluent interface;
+ */
+Advertise.prototype.setTxt = function(txt) {
+    var self    = this,
+        prev;
+
+    self.txtRecords = _txtRecords(txt);
+
+    switch (self.state)
+    {
+    case 'responding':
+        prev = _txtRecord(self._authority);
+
+        _generate.call(self);
+
+        self._authority = self._records.rrSet;
+
+        _announceTxt.call(self, prev);
+        break;
+
+    case 'probing':
+    case 'announcing':
+        // Restart with the new record
+        _generate.call(self);
+        _probe.call(self);
+        break;
+
+    case 'beginning':
+        _generate.call(self);
+        break;
+    }
+
+    return self;
+};
+
+/** @brief  Retrieve the records currently published by this registration.
+ *
+ *  @return An array of records (empty until probing and announcing are
+ *          complete) {Array};
+ */
+Advertise.prototype.records = function() {
+    return (this.state === 'responding' ? this._authority : []);
+};
+
+/** @brief  Retrieve the records this registration has announced, which
+ *          require goodbyes once withdrawn.
+ *
+ *  @return An array of records (empty until announcing has begun) {Array};
+ */
+Advertise.prototype.announced = function() {
+    return ((this.state === 'announcing') || (this.state === 'responding')
+                ? this._authority
+                : []);
+};
+
+/** @brief  Send the given mDNS message via our Responder.
+ *  @param  msg         The mDNS message to send {Mdns::Message};
+ *  @param  [callback]  If provided, the callback to invoke upon completion of
+ *                      the send {Function}: callback(err, data);
+ *
+ *  @return The final pack instance, possibly with an error;
+ */
+Advertise.prototype.send = function(msg, callback) {
+    return this.responder.send(msg, callback);
+};
+
+/** @brief  Stop an advertisement, sending goodbyes (i.e. ttl == 0) for our
+ *          records (RFC 6762 section 10.1) and, for a private Responder,
+ *          closing it once they have been sent.
+ *  @param  [callback]  If provided, the callback to invoke once all goodbyes
+ *                      have been sent {Function}: callback(err);
+ *
+ *  @return this for a fluent interface, or, with no callback, a Promise
+ *          {Promise};
+ */
+Advertise.prototype.stop = function(callback) {
+    var self    = this;
+
+    if (! _.isFunction(callback))
+    {
+        return new Promise(function(resolve, reject) {
+            self.stop(function(err) {
+                if (err)    { reject(err); }
+                else        { resolve(); }
+            });
+        });
+    }
+
+    if (self.state === 'ending')
+    {
+        _.defer(callback);
+    }
+    else if (self._ownResponder)
+    {
+        self.responder.stop(callback);
+    }
+    else
+    {
+        self.responder.remove(self, callback);
+    }
+
+    return self;
+};
+
+/** @brief  End an advertise (without sending goodbyes, see stop()).
+ */
+Advertise.prototype.end   = function() {
+    var self    = this;
+
+    if (self.state === 'ending')    { return; }
+    self.state = 'ending';
+
+    if (self._intervalTimer)    { clearTimeout(self._intervalTimer); }
+    delete self._intervalTimer;
+
+    if (self._announceTimer)    { clearTimeout(self._announceTimer); }
+    delete self._announceTimer;
+
+    if (self._txtTimer)         { clearTimeout(self._txtTimer); }
+    delete self._txtTimer;
+
+    _.each(self._bindings, function(cb, name) {
+        self.responder.removeListener(name, cb);
+    });
+
+    self.responder.unregister( self );
+
+    // A stopping Responder closes itself once its goodbyes have been sent
+    if (self._ownResponder && (! self.responder.isStopping))
+    {
+        self.responder.close();
+    }
+
+    self.emit('end');
+};
+module.exports = Advertise;
+
+/**********************************************************************
+ * Private helpers and utilities
+ *
+ */
+
+/**
+ *  Responder 'ready' event handler, beginning the advertisement (if begun).
+ *
+ *  `this` is the controlling Advertise instance.
+ */
+function _onReady()
+{
+    var self    = this;
+
+    // Only a begun (and not yet started) advertisement
+    if (self.state !== 'beginning') { return; }
+
+    if (self.goodbye === true)
+    {
+        // Service Goodbye
+        self.msg = Mdns.Message({
+            header:     {id:0},
+            authority:  self._records.rrSet
+        });
+
+        _announce.call(self);
+    }
+    else
+    {
+        /* Service Advertisement
+         *
+         *  Initiate probing.  If successful, follow with announcing
+         */
+        _probe.call( self );
+    }
+}
+
+/** @brief  (Re)generate the advertisement records, using the current
+ *          name(s) and host addresses.
+ *
+ *  `this` is the controlling Advertise instance;
+ */
+function _generate()
+{
+    var self        = this;
+
     if (self.domain.slice(-1) !== '.')  { self.domain += '.'; }
-    if (self.host.slice(-1) !== '.')    { self.host    += '.'; }
 
-    var nics        = Os.networkInterfaces(),
-        serviceType = self.serviceType +'.'+ self.domain,
+    self.host       = self.responder.host;
+
+    var serviceType = self.serviceType +'.'+ self.domain,
         serviceHost = self.name +'.'+ serviceType;
 
     self._records = {
@@ -92,18 +389,17 @@ Advertise.prototype.begin = function() {
         rrSet:      []
     };
 
-    self.state     = 'beginning';
+    self.fullType  = serviceType;
 
                              // '_services._dns-sd._udp'
-    self._serviceDiscovery = Mdns.consts.MDNS.SD +'.'+ self.domain; 
+    self.serviceDiscovery = Mdns.consts.MDNS.SD +'.'+ self.domain;
 
     /***********************************************************************
      * Generate the advertisement Resource Records
      * (which will be used for both Probing and Announcing)
      *
-     * :NOTE: We do NOT advertise service discovery records directly, we
-     *        simply respond to any service discovery query
-     *        (see _processResponse() when state === 'responding')
+     * :NOTE: We do NOT advertise service discovery records directly, our
+     *        Responder simply responds to any service discovery query
      */
 
     // 1) Add a PTR record: serviceType -> serviceHost
@@ -164,146 +460,61 @@ Advertise.prototype.begin = function() {
         }) );
     }
 
-    /* 4) Add an A and/or AAAA record for each network interface
-     *    for self.host
-     *      (except the one marked 'internal', with IPv4 address '127.0.0.1'
+    /* 4) Add the A and/or AAAA records of our Responder's host
+     *      (excluding the 'internal' interface, with IPv4 address '127.0.0.1'
      *       and/or IPv6 address '::1')
      *
      *    :NOTE: If there is an mDNS responder on the network it will likely
-     *           respond with authoritative records for these addresses.  In
-     *           this case, the records will be removed from the
-     *           probe/announcement.
+     *           respond with authoritative records for these addresses.
+     *           Identical records are not a conflict, but differing records
+     *           will cause the host to be renamed (see _rename()).
      */
-    self.myAddrs    = [];
-
-    for (var name in nics)
-    {
-        var nic = nics[name];
-
-        // Skip the internal nic
-        if (nic[0].internal)   { continue; }
-
-        nic.forEach(function(addr) {
-            self.myAddrs.push( addr.address );
-
-            switch (addr.family)
-            {
-            case 'IPv4':
-                self._records.questions.push({
-                    qname:  self.host,
-                    qtype:  'A',
-                    qclass: 'ANY'
-                });
-                self._records.rrSet.push( Mdns.RR({
-                    name:   self.host,
-                    type:   'A',
-                    class:  'IN',
-                    ttl:    (self.goodbye ? 0 : 120),
-                    rdata:  { 'a': addr.address }
-                }) );
-                break;
-
-            case 'IPv6':
-                self._records.questions.push({
-                    qname:  self.host,
-                    qtype:  'AAAA',
-                    qclass: 'ANY'
-                });
-                self._records.rrSet.push( Mdns.RR({
-                    name:   self.host,
-                    type:   'AAAA',
-                    class:  'IN',
-                    ttl:    (self.goodbye ? 0 : 120),
-                    rdata:  { 'aaaa': addr.address }
-                }) );
-                break;
-            }
+    self.responder.hostRecords(self.goodbye ? 0 : 120).forEach(function(rr) {
+        self._records.questions.push({
+            qname:  rr.name,
+            qtype:  rr.type,
+            qclass: 'ANY'
         });
-    }
+        self._records.rrSet.push( rr );
+    });
     /***********************************************************************/
-
-    return true;
-};
-
-/** @brief  End an advertise.
- */
-Advertise.prototype.end   = function() {
-    var self    = this;
-
-    self.state = 'ending';
-
-    if (self._intervalTimer)    { clearTimeout(self._intervalTimer); }
-    delete self._intervalTimer;
-
-    if (self.socket)
-    {
-        try {
-            self.socket.close();
-        } catch(e) {}
-
-        delete self.socket;
-    }
-
-    self.emit('end');
-};
-module.exports = Advertise;
-
-/**********************************************************************
- * Private helpers and utilities
- *
- */
-
-/**
- *  UDP 'listening' event handler.
- *
- *  `this` is the controlling Advertise instance.
- */
-function _onListening()
-{
-    var self    = this,
-        ainfo   = self.socket.address();
-
-    self.emit('listening', ainfo);
-
-    if (self.goodbye === true)
-    {
-        // Service Goodbye
-        _announce.call(self);
-    }
-    else
-    {
-        /* Service Advertisement
-         *
-         *  Initiate probing.  If successful, follow with announcing
-         */
-        _probe.call( self );
-    }
 }
 
+
 /** @brief  Perform probing using the configured records.
+ *  @param  [delay=0]   The delay (in milliseconds) before the first probe;
  *
  *  `this` is the controlling Advertise instance;
  */
-function _probe()
+function _probe(delay)
 {
     var self    = this;
 
     self.state = 'probing';
 
+    if (self._intervalTimer)    { clearTimeout(self._intervalTimer); }
+    delete self._intervalTimer;
+
     // Send 3 probe packets, at 250ms intervals
     var sendLimit   = 3,
         interval    = 250,
         sendCount   = 0;
 
+    // Probes never carry 'cache-flush' (we may be re-probing, section 9)
+    self._records.rrSet.forEach(function(rr) {
+        rr.cacheFlush = false;
+    });
+
     // Create the Message and indicate that it must be (re)packed.
     self.msg     = Mdns.Message({
         header:     {id:0},
         question:   self._records.questions,
         authority:  self._records.rrSet
-    }),
+    });
 
     // Kick it off
-    __probe();
+    if (delay > 0)  { self._intervalTimer = setTimeout(__probe, delay); }
+    else            { __probe(); }
 
     /*********************************************************************
      * A context-bound function to send the interval probes.
@@ -350,21 +561,11 @@ function _announce()
         interval    = 1000,
         sendCount   = 0;
 
-    /* Probing is complete so mark any remaining authority records in our rrSet
-     * with 'cache-flush'
+    /* Probing is complete so create a new Announcement Message from the
+     * remaining authority records and indicate that it must be (re)packed.
      */
-    self.msg.authority.forEach(function(rr) {
-        rr.cacheFlush = true;
-    });
-
-    /* Create a new Announcement Message and indicate that it must be
-     * (re)packed.
-     */
-    self.msg     = Mdns.Message({
-        header:     {id:0, qr:1, aa:1},
-        //question:   self.msg.question,
-        answer:     self.msg.authority
-    }),
+    self._authority = self.msg.authority;
+    self.msg        = _announcement(self._authority);
 
     // Kick it off
     __announce();
@@ -411,231 +612,403 @@ function _responder()
         rr.cacheFlush = false;
     });
 
-    // :TODO: re-announcements
     delete self.msg;
 
-    // Emit 'goodbye' before allowing termination
-    process.on('exit',    __goodbye);
-    process.on('SIGHUP',  __goodbye);
-    process.on('SIGINT',  __goodbye);
-    process.on('SIGQUIT', __goodbye);
-    //process.on('SIGKILL', __goodbye); // Can't really catch this one...
-    process.on('SIGTERM', __goodbye);
-
-    /*************************************************************************
-     * A context-bound callback
-     *
-     */
-    function __goodbye()
-    {
-        // Send a GOODBYE (i.e. ttl == 0) for all records.
-        var msg = Mdns.Message({
-                header: {id:0, qr:1, aa:1}
-            });
+    // A goodbye is complete once announced
+    if (self.goodbye)   { return self.end(); }
 
-        for (jdex = 0, nauth = self._authority.length;
-                jdex < nauth; jdex++)
-        {
-            auth = self._authority[jdex];
-            auth.ttl = 0;
-
-            msg.answer.push(auth);
-        }
+    _schedule.call(self);
+}
 
-        var pack    = self.send( msg );
+/** @brief  Schedule a re-announcement of our records before they expire from
+ *          peer caches.
+ *
+ *  `this` is the controlling Advertise instance;
+ */
+function _schedule()
+{
+    var self    = this,
+        ttl     = Math.min.apply(Math, self._authority.map(function(rr) {
+                    return rr.ttl;
+                  }));
 
-        // Indicate 'goodbye' by passing (rinfo = null)
-        self.emit('response', msg, null,
-                  (pack ? pack.buf.slice(pack.begin, pack.offset) : null));
+    if (self._announceTimer)    { clearTimeout(self._announceTimer); }
+    self._announceTimer = setTimeout(function() {
+        delete self._announceTimer;
 
-        // Allow the message to be sent
-        process.removeAllListeners();
-        setTimeout(function() {
-            process.exit();
-        }, 500);
-    }
+        _reannounce.call(self, self._authority);
+    }, ttl * 1000 * Advertise.REANNOUNCE);
 }
 
-/** @brief  Process a DNS response packet.
- *  @param  data    The raw DNS packet data (Buffer);
- *  @param  rinfo   The remote address/port information;
+/** @brief  Process an incoming mDNS message received by our Responder.
+ *  @param  response    The parsed message {Mdns::Message};
+ *  @param  rinfo       The remote address/port information;
+ *  @param  data        The raw DNS packet data (Buffer);
  *
  *  This routine will emit any 'response' events.
  *
  *  `this` is the controlling Advertise instance;
  */
-function _processResponse(data, rinfo)
+function _processResponse(response, rinfo, data)
 {
-    var self        = this,
-        response    = Mdns.Message(data);
+    var self        = this;
 
-    /* Ignore any packet that isn't:
-     *  1) A response if we're not yet in the 'responding' state;
-     *  2) A request  if we're in the 'responding' state;
-     */
-    if (self.state !== 'responding')
+    // Nothing to do until begun, and queries are answered by our Responder
+    if ((! self._records) || (self.state === 'ending'))  { return; }
+
+    if (response.header.qr !== 1)
     {
-        /* Until we've reached the 'responding' state, ignore anything that
-         * isn't a response/reply
-         */
-        if (response.header.qr !== 1)
+        // While probing, watch for simultaneous probes (section 8.2)
+        if (self.state === 'probing')
         {
-            //console.log(">>> Ignore query packet: %s", response);
-            return;
+            _tiebreak.call(self, response);
         }
 
-        // Terminate on a DNS error response
-        if (response.header.rcode !== Mdns.consts.RCODE_STR.NOERROR)
+        return;
+    }
+
+    // DNS error responses are reported by our Responder
+    if (response.header.rcode !== Mdns.consts.RCODE_STR.NOERROR)    { return; }
+
+    // Watch for records that conflict with our own (sections 8.1 and 9)
+    var conflict    = (self.goodbye
+                        ? null
+                        : _conflict.call(self, response.answer
+                                                .concat(response.additional)));
+    if (conflict)
+    {
+        if (self.state === 'probing')
         {
-            // DNS error
-            self.emit('error', new Error('DNS error: '
-                                         + Mdns.consts.rcode2str(
-                                             response.header.rcode )) );
-            return self.end( );
+            // Our name(s) are already in use -- choose new name(s)
+            return _rename.call(self, conflict);
         }
+
+        // Verify that our records are still unique by probing again
+        return _probe.call(self);
     }
 
-    switch (self.state)
+    if (self.state !== 'responding')
     {
-    case 'responding':
-        // Ignore anything but requests
-        if (response.header.qr !== 0)
+        self.emit('response', response, rinfo, data);
+    }
+}
+
+/** @brief  Re-announce the given records, sending them twice, one second
+ *          apart, and scheduling the next re-announcement once complete.
+ *          Unlike the initial announcement, we remain in the 'responding'
+ *          state, continuing to answer queries for our records.
+ *  @param  records     The records to announce {Array};
+ *
+ *  `this` is the controlling Advertise instance;
+ */
+function _reannounce(records)
+{
+    var self        = this,
+        sendCount   = 0;
+
+    if (self.state !== 'responding')    { return; }
+
+    if (self._intervalTimer)    { clearTimeout(self._intervalTimer); }
+
+    self._authority = records;
+    self.msg        = _announcement(records);
+
+    __announce();
+
+    /*********************************************************************
+     * A context-bound function to send the interval announcements.
+     *
+     */
+    function __announce()
+    {
+        delete self._intervalTimer;
+
+        self.send( self.msg );
+
+        if (++sendCount < 2)
         {
+            self._intervalTimer = setTimeout(__announce, 1000);
             return;
         }
 
-        self.emit('query',    response, rinfo, data);
+        self.msg.answer.forEach(function(rr) {
+            rr.cacheFlush = false;
+        });
 
-        // Is this a request for something we've advertised?
-        var answers = [];
-        for (idex = 0, nquestion = response.question.length;
-                idex < nquestion; idex++)
-        {
-            var question    = response.question[ idex ],
-                isDiscovery = false,
-                auth;
-
-            // Handle service discovery (_services.dns-sd._udp.%domain%).
-            if ( (question.qname  === self._serviceDiscovery)      &&
-                ((question.qtype  === Mdns.consts.TYPE_STR.ANY)  ||
-                 (question.qtype  === Mdns.consts.TYPE_STR.PTR)) )
-            {
-                /* This is a service discovery query.
-                 *
-                 * Respond with all service pointers.
-                 */
-                isDiscovery = true;
-            }
+        delete self.msg;
 
-            for (jdex = 0, nauth = self._authority.length;
-                    jdex < nauth; jdex++)
-            {
-                auth = self._authority[jdex];
-
-                if (isDiscovery)
-                {
-                    if (auth.type === Mdns.consts.TYPE_STR.PTR)
-                    {
-                        // Include a record for this service
-                        answers.push( Mdns.RR({
-                            name:   self._serviceDiscovery,
-                            type:   auth.type,
-                            class:  auth.class,
-                            rdata:  {
-                                ptr:    auth.name
-                            }
-                        }) );
-                    }
-                }
-                else if ( ((question.qtype  === Mdns.consts.TYPE_STR.ANY)  ||
-                           (auth.type       === question.qtype))             &&
-                           ((question.qclass === Mdns.consts.CLASS_STR.ANY) ||
-                           (auth.class      === question.qclass))            &&
-                           (question.qname  === auth.name) )
-                {
-                    // Trigger a response by including an answer
-                    answers.push( auth );
-                    break;
-                }
-            }
-        }
+        _schedule.call(self);
+    }
+}
+
+/** @brief  Announce a changed TXT record (RFC 6762 section 8.4), sending the
+ *          new record (with cache-flush) twice, one second apart, or a
+ *          goodbye for the previous record if there is no longer a TXT
+ *          record.
+ *  @param  prev    The previous TXT record (if any) {Mdns::RR};
+ *
+ *  `this` is the controlling Advertise instance;
+ */
+function _announceTxt(prev)
+{
+    var self    = this,
+        txt     = _txtRecord(self._authority),
+        msg     = Mdns.Message({ header: {id:0, qr:1, aa:1} }),
+        sendCount   = 0;
+
+    if (txt)
+    {
+        msg.answer.push( Mdns.RR({
+            name:   txt.name,
+            type:   txt.type,
+            class:  txt.class | 0x8000,     // cache-flush
+            ttl:    txt.ttl,
+            rdata:  { txt: txt.rdata.txt }
+        }) );
+    }
+    else if (prev)
+    {
+        prev.ttl = 0;
+        msg.answer.push( prev );
+        sendCount++;    // A goodbye is sent once
+    }
+    else
+    {
+        return;
+    }
+
+    if (self._txtTimer) { clearTimeout(self._txtTimer); }
 
-        // If we have any answers to this query, send them now
-        if (answers.length > 0)
+    __announce();
+
+    /*********************************************************************
+     * A context-bound function to send the interval announcements.
+     *
+     */
+    function __announce()
+    {
+        delete self._txtTimer;
+
+        self.send( msg );
+
+        if (++sendCount < 2)
         {
-            var msg     = Mdns.Message({
-                    header: {id:response.header.id, qr:1, aa:1},
-                    answer: answers
-                }),
-                pack    = self.send( msg );
-
-            self.emit('response', msg, rinfo,
-                      (pack ? pack.buf.slice(pack.begin, pack.offset) : null));
+            self._txtTimer = setTimeout(__announce, 1000);
         }
+    }
+}
+
+/** @brief  Handle a change in our Responder's interface addresses by
+ *          regenerating our records and announcing (or probing) anew.
+ *
+ *  `this` is the controlling Advertise instance;
+ */
+function _refresh()
+{
+    var self    = this;
+
+    switch (self.state)
+    {
+    case 'responding':
+        _generate.call(self);
+        _reannounce.call(self, self._records.rrSet);
         break;
 
     case 'probing':
-        // Probing -- check to see if the response claims authority...
-        if (response.header.aa)
-        {
-            /* This response claims authority.  Remove from our Questions and
-             * Authorities any record matching the answers in this response.
-             */
-            response.answer.forEach(function(answer) {
-                var rec;
-
-                for (var idex = 0, len = self.msg.question.length;
-                        idex < len; idex++)
-                {
-                    rec = self.msg.question[idex];
-                    if ((rec.qname === answer.name) &&
-                        (rec.qtype === answer.type))
-                    {
-                        /*
-                        console.log(">>> Remove question #%d:\n%s",
-                                    idex, rec);
-                        // */
-
-                        // Remove this record
-                        self.msg.question.splice(idex, 1);
-                        break;
-                    }
-                }
-
-                for (idex = 0, len = self.msg.authority.length;
-                        idex < len; idex++)
-                {
-                    rec = self.msg.authority[idex];
-                    if ((rec.name  === answer.name) &&
-                        (rec.type  === answer.type) &&
-                        (rec.class === answer.class))
-                    {
-                        /*
-                        console.log(">>> Remove authority #%d:\n%s",
-                                    idex, rec);
-                        // */
-
-                        // Remove this record
-                        self.msg.authority.splice(idex, 1);
-                        break;
-                    }
-                }
-            });
-        }
-        // fall through
+    case 'announcing':
+        _generate.call(self);
+        _probe.call(self);
+        break;
+    }
+}
 
-    default:
-        self.emit('response', response, rinfo, data);
+/** @brief  Handle the renaming of our Responder's host by regenerating our
+ *          records and probing with the new name.
+ *
+ *  `this` is the controlling Advertise instance;
+ */
+function _hostRenamed()
+{
+    var self    = this;
+
+    if ((! self._records) || (self.state === 'ending')) { return; }
+
+    _generate.call(self);
+
+    self.emit('rename', self.name, self.host);
+
+    if (self.state !== 'beginning') { _probe.call(self); }
+}
+
+/** @brief  Locate any record that conflicts with one of our unique records
+ *          (i.e. has the same name, type and class but different rdata).
+ *  @param  records     The records to check {Array};
+ *
+ *  `this` is the controlling Advertise instance;
+ *
+ *  @return The first conflicting record (null if none) {Mdns::RR};
+ */
+function _conflict(records)
+{
+    var self    = this,
+        unique  = _unique(self._records.rrSet);
 
-        // If we have no remaining questions or authorities, we finished.
-        if ((self.state !== 'responding') &&
-            (self.msg.answer.length    < 1) && 
-            (self.msg.authority.length < 1))
+    for (var idex = 0, len = records.length; idex < len; idex++)
+    {
+        var rr      = records[idex],
+            ours;
+
+        // Goodbyes can never conflict
+        if (rr.ttl === 0)   { continue; }
+
+        ours = unique.filter(function(mine) {
+            return ((_key(mine.name) === _key(rr.name)) &&
+                    (mine.type       === rr.type)       &&
+                    (mine.class      === rr.class));
+        });
+
+        if ((ours.length > 0) &&
+            (! ours.some(function(mine) { return mine.compare(rr) === 0; })))
         {
-            console.log("*** No remaining questions or authorities...");
-            return self.end();
+            return rr;
         }
+    }
 
-        break;
+    return null;
+}
+
+/** @brief  Perform simultaneous probe tiebreaking (RFC 6762 section 8.2)
+ *          against the authority records of another host's probe.
+ *  @param  query   The incoming probe {Mdns::Message};
+ *
+ *  If our records are lexicographically earlier, we lose and will probe
+ *  again in one second.  Identical records (e.g. our own probe) are ignored.
+ *
+ *  `this` is the controlling Advertise instance;
+ */
+function _tiebreak(query)
+{
+    var self    = this;
+
+    if (Advertise.tiebreak(_unique(self._records.rrSet), query.authority) < 0)
+    {
+        // We lost -- defer to the other host and try again
+        _probe.call(self, 1000);
     }
 }
+
+/** @brief  Choose a new name for the conflicting record, emit 'rename' and
+ *          begin probing with the new name (RFC 6762 section 9).
+ *  @param  conflict    The conflicting record {Mdns::RR};
+ *
+ *  `this` is the controlling Advertise instance;
+ */
+function _rename(conflict)
+{
+    var self    = this,
+        now     = Date.now(),
+        delay   = 0;
+
+    if (_key(conflict.name) === _key(self.host))
+    {
+        /* The host is shared by all registrations of our Responder, each of
+         * which will be notified (see _hostRenamed()).
+         */
+        self.responder.renameHost();
+        return;
+    }
+
+    self.name = Advertise.nextName(self.name);
+
+    /* After 15 conflicts within 10 seconds, wait at least 5 seconds before
+     * each additional probe (section 8.1).
+     */
+    self._conflicts = (self._conflicts || []).filter(function(when) {
+        return (now - when) < 10000;
+    });
+    self._conflicts.push( now );
+
+    if (self._conflicts.length > 15)    { delay = 5000; }
+
+    // Regenerate our records using the new name
+    _generate.call(self);
+
+    self.emit('rename', self.name, self.host);
+
+    _probe.call(self, delay);
+}
+
+/** @brief  Generate an announcement of the given records, marking those
+ *          unique to this host with 'cache-flush' (RFC 6762 section 10.2).
+ *          Shared (PTR) records are never marked.
+ *  @param  records     The records to announce {Array};
+ *
+ *  @return The announcement {Mdns::Message};
+ */
+function _announcement(records)
+{
+    var unique  = _unique(records);
+
+    records.forEach(function(rr) {
+        rr.cacheFlush = (unique.indexOf(rr) >= 0);
+    });
+
+    return Mdns.Message({
+        header:     {id:0, qr:1, aa:1},
+        answer:     records
+    });
+}
+
+/** @brief  Normalize TXT data to an array of character-strings.
+ *  @param  txt     A key/value object, string, Buffer or array {Mixed};
+ *
+ *  @return An array of character-strings {Array};
+ */
+function _txtRecords(txt)
+{
+    if (txt == null)                { return []; }
+    if (Array.isArray(txt))         { return txt; }
+    if (_.isString(txt) || Buffer.isBuffer(txt))
+    {
+        return [ txt ];
+    }
+
+    return Utils.txtEncode(txt);
+}
+
+/** @brief  Locate the TXT record within a set of records.
+ *  @param  rrSet   The set of records {Array};
+ *
+ *  @return The TXT record (undefined if none) {Mdns::RR};
+ */
+function _txtRecord(rrSet)
+{
+    return (rrSet || []).filter(function(rr) {
+        return (rr.type === Mdns.consts.TYPE_STR.TXT);
+    })[0];
+}
+
+/** @brief  Retrieve the records of a set that are unique to this host
+ *          (i.e. all but the shared PTR records).
+ *  @param  rrSet   The set of records {Array};
+ *
+ *  @return The unique records {Array};
+ */
+function _unique(rrSet)
+{
+    return rrSet.filter(function(rr) {
+        return (rr.type !== Mdns.consts.TYPE_STR.PTR);
+    });
+}
+
+/** @brief  Generate a case-insensitive lookup key for a domain-name.
+ *  @param  name    The domain-name {String};
+ *
+ *  @return The key {String};
+ */
+function _key(name)
+{
+    name = (name || '').toLowerCase();
+
+    return (name.slice(-1) === '.' ? name : name +'.');
+}
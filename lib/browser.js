@@ -0,0 +1,455 @@
+/**
+ *  @file
+ *
+ *  An mDNS service browser that tracks instances of a service type as they
+ *  appear, change and disappear on the local network.
+ *
+ *  Browsing follows the DNS-SD (RFC 6763) resolution chain:
+ *      PTR  serviceType.domain     -> instance name
+ *      SRV  instance name          -> host:port
+ *      TXT  instance name          -> key/value strings
+ *      A    host                   -> IPv4 address(es)
+ *      AAAA host                   -> IPv6 address(es)
+ *
+ *  @class  Mdns::Browser
+ */
+var Util    = require('util'),
+    Events  = require('events'),
+    Mdns    = require('./mdns'),
+    _       = require('lodash');
+
+/**
+ *  Create a new Mdns Browser.
+ *  @constructor
+ *  @param  serviceType                 The service type to browse for
+ *                                      (e.g. '_http._tcp') {String};
+ *  @param  [config]                    If provided, an instance configuration
+ *                                      object {Object};
+ *  @param  [config.domain='local.']    The browse domain {String};
+ *  @param  [config.client]             If provided, an existing mDNS Client
+ *                                      to share {Mdns::Client};
+ *
+ *  @emits  ready()
+ *          serviceUp(service)
+ *          serviceChanged(service)
+ *          serviceDown(service)
+ *          error(err)
+ *
+ *  Each `service` is an object of the form:
+ *      { name:         the instance name       {String},
+ *        fullname:     the full instance name  {String},
+ *        type:         the service type        {String},
+ *        domain:       the service domain      {String},
+ *        host:         the target host         {String},
+ *        port:         the target port         {Number},
+ *        addresses:    IPv4/IPv6 addresses     {Array},
+ *        txt:          TXT strings             {Array} }
+ */
+function Browser(serviceType, config)
+{
+    var self    = this;
+
+    Events.EventEmitter.call(self);
+
+    if (! serviceType)  { throw new Error("'serviceType' is required."); }
+
+    config = config || {};
+
+    self.serviceType = serviceType.replace(/\.$/, '');
+    self.domain      = (config.domain || Mdns.consts.MDNS.DOMAIN);
+    if (self.domain.slice(-1) !== '.')  { self.domain += '.'; }
+
+    self.fullType    = self.serviceType +'.'+ self.domain;
+
+    /* Resolution state:
+     *  _instances  fullname (lower-case) -> {fullname:, srv:, txt:, service:}
+     *  _hosts      hostname (lower-case) -> { address: true, ... }
+     */
+    self._instances  = {};
+    self._hosts      = {};
+
+    self._ownClient  = (! config.client);
+    self.client      = (config.client || Mdns.Client());
+
+    self._bindings   = {
+        ready:      _.bind(self.start, self),
+        response:   _.bind(_processResponse, self),
+        error:      function(e) { self.emit('error', e); }
+    };
+
+    _.each(self._bindings, function(cb, name) {
+        self.client.on(name, cb);
+    });
+
+    // Records that silently expire from the cache are treated as goodbyes
+    self._onExpired  = _.bind(_expired, self);
+    if (self.client.cache)
+    {
+        self.client.cache.on('expired', self._onExpired);
+    }
+
+    // A shared client may already be ready
+    if (self.client.isReady)    { _.defer( self._bindings.ready ); }
+}
+Util.inherits(Browser, Events.EventEmitter);
+
+/**
+ *  Begin browsing by querying for instances of our service type.
+ *  @method start
+ *
+ *  @return this for a fluent interface;
+ */
+Browser.prototype.start = function() {
+    var self    = this;
+
+    if (self.isBrowsing)    { return self; }
+    self.isBrowsing = true;
+
+    // Continuously query (RFC 6762 section 5.2) for instances
+    self.query = self.client.query({qname: self.fullType, qtype: 'PTR'});
+
+    self.emit('ready');
+
+    return self;
+};
+
+/**
+ *  Stop browsing, releasing the client if we created it.
+ *  @method stop
+ */
+Browser.prototype.stop = function() {
+    var self    = this;
+
+    self.isBrowsing = false;
+
+    if (self.query)
+    {
+        self.query.stop();
+        self.query = null;
+    }
+
+    _.each(self._bindings, function(cb, name) {
+        self.client.removeListener(name, cb);
+    });
+
+    if (self.client.cache)
+    {
+        self.client.cache.removeListener('expired', self._onExpired);
+    }
+
+    if (self._ownClient)    { self.client.close(); }
+};
+
+/**
+ *  Retrieve the currently resolved services.
+ *  @method services
+ *
+ *  @return An array of service objects {Array};
+ */
+Browser.prototype.services = function() {
+    var self    = this,
+        res     = [];
+
+    _.each(self._instances, function(instance) {
+        if (instance.service)   { res.push( instance.service ); }
+    });
+
+    return res;
+};
+
+module.exports = Browser;
+
+/**********************************************************************
+ * Private helpers and utilities
+ *
+ */
+
+/**
+ *  Process an incoming mDNS message, updating the state of any instances
+ *  it refers to.
+ *  @method _processResponse
+ *  @param  response    The parsed message {Mdns::Message};
+ *
+ *  `this` is the controlling Browser instance;
+ */
+function _processResponse(response)
+{
+    var self        = this,
+        types       = Mdns.consts.TYPE_STR,
+        touched     = {},
+        questions   = [],
+        asked       = {},
+        records;
+
+    // Only responses carry records of interest
+    if ((! response) || (response.header.qr !== 1))  { return; }
+
+    records = response.answer.concat( response.additional );
+
+    /* Pass 1: instance pointers, so SRV/TXT records in the same message can
+     *         be associated with newly discovered instances.
+     */
+    records.forEach(function(rr) {
+        if ((rr.type !== types.PTR) ||
+            (_key(rr.name) !== _key(self.fullType)))
+        {
+            return;
+        }
+
+        var fullname    = rr.rdata.ptr,
+            key         = _key(fullname),
+            instance    = self._instances[key];
+
+        if (rr.ttl === 0)
+        {
+            // Goodbye
+            if (instance)   { _remove.call(self, key); }
+            return;
+        }
+
+        if (! instance)
+        {
+            instance = self._instances[key] = {
+                fullname:   fullname,
+                srv:        null,
+                txt:        null,
+                service:    null
+            };
+        }
+
+        touched[key] = true;
+    });
+
+    // Pass 2: host addresses
+    records.forEach(function(rr) {
+        if ((rr.type !== types.A) && (rr.type !== types.AAAA))  { return; }
+
+        var host    = _key(rr.name),
+            addr    = (rr.type === types.A ? rr.rdata.a : rr.rdata.aaaa),
+            addrs   = self._hosts[host];
+
+        if (rr.ttl === 0)
+        {
+            if ((! addrs) || (! addrs[addr]))   { return; }
+
+            delete addrs[addr];
+        }
+        else
+        {
+            if (! addrs)    { addrs = self._hosts[host] = {}; }
+            if (addrs[addr]){ return; }
+
+            addrs[addr] = true;
+        }
+
+        // Touch every instance that targets this host
+        _.each(self._instances, function(instance, key) {
+            if (instance.srv && (_key(instance.srv.target) === host))
+            {
+                touched[key] = true;
+            }
+        });
+    });
+
+    // Pass 3: SRV/TXT records for known instances
+    records.forEach(function(rr) {
+        var key         = _key(rr.name),
+            instance    = self._instances[key];
+
+        if (! instance) { return; }
+
+        switch (rr.type)
+        {
+        case types.SRV:
+            instance.srv = (rr.ttl === 0 ? null : rr.rdata);
+            break;
+
+        case types.TXT:
+            instance.txt = (rr.ttl === 0 ? null : rr.rdata);
+            break;
+
+        default:
+            return;
+        }
+
+        touched[key] = true;
+    });
+
+    /* Pass 4: (re)evaluate each touched instance, emitting events and
+     *         collecting questions for anything still unresolved.
+     */
+    Object.keys(touched).forEach(function(key) {
+        var instance    = self._instances[key];
+
+        if (! instance) { return; }
+
+        if (! instance.srv)
+        {
+            __ask(instance.fullname, 'SRV');
+            __ask(instance.fullname, 'TXT');
+
+            // No longer resolvable
+            return _update.call(self, key, []);
+        }
+
+        var host    = _key(instance.srv.target),
+            addrs   = Object.keys(self._hosts[host] || {});
+
+        if (addrs.length < 1)
+        {
+            __ask(instance.srv.target, 'A');
+            __ask(instance.srv.target, 'AAAA');
+        }
+
+        _update.call(self, key, addrs);
+    });
+
+    if ((questions.length > 0) && self.query)
+    {
+        self.query.add( questions );
+    }
+
+    /*********************************************************
+     * Context-bound helpers
+     *
+     */
+    function __ask(qname, qtype) {
+        var key = _key(qname) +'/'+ qtype;
+
+        if (asked[key]) { return; }
+        asked[key] = true;
+
+        questions.push({qname: qname, qtype: qtype});
+    }
+}
+
+/**
+ *  Handle the expiration of a cached record by processing it as a goodbye.
+ *  @method _expired
+ *  @param  rr      The expired record (with a ttl of 0) {Mdns::RR};
+ *
+ *  `this` is the controlling Browser instance;
+ */
+function _expired(rr)
+{
+    _processResponse.call(this, {
+        header:     { qr: 1 },
+        answer:     [ rr ],
+        additional: []
+    });
+}
+
+/**
+ *  Generate the service object for an instance and emit `serviceUp`,
+ *  `serviceChanged` or `serviceDown` as appropriate.
+ *  @method _update
+ *  @param  key     The instance key {String};
+ *  @param  addrs   The addresses of the instance host {Array};
+ *
+ *  `this` is the controlling Browser instance;
+ */
+function _update(key, addrs)
+{
+    var self        = this,
+        instance    = self._instances[key],
+        prev        = instance.service,
+        service;
+
+    if (addrs.length < 1)
+    {
+        // Not (or no longer) resolvable
+        if (prev)
+        {
+            instance.service = null;
+            self.emit('serviceDown', prev);
+        }
+        return;
+    }
+
+    service = {
+        name:       _instanceName(instance.fullname, self.fullType),
+        fullname:   instance.fullname,
+        type:       self.serviceType,
+        domain:     self.domain,
+        host:       instance.srv.target,
+        port:       instance.srv.port,
+        addresses:  addrs.sort(),
+        txt:        (instance.txt ? instance.txt.txt.slice(0) : [])
+    };
+
+    instance.service = service;
+
+    if (! prev)
+    {
+        self.emit('serviceUp', service);
+    }
+    else if (! _.isEqual(prev, service))
+    {
+        self.emit('serviceChanged', service);
+    }
+}
+
+/**
+ *  Remove an instance, emitting `serviceDown` if it had been resolved.
+ *  @method _remove
+ *  @param  key     The instance key {String};
+ *
+ *  `this` is the controlling Browser instance;
+ */
+function _remove(key)
+{
+    var self        = this,
+        instance    = self._instances[key];
+
+    delete self._instances[key];
+
+    // Stop asking about this instance
+    if (self.query)
+    {
+        self.query.remove([
+            {qname: instance.fullname, qtype: 'SRV'},
+            {qname: instance.fullname, qtype: 'TXT'}
+        ]);
+    }
+
+    if (instance.service)
+    {
+        self.emit('serviceDown', instance.service);
+    }
+}
+
+/**
+ *  Generate a case-insensitive lookup key for a domain-name.
+ *  @method _key
+ *  @param  name    The domain-name {String};
+ *
+ *  @return The key {String};
+ */
+function _key(name)
+{
+    name = (name || '').toLowerCase();
+
+    return (name.slice(-1) === '.' ? name : name +'.');
+}
+
+/**
+ *  Extract the instance portion of a full service instance name.
+ *  @method _instanceName
+ *  @param  fullname    The full instance name
+ *                      (e.g. 'My Printer._ipp._tcp.local.') {String};
+ *  @param  fullType    The full service type
+ *                      (e.g. '_ipp._tcp.local.') {String};
+ *
+ *  @return The instance name (e.g. 'My Printer') {String};
+ */
+function _instanceName(fullname, fullType)
+{
+    var suffix  = '.'+ fullType;
+
+    if (_key(fullname).slice(-suffix.length) === _key(suffix))
+    {
+        return fullname.slice(0, fullname.length - suffix.length);
+    }
+
+    return fullname.split('.')[0];
+}
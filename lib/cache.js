@@ -0,0 +1,553 @@
+/**
+ *  @file
+ *
+ *  An mDNS resource record cache (RFC 6762 section 10).
+ *
+ *  Records are keyed by name/type/class and expire according to their TTL.
+ *  In addition:
+ *      - a record received with a TTL of zero (a "goodbye") is retained for
+ *        one more second and then removed (section 10.1);
+ *      - a record received with the cache-flush bit set causes any other
+ *        record with the same name/type/class that was received more than
+ *        one second ago to be removed one second later (section 10.2);
+ *
+ *  @class  Mdns::Cache
+ */
+var Util    = require('util'),
+    Events  = require('events'),
+    Consts  = require('./consts'),
+    RR      = require('./rr'),
+    _       = require('lodash');
+
+/**
+ *  Create a new Cache.
+ *  @constructor
+ *
+ *  Cached records are never modified.  Those retrieved via lookup() and
+ *  knownAnswers(), or reported by `expired`, are copies.
+ *
+ *  @emits  added(rr)       a new record has been cached;
+ *          expired(rr)     a record has been removed due to expiration (a
+ *                          copy, with a ttl of 0);
+ */
+function Cache()
+{
+    var self    = this;
+
+    Events.EventEmitter.call(self);
+
+    /* Cached entries:
+     *  name (lower-case) -> { 'type/class': [ {rr:, data:, ttl:,
+     *                                          received:, expires:,
+     *                                          entries:}, ... ] }
+     *
+     * where `entries` references the containing array.
+     */
+    self._records = {};
+
+    // All cached entries, in order of expiration
+    self._expiry  = [];
+    self._timer   = null;
+}
+Util.inherits(Cache, Events.EventEmitter);
+
+/**
+ *  The grace period (in milliseconds) used for goodbye and cache-flush
+ *  records.
+ */
+Cache.GRACE = 1000;
+
+_.extend(Cache.prototype, {
+    /**
+     *  Add or refresh a single record.
+     *  @method add
+     *  @param  rr      The Resource Record {Mdns::RR};
+     *  @param  [now]   The current time, in milliseconds {Number};
+     *
+     *  @return The cached record (null if not cached) {Mdns::RR};
+     */
+    add: function(rr, now) {
+        var self    = this,
+            data    = rr.rdata.toBuffer(),
+            entries = _entries.call(self, rr.name, rr.type, rr.class, true),
+            entry   = null;
+
+        if (data === null)  { return null; }
+
+        now = (now || Date.now());
+
+        entries.forEach(function(item) {
+            if (_equal(item.data, data))
+            {
+                entry = item;
+            }
+            else if (rr.cacheFlush &&
+                     ((now - item.received) > Cache.GRACE))
+            {
+                // A member of a stale RRSet (RFC 6762 section 10.2)
+                _expires.call(self, item,
+                              Math.min(item.expires, now + Cache.GRACE));
+            }
+        });
+
+        if (rr.ttl === 0)
+        {
+            // Goodbye (RFC 6762 section 10.1)
+            if (entry)
+            {
+                _expires.call(self, entry,
+                              Math.min(entry.expires, now + Cache.GRACE));
+            }
+            else
+            {
+                _prune.call(self, rr.name, rr.type, rr.class);
+            }
+
+            _schedule.call(self, now);
+            return (entry ? entry.rr : null);
+        }
+
+        if (entry)
+        {
+            // Refresh
+            entry.rr       = rr;
+            entry.ttl      = rr.ttl;
+            entry.received = now;
+            _expires.call(self, entry, now + (rr.ttl * 1000));
+        }
+        else
+        {
+            entry = {
+                rr:         rr,
+                data:       data,
+                ttl:        rr.ttl,
+                received:   now,
+                expires:    null,
+                entries:    entries
+            };
+
+            entries.push( entry );
+            _expires.call(self, entry, now + (rr.ttl * 1000));
+
+            self.emit('added', rr);
+        }
+
+        _schedule.call(self, now);
+
+        return rr;
+    },
+
+    /**
+     *  Cache all records from the answer and additional sections of a
+     *  response message.
+     *  @method update
+     *  @param  msg     The response {Mdns::Message};
+     *  @param  [now]   The current time, in milliseconds {Number};
+     *
+     *  @return this for a fluent interface;
+     */
+    update: function(msg, now) {
+        var self    = this;
+
+        // Queries (and probes) do NOT carry cacheable records
+        if ((! msg) || (msg.header.qr !== 1))   { return self; }
+
+        now = (now || Date.now());
+
+        msg.answer.concat( msg.additional ).forEach(function(rr) {
+            // Skip pseudo-records
+            if ((rr.type === Consts.TYPE_STR.OPT) ||
+                (rr.type === Consts.TYPE_STR.TSIG))
+            {
+                return;
+            }
+
+            self.add(rr, now);
+        });
+
+        return self;
+    },
+
+    /**
+     *  Synchronously retrieve the live records matching the given criteria.
+     *  @method lookup
+     *  @param  name            The record name {String};
+     *  @param  [type='ANY']    The record type {String | Number};
+     *  @param  [cls='ANY']     The record class {String | Number};
+     *
+     *  The `ttl` of each returned record reflects its remaining lifetime, in
+     *  seconds.
+     *
+     *  @return An array of matching records {Array};
+     */
+    lookup: function(name, type, cls) {
+        return _lookup.call(this, name, type, cls, 0);
+    },
+
+    /**
+     *  Synchronously retrieve the records suitable for inclusion in the
+     *  Known-Answer section of a query (RFC 6762 section 7.1) -- those with
+     *  more than half of their original TTL remaining.
+     *  @method knownAnswers
+     *  @param  name            The record name {String};
+     *  @param  [type='ANY']    The record type {String | Number};
+     *  @param  [cls='ANY']     The record class {String | Number};
+     *
+     *  @return An array of matching records {Array};
+     */
+    knownAnswers: function(name, type, cls) {
+        return _lookup.call(this, name, type, cls, 0.5);
+    },
+
+    /**
+     *  Remove a single record.
+     *  @method remove
+     *  @param  rr      The Resource Record {Mdns::RR};
+     *
+     *  @return true if the record was removed, false if not cached;
+     */
+    remove: function(rr) {
+        var self    = this,
+            data    = rr.rdata.toBuffer(),
+            entries = _entries.call(self, rr.name, rr.type, rr.class, false);
+
+        if ((! entries) || (data === null)) { return false; }
+
+        for (var idex = 0, len = entries.length; idex < len; idex++)
+        {
+            if (_equal(entries[idex].data, data))
+            {
+                _dequeue.call(self, entries[idex]);
+                entries.splice(idex, 1);
+                _prune.call(self, rr.name, rr.type, rr.class);
+                return true;
+            }
+        }
+
+        return false;
+    },
+
+    /**
+     *  Remove all records (without emitting `expired`).
+     *  @method clear
+     *
+     *  @return this for a fluent interface;
+     */
+    clear: function() {
+        var self    = this;
+
+        if (self._timer)    { clearTimeout(self._timer); }
+
+        self._timer   = null;
+        self._records = {};
+        self._expiry  = [];
+
+        return self;
+    }
+});
+
+module.exports = Cache;
+
+/**********************************************************************
+ * Private helpers and utilities
+ *
+ */
+
+/**
+ *  Retrieve the entries for a specific name/type/class.
+ *  @method _entries
+ *  @param  name    The record name {String};
+ *  @param  type    The record type {Number};
+ *  @param  cls     The record class {Number};
+ *  @param  create  If true, create the entries if they do not exist
+ *                  {Boolean};
+ *
+ *  `this` is the controlling Cache instance;
+ *
+ *  @return The array of entries (undefined if none and !create) {Array};
+ */
+function _entries(name, type, cls, create)
+{
+    var self    = this,
+        key     = _name(name),
+        sets    = self._records[key],
+        setKey  = type +'/'+ cls;
+
+    if (! sets)
+    {
+        if (! create)   { return; }
+
+        sets = self._records[key] = {};
+    }
+
+    if ((! sets[setKey]) && create)
+    {
+        sets[setKey] = [];
+    }
+
+    return sets[setKey];
+}
+
+/**
+ *  Retrieve the live records matching the given criteria.
+ *  @method _lookup
+ *  @param  name        The record name {String};
+ *  @param  type        The record type {String | Number};
+ *  @param  cls         The record class {String | Number};
+ *  @param  minFraction The minimum fraction of the original TTL that must
+ *                      remain for a record to be included {Number};
+ *
+ *  `this` is the controlling Cache instance;
+ *
+ *  @return An array of matching records {Array};
+ */
+function _lookup(name, type, cls, minFraction)
+{
+    var self    = this,
+        now     = Date.now(),
+        sets    = self._records[ _name(name) ],
+        res     = [];
+
+    if (! sets) { return res; }
+
+    type = _int(type, Consts.str2type);
+    cls  = _int(cls,  Consts.str2class);
+
+    _.each(sets, function(entries) {
+        entries.forEach(function(entry) {
+            var rr      = entry.rr,
+                remain  = entry.expires - now;
+
+            if ((remain <= (entry.ttl * 1000 * minFraction)) ||
+                ((type !== Consts.TYPE_STR.ANY) &&
+                 (type !== rr.type))                         ||
+                ((cls  !== Consts.CLASS_STR.ANY) &&
+                 (cls  !== rr.class)))
+            {
+                return;
+            }
+
+            res.push( _copy(rr, Math.ceil(remain / 1000)) );
+        });
+    });
+
+    return res;
+}
+
+/**
+ *  Remove any empty entries for a specific name/type/class.
+ *  @method _prune
+ *  @param  name    The record name {String};
+ *  @param  type    The record type {Number};
+ *  @param  cls     The record class {Number};
+ *
+ *  `this` is the controlling Cache instance;
+ */
+function _prune(name, type, cls)
+{
+    var self    = this,
+        key     = _name(name),
+        sets    = self._records[key],
+        setKey  = type +'/'+ cls;
+
+    if (! sets) { return; }
+
+    if (sets[setKey] && (sets[setKey].length < 1))
+    {
+        delete sets[setKey];
+    }
+
+    if (Object.keys(sets).length < 1)
+    {
+        delete self._records[key];
+    }
+}
+
+/**
+ *  Remove all expired records and (re)schedule the expiration timer for the
+ *  next record to expire.
+ *  @method _schedule
+ *  @param  now     The current time, in milliseconds {Number};
+ *
+ *  `this` is the controlling Cache instance;
+ */
+function _schedule(now)
+{
+    var self    = this,
+        expired = [],
+        entry;
+
+    // The expiration queue is ordered, so expired entries are at its head
+    while ((self._expiry.length > 0) && (self._expiry[0].expires <= now))
+    {
+        entry = self._expiry.shift();
+
+        entry.entries.splice(entry.entries.indexOf(entry), 1);
+        _prune.call(self, entry.rr.name, entry.rr.type, entry.rr.class);
+
+        expired.push( entry.rr );
+    }
+
+    if (self._timer)    { clearTimeout(self._timer); }
+    self._timer = null;
+
+    if (self._expiry.length > 0)
+    {
+        // (`now` may be a supplied receive time rather than the actual time)
+        self._timer = setTimeout(function() {
+            _schedule.call(self, Date.now());
+        }, Math.max(0, self._expiry[0].expires - Date.now()));
+
+        // Do NOT hold the process open simply to expire records
+        if (self._timer.unref)  { self._timer.unref(); }
+    }
+
+    expired.forEach(function(rr) {
+        self.emit('expired', _copy(rr, 0));
+    });
+}
+
+/**
+ *  (Re)set the expiration time of an entry, maintaining the order of the
+ *  expiration queue.
+ *  @method _expires
+ *  @param  entry   The cache entry {Object};
+ *  @param  expires The new expiration time, in milliseconds {Number};
+ *
+ *  `this` is the controlling Cache instance;
+ */
+function _expires(entry, expires)
+{
+    var self    = this;
+
+    if (entry.expires !== null) { _dequeue.call(self, entry); }
+
+    entry.expires = expires;
+
+    self._expiry.splice(_search(self._expiry, expires, true), 0, entry);
+}
+
+/**
+ *  Remove an entry from the expiration queue.
+ *  @method _dequeue
+ *  @param  entry   The cache entry {Object};
+ *
+ *  `this` is the controlling Cache instance;
+ */
+function _dequeue(entry)
+{
+    var queue   = this._expiry;
+
+    for (var idex = _search(queue, entry.expires, false), len = queue.length;
+            (idex < len) && (queue[idex].expires === entry.expires); idex++)
+    {
+        if (queue[idex] === entry)
+        {
+            queue.splice(idex, 1);
+            return;
+        }
+    }
+}
+
+/**
+ *  Locate an expiration time within the (ordered) expiration queue.
+ *  @method _search
+ *  @param  queue   The expiration queue {Array};
+ *  @param  expires The expiration time, in milliseconds {Number};
+ *  @param  after   If true, locate the position following any entries with
+ *                  the same expiration time, otherwise the first such entry
+ *                  {Boolean};
+ *
+ *  @return The index {Number};
+ */
+function _search(queue, expires, after)
+{
+    var low     = 0,
+        high    = queue.length,
+        mid;
+
+    while (low < high)
+    {
+        mid = (low + high) >>> 1;
+
+        if ((queue[mid].expires < expires) ||
+            (after && (queue[mid].expires === expires)))
+        {
+            low = mid + 1;
+        }
+        else
+        {
+            high = mid;
+        }
+    }
+
+    return low;
+}
+
+/**
+ *  Copy a cached record.
+ *  @method _copy
+ *  @param  rr      The cached record {Mdns::RR};
+ *  @param  ttl     The TTL of the copy {Number};
+ *
+ *  @return The new record {Mdns::RR};
+ */
+function _copy(rr, ttl)
+{
+    return new RR(null, { name:     rr.name,
+                          type:     rr.type,
+                          class:    rr.class | (rr.cacheFlush ? 0x8000 : 0),
+                          ttl:      ttl,
+                          rdata:    _.omit(_.assign({}, rr.rdata),
+                                           [ 'consumed', 'produced',
+                                             'rdlength', 'error' ]) });
+}
+
+/**
+ *  Normalize a domain-name for use as a key.
+ *  @method _name
+ *  @param  name    The domain-name {String};
+ *
+ *  @return The normalized name {String};
+ */
+function _name(name)
+{
+    name = (name || '').toLowerCase();
+
+    return (name.slice(-1) === '.' ? name : name +'.');
+}
+
+/**
+ *  Convert a type/class string to its integer value.
+ *  @method _int
+ *  @param  val     The value {String | Number};
+ *  @param  str2int The string conversion function {Function};
+ *
+ *  @return The integer value, defaulting to ANY (255) {Number};
+ */
+function _int(val, str2int)
+{
+    if (typeof val === 'string')    { val = str2int(val); }
+
+    return (val == null ? Consts.TYPE_STR.ANY : val);
+}
+
+/**
+ *  Compare two Buffers for equality.
+ *  @method _equal
+ *  @param  a   The first Buffer {Buffer};
+ *  @param  b   The second Buffer {Buffer};
+ *
+ *  @return true | false
+ */
+function _equal(a, b)
+{
+    if (a.length !== b.length)  { return false; }
+
+    for (var idex = 0, len = a.length; idex < len; idex++)
+    {
+        if (a[idex] !== b[idex])    { return false; }
+    }
+
+    return true;
+}
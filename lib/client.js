@@ -8,10 +8,16 @@
  */
 var Util    = require('util'),
     Events  = require('events'),
-    Net     = require('net'),
     Dgram   = require('dgram'),
+    Crypto  = require('crypto'),
     Utils   = require('./utils'),
     Pack    = require('./pack').Pack,
+    Cache   = require('./cache'),
+    Tcp     = require('./tcp'),
+    Query   = require('./query'),
+    Request = require('./request'),
+    Edns    = require('./edns'),
+    Tsig    = require('./tsig'),
     Mdns    = require('./mdns'),
     _       = require('lodash');
 
@@ -29,6 +35,51 @@ var Util    = require('util'),
  *  @param  [config.server.port=53]     The port of the server {Number};
  *  @param  [config.server.proto=udp4]  Which IP protocol to use {String}
  *                                      ( 'udp' | 'udp4' | 'udp6' | 'tcp' );
+ *  @param  [config.server.retries]     The number of times a request is
+ *                                      re-sent to this server before failing
+ *                                      over to the next (overrides
+ *                                      `config.retries`) {Number};
+ *  @param  [config.servers]            An ordered list of unicast DNS
+ *                                      servers, each a server object (as
+ *                                      above) or 'address[:port]' string,
+ *                                      used in place of `config.server`.  All
+ *                                      servers use the protocol of the first
+ *                                      {Array};
+ *  @param  [config.retries=1]          The number of times a request is
+ *                                      re-sent to each server before failing
+ *                                      over to the next {Number};
+ *  @param  [config.retryTimeout=1000]  The time (in milliseconds) to wait
+ *                                      for a response to the first attempt
+ *                                      on each server, doubled for each
+ *                                      retry {Number};
+ *  @param  [config.maxFailures=3]      The number of consecutive failures
+ *                                      (timeouts, SERVFAIL or REFUSED) after
+ *                                      which a server is considered down
+ *                                      {Number};
+ *  @param  [config.recheckInterval=30000]
+ *                                      The time (in milliseconds) after
+ *                                      which a server that is down is again
+ *                                      preferred in list order {Number};
+ *  @param  [config.rotate=false]       If true, begin each request with the
+ *                                      next healthy server in turn rather
+ *                                      than the first {Boolean};
+ *  @param  [config.edns=1232]          For a unicast DNS client, the EDNS(0)
+ *                                      configuration of requests: the UDP
+ *                                      payload size to advertise (and
+ *                                      receive), an object (see
+ *                                      Message.setEdns()) or false to
+ *                                      disable {Number | Object | Boolean};
+ *  @param  [config.cookies=false]      For a unicast DNS client, if true,
+ *                                      include a DNS cookie (RFC 7873) in
+ *                                      each EDNS(0) request {Boolean};
+ *  @param  [config.tsig]               For a unicast DNS client, the key (or
+ *                                      key configuration) with which to sign
+ *                                      requests and verify responses
+ *                                      {Mdns::Tsig | Object};
+ *  @param  [config.cache]              For an MDNS client, a record cache to
+ *                                      populate from received responses.  If
+ *                                      not provided, a new cache is created
+ *                                      {Mdns::Cache};
  *  @param  [config.bindings]           If provided, an object containing
  *                                      alternative socket event bindings
  *                                      {Object};
@@ -38,14 +89,12 @@ var Util    = require('util'),
  *                                      `error` event {Function};
  *  @param  [config.bindings.close]     A binding for the UDP/TCP socket
  *                                      `close` event {Function};
- *  @param  [config.bindings.message]   A binding for the UDP socket
- *                                      `message` event {Function};
- *  @param  [config.bindings.connect]   A binding for the TCP socket
+ *  @param  [config.bindings.message]   A binding for the UDP socket or TCP
+ *                                      transport `message` event {Function};
+ *  @param  [config.bindings.connect]   A binding for the TCP transport
  *                                      `connect` event {Function};
- *  @param  [config.bindings.timeout]   A binding for the TCP socket
+ *  @param  [config.bindings.timeout]   A binding for the TCP transport
  *                                      `timeout` event {Function};
- *  @param  [config.bindings.data]      A binding for the TCP socket
- *                                      `data` event {Function};
  *
  *
  *  @emits  listening(address)      (for an MDNS client)
@@ -54,6 +103,36 @@ var Util    = require('util'),
  *          close()
  *          timeout(request)
  *          response(message, rinfo, raw-data)
+ *          retry(request, server)          (for a DNS client)
+ *          failover(request, from, to)     (for a DNS client)
+ *          serverDown(server, err)         (for a DNS client)
+ *          serverUp(server)                (for a DNS client)
+ *
+ *  For a unicast DNS client, each request is assigned a random id and
+ *  responses are matched against the in-flight requests by id and question.
+ *  A response that matches no in-flight request (unsolicited or spoofed) or,
+ *  over UDP, that does not come from a server the request was sent to, is
+ *  dropped.
+ *
+ *  A request that is not answered is re-sent to the same server, with an
+ *  exponentially increasing wait, `retries` times before failing over to the
+ *  next server.  A SERVFAIL or REFUSED response fails over immediately.
+ *  Each server in `servers` tracks its health:
+ *      { address:, port:, healthy:, failures:, downSince:, lastError: }
+ *  and servers that are down are tried only after those that are not.
+ *
+ *  Requests include an EDNS(0) OPT record unless a server has responded to
+ *  one with FORMERR (and no OPT record) in which case it is sent requests
+ *  without one (RFC 6891 section 7).
+ *
+ *  With `cookies`, each server is sent its own random client cookie along
+ *  with the last server cookie it returned (cached as `server.cookie`).  A
+ *  response carrying a different client cookie is dropped, and a BADCOOKIE
+ *  response is retried once with the fresh server cookie.
+ *
+ *  With `tsig`, each request is signed and the response must carry a valid
+ *  TSIG (RFC 8945) from the same key, otherwise the request fails with an
+ *  error whose `code` is 'BADSIG', 'BADKEY', 'BADTIME' or 'FORMERR'.
  */
 function Client(config)
 {
@@ -64,37 +143,68 @@ function Client(config)
 
     _.merge(self, Client.defaults, config || {});
 
-    if (_.isObject(self.server))
+    if ((_.isArray(self.servers) && (self.servers.length > 0)) ||
+        _.isObject(self.server))
     {
         self.isMdns = false;
 
-        self.server = _.extend({
-            address:null,
-            port:   Mdns.consts.DNS.PORT,
-            proto: 'udp4'
-        }, self.server);
-
-        if (_.isString(self.server.port))
-        {
-            self.server.port = parseInt(self.server.port, 10);
-        }
-
-        switch (self.server.proto)
-        {
-        case 'tcp':
-        case 'udp4':
-        case 'udp6':
-            break;
-
-        default:
-            self.server.proto = 'udp4';
-        }
+        self.servers = _.map((_.isArray(self.servers) &&
+                                (self.servers.length > 0)
+                                    ? self.servers
+                                    : [ self.server ]), _server);
+        self.server  = self.servers[0];
     }
 
     self.proto = (self.server != null
                     ? self.server.proto
                     : 'udp4');
 
+    if (self.isMdns)                                { self.tsig = null; }
+    else if (self.tsig && (! (self.tsig instanceof Tsig)))
+    {
+        self.tsig = new Tsig( self.tsig );
+    }
+
+    if (self.isMdns || (! self.edns))
+    {
+        self.edns = null;
+    }
+    else
+    {
+        // Receive as much as we advertise
+        var payload = (_.isNumber(self.edns)
+                        ? self.edns
+                        : (self.edns.udpPayloadSize ||
+                           Mdns.consts.EDNS.PAYLOAD));
+
+        self.bufSize = _.extend({}, self.bufSize, {
+                        'udp4': payload,
+                        'udp6': payload
+                       });
+    }
+
+    if (self.isMdns && (! self.cache))
+    {
+        self.cache = new Cache();
+    }
+
+    /* In-flight unicast requests, by id:
+     *  id -> { msg:, request:, plan:, server:, tried:, attemptTimer:,
+     *          requestMacs: }
+     */
+    self._requests = {};
+
+    // Pending mDNS requests (answered by the first matching response)
+    self._pending  = [];
+
+    // Sends of requests made before our socket is ready (see resolve())
+    self._unsent   = [];
+    self.on('ready', _.bind(_sendUnsent, self));
+
+    // TCP transports by server (see _tcpFor())
+    self._tcps     = {};
+    self._rotation = 0;
+
     _.defer( function() {
         if (self.proto === 'tcp')   { _createTcp.call(self); }
         else                        { _createUdp.call(self); }
@@ -106,8 +216,10 @@ Util.inherits(Client, Events.EventEmitter);
 
 Client.defaults = {
     server:     null,
+    servers:    null,
     proto:      'udp4',
     socket:     null,
+    cache:      null,
 
     isMdns:     true,
     isReady:    false,
@@ -115,16 +227,28 @@ Client.defaults = {
     port:       null,
     address:    null,
     ttl:        Mdns.consts.MDNS.TTL,
+    edns:       Mdns.consts.EDNS.PAYLOAD,
+    cookies:    false,
+    tsig:       null,
+
+    retries:        1,
+    retryTimeout:   1000,
+    maxFailures:    3,
+    recheckInterval:30000,
+    rotate:         false,
 
     bufSize:    {
         'udp4': 512,
         'udp6': 512,
-        'tcp':  4096
+        'tcp':  Tcp.MAX_MESSAGE
     },
 
     bindings:   {}
 };
 
+/** The default request timeout, in milliseconds. */
+Client.TIMEOUT = 6000;
+
 _.extend(Client.prototype, {
     // :Note: `Client.defaults` are mixed directly in
 
@@ -142,114 +266,196 @@ _.extend(Client.prototype, {
 
         // Close our socket.
         self.socket.close();
+
+        // ... and any other TCP connections (e.g. to retry truncated responses)
+        _.each(self._tcps, function(tcp) {
+            tcp.removeAllListeners();
+            tcp.close();
+        });
+        self._tcps = {};
+
+        // End any pending requests
+        _.each(self._requests, function(entry) {
+            _forget.call(self, entry);
+
+            if (entry.request)  { entry.request.cancel('closed'); }
+        });
+        self._requests = {};
+
+        self._pending.slice().forEach(function(request) {
+            request.cancel('closed');
+        });
+        self._pending  = [];
+        self._unsent   = [];
     },
 
     /**
      *  Request a name resolution.
      *  @method resolve
-     *  @param  question        A Question instance, configuration object,
-     *                          array of instances or array of configuration
-     *                          objects;
-     *  @param  [timeout=6000]  Query timeout (in micro-seconds), where 0 means
-     *                          no timeout {Number};
+     *  @param  question            A Question instance, configuration
+     *                              object, array of instances or array of
+     *                              configuration objects;
+     *  @param  [options]           If provided, the request timeout {Number}
+     *                              or an options object {Object};
+     *  @param  [options.timeout=6000]
+     *                              The request timeout (in milliseconds),
+     *                              where 0 means no timeout.  For a unicast
+     *                              DNS client, this bounds all retries and
+     *                              failover {Number};
+     *  @param  [options.signal]    If provided, an AbortSignal that cancels
+     *                              the request {AbortSignal};
+     *  @param  [callback]          If provided, the callback to invoke once
+     *                              the request ends {Function}:
+     *                                  callback(err, response);
      *
-     *  @return On success, the generated/sent DNS request,
-     *                      with a _timer if `timeout` != 0;
-     *          On error, an Error instance;
+     *  A unicast DNS request is answered by the matching response.  An mDNS
+     *  request is answered by the first response with an answer to any of
+     *  its questions (all responses are still emitted via 'response').
+     *
+     *  @return The new, sent request {Mdns::Request};
      */
-    resolve: function(question, timeout) {
+    resolve: function(question, options, callback) {
         var self    = this;
 
-        if  (timeout != null)   { timeout = parseInt(timeout, 10); }
-        if ((timeout == null) || isNaN(timeout))
+        if (_.isFunction(options))
         {
-            timeout = 6000;
+            callback = options;
+            options  = null;
         }
 
+        if (! _.isObject(options))  { options = { timeout: options }; }
+
         /*********************************************************************
          * Generate a single request for the incoming question(s)
          *
          */
         var header      = (self.isMdns
                             ? {}
-                            : {rd:1}),
-            request     = Mdns.Message({
+                            : {id:_id.call(self), rd:1}),
+            msg         = Mdns.Message({
                             header:   header,
                             question: question
                         }),
-            callback    = null;
+            request     = new Request(msg, {
+                            timeout:    _timeout(options.timeout),
+                            signal:     options.signal,
+                            callback:   callback
+                        }),
+            entry       = null;
 
-        if (timeout > 0)
+        /* An mDNS request is sent only once, so (as the first query for its
+         * question(s)) request unicast responses (RFC 6762 section 5.4).
+         */
+        if (self.isMdns)
         {
-            /*****************************************************************
-             * If a timeout was specified as non-zero, create a request
-             * timeout timer
-             */
-            request._timer = setTimeout(function() {
-                                self.emit('timeout', request);
-                             }, timeout);
+            msg.question.forEach(function(q) {
+                q.unicastResponse = true;
+            });
+        }
+
+        request.once('end', function(state) {
+            if (entry)
+            {
+                if (state === 'timeout')
+                {
+                    _serverFailed.call(self, entry.server, request.error);
+                }
+
+                _forget.call(self, entry);
+            }
+            else
+            {
+                self._pending = _.without(self._pending, request);
+            }
 
-            callback = function(err, bytes) {
-                clearTimeout(request._timer);
-                delete request._timer;
+            if (state === 'timeout')    { self.emit('timeout', request); }
+        });
+
+        if (self.isMdns)    { self._pending.push( request ); }
+        else                { entry = _track.call(self, msg, request); }
+
+        // Send once our socket is ready
+        if (self.isReady)   { __send(); }
+        else                { self._unsent.push( __send ); }
+
+        return request;
+
+        /***********************************************
+         * Context-bound helpers
+         *
+         */
+        function __send() {
+            if (! request.isPending())  { return; }
+
+            if (entry)
+            {
+                // Send to each server in turn (see _attempt())
+                entry.plan = _plan.call(self);
+
+                _attempt.call(self, entry);
+                return;
+            }
+
+            self.send(msg, function(err, bytes) {
+                if (! request.isPending())  { return; }
 
                 if (err)
                 {
-                    self.emit('error', err);
+                    if (! request.isObserved()) { self.emit('error', err); }
+
+                    request.fail(err);
                 }
                 else
                 {
                     request.bytesSent = bytes;
                     self.emit('sent', request);
                 }
-            };
+            });
         }
+    },
 
-        // Send the request
-        self.send(request, callback);
-
-        return request;
+    /**
+     *  Begin a continuous mDNS query (RFC 6762 section 5.2), re-asking the
+     *  question(s) at exponentially increasing intervals and including known
+     *  answers from our cache.
+     *  @method query
+     *  @param  question        A Question instance, configuration object,
+     *                          array of instances or array of configuration
+     *                          objects;
+     *  @param  [config]        If provided, a Query configuration object
+     *                          {Object} (see Mdns::Query);
+     *
+     *  @return The new, started query {Mdns::Query};
+     */
+    query: function(question, config) {
+        return (new Query(this, question, config)).start();
     },
 
     /**
      *  Send a service discovery message.
      *  @method discovery
      *  @param  [domain='.local.']  The query domain {String};
-     *  @param  [timeout=6000]      Query timeout (in micro-seconds), where 0
-     *                              means no timeout {Number};
+     *  @param  [options]           If provided, the request timeout {Number}
+     *                              or an options object (see resolve())
+     *                              {Object};
+     *  @param  [options.timeout=6000]
+     *                              The request timeout (in milliseconds),
+     *                              where 0 means no timeout {Number};
+     *  @param  [callback]          If provided, the callback to invoke once
+     *                              the request ends {Function}:
+     *                                  callback(err, response);
      *
-     *  @return On success, the generated/sent DNS request,
-     *                      with a _timer if `timeout` != 0;
-     *          On error, an Error instance;
+     *  @return The new, sent request {Mdns::Request};
      */
-    discovery: function(domain, timeout) {
-        var self    = this;
-
-        domain = domain || Mdns.consts.MDNS.DOMAIN;
-        if (timeout != null)
-        {
-            timeout = parseInt(timeout, 10);
-            if (isNaN(timeout)) { timeout = null; }
-        }
-        if (timeout == null)    { timeout = 0; }
-
-        if (self.isReady)   { return __discovery(); }
-
-        self.socket.once('listening', __discovery.bind(this));
-
-        return;
-
-        /***********************************************
-         * Context-bound helpers
-         *
-         */
-        function __discovery() {
-            var question    = [
-                    {qname: Mdns.consts.MDNS.SD +'.'+ domain, qtype: 'PTR'}
-                ];
-
-            return self.resolve( question, timeout );
-        }
+    discovery: function(domain, options, callback) {
+        var self        = this,
+            question    = [
+                {qname: Mdns.consts.MDNS.SD +'.'+
+                            (domain || Mdns.consts.MDNS.DOMAIN),
+                 qtype: 'PTR'}
+            ];
+
+        return self.resolve( question, options, callback );
     },
 
     /**
@@ -263,12 +469,45 @@ _.extend(Client.prototype, {
      *  @return The final pack instance, possibly with an error;
      */
     send: function(msg, callback) {
+        return this.sendTo(msg, null, callback);
+    },
+
+    /**
+     *  Send the given message to a specific address/port (e.g. a unicast
+     *  mDNS response).  For a TCP client, the target is ignored.
+     *  @method sendTo
+     *  @param  msg             The message to send {Mdns::Message};
+     *  @param  [rinfo]         The target {address:, port:}, null for our
+     *                          multicast group or server {Object};
+     *  @param  [callback]      If provided, the callback to invoke upon
+     *                          completion of the send {Function}:
+     *                              callback(err, data);
+     *
+     *  @return The final pack instance, possibly with an error;
+     */
+    sendTo: function(msg, rinfo, callback) {
         var self    = this,
-            pack    = new Pack( new Buffer( self.bufSize[ self.proto ] ) );
+            pack    = new Pack( new Buffer( self.bufSize[ self.proto ] ) ),
+            target  = rinfo,
+            entry;
+
+        rinfo = (rinfo || {address: self.address, port: self.port});
+
+        if ((! self.isMdns) && (msg.header.qr === 0) &&
+            (! self._requests[ msg.header.id ]))
+        {
+            // Track a directly sent request so its response is accepted
+            entry        = _track.call(self, msg);
+            entry.server = (target || self.server);
+            entry.tried.push( entry.server );
+        }
 
         if (! _.isFunction(callback))   { callback = function(){}; };
 
-        if (! msg.pack( pack ))
+        /* A truncated message is still sent (with TC set) -- the caller may
+         * examine `msg.header` to determine what remains to be sent.
+         */
+        if ((! msg.pack( pack )) && (! msg.isTruncated()))
         {
             // :XXX: Packing error...
             callback(pack.error, null);
@@ -277,7 +516,7 @@ _.extend(Client.prototype, {
 
         /*
         console.log("Client.send(): %s:%s:\n%s\n%s",
-                    self.address, self.port,
+                    rinfo.address, rinfo.port,
                     msg,
                     Utils.buf2hex(pack.buf, {
                         offset:     pack.offset,
@@ -288,12 +527,13 @@ _.extend(Client.prototype, {
 
         if (self.proto === 'tcp')
         {
-            self.socket.write( pack.buf, callback );
+            _tcpFor.call(self, target || self.server)
+                .send( pack.buf.slice(pack.begin, pack.offset), callback );
         }
         else
         {
             self.socket.send( pack.buf, pack.begin, pack.offset - pack.begin,
-                              self.port, self.address, callback );
+                              rinfo.port, rinfo.address, callback );
         }
 
         return pack;
@@ -357,8 +597,12 @@ function _createUdp()
     }
 
 
-    // Create a new socket
-    self.socket = Dgram.createSocket( self.proto );
+    /* Create a new socket, allowing an mDNS socket to share port 5353 with
+     * any other mDNS stack (or Client) on this host.
+     */
+    self.socket = Dgram.createSocket( self.isMdns
+                                        ? {type: self.proto, reuseAddr: true}
+                                        : self.proto );
 
     _.each(self.bindings, function(cb, name) {
         self.socket.on(name, cb);
@@ -421,26 +665,36 @@ function _createUdp()
          * an 'error' event.  Regardless, the parsed response will be
          * returned.
          */
-        var response    = _processResponse.call(self, msg);
+        var response    = _processResponse.call(self, msg, false, rinfo);
+
+        /* A truncated response that is being retried over TCP or one that
+         * does not match an in-flight request
+         */
+        if (response === null)  { return; }
+
+        if (self.cache && (! response.error))
+        {
+            self.cache.update( response );
+        }
+
+        if (self.isMdns)    { _answerPending.call(self, response); }
 
         self.emit('response', response, rinfo, msg);
     }
 }
 
 /**
- *  Create a TCP socket.
+ *  Create a TCP transport (see Mdns::Tcp).  The connection is established
+ *  on demand by the first send.
  *  @method _createTcp
  *
  *  `this` is the controlling Client instance;
  *
- *  @return The new socket;
+ *  @return The new transport;
  */
 function _createTcp()
 {
-    var self        = this,
-        bindings    = {
-            'data':         __onData
-        };
+    var self        = this;
 
     // Include bindings for unhandled events
     if (! _.isFunction(self.bindings.connect))
@@ -459,18 +713,23 @@ function _createTcp()
     {
         self.bindings.close     = _.bind(__onClose, self);
     }
-    if (! _.isFunction(self.bindings.data))
+    if (! _.isFunction(self.bindings.message))
     {
-        self.bindings.data      = _.bind(__onData, self);
+        self.bindings.message   = _.bind(__onMessage, self);
     }
 
-    self.isReady = false;
-    self.socket  = Net.connect(self.server.port, self.server.address);
+    self.socket  = new Tcp({
+                        address:    self.server.address,
+                        port:       self.server.port
+                   });
 
-    _.each(bindings, function(cb, name) {
+    _.each(self.bindings, function(cb, name) {
         self.socket.on(name, cb);
     });
 
+    self.isReady = true;
+    self.emit('ready');
+
     return self.socket;
 
     /*********************************************************
@@ -478,12 +737,9 @@ function _createTcp()
      *
      */
     function __onConnect() {
-        self.rinfo  = { port:       self.socket.remotePort,
-                        address:    self.socket.remoteAddress };
+        self.rinfo  = self.socket.rinfo;
 
-        self.isReady = true;
         self.emit('connect');
-        self.emit('ready');
     }
 
     function __onTimeout() {
@@ -498,45 +754,731 @@ function _createTcp()
         self.emit('close');
     }
 
-    function __onData(data) {
+    function __onMessage(data, rinfo) {
         /* If this response is an error, _processResponse() will emit
          * an 'error' event.  Regardless, the parsed response will be
          * returned.
          */
-        var response    = _processResponse.call(self, msg);
+        var response    = _processResponse.call(self, data, true,
+                                                self.server);
+
+        // A response that does not match an in-flight request
+        if (response === null)  { return; }
+
+        self.emit('response', response, rinfo, data);
+    }
+}
+
+/**
+ *  Retry a request over TCP following a truncated UDP response (RFC 1035
+ *  section 4.2.1).  The complete response is emitted, via 'response', in
+ *  place of the truncated one.
+ *  @method _retryTcp
+ *  @param  response    The truncated response {Mdns::Message};
+ *  @param  server      The server that sent the response {Object};
+ *
+ *  `this` is the controlling Client instance;
+ *
+ *  @return true if the request is being retried (or could not be, and has
+ *          failed), false if the response does not match an outstanding
+ *          request;
+ */
+function _retryTcp(response, server)
+{
+    var self    = this,
+        entry   = self._requests[ response.header.id ],
+        request = (entry && entry.msg);
+
+    if ((! request) || (! _sameQuestion(request, response)))    { return false; }
+
+    // Re-pack the original request for TCP
+    var pack    = new Pack( new Buffer( Tcp.MAX_MESSAGE ) );
+
+    if (! request.pack( pack ))
+    {
+        _tcpFailed.call(self, entry, pack.error);
+        return true;
+    }
+
+    _tcpFor.call(self, server).send( pack.buf.slice(pack.begin, pack.offset),
+                                     function(err) {
+        // Ignore the outcome of a request that has since ended
+        if (err && (self._requests[ response.header.id ] === entry))
+        {
+            _tcpFailed.call(self, entry, err);
+        }
+    });
+
+    return true;
+}
+
+/**
+ *  The TCP retry of a truncated response could not be sent, so fail the
+ *  request.
+ *  @method _tcpFailed
+ *  @param  entry   The in-flight entry {Object};
+ *  @param  err     The failure {Error};
+ *
+ *  `this` is the controlling Client instance;
+ */
+function _tcpFailed(entry, err)
+{
+    var self    = this;
+
+    if (! _isObserved(entry))   { self.emit('error', err); }
+
+    _complete.call(self, entry, err);
+}
+
+/**
+ *  Retrieve (creating if needed) the TCP transport for a server.  For a TCP
+ *  client, this is our socket for the primary server.
+ *  @method _tcpFor
+ *  @param  server  The server {address:, port:} {Object};
+ *
+ *  `this` is the controlling Client instance;
+ *
+ *  @return The transport {Mdns::Tcp};
+ */
+function _tcpFor(server)
+{
+    var self    = this,
+        key     = server.address +'#'+ server.port,
+        tcp     = self._tcps[ key ];
+
+    if ((self.proto === 'tcp') && _isServer(self.server, server))
+    {
+        return self.socket;
+    }
+
+    if (! tcp)
+    {
+        tcp = self._tcps[ key ] = new Tcp({
+                                    address:    server.address,
+                                    port:       server.port
+                                  });
+
+        // Errors are reported via the requests that could not be sent
+        tcp.on('error', function(e) {
+            if (self.listeners('error').length > 0) { self.emit('error', e); }
+        });
+
+        tcp.on('message', function(data, rinfo) {
+            var response    = _processResponse.call(self, data, true, server);
+
+            if (response === null)  { return; }
+
+            self.emit('response', response, rinfo, data);
+        });
+    }
+
+    return tcp;
+}
+
+/**
+ *  Normalize a unicast server configuration.
+ *  @method _server
+ *  @param  config  A server object {address:, port:, proto:, retries:} or
+ *                  'address[:port]' string {Object | String};
+ *
+ *  @return The server, with initial health {Object};
+ */
+function _server(config)
+{
+    var server  = {
+            address:    null,
+            port:       Mdns.consts.DNS.PORT,
+            proto:      'udp4'
+        },
+        match;
+
+    if (_.isString(config))
+    {
+        // 'address', 'address:port' or '[address]:port'
+        match = (config.match(/^\[(.*)\]:(\d+)$/) ||
+                 config.match(/^([^:]+):(\d+)$/));
+
+        config = (match
+                    ? { address: match[1], port: match[2] }
+                    : { address: config });
+    }
+
+    _.extend(server, config);
+
+    if (_.isString(server.port))
+    {
+        server.port = parseInt(server.port, 10);
+    }
+
+    switch (server.proto)
+    {
+    case 'tcp':
+    case 'udp4':
+    case 'udp6':
+        break;
+
+    default:
+        server.proto = 'udp4';
+    }
+
+    server.healthy   = true;
+    server.failures  = 0;
+    server.downSince = null;
+    server.lastError = null;
+
+    // DNS cookies (RFC 7873): { client: Buffer, server: Buffer }
+    server.cookie    = null;
+
+    return server;
+}
+
+/**
+ *  Determine whether two {address:, port:} objects identify the same server.
+ *  @method _isServer
+ *  @param  a   The first {Object};
+ *  @param  b   The second {Object};
+ *
+ *  @return true | false
+ */
+function _isServer(a, b)
+{
+    return ((a != null) && (b != null) &&
+            (a.address === b.address) && (a.port === b.port));
+}
+
+/**
+ *  Generate the ordered list of attempts for a new request: `retries` + 1
+ *  attempts for each server, with the wait for a response doubling for each
+ *  retry, and servers that are down last.
+ *  @method _plan
+ *
+ *  `this` is the controlling Client instance;
+ *
+ *  @return The attempts [ {server:, wait:}, ... ] {Array};
+ */
+function _plan()
+{
+    var self    = this,
+        now     = Date.now(),
+        up      = [],
+        down    = [],
+        plan    = [],
+        start;
+
+    self.servers.forEach(function(server) {
+        if (server.healthy ||
+            ((now - server.downSince) >= self.recheckInterval))
+        {
+            up.push( server );
+        }
+        else
+        {
+            down.push( server );
+        }
+    });
 
-        self.emit('response', response, self.rinfo, data);
+    if (self.rotate && (up.length > 1))
+    {
+        start = (self._rotation++ % up.length);
+        up    = up.slice(start).concat( up.slice(0, start) );
     }
+
+    up.concat(down).forEach(function(server) {
+        var retries = (server.retries != null
+                        ? server.retries
+                        : self.retries);
+
+        for (var idex = 0; idex <= retries; idex++)
+        {
+            plan.push({
+                server: server,
+                wait:   self.retryTimeout * Math.pow(2, idex)
+            });
+        }
+    });
+
+    return plan;
+}
+
+/**
+ *  Send an in-flight request to the server of its next planned attempt.
+ *  Each attempt other than the last is abandoned if not answered within its
+ *  wait; the last waits for the request timeout.
+ *  @method _attempt
+ *  @param  entry   The in-flight entry {Object};
+ *
+ *  `this` is the controlling Client instance;
+ */
+function _attempt(entry)
+{
+    var self    = this,
+        request = entry.request,
+        prev    = entry.server,
+        next    = entry.plan.shift(),
+        server  = next.server,
+        opt;
+
+    if (entry.attemptTimer) { clearTimeout(entry.attemptTimer); }
+    entry.attemptTimer = null;
+
+    entry.server = server;
+    if (entry.tried.indexOf(server) < 0)    { entry.tried.push( server ); }
+
+    opt = entry.msg.setEdns( server.edns === false ? null : self.edns );
+
+    if (opt && self.cookies)
+    {
+        if (! server.cookie)
+        {
+            server.cookie = { client: Edns.clientCookie(), server: null };
+        }
+
+        opt.rdata.options.push( Edns.cookie( server.cookie.client,
+                                             server.cookie.server ) );
+    }
+
+    // Signed last, once the message is complete
+    if (self.tsig)  { entry.requestMacs.unshift( self.tsig.sign(entry.msg) ); }
+
+    if (prev === server)    { self.emit('retry', request, server); }
+    else if (prev)          { self.emit('failover', request, prev, server); }
+
+    if (entry.plan.length > 0)
+    {
+        entry.attemptTimer = setTimeout(function() {
+            entry.attemptTimer = null;
+
+            _attemptFailed.call(self, entry, new Error('timeout'));
+        }, next.wait);
+    }
+
+    self.sendTo(entry.msg, server, function(err, bytes) {
+        // Ignore the outcome of an abandoned attempt
+        if ((! request.isPending()) || (entry.server !== server))   { return; }
+
+        if (err)
+        {
+            _attemptFailed.call(self, entry, err);
+        }
+        else
+        {
+            request.bytesSent = bytes;
+            self.emit('sent', request);
+        }
+    });
+}
+
+/**
+ *  The current attempt of an in-flight request has failed (it timed out or
+ *  could not be sent).  Move on to the next attempt, failing the request if
+ *  there are none.
+ *  @method _attemptFailed
+ *  @param  entry   The in-flight entry {Object};
+ *  @param  err     The failure {Error};
+ *
+ *  `this` is the controlling Client instance;
+ */
+function _attemptFailed(entry, err)
+{
+    var self    = this;
+
+    _serverFailed.call(self, entry.server, err);
+
+    if (entry.plan.length > 0)
+    {
+        _attempt.call(self, entry);
+        return;
+    }
+
+    if (! _isObserved(entry))   { self.emit('error', err); }
+
+    _complete.call(self, entry, err);
+}
+
+/**
+ *  Record a failure (timeout, SERVFAIL or REFUSED) of a server.
+ *  @method _serverFailed
+ *  @param  [server]    The server {Object};
+ *  @param  err         The failure {Error};
+ *
+ *  `this` is the controlling Client instance;
+ */
+function _serverFailed(server, err)
+{
+    var self    = this;
+
+    if (! server)   { return; }
+
+    server.failures++;
+    server.lastError = err;
+
+    if (server.failures < self.maxFailures) { return; }
+
+    // (Re)start the period before a server that is down is preferred again
+    server.downSince = Date.now();
+
+    if (server.healthy)
+    {
+        server.healthy = false;
+
+        self.emit('serverDown', server, err);
+    }
+}
+
+/**
+ *  Record a successful response from a server.
+ *  @method _serverOk
+ *  @param  [server]    The server {Object};
+ *
+ *  `this` is the controlling Client instance;
+ */
+function _serverOk(server)
+{
+    var self    = this;
+
+    if (! server)   { return; }
+
+    server.failures  = 0;
+    server.lastError = null;
+
+    if (! server.healthy)
+    {
+        server.healthy   = true;
+        server.downSince = null;
+
+        self.emit('serverUp', server);
+    }
+}
+
+/**
+ *  Determine whether a response is for the question(s) of a request.
+ *  @method _sameQuestion
+ *  @param  request     The request {Mdns::Message};
+ *  @param  response    The response {Mdns::Message};
+ *
+ *  @return true | false
+ */
+function _sameQuestion(request, response)
+{
+    if (request.question.length !== response.question.length)
+    {
+        return false;
+    }
+
+    return request.question.every(function(question, idex) {
+        var other   = response.question[idex];
+
+        return ((question.qname.toLowerCase() ===
+                    other.qname.toLowerCase())  &&
+                (question.qtype  === other.qtype) &&
+                (question.qclass === other.qclass));
+    });
+}
+
+/**
+ *  Generate a random, 16-bit request id that is not currently in-flight.
+ *  @method _id
+ *
+ *  `this` is the controlling Client instance;
+ *
+ *  @return The id {Number};
+ */
+function _id()
+{
+    var self    = this,
+        id;
+
+    do
+    {
+        id = Crypto.randomBytes(2).readUInt16BE(0);
+
+    } while (self._requests[ id ]);
+
+    return id;
+}
+
+/**
+ *  Add a request to the in-flight table.
+ *  @method _track
+ *  @param  msg         The request message {Mdns::Message};
+ *  @param  [request]   The request, if made via resolve() {Mdns::Request};
+ *
+ *  `this` is the controlling Client instance;
+ *
+ *  @return The in-flight entry {Object};
+ */
+function _track(msg, request)
+{
+    var self    = this,
+        entry   = {
+            msg:            msg,
+            request:        (request || null),
+
+            plan:           [],     // Remaining attempts (see _plan())
+            server:         null,   // The server of the current attempt
+            tried:          [],     // The servers the request was sent to
+            attemptTimer:   null,
+            requestMacs:    []      // The TSIG MAC of each signed attempt
+        };
+
+    self._requests[ msg.header.id ] = entry;
+
+    return entry;
+}
+
+/**
+ *  Send the requests made before our socket was ready.
+ *  @method _sendUnsent
+ *
+ *  `this` is the controlling Client instance;
+ */
+function _sendUnsent()
+{
+    var self    = this,
+        unsent  = self._unsent;
+
+    self._unsent = [];
+
+    unsent.forEach(function(send) { send(); });
+}
+
+/**
+ *  Remove an entry from the in-flight table, abandoning any further
+ *  attempts.
+ *  @method _forget
+ *  @param  entry   The in-flight entry {Object};
+ *
+ *  `this` is the controlling Client instance;
+ */
+function _forget(entry)
+{
+    var self    = this;
+
+    if (self._requests[ entry.msg.header.id ] === entry)
+    {
+        delete self._requests[ entry.msg.header.id ];
+    }
+
+    if (entry.attemptTimer) { clearTimeout(entry.attemptTimer); }
+    entry.attemptTimer = null;
+    entry.plan         = [];
+}
+
+/**
+ *  Complete an in-flight request, ending its Request (if any).
+ *  @method _complete
+ *  @param  entry       The in-flight entry {Object};
+ *  @param  err         Any error {Error};
+ *  @param  [response]  The response {Mdns::Message};
+ *
+ *  `this` is the controlling Client instance;
+ */
+function _complete(entry, err, response)
+{
+    _forget.call(this, entry);
+
+    if (! entry.request)    { return; }
+
+    if (err)    { entry.request.fail(err, response); }
+    else        { entry.request.answer(response); }
+}
+
+/**
+ *  Determine whether the outcome of an in-flight request is observed (see
+ *  Request.isObserved()).
+ *  @method _isObserved
+ *  @param  [entry] The in-flight entry {Object};
+ *
+ *  @return true | false
+ */
+function _isObserved(entry)
+{
+    return ((entry != null) && (entry.request != null) &&
+            entry.request.isObserved());
+}
+
+/**
+ *  Answer any pending mDNS requests for which a response includes an answer.
+ *  @method _answerPending
+ *  @param  response    The response {Mdns::Message};
+ *
+ *  `this` is the controlling Client instance;
+ */
+function _answerPending(response)
+{
+    var self    = this;
+
+    if ((response.header.qr !== 1) || (response.answer.length < 1))
+    {
+        return;
+    }
+
+    self._pending.slice().forEach(function(request) {
+        var answered    = request.message.question.some(function(question) {
+            return response.answer.some(function(rr) {
+                return ((_name(rr.name) === _name(question.qname)) &&
+                        ((question.qtype === Mdns.consts.TYPE_STR.ANY) ||
+                         (rr.type        === question.qtype)));
+            });
+        });
+
+        if (answered)   { request.answer( response ); }
+    });
+}
+
+/**
+ *  Normalize a request timeout.
+ *  @method _timeout
+ *  @param  [timeout]   The timeout (in milliseconds), 0 for none {Number};
+ *
+ *  @return The timeout, Client.TIMEOUT if not provided or invalid {Number};
+ */
+function _timeout(timeout)
+{
+    if (timeout != null)    { timeout = parseInt(timeout, 10); }
+
+    return ((timeout == null) || isNaN(timeout) || (timeout < 0)
+                ? Client.TIMEOUT
+                : timeout);
+}
+
+/**
+ *  Normalize a domain name for comparison.
+ *  @method _name
+ *  @param  name    The name {String};
+ *
+ *  @return The lower-case name without any trailing '.' {String};
+ */
+function _name(name)
+{
+    return String(name).toLowerCase().replace(/\.$/, '');
 }
 
 /**
  *  Process a DNS response packet.
  *  @param  data    The raw DNS packet data (Buffer);
+ *  @param  [isTcp] If true, the packet was received over TCP (Boolean);
+ *  @param  [rinfo] For UDP, the remote address/port information, for TCP,
+ *                  the server of the connection (Object);
  *
  *  This routine will emit any 'response' events.
  *
  *  `this` is the controlling Client instance;
  *
- *  @return The DNS resonse message.
+ *  @return The DNS resonse message (null if it matches no in-flight request,
+ *          a truncated response is being retried over TCP or a failed
+ *          request is being sent to another server).
  */
-function _processResponse(data)
+function _processResponse(data, isTcp, rinfo)
 {
     var self        = this,
-        response    = Mdns.Message(data);
+        response    = Mdns.Message(data),
+        rcode       = response.rcode(),
+        entry, server, err;
+
+    if (! self.isMdns)
+    {
+        entry  = self._requests[ response.header.id ];
+        server = (entry && (_.find(entry.tried, function(tried) {
+                                return _isServer(tried, rinfo);
+                            }) || (isTcp === true ? entry.server : null)));
+
+        // Drop unsolicited or spoofed responses
+        if ((! entry)                           ||
+            (response.header.qr !== 1)          ||
+            (! _sameQuestion(entry.msg, response)) ||
+            (rinfo && (! server)))
+        {
+            return null;
+        }
+
+        if (! _checkCookie.call(self, entry, server, response))
+        {
+            return null;
+        }
 
-    if (response.header.rcode !== Mdns.consts.RCODE_STR.NOERROR)
+        if (response.isTruncated() && (isTcp !== true) &&
+            _retryTcp.call(self, response, server))
+        {
+            return null;
+        }
+    }
+
+    if (rcode !== Mdns.consts.RCODE_STR.NOERROR)
     {
         // DNS error
-        self.emit('error', new Error('DNS error: '
-                                     + Mdns.consts.rcode2str(
-                                         response.header.rcode )) );
-        return response;
+        err = new Error('DNS error: '+ Mdns.consts.rcode2str( rcode ));
     }
 
-    /* :TODO: If there were multiple requests, match this response with a
-     *        particular request via id and mark that request as completed.
-     *
-     *  Generate an array of JUST processed records with no unparsed rdata
+    if (entry && (rcode === Mdns.consts.RCODE_STR.FORMERR) &&
+        entry.msg.opt() && (! response.opt()) && (server === entry.server))
+    {
+        /* The server does not support EDNS(0) -- retry this (and send all
+         * future) requests without it.
+         */
+        server.edns = false;
+
+        entry.plan.unshift({ server: server, wait: self.retryTimeout });
+        _attempt.call(self, entry);
+
+        return null;
+    }
+
+    if (entry && (rcode === Mdns.consts.RCODE_STR.BADCOOKIE) &&
+        (! entry.badCookie) && (server === entry.server) &&
+        entry.msg.ednsOption('COOKIE'))
+    {
+        // Retry once with the server cookie just returned (RFC 7873 5.3)
+        entry.badCookie = true;
+
+        entry.plan.unshift({ server: server, wait: self.retryTimeout });
+        _attempt.call(self, entry);
+
+        return null;
+    }
+
+    if (entry && (entry.requestMacs.length > 0))
+    {
+        // An unsigned or invalid response fails the request
+        err = (_verify.call(self, entry, data, response) || err);
+    }
+
+    if (entry)
+    {
+        if ((rcode === Mdns.consts.RCODE_STR.SERVFAIL) ||
+            (rcode === Mdns.consts.RCODE_STR.REFUSED))
+        {
+            // Fail over to the next server (if any)
+            _serverFailed.call(self, server, err);
+
+            entry.plan = entry.plan.filter(function(attempt) {
+                return (attempt.server !== server);
+            });
+
+            /* A late failure from an earlier server is dropped, leaving the
+             * current attempt in place.
+             */
+            if (server !== entry.server)    { return null; }
+
+            if (entry.plan.length > 0)
+            {
+                _attempt.call(self, entry);
+                return null;
+            }
+        }
+        else
+        {
+            _serverOk.call(self, server);
+        }
+    }
+
+    // Reported via the request callback/promise, if observed
+    if (err && (! _isObserved(entry)))  { self.emit('error', err); }
+
+    // This request is complete
+    if (entry)  { _complete.call(self, entry, err, response); }
+
+    /*  Generate an array of JUST processed records with no unparsed rdata
     var records = [];
     response.answer.forEach(function(rec) {
         var pruned  = _prune(rec.rdata);
@@ -561,6 +1503,71 @@ function _processResponse(data)
     return response;
 }
 
+/**
+ *  Verify the TSIG of a response against the MAC of each signed attempt of
+ *  its request (the response may be to an earlier attempt), latest first.
+ *  @method _verify
+ *  @param  entry       The in-flight entry {Object};
+ *  @param  data        The raw response {Buffer};
+ *  @param  response    The response {Mdns::Message};
+ *
+ *  `this` is the controlling Client instance;
+ *
+ *  @return null if valid, otherwise the (latest) verification error
+ *          {Error};
+ */
+function _verify(entry, data, response)
+{
+    var self    = this,
+        first   = null,
+        err;
+
+    for (var idex = 0; idex < entry.requestMacs.length; idex++)
+    {
+        err = self.tsig.verify(data, response, entry.requestMacs[idex]);
+        if (! err)  { return null; }
+
+        first = (first || err);
+    }
+
+    return first;
+}
+
+/**
+ *  Verify the DNS cookie (RFC 7873 section 5.3) of a response to a request
+ *  that carried one, caching any server cookie it returns.
+ *  @method _checkCookie
+ *  @param  entry       The in-flight entry {Object};
+ *  @param  server      The server that sent the response {Object};
+ *  @param  response    The response {Mdns::Message};
+ *
+ *  `this` is the controlling Client instance;
+ *
+ *  @return false if the response should be dropped, otherwise true;
+ */
+function _checkCookie(entry, server, response)
+{
+    var sent        = entry.msg.ednsOption('COOKIE'),
+        received    = (sent && response.ednsOption('COOKIE'));
+
+    // A server that does not support cookies simply omits them
+    if (! received) { return true; }
+
+    if ((! received.clientCookie) ||
+        (received.clientCookie.toString('hex') !==
+                                    sent.clientCookie.toString('hex')))
+    {
+        return false;
+    }
+
+    if (server.cookie && received.serverCookie)
+    {
+        server.cookie.server = received.serverCookie;
+    }
+
+    return true;
+}
+
 /** @brief  Generate a shallow clone of the given object, excluding 'consumed'.
  *  @param  src     The object to clone;
  *
@@ -156,7 +156,8 @@ var TYPE_STR    = {
         'BADMODE':  19,     // RFC 2930
         'BADNAME':  20,     // RFC 2930
         'BADALG':   21,     // RFC 2930
-        'BADTRUNC': 22      // RFC 4635
+        'BADTRUNC': 22,     // RFC 4635
+        'BADCOOKIE':23      // RFC 7873
 
         // 3841 - 4095, 65535: RFC 6195: Private use
     },
@@ -177,6 +178,27 @@ var TYPE_STR    = {
     // LabelType mask integer > string map (construct)
     LTYPE_INT   = reverseMap(LTYPE_STR),
 
+    // EDNS(0) option code string > integer map
+    OPTION_STR  = {
+        'LLQ':          1,      // RFC 8764: Long-Lived Queries
+        'UL':           2,      // draft-sekar-dns-ul: Update Lease
+        'NSID':         3,      // RFC 5001: Name Server Identifier
+        'DAU':          5,      // RFC 6975: DNSSEC Algorithm Understood
+        'DHU':          6,      // RFC 6975: DS Hash Understood
+        'N3U':          7,      // RFC 6975: NSEC3 Hash Understood
+        'ECS':          8,      // RFC 7871: EDNS Client Subnet
+        'EXPIRE':       9,      // RFC 7314
+        'COOKIE':       10,     // RFC 7873
+        'KEEPALIVE':    11,     // RFC 7828: edns-tcp-keepalive
+        'PADDING':      12,     // RFC 7830
+        'CHAIN':        13,     // RFC 7901
+        'KEYTAG':       14,     // RFC 8145: edns-key-tag
+        'EDE':          15      // RFC 8914: Extended DNS Error
+    },
+
+    // EDNS(0) option code integer > string map (construct)
+    OPTION_INT  = reverseMap(OPTION_STR),
+
     consts      = {
         TYPE_STR:   TYPE_STR,
         TYPE_INT:   TYPE_INT,
@@ -188,6 +210,8 @@ var TYPE_STR    = {
         RCODE_INT:  RCODE_INT,
         LTYPE_STR:  LTYPE_STR,
         LTYPE_INT:  LTYPE_INT,
+        OPTION_STR: OPTION_STR,
+        OPTION_INT: OPTION_INT,
 
         MDNS: {
             ADDR:   {
@@ -210,6 +234,27 @@ var TYPE_STR    = {
             PORT:   53
         },
 
+        /* EDNS(0) (RFC 6891) */
+        EDNS: {
+            VERSION:    0,
+            PAYLOAD:    1232,   // Default requestor's UDP payload size
+            MIN_PAYLOAD:512,    // Smaller values are treated as 512
+            DO:         0x8000, // DNSSEC OK bit (of the OPT TTL)
+
+            // COOKIE option sizes, in bytes (RFC 7873 section 4)
+            COOKIE:     {
+                CLIENT:     8,
+                SERVER_MIN: 8,
+                SERVER_MAX: 32
+            },
+
+            // PADDING block sizes (RFC 8467 section 4.1)
+            PADDING:    {
+                QUERY:      128,
+                RESPONSE:   468
+            }
+        },
+
         /** @brief  Given a Resource Record/Question type, return the
          *          equivilent string.
          *
@@ -287,6 +332,26 @@ var TYPE_STR    = {
          */
         str2rcode: function(str) {
             return consts.RCODE_STR[ str.toUpperCase() ];
+        },
+
+        /** @brief  Given an EDNS(0) option code, return the equivilent
+         *          string.
+         *  @param  optionInt   The option code (integer);
+         *
+         *  @return The matching string (undefined if no match).
+         */
+        option2str: function(optionInt) {
+            return consts.OPTION_INT[ optionInt ];
+        },
+
+        /** @brief  Given an EDNS(0) option code string, return the equivilent
+         *          integer value.
+         *  @param  str     The option code (string);
+         *
+         *  @return The matching integer value (undefined if no match).
+         */
+        str2option: function(str) {
+            return consts.OPTION_STR[ str.toUpperCase() ];
         }
     };
 
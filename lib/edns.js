@@ -0,0 +1,405 @@
+/** @file
+ *
+ *  EDNS(0) option codecs (RFC 6891 section 6.1.2).
+ *
+ *  Each option within the RDATA of an OPT record is represented as:
+ *      { code:, data: }
+ *
+ *  Options with a known code are additionally decoded into, and (when
+ *  present) encoded from, typed fields:
+ *      3   NSID    (RFC 5001)
+ *                      nsid                The name server identifier
+ *                                          (String, '' to request it);
+ *      8   ECS     (RFC 7871)
+ *                      family              The address family (1 = IPv4,
+ *                                          2 = IPv6);
+ *                      sourcePrefixLength  The leftmost bits of the address
+ *                                          that are significant;
+ *                      scopePrefixLength   The leftmost bits of the address
+ *                                          covered by the response;
+ *                      address             The (masked) address (String);
+ *      10  COOKIE  (RFC 7873)
+ *                      clientCookie        The 8-byte client cookie (Buffer);
+ *                      serverCookie        The 8 to 32-byte server cookie
+ *                                          (Buffer, null if none);
+ *      12  PADDING (RFC 7830)
+ *                      length              The number of padding bytes;
+ *                      block               When packing, pad the message to a
+ *                                          multiple of this size.  Since this
+ *                                          relies upon the padding option
+ *                                          being the last data packed, it is
+ *                                          always packed as the final option
+ *                                          of the OPT record;
+ */
+var Net     = require('net'),
+    Crypto  = require('crypto'),
+    Consts  = require('./consts.js'),
+    Pack    = require('./pack.js').Pack,
+    Unpack  = require('./unpack.js');
+
+var OPTION  = Consts.OPTION_STR;
+
+/** @brief  Generate a new, random client cookie (RFC 7873 section 4.1).
+ *
+ *  @return The 8-byte cookie (Buffer).
+ */
+function clientCookie()
+{
+    return Crypto.randomBytes( Consts.EDNS.COOKIE.CLIENT );
+}
+
+/** @brief  Create an NSID option requesting the server identifier
+ *          (RFC 5001 section 2.3).
+ *
+ *  @return The new option.
+ */
+function nsid()
+{
+    return { code: OPTION.NSID, nsid: '' };
+}
+
+/** @brief  Create an EDNS Client Subnet option (RFC 7871 section 6).
+ *  @param  config  The subnet as 'address/prefix' (or just 'address') OR an
+ *                  object:
+ *                      address             The address;
+ *                      sourcePrefixLength  The source prefix length [ 24 for
+ *                                          IPv4, 56 for IPv6 ];
+ *                      scopePrefixLength   The scope prefix length [ 0 ];
+ *
+ *  @return The new option.
+ */
+function clientSubnet(config)
+{
+    var option  = { code: OPTION.ECS, scopePrefixLength: 0 },
+        parts;
+
+    if (typeof config === 'string')
+    {
+        parts  = config.split('/');
+        config = { address: parts[0] };
+
+        if (parts.length > 1)
+        {
+            config.sourcePrefixLength = parseInt(parts[1], 10);
+        }
+    }
+
+    option.address = config.address;
+    option.family  = (Net.isIPv6(config.address) ? 2 : 1);
+
+    /* RFC 7871 section 11.1 recommends truncating to 24 (IPv4) or 56 (IPv6)
+     * bits for privacy.
+     */
+    option.sourcePrefixLength = (config.sourcePrefixLength != null
+                                    ? config.sourcePrefixLength
+                                    : (option.family === 2 ? 56 : 24));
+
+    if (config.scopePrefixLength != null)
+    {
+        option.scopePrefixLength = config.scopePrefixLength;
+    }
+
+    return option;
+}
+
+/** @brief  Create a COOKIE option (RFC 7873 section 4).
+ *  @param  client  The client cookie (Buffer) [ a new, random cookie ];
+ *  @param  server  The server cookie, if known (Buffer);
+ *
+ *  @return The new option.
+ */
+function cookie(client, server)
+{
+    return { code:          OPTION.COOKIE,
+             clientCookie:  (client || clientCookie()),
+             serverCookie:  (server || null) };
+}
+
+/** @brief  Create a PADDING option (RFC 7830, RFC 8467).
+ *  @param  block   The block size to pad the message to
+ *                  [ Consts.EDNS.PADDING.QUERY ];
+ *
+ *  @return The new option.
+ */
+function padding(block)
+{
+    return { code:  OPTION.PADDING,
+             block: ((typeof block === 'number') && (block > 0)
+                        ? block
+                        : Consts.EDNS.PADDING.QUERY) };
+}
+
+/** @brief  Unpack a single option, decoding any known option into typed
+ *          fields.
+ *  @param  unpack  The Unpack instance;
+ *
+ *  @return The option {code:, data:, ...} (null on error).
+ */
+function unpackOption(unpack)
+{
+    var code, length, data, option;
+
+    if ( ((code   = unpack.uint16())     === null) ||
+         ((length = unpack.uint16())     === null) ||
+         ((data   = unpack.data(length)) === null) )
+    {
+        return null;
+    }
+
+    option = { code: code, data: data };
+
+    switch (code)
+    {
+    case OPTION.NSID:
+        option.nsid = data.toString('utf8');
+        break;
+
+    case OPTION.ECS:
+        _decodeSubnet(option);
+        break;
+
+    case OPTION.COOKIE:
+        // Leave a malformed cookie as raw data
+        if ((length === Consts.EDNS.COOKIE.CLIENT) ||
+            ((length >= Consts.EDNS.COOKIE.CLIENT +
+                        Consts.EDNS.COOKIE.SERVER_MIN) &&
+             (length <= Consts.EDNS.COOKIE.CLIENT +
+                        Consts.EDNS.COOKIE.SERVER_MAX)))
+        {
+            option.clientCookie = data.slice(0, Consts.EDNS.COOKIE.CLIENT);
+            option.serverCookie = (length > Consts.EDNS.COOKIE.CLIENT
+                                    ? data.slice(Consts.EDNS.COOKIE.CLIENT)
+                                    : null);
+        }
+        break;
+
+    case OPTION.PADDING:
+        option.length = length;
+        break;
+    }
+
+    return option;
+}
+
+/** @brief  Pack a single option, encoding any known option from its typed
+ *          fields, falling back to its raw data.
+ *  @param  pack    The Pack instance;
+ *  @param  option  The option {code:, data:, ...};
+ *
+ *  @return The number of bytes packed (null on error).
+ */
+function packOption(pack, option)
+{
+    var start   = pack.offset,
+        data    = _encode(pack, option);
+
+    if (data === null)  { return null; }
+
+    if ( (pack.uint16( option.code ) === null) ||
+         (pack.uint16( data.length ) === null) ||
+         ((data.length > 0) && (pack.data( data ) === null)) )
+    {
+        return null;
+    }
+
+    return pack.offset - start;
+}
+
+/** @brief  Generate a presentation string for an option.
+ *  @param  option  The option {code:, data:, ...};
+ *
+ *  @return The string.
+ */
+function toString(option)
+{
+    var name    = (Consts.option2str( option.code ) || option.code),
+        str     = name +'=';
+
+    switch (option.code)
+    {
+    case OPTION.NSID:
+        if (option.nsid)    { str += '"'+ option.nsid +'"'; }
+        return str;
+
+    case OPTION.ECS:
+        if (option.address != null)
+        {
+            return str + option.address +'/'+ option.sourcePrefixLength
+                       +'/'+ option.scopePrefixLength;
+        }
+        break;
+
+    case OPTION.COOKIE:
+        if (option.clientCookie)
+        {
+            return str + option.clientCookie.toString('hex')
+                       + (option.serverCookie
+                            ? ':'+ option.serverCookie.toString('hex')
+                            : '');
+        }
+        break;
+
+    case OPTION.PADDING:
+        return str + (option.length != null
+                        ? option.length
+                        : (option.data ? option.data.length : 0));
+    }
+
+    return str + (option.data ? option.data.toString('hex') : '');
+}
+
+module.exports  = {
+    clientCookie:   clientCookie,
+    nsid:           nsid,
+    clientSubnet:   clientSubnet,
+    cookie:         cookie,
+    padding:        padding,
+    unpackOption:   unpackOption,
+    packOption:     packOption,
+    toString:       toString
+};
+
+/**********************************************************************
+ * Private helpers and utilities
+ *
+ */
+
+/** @brief  Generate the data of an option about to be packed.
+ *  @param  pack    The Pack instance (used for error reporting and, for
+ *                  padding, the current message size);
+ *  @param  option  The option;
+ *
+ *  @return The data (Buffer, null on error).
+ */
+function _encode(pack, option)
+{
+    var data, size, pad;
+
+    switch (option.code)
+    {
+    case OPTION.NSID:
+        if (option.nsid != null)    { return new Buffer( option.nsid ); }
+        break;
+
+    case OPTION.ECS:
+        if (option.address != null) { return _encodeSubnet(pack, option); }
+        break;
+
+    case OPTION.COOKIE:
+        if (option.clientCookie)
+        {
+            size = (option.serverCookie ? option.serverCookie.length : 0);
+
+            if ((option.clientCookie.length !== Consts.EDNS.COOKIE.CLIENT) ||
+                ((size > 0) && ((size < Consts.EDNS.COOKIE.SERVER_MIN) ||
+                                (size > Consts.EDNS.COOKIE.SERVER_MAX))))
+            {
+                pack.error = new Error("invalid COOKIE lengths ("
+                                        + option.clientCookie.length +", "
+                                        + size +")");
+                return null;
+            }
+
+            return (size > 0
+                        ? Buffer.concat([ option.clientCookie,
+                                          option.serverCookie ])
+                        : option.clientCookie);
+        }
+        break;
+
+    case OPTION.PADDING:
+        if (option.block > 0)
+        {
+            // Pad everything so far, plus this option's header
+            size = pack.offset - pack.begin + 4;
+            pad  = (option.block - (size % option.block)) % option.block;
+
+            option.length = Math.min(pad, pack.end - pack.offset - 4);
+        }
+
+        if (option.length != null)
+        {
+            data = new Buffer( Math.max(option.length, 0) );
+            data.fill(0);
+
+            return data;
+        }
+        break;
+    }
+
+    return (option.data || new Buffer(0));
+}
+
+/** @brief  Encode the data of an EDNS Client Subnet option, sending only the
+ *          significant bytes of the address with any trailing bits zeroed
+ *          (RFC 7871 section 6).
+ *  @param  pack    The Pack instance (used for error reporting);
+ *  @param  option  The option;
+ *
+ *  @return The data (Buffer, null on error).
+ */
+function _encodeSubnet(pack, option)
+{
+    var isV6    = Net.isIPv6(option.address),
+        family  = (option.family || (isV6 ? 2 : 1)),
+        bits    = (family === 2 ? 128 : 32),
+        source  = option.sourcePrefixLength,
+        scope   = (option.scopePrefixLength || 0),
+        addr    = new Pack( new Buffer( bits / 8 ) ),
+        len, data;
+
+    if (((family === 2) !== isV6) || (! (source >= 0 && source <= bits)) ||
+        (scope > bits) ||
+        ((isV6 ? addr.AAAA( option.address )
+               : addr.A(    option.address )) === null))
+    {
+        pack.error = (addr.error ||
+                      new Error("invalid ECS '"+ option.address +"/"
+                                + source +"'"));
+        return null;
+    }
+
+    len  = Math.ceil(source / 8);
+    data = new Buffer( 4 + len );
+
+    data.writeUInt16BE(family, 0);
+    data.writeUInt8(source, 2);
+    data.writeUInt8(scope,  3);
+    addr.buf.copy(data, 4, 0, len);
+
+    if (source % 8)
+    {
+        data[ 4 + len - 1 ] &= (0xff << (8 - (source % 8))) & 0xff;
+    }
+
+    return data;
+}
+
+/** @brief  Decode the data of an EDNS Client Subnet option into typed
+ *          fields, leaving an unknown family or malformed option as raw data.
+ *  @param  option  The option;
+ */
+function _decodeSubnet(option)
+{
+    var data    = option.data,
+        family, bits, len, addr;
+
+    if (data.length < 4)    { return; }
+
+    family = data.readUInt16BE(0);
+    bits   = (family === 1 ? 32 : (family === 2 ? 128 : 0));
+    len    = data.length - 4;
+
+    if ((bits === 0) || (len > bits / 8))   { return; }
+
+    addr = new Buffer( bits / 8 );
+    addr.fill(0);
+    data.copy(addr, 0, 4);
+
+    addr = new Unpack( addr );
+
+    option.family             = family;
+    option.sourcePrefixLength = data[2];
+    option.scopePrefixLength  = data[3];
+    option.address            = (family === 2 ? addr.AAAA() : addr.A());
+}
@@ -12,9 +12,17 @@ var Dgram       = require('dgram'),
     RR          = require('./rr'),
     RData       = require('./rdata'),
     Pack        = require('./pack').Pack,
+    Edns        = require('./edns'),
+    ZoneFile    = require('./zonefile'),
     Mdns        =   {
         consts: Consts,
 
+        // EDNS(0) option codecs and generators (see edns.js)
+        edns:   Edns,
+
+        // Master (zone) file parsing and serialization (see zonefile.js)
+        zonefile:   ZoneFile,
+
         /**
          *  Create a new DNS Message.
          *  @method Message
@@ -138,6 +146,18 @@ Object.keys(Consts.TYPE_STR).forEach(function(type) {
  * Additional methods that rely on the existance/export of Mdns
  *
  */
+var Cache       = require('./cache');
+
+/**
+ *  Create a new mDNS record Cache.
+ *  @method Cache
+ *
+ *  @return A new Cache instance {Mdns::Cache}
+ */
+Mdns.Cache = function() {
+    return new Cache();
+};
+
 var Client      = require('./client');
 
 /**
@@ -157,6 +177,30 @@ var Client      = require('./client');
  *                                      {Number};
  *  @param  [config.server.proto=udp]   Which IP protocol to use
  *                                      {String} ( 'udp' | 'tcp' );
+ *  @param  [config.servers]            An ordered list of unicast DNS
+ *                                      servers (objects as `server` or
+ *                                      'address[:port]' strings) to fail over
+ *                                      between {Array};
+ *  @param  [config.retries=1]          The number of times a request is
+ *                                      re-sent to each server before failing
+ *                                      over to the next {Number};
+ *  @param  [config.retryTimeout=1000]  The wait (in milliseconds) for a
+ *                                      response to the first attempt on each
+ *                                      server, doubled for each retry
+ *                                      {Number};
+ *  @param  [config.maxFailures=3]      The number of consecutive failures
+ *                                      after which a server is considered
+ *                                      down {Number};
+ *  @param  [config.edns=1232]          The EDNS(0) UDP payload size to
+ *                                      advertise, an EDNS configuration
+ *                                      object (see Message.setEdns()) or
+ *                                      false to disable {Mixed};
+ *  @param  [config.cookies=false]      If true, include a DNS cookie in
+ *                                      each request {Boolean};
+ *  @param  [config.tsig]               The TSIG key with which to sign
+ *                                      requests {Mdns::Tsig | Object};
+ *  @param  [config.cache]              For an MDNS client, the record cache
+ *                                      to populate {Mdns::Cache};
  *
  *  @return A new DNS Client instance {Mdns::Client}
  */
@@ -164,6 +208,30 @@ Mdns.Client = function(config) {
     return new Client(config);
 }
 
+var Query       = require('./query');
+
+/**
+ *  Create a new continuous mDNS Query.
+ *  @method Query
+ *  @param  client                      The mDNS client to query through
+ *                                      {Mdns::Client};
+ *  @param  question                    A Question instance, configuration
+ *                                      object, array of instances or array
+ *                                      of configuration objects;
+ *  @param  config                      If provided, an instance
+ *                                      configuration object {Object};
+ *  @param  [config.minInterval=1000]   The initial re-query interval, in
+ *                                      milliseconds {Number};
+ *  @param  [config.maxInterval=3600000]
+ *                                      The maximum re-query interval, in
+ *                                      milliseconds {Number};
+ *
+ *  @return A new (not yet started) Query instance {Mdns::Query}
+ */
+Mdns.Query = function(client, question, config) {
+    return new Query(client, question, config);
+};
+
 var Update      = require('./update');
 
 /**
@@ -178,10 +246,11 @@ var Update      = require('./update');
  *  @param  config.zone                 A Zone/Question instance, configuration
  *                                      object, array of instances or array of
  *                                      configuration objects;
- *  @param  config.preReq               A RR instance, configuration object,
+ *  @param  config.prerequisites        A RR instance, configuration object,
  *                                      array of instances or array of
  *                                      configuration objects representing
- *                                      Prerequisite Resource Records;
+ *                                      Prerequisite Resource Records (see
+ *                                      Update.prerequisites());
  *  @param  config.add                  An RR instance, configuration object,
  *                                      array of instances or array of
  *                                      configuration objects representing
@@ -191,8 +260,10 @@ var Update      = require('./update');
  *                                      configuration objects representing
  *                                      Resource Records to delete from the
  *                                      zone;
- *  @param  [config.timeout=6000]       Query timeout (in micro-seconds)
+ *  @param  [config.timeout=6000]       Query timeout (in milliseconds)
  *                                      {Number}, ( 0 == no timeout );
+ *  @param  [config.tsig]               The TSIG key with which to sign the
+ *                                      update {Mdns::Tsig | Object};
  *
  *
  *  @return A new Update instance {Mdns::Update};
@@ -201,6 +272,34 @@ Mdns.Update = function(config) {
     return new Update(config);
 };
 
+var Responder   = require('./responder');
+
+/**
+ *  Create a new, shared mDNS Responder to which multiple service
+ *  registrations may be added.
+ *  @method Responder
+ *  @param  config                      If provided, an instance configuration
+ *                                      object {Object};
+ *  @param  [config.host=hostname]      The hostname to publish address
+ *                                      records for {String};
+ *  @param  [config.pollInterval=5000]  The interval (in milliseconds) at
+ *                                      which network interfaces are checked
+ *                                      for address changes, 0 to disable
+ *                                      {Number};
+ *  @param  [config.client]             If provided, an existing mDNS Client
+ *                                      to share {Mdns::Client};
+ *  @param  [config.handleSignals=false]
+ *                                      If true, send goodbyes for all
+ *                                      registrations and close upon receipt
+ *                                      of SIGHUP, SIGINT, SIGQUIT or SIGTERM
+ *                                      {Boolean};
+ *
+ *  @return A new Responder instance {Mdns::Responder}
+ */
+Mdns.Responder = function(config) {
+    return new Responder(config);
+};
+
 var Advertise   = require('./advertise');
 
 /**
@@ -211,14 +310,25 @@ var Advertise   = require('./advertise');
  *                                      object {Object};
  *  @param  [config.name=hostname]      The service/instance name {String};
  *  @param  [config.domain='.local.']   The service domain {String};
- *  @param  [config.host=hostname]      The hostname of the service provider
+ *  @param  [config.host=hostname]      For a private Responder, the
+ *                                      hostname of the service provider
  *                                      {String};
  *  @param  [config.port=0]             The port of the service provider
  *                                      {Number};
- *  @param  [config.txtRecords]         If provided, a Resource Record
- *                                      instance, array of RR instances, RR
- *                                      configuration object, or array of RR
- *                                      configuration objects;
+ *  @param  [config.txtRecords]         If provided, a string, array of
+ *                                      strings or key/value object encoded
+ *                                      per RFC 6763 section 6 (see
+ *                                      Advertise.setTxt()) {Mixed};
+ *  @param  [config.pollInterval=5000] For a private Responder, the interval
+ *                                      (in milliseconds) at which network
+ *                                      interfaces are checked for address
+ *                                      changes, 0 to disable {Number};
+ *  @param  [config.responder]          If provided, the shared Responder to
+ *                                      register with {Mdns::Responder};
+ *  @param  [config.handleSignals=false]
+ *                                      For a private Responder, send
+ *                                      goodbyes upon receipt of a terminating
+ *                                      signal {Boolean};
  *
  *
  *  @return A new Advertise instance {Mdns::Advertise}
@@ -226,3 +336,151 @@ var Advertise   = require('./advertise');
 Mdns.Advertise = function(serviceType, config) {
     return new Advertise(serviceType, config);
 };
+
+var Browser     = require('./browser');
+
+/**
+ *  Create a new Browser instance.
+ *  @method Browser
+ *  @param  serviceType                 The service type to browse for
+ *                                      (e.g. '_http._tcp') {String};
+ *  @param  config                      If provided, an instance configuration
+ *                                      object {Object};
+ *  @param  [config.domain='local.']    The browse domain {String};
+ *  @param  [config.client]             If provided, an existing mDNS Client
+ *                                      to share {Mdns::Client};
+ *
+ *
+ *  @return A new Browser instance {Mdns::Browser}
+ */
+Mdns.Browser = function(serviceType, config) {
+    return new Browser(serviceType, config);
+};
+
+var Resolver    = require('./resolver');
+
+/**
+ *  Create a new promise-based Resolver mirroring `dns.promises`.  Names
+ *  within the mDNS domain (e.g. 'host.local') are resolved via mDNS, all
+ *  others via a unicast DNS server.
+ *  @method Resolver
+ *  @param  config                      If provided, an instance configuration
+ *                                      object {Object};
+ *  @param  [config.server]             The unicast DNS server (defaults to
+ *                                      the first server configured for node's
+ *                                      `dns` module) {Object};
+ *  @param  [config.server.address]     The IP address of the server {String};
+ *  @param  [config.server.port=53]     The port of the server {Number};
+ *  @param  [config.server.proto=udp4]  Which IP protocol to use {String}
+ *                                      ( 'udp4' | 'udp6' | 'tcp' );
+ *  @param  [config.servers]            An ordered list of unicast DNS servers
+ *                                      to fail over between, in place of
+ *                                      `server` (see Mdns.Client()) {Array};
+ *  @param  [config.timeout=6000]       The query timeout, in milliseconds
+ *                                      {Number};
+ *
+ *  @return A new Resolver instance {Mdns::Resolver}
+ */
+Mdns.Resolver = function(config) {
+    return new Resolver(config);
+};
+
+var Transfer    = require('./transfer');
+
+/**
+ *  Create a new zone transfer (AXFR/IXFR) client.
+ *  @param  config                      The configuration object {Object};
+ *  @param  config.server               The server, as 'address[:port]' or
+ *                                      {address:, port:} {String | Object};
+ *  @param  config.zone                 The name of the zone {String};
+ *  @param  [config.type]               The type of transfer
+ *                                      ( 'AXFR' | 'IXFR' ) {String};
+ *  @param  [config.serial]             For an IXFR, the serial of the zone
+ *                                      currently held {Number};
+ *  @param  [config.records]            The zone currently held {Array};
+ *  @param  [config.timeout=30000]      The time (in milliseconds) to wait for
+ *                                      the next message {Number};
+ *
+ *  @return A new Transfer instance {Mdns::Transfer}
+ */
+Mdns.Transfer = function(config) {
+    return new Transfer(config);
+};
+
+var Tsig        = require('./tsig');
+
+/**
+ *  Create a new TSIG key.
+ *  @param  config                      The key configuration object {Object};
+ *  @param  config.name                 The name of the key {String};
+ *  @param  config.secret               The shared secret, raw or base64
+ *                                      encoded {Buffer | String};
+ *  @param  [config.algorithm='hmac-sha256']
+ *                                      The HMAC algorithm {String};
+ *  @param  [config.fudge=300]          The permitted clock skew, in seconds
+ *                                      {Number};
+ *
+ *  @return A new Tsig instance {Mdns::Tsig}
+ */
+Mdns.Tsig = function(config) {
+    return new Tsig(config);
+};
+
+// BIND-style keyfile parsing/loading (see Tsig.parseKeys()/Tsig.loadKeys())
+Mdns.Tsig.parseKeys = Tsig.parseKeys;
+Mdns.Tsig.loadKeys  = Tsig.loadKeys;
+
+var Zone        = require('./zone');
+
+/**
+ *  Create a new in-memory, authoritative zone.
+ *  @param  config                      The configuration object {Object};
+ *  @param  config.origin               The name of the zone {String};
+ *  @param  [config.class='IN']         The class of the zone {String};
+ *  @param  [config.records]            The records of the zone, RR instances
+ *                                      or configuration data for new
+ *                                      instances {Array};
+ *
+ *  @return A new Zone instance {Mdns::Zone}
+ */
+Mdns.Zone = function(config) {
+    return new Zone(config);
+};
+
+// Master file loading (see Zone.load())
+Mdns.Zone.load  = Zone.load;
+
+// RDATA from its presentation format (see RData.fromText())
+Mdns.RData.fromText = RData.fromText;
+
+// Messages from their JSON representation (see Message.fromJSON())
+Mdns.Message.fromJSON   = Message.fromJSON;
+
+var Server      = require('./server');
+
+/**
+ *  Create a new authoritative, unicast DNS server listening on UDP and TCP.
+ *  @param  config                      If provided, an instance configuration
+ *                                      object {Object};
+ *  @param  [config.address='0.0.0.0']  The address to listen on {String};
+ *  @param  [config.port=53]            The port to listen on, 0 for any
+ *                                      available port {Number};
+ *  @param  [config.proto='udp4']       Which IP protocol to use {String}
+ *                                      ( 'udp4' | 'udp6' );
+ *  @param  [config.zones]              The zones to serve (see Mdns.Zone())
+ *                                      {Array};
+ *  @param  [config.handler]            If provided, the handler of each
+ *                                      query, in place of answering from
+ *                                      `zones` {Function}:
+ *                                          handler(query, response, rinfo,
+ *                                                  callback(err));
+ *  @param  [config.udpPayloadSize=1232]
+ *                                      The largest UDP response to send to an
+ *                                      EDNS requestor {Number};
+ *  @param  [config.transfer=false]     Serve zone transfers {Boolean};
+ *
+ *  @return A new Server instance {Mdns::Server}
+ */
+Mdns.Server = function(config) {
+    return new Server(config);
+};
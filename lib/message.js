@@ -31,6 +31,7 @@
  *      +---------------------+
  */
 var Util        = require('util'),
+    _           = require('lodash'),
     Utils       = require('./utils.js'),
     Pack        = require('./pack.js'),
     Unpack      = require('./unpack.js'),
@@ -38,7 +39,8 @@ var Util        = require('util'),
     Header      = require('./header.js'),
     Question    = require('./question.js'),
     RR          = require('./rr.js'),
-    RData       = require('./rdata.js');
+    RData       = require('./rdata.js'),
+    Edns        = require('./edns.js');
 
 /** @brief  Create a new Message instance.
  *  @param  config  If provided, an instance configuration object:
@@ -64,6 +66,8 @@ var Util        = require('util'),
  *                          additional  An RR instance, configuration object,
  *                                      array of instances or array of
  *                                      configuration objects;
+ *                          edns        If provided, EDNS(0) configuration
+ *                                      (see setEdns());
  */
 function Message(config)
 {
@@ -112,6 +116,8 @@ function Message(config)
         initArray('answer',     RR);
         initArray('authority',  RR);
         initArray('additional', RR);
+
+        if (config.edns)    { self.setEdns( config.edns ); }
     }
 
     return self;
@@ -137,6 +143,11 @@ function Message(config)
                 self[name].push( item );
             });
         }
+        else if (typeof config[name] === 'object')
+        {
+            // A single configuration object
+            self[name].push( new Cls(self, config[name]) );
+        }
 
         switch (name)
         {
@@ -177,6 +188,148 @@ Message.prototype.truncate = function() {
     return this;
 };
 
+/** @brief  Retrieve the EDNS(0) OPT pseudo-record (RFC 6891) of this message.
+ *
+ *  @return The OPT RR instance (null if none).
+ */
+Message.prototype.opt = function() {
+    var additional  = this.additional;
+
+    for (var idex = 0, len = additional.length; idex < len; idex++)
+    {
+        if (additional[idex].type === Consts.TYPE_STR.OPT)
+        {
+            return additional[idex];
+        }
+    }
+
+    return null;
+};
+
+/** @brief  Retrieve an option from the EDNS(0) OPT pseudo-record of this
+ *          message.
+ *  @param  code    The option code (integer or string, e.g. 'COOKIE');
+ *
+ *  @return The first matching option {code:, data:, ...} (null if none).
+ */
+Message.prototype.ednsOption = function(code) {
+    var opt     = this.opt(),
+        options = (opt && opt.rdata.options) || [];
+
+    if (typeof code === 'string')   { code = Consts.str2option( code ); }
+
+    for (var idex = 0, len = options.length; idex < len; idex++)
+    {
+        if (options[idex].code === code)    { return options[idex]; }
+    }
+
+    return null;
+};
+
+/** @brief  Add, replace or remove the EDNS(0) OPT pseudo-record (RFC 6891)
+ *          of this message.
+ *  @param  config  If false/null, remove any OPT record, if true, use the
+ *                  defaults, if a number, the UDP payload size, otherwise an
+ *                  object:
+ *                      udpPayloadSize  The requestor's UDP payload size
+ *                                      [ Consts.EDNS.PAYLOAD ];
+ *                      dnssecOk        The DO bit [ false ];
+ *                      version         The EDNS version [ 0 ];
+ *                      extendedRcode   The upper 8 bits of a 12-bit rcode
+ *                                      [ 0 ];
+ *                      options         Options [ {code:, data:}, ... ] [ [] ];
+ *                      nsid            If true, request the server
+ *                                      identifier (RFC 5001) [ false ];
+ *                      clientSubnet    The client subnet, 'address/prefix' or
+ *                                      an object (see Edns.clientSubnet()),
+ *                                      to include (RFC 7871);
+ *                      cookie          The cookie (RFC 7873), true for a new
+ *                                      client cookie or an object:
+ *                                          { client: Buffer, server: Buffer };
+ *                      padding         Pad the message to a multiple of this
+ *                                      block size (RFC 7830), true for
+ *                                      Consts.EDNS.PADDING.QUERY;
+ *
+ *  @return The new OPT RR instance (null if removed).
+ */
+Message.prototype.setEdns = function(config) {
+    var self    = this,
+        opt     = self.opt(),
+        options;
+
+    if (opt)
+    {
+        self.additional.splice( self.additional.indexOf(opt), 1 );
+        opt = null;
+    }
+
+    if (config)
+    {
+        if (config === true)            { config = {}; }
+        if (typeof config === 'number') { config = {udpPayloadSize: config}; }
+
+        // Never share a caller's options between messages
+        options = (config.options || []).slice();
+
+        if (config.nsid)            { options.push( Edns.nsid() ); }
+        if (config.clientSubnet)
+        {
+            options.push( Edns.clientSubnet( config.clientSubnet ) );
+        }
+        if (config.cookie)
+        {
+            options.push( config.cookie === true
+                            ? Edns.cookie()
+                            : Edns.cookie( config.cookie.client,
+                                           config.cookie.server ) );
+        }
+        if (config.padding)
+        {
+            options.push( Edns.padding( config.padding ) );
+        }
+
+        opt = new RR( self, {
+                name:           '.',
+                type:           Consts.TYPE_STR.OPT,
+                udpPayloadSize: (config.udpPayloadSize || Consts.EDNS.PAYLOAD),
+                extendedRcode:  (config.extendedRcode  || 0),
+                version:        (config.version        || Consts.EDNS.VERSION),
+                dnssecOk:       (config.dnssecOk === true),
+                rdata:          { options: options }
+              });
+
+        self.additional.push( opt );
+    }
+
+    self.header.arCount = self.additional.length;
+
+    return opt;
+};
+
+/** @brief  Retrieve the full (12-bit) response code of this message,
+ *          combining the header rcode with any EDNS(0) extended rcode.
+ *
+ *  @return The response code.
+ */
+Message.prototype.rcode = function() {
+    var opt = this.opt();
+
+    return (opt ? ((opt.extendedRcode << 4) | this.header.rcode)
+                : this.header.rcode);
+};
+
+/** @brief  Retrieve the largest UDP message the sender of this message can
+ *          receive (RFC 6891 section 6.2.5).
+ *
+ *  @return The size, in bytes.
+ */
+Message.prototype.udpPayloadSize = function() {
+    var opt = this.opt();
+
+    return (opt ? Math.max(opt.udpPayloadSize, Consts.EDNS.MIN_PAYLOAD)
+                : Consts.EDNS.MIN_PAYLOAD);
+};
+
 /** @brief  Add a new Question to this DNS message.
  *  @param  qName   The domain-name of this question (string) OR a Question
  *                  instance;
@@ -428,6 +581,171 @@ Message.prototype.toString  = function() {
     return str;
 };
 
+/****************************************************************************
+ * JSON representation (RFC 8427)
+ *
+ */
+
+/** @brief  Generate the JSON representation of this DNS message (RFC 8427).
+ *  @param  config  If provided (and an object), a configuration object:
+ *                      octets  Include the packed message as
+ *                              'messageOctetsHEX' [ false ];
+ *
+ *  Header flags are represented as 0 | 1, a single question by 'QNAME',
+ *  'QTYPE' and 'QCLASS' (any other number by 'questionRRs') and the RDATA of
+ *  each record by 'rdataXXX' (where XXX is the type mnemonic) in
+ *  presentation format (see RData#toText()), or by 'RDATAHEX' for types
+ *  without one.
+ *
+ *  Since JSON.stringify() invokes this method, a message may be serialized
+ *  directly.
+ *
+ *  @return The JSON representation {Object} (throws an Error if a record
+ *          cannot be represented).
+ */
+Message.prototype.toJSON  = function(config) {
+    var self    = this,
+        header  = self.header,
+        json    = {
+            ID:         header.id,
+            QR:         _bit( header.qr ),
+            Opcode:     header.opcode,
+            AA:         _bit( header.aa ),
+            TC:         _bit( header.tc ),
+            RD:         _bit( header.rd ),
+            RA:         _bit( header.ra ),
+            AD:         _bit( header.ad ),
+            CD:         _bit( header.cd ),
+            RCODE:      header.rcode,
+            QDCOUNT:    self.question.length,
+            ANCOUNT:    self.answer.length,
+            NSCOUNT:    self.authority.length,
+            ARCOUNT:    self.additional.length
+        },
+        saved, pack, packed, err, octets;
+
+    // JSON.stringify() passes the property name
+    config = (config !== null && typeof config === 'object' ? config : {});
+
+    if (self.question.length === 1)
+    {
+        _.extend(json, _questionToJSON( self.question[0], 'Q' ));
+    }
+    else if (self.question.length > 1)
+    {
+        json.questionRRs = self.question.map(function(question) {
+                                return _questionToJSON( question, '' );
+                           });
+    }
+
+    if (self.answer.length > 0)
+    {
+        json.answerRRs     = self.answer.map( _rrToJSON );
+    }
+    if (self.authority.length > 0)
+    {
+        json.authorityRRs  = self.authority.map( _rrToJSON );
+    }
+    if (self.additional.length > 0)
+    {
+        json.additionalRRs = self.additional.map( _rrToJSON );
+    }
+
+    if (config.octets)
+    {
+        /* Packing (re)sets the header counts and truncation flag, as well as
+         * `produced` and `error`, none of which may change here.
+         */
+        saved  = {
+            header:     _.pick(self.header, [ 'tc', 'qdCount', 'anCount',
+                                              'nsCount', 'arCount' ]),
+            produced:   self.produced,
+            error:      self.error
+        };
+        pack   = new Pack.Pack( new Buffer( 65535 ) );
+        packed = self.pack( pack );
+        err    = self.error;
+
+        _.extend(self.header, saved.header);
+        self.produced = saved.produced;
+        if (saved.error)    { self.error = saved.error; }
+        else                { delete self.error; }
+
+        if (! packed)   { throw err; }
+
+        octets = pack.buf.slice(0, pack.offset);
+
+        // Retain any truncation (TC) of this message
+        if (saved.header.tc)    { octets[2] |= 0x02; }
+
+        json.messageOctetsHEX = octets.toString('hex').toUpperCase();
+    }
+
+    return json;
+};
+
+/** @brief  Create a new Message instance from its JSON representation
+ *          (RFC 8427).
+ *  @param  json    The JSON representation (Object or String);
+ *
+ *  If 'messageOctetsHEX' is present, the message is unpacked from it,
+ *  otherwise it is generated from the header members and the 'questionRRs'
+ *  (or 'QNAME', 'QTYPE' and 'QCLASS'), 'answerRRs', 'authorityRRs' and
+ *  'additionalRRs' members, where the RDATA of each record is either
+ *  'rdataXXX' or 'RDATAHEX'.  Since the counts are implied by the sections,
+ *  'QDCOUNT', 'ANCOUNT', 'NSCOUNT' and 'ARCOUNT' are ignored.
+ *
+ *  @return The new Message instance (throws an Error on an invalid
+ *          representation).
+ */
+Message.fromJSON  = function(json) {
+    var msg;
+
+    if (typeof json === 'string')   { json = JSON.parse(json); }
+    if ((json === null) || (typeof json !== 'object'))
+    {
+        throw new Error("'json' MUST be an object");
+    }
+
+    if (json.messageOctetsHEX != null)
+    {
+        if (! /^([0-9a-fA-F]{2})*$/.test( json.messageOctetsHEX ))
+        {
+            throw new Error("invalid messageOctetsHEX");
+        }
+
+        msg = new Message( new Buffer( json.messageOctetsHEX, 'hex' ) );
+        if (msg.error)  { throw msg.error; }
+
+        return msg;
+    }
+
+    return new Message({
+        header:     {
+            id:         (json.ID != null ? json.ID : 0),
+            qr:         _bit( json.QR ),
+            opcode:     (json.Opcode || 0),
+            aa:         _bit( json.AA ),
+            tc:         _bit( json.TC ),
+            rd:         _bit( json.RD ),
+            ra:         _bit( json.RA ),
+            ad:         _bit( json.AD ),
+            cd:         _bit( json.CD ),
+            rcode:      (json.RCODE  || 0)
+        },
+        question:   (json.questionRRs
+                        ? json.questionRRs.map(function(question) {
+                            return _questionFromJSON( question, '' );
+                          })
+                        : (json.QNAME != null
+                            ? [ _questionFromJSON( json, 'Q' ) ]
+                            : [])),
+        answer:     (json.answerRRs     || []).map( _rrFromJSON ),
+        authority:  (json.authorityRRs  || []).map( _rrFromJSON ),
+        additional: (json.additionalRRs || []).map( _rrFromJSON )
+    });
+};
+
 /****************************************************************************
  * Unpacking (for incoming DNS messages)
  *
@@ -693,4 +1011,187 @@ Message.prototype.pack  = function(buf, offset) {
     }
 };
 
+/****************************************************************************
+ * Private helpers and utilities
+ *
+ */
+
+/** @brief  Normalize a header flag.
+ *  @param  val     The flag (Number or Boolean);
+ *
+ *  @return 0 | 1
+ */
+function _bit(val)
+{
+    return (val ? 1 : 0);
+}
+
+/** @brief  Ensure a domain-name is fully-qualified.
+ *  @param  name    The name;
+ *
+ *  @return The name, with a trailing '.'.
+ */
+function _fqdn(name)
+{
+    name = String(name || '');
+
+    return (name.slice(-1) === '.' ? name : name +'.');
+}
+
+/** @brief  Generate the JSON representation of a question (RFC 8427
+ *          section 2.1).
+ *  @param  question    The Question instance;
+ *  @param  prefix      The prefix of each member name ('Q' for members of
+ *                      the message, '' for members of 'questionRRs');
+ *
+ *  @return The representation {Object}.
+ */
+function _questionToJSON(question, prefix)
+{
+    var json    = {},
+        type    = Consts.type2str(  question.qtype ),
+        cls     = Consts.class2str( question.qclass );
+
+    json[ prefix +'NAME' ]  = _fqdn( question.qname );
+    json[ prefix +'TYPE' ]  = question.qtype;
+    if (type)   { json[ prefix +'TYPEname' ]  = type; }
+    // mDNS -- include any unicast-response bit (RFC 6762 section 5.4)
+    json[ prefix +'CLASS' ] = question.qclass |
+                                (question.unicastResponse === true ? 0x8000
+                                                                   : 0);
+    if (cls)    { json[ prefix +'CLASSname' ] = cls; }
+
+    return json;
+}
+
+/** @brief  Generate question configuration data from its JSON
+ *          representation.
+ *  @param  json    The representation;
+ *  @param  prefix  The prefix of each member name (see _questionToJSON());
+ *
+ *  @return The configuration data {Object}.
+ */
+function _questionFromJSON(json, prefix)
+{
+    return {
+        qname:  _fqdn( json[ prefix +'NAME' ] ),
+        qtype:  _typeFromJSON( json, prefix ),
+        qclass: _classFromJSON( json, prefix )
+    };
+}
+
+/** @brief  Generate the JSON representation of a resource record (RFC 8427
+ *          section 2.2).
+ *  @param  rr  The RR instance;
+ *
+ *  @return The representation {Object}.
+ */
+function _rrToJSON(rr)
+{
+    var json    = { NAME: _fqdn( rr.name ), TYPE: rr.type },
+        type    = Consts.type2str(  rr.type ),
+        cls     = (rr.type !== Consts.TYPE_STR.OPT
+                    ? Consts.class2str( rr.class )
+                    : null),
+        text    = rr.rdata.toText();
+
+    if (type)   { json.TYPEname  = type; }
+    // mDNS -- include any cache-flush bit (RFC 6762 section 10.2)
+    json.CLASS = rr.class | (rr.cacheFlush === true ? 0x8000 : 0);
+    if (cls)    { json.CLASSname = cls; }
+    json.TTL   = rr.ttl;
+
+    if (/^\\# /.test(text))
+    {
+        // No presentation format (or an empty RDATA)
+        json.RDATAHEX = text.split(' ').slice(2).join('').toUpperCase();
+    }
+    else
+    {
+        json[ 'rdata'+ type ] = text;
+    }
+
+    return json;
+}
+
+/** @brief  Generate resource record configuration data from its JSON
+ *          representation.
+ *  @param  json    The representation;
+ *
+ *  @return The configuration data {Object} (throws an Error on invalid
+ *          RDATA).
+ */
+function _rrFromJSON(json)
+{
+    var type    = _typeFromJSON( json, '' ),
+        name    = Consts.type2str( type ),
+        rdata;
+
+    if (json.RDATAHEX != null)
+    {
+        rdata = RData.fromText(type, '\\# '+ (json.RDATAHEX.length / 2) +' '
+                                     + json.RDATAHEX);
+    }
+    else if (name && (json[ 'rdata'+ name ] != null))
+    {
+        rdata = RData.fromText(type, json[ 'rdata'+ name ]);
+    }
+    else
+    {
+        throw new Error("record '"+ json.NAME +"' has no RDATA");
+    }
+
+    return {
+        name:   _fqdn( json.NAME ),
+        type:   type,
+        class:  _classFromJSON( json, '' ),
+        ttl:    (json.TTL || 0),
+        rdata:  rdata
+    };
+}
+
+/** @brief  Retrieve the type from a JSON representation, preferring the
+ *          numeric 'TYPE' over the mnemonic 'TYPEname'.
+ *  @param  json    The representation;
+ *  @param  prefix  The prefix of the member names;
+ *
+ *  @return The type {Number} (throws an Error if missing or unknown).
+ */
+function _typeFromJSON(json, prefix)
+{
+    var type    = (json[ prefix +'TYPE' ] != null
+                    ? json[ prefix +'TYPE' ]
+                    : Consts.str2type( json[ prefix +'TYPEname' ] ));
+
+    if (typeof type !== 'number')
+    {
+        throw new Error("missing or unknown "+ prefix +"TYPE");
+    }
+
+    return type;
+}
+
+/** @brief  Retrieve the class from a JSON representation, preferring the
+ *          numeric 'CLASS' over the mnemonic 'CLASSname'.  Any mDNS
+ *          unicast-response (question) or cache-flush (record) bit of
+ *          'CLASS' is retained, to be decoded by Question/RR.
+ *  @param  json    The representation;
+ *  @param  prefix  The prefix of the member names;
+ *
+ *  @return The class {Number} (throws an Error if missing or unknown).
+ */
+function _classFromJSON(json, prefix)
+{
+    var cls     = (json[ prefix +'CLASS' ] != null
+                    ? json[ prefix +'CLASS' ]
+                    : Consts.str2class( json[ prefix +'CLASSname' ] ));
+
+    if (typeof cls !== 'number')
+    {
+        throw new Error("missing or unknown "+ prefix +"CLASS");
+    }
+
+    return cls;
+}
+
 module.exports  = Message;
@@ -33,6 +33,11 @@ function Pack(buf, offset, length)
 
     self.labelMap = {};
 
+    /* If false, NO domain-name will be compressed (e.g. when generating
+     * canonical RDATA).
+     */
+    self.compress = true;
+
     self.error    = null;
 
     /***************************************
@@ -182,14 +187,14 @@ Pack.prototype.A = function(value) {
 
     if ((self.offset + produce) > self.end)
     {
-        self.error = new Error("truncated writing A @ "+ self.offset);
+        self.error = new TruncError("truncated writing A @ "+ self.offset);
         return null;
     }
 
     if (parts.length !== reqOctets)
     {
-        self.error = new TruncError("invalid A address value '"+ value +"': "
-                                    + "must be a 4-segment dotted octet");
+        self.error = new Error("invalid A address value '"+ value +"': "
+                               + "must be a 4-segment dotted octet");
         return null;
     }
 
@@ -213,9 +218,8 @@ Pack.prototype.A = function(value) {
 Pack.prototype.AAAA = function(value) {
     var self        = this,
         produce     = 16,
-        parts       = value.split(':'),
         start       = self.offset,
-        uint16;
+        parts, uint16;
 
     if (! Net.isIPv6(value))
     {
@@ -229,23 +233,34 @@ Pack.prototype.AAAA = function(value) {
         return null;
     }
 
-    if (parts[0] === '')    { parts.shift(); }
+    // Convert any trailing dotted-quad (e.g. '::ffff:192.0.2.1') to 2 groups
+    var ipv4    = /^(.*:)([0-9]+)\.([0-9]+)\.([0-9]+)\.([0-9]+)$/.exec(value);
+    if (ipv4)
+    {
+        value = ipv4[1]
+              + ((parseInt(ipv4[2], 10) << 8) | parseInt(ipv4[3], 10))
+                    .toString(16) +':'
+              + ((parseInt(ipv4[4], 10) << 8) | parseInt(ipv4[5], 10))
+                    .toString(16);
+    }
 
-    for (var idex = 0, len = parts.length; idex < len; idex++)
+    // Expand any '::' (which may be leading, embedded or trailing)
+    var halves  = value.split('::'),
+        head    = (halves[0] ? halves[0].split(':') : []),
+        tail    = ((halves.length > 1) && halves[1]
+                    ? halves[1].split(':')
+                    : []);
+
+    parts = head;
+    for (var jdex = 8 - head.length - tail.length; jdex > 0; jdex--)
     {
-        if (parts[idex] === '')
-        {
-            // zero fill
-            for (var jdex = (8 - len + 1); jdex > 0; jdex--)
-            {
-                if ( (self.uint16( 0 )) === null)
-                {
-                    return null;
-                }
-            }
-            continue;
-        }
+        // zero fill
+        parts.push( '0' );
+    }
+    parts = parts.concat( tail );
 
+    for (var idex = 0, len = parts.length; idex < len; idex++)
+    {
         // Parse this segment (2-bytes)
         uint16 = parseInt( parts[idex], 16);
         if ( (self.uint16( uint16 )) === null)
@@ -258,16 +273,14 @@ Pack.prototype.AAAA = function(value) {
 };
 
 /** @brief  Pack a character-string.
- *  @param  value   The value to pack;
+ *  @param  value   The value to pack (String or Buffer);
  *
  *  @return The number of bytes packed (null on error).
  */
 Pack.prototype.charString  = function(value) {
     var self    = this,
-                  /* Write the string beyond where the length will be place so
-                   * we get an accurate length.
-                   */
-        len     = self.buf.write(value, self.offset + 1);
+        data    = (Buffer.isBuffer(value) ? value : new Buffer(String(value))),
+        len     = data.length;
 
     if (len > 255)
     {
@@ -275,16 +288,17 @@ Pack.prototype.charString  = function(value) {
         return null;
     }
 
-    if ((self.offset + len) > self.end)
+    if ((self.offset + 1 + len) > self.end)
     {
         self.error = new TruncError("truncated writing charString @ "
                                     + self.offset);
         return null;
     }
 
-    // Now, go back and write the length octet
+    // The length octet followed by the data
     self.uint8(len);
 
+    data.copy(self.buf, self.offset);
     self.offset += len;
 
     return len + 1;
@@ -305,12 +319,14 @@ Pack.prototype.charString  = function(value) {
  */
 Pack.prototype.domainName   = function(value, noCompression) {
     var self    = this,
-        parts   = value.split('.'),
+        parts   = (value === '.' ? [ '' ] : value.split('.')),  // '.' == root
         start   = self.offset,
         ptr     = false,
         ptrId   = (Consts.LTYPE_STR.PTR << 8),
         ptrMask = ~ptrId;
 
+    if (self.compress === false)    { noCompression = true; }
+
     while (parts.length > 0)
     {
         var partial = parts.join('.'),
@@ -0,0 +1,529 @@
+/**
+ *  @file
+ *
+ *  A continuous mDNS query (RFC 6762 section 5.2).
+ *
+ *  Once started, the question(s) are re-sent at exponentially increasing
+ *  intervals (1s, 2s, 4s, ...) up to a maximum of one hour.  Each query
+ *  includes, in its Answer section, any records we already hold that have
+ *  more than half of their TTL remaining (Known-Answer Suppression,
+ *  section 7.1).
+ *
+ *  The first query for each question requests a unicast response (the "QU"
+ *  bit, section 5.4) so a newly started query is answered without adding to
+ *  multicast traffic.  Subsequent queries are "QM" (multicast) questions.
+ *
+ *  In addition, the query plans cache maintenance (section 5.2) for every
+ *  record that answers one of its questions, re-querying at 80%, 85%, 90%
+ *  and 95% of the record lifetime (plus 0-2% random variation).
+ *
+ *  The re-query and maintenance timers do not, by themselves, hold the
+ *  process open.
+ *
+ *  @class  Mdns::Query
+ */
+var Util    = require('util'),
+    Events  = require('events'),
+    Mdns    = require('./mdns'),
+    _       = require('lodash');
+
+/**
+ *  Create a new continuous Query.
+ *  @constructor
+ *  @param  client                  The mDNS client to query through
+ *                                  {Mdns::Client};
+ *  @param  question                A Question instance, configuration object,
+ *                                  array of instances or array of
+ *                                  configuration objects;
+ *  @param  [config]                If provided, an instance configuration
+ *                                  object {Object};
+ *  @param  [config.minInterval=1000]
+ *                                  The initial re-query interval, in
+ *                                  milliseconds {Number};
+ *  @param  [config.maxInterval=3600000]
+ *                                  The maximum re-query interval, in
+ *                                  milliseconds {Number};
+ *  @param  [config.unicast=true]   If true, the first query for a question
+ *                                  requests a unicast response {Boolean};
+ *
+ *  @emits  query(message)          a query message has been sent;
+ *          error(err)
+ */
+function Query(client, question, config)
+{
+    var self    = this;
+
+    Events.EventEmitter.call(self);
+
+    if (! client)   { throw new Error("'client' is required."); }
+
+    config = config || {};
+
+    self.client      = client;
+    self.minInterval = (config.minInterval || Query.defaults.minInterval);
+    self.maxInterval = (config.maxInterval || Query.defaults.maxInterval);
+    self.unicast     = (config.unicast != null
+                            ? (config.unicast === true)
+                            : Query.defaults.unicast);
+
+    self.questions   = [];
+    self.interval    = self.minInterval;
+    self.isRunning   = false;
+
+    /* Maintenance state:
+     *  name/type/class/rdata -> {question:, step:, ttl:, received:, timer:}
+     */
+    self._records    = {};
+    self._timer      = null;
+
+    self._onReady    = _.bind(self.start, self);
+    self._onResponse = _.bind(_processResponse, self);
+
+    self.add( question );
+}
+Util.inherits(Query, Events.EventEmitter);
+
+Query.defaults = {
+    minInterval:    1000,
+    maxInterval:    3600 * 1000,
+    unicast:        true
+};
+
+/**
+ *  The fractions of a record lifetime at which cache maintenance queries are
+ *  issued (RFC 6762 section 5.2).
+ */
+Query.REFRESH = [ 0.80, 0.85, 0.90, 0.95 ];
+
+_.extend(Query.prototype, {
+    /**
+     *  Begin (or restart) continuous querying.
+     *  @method start
+     *
+     *  @return this for a fluent interface;
+     */
+    start: function() {
+        var self    = this;
+
+        if (! self.isRunning)
+        {
+            self.isRunning = true;
+            self.client.on('response', self._onResponse);
+        }
+
+        if (! self.client.isReady)
+        {
+            self.client.removeListener('ready', self._onReady);
+            self.client.once('ready', self._onReady);
+            return self;
+        }
+
+        /* Delay the first query by 20-120ms so multiple hosts starting at
+         * the same time do not query in lock-step (section 5.2).
+         */
+        self.interval = self.minInterval;
+        _schedule.call(self, 20 + _random(100), self.unicast);
+
+        return self;
+    },
+
+    /**
+     *  Stop querying and cancel any pending cache maintenance.
+     *  @method stop
+     *
+     *  @return this for a fluent interface;
+     */
+    stop: function() {
+        var self    = this;
+
+        self.isRunning = false;
+
+        self.client.removeListener('ready',    self._onReady);
+        self.client.removeListener('response', self._onResponse);
+
+        if (self._timer)    { clearTimeout(self._timer); }
+        self._timer = null;
+
+        _.each(self._records, function(record) {
+            if (record.timer)   { clearTimeout(record.timer); }
+        });
+        self._records = {};
+
+        return self;
+    },
+
+    /**
+     *  Add question(s) to this query.  If the query is running, the new
+     *  question(s) are asked immediately and the back-off is restarted.
+     *  @method add
+     *  @param  question    A Question instance, configuration object, array
+     *                      of instances or array of configuration objects;
+     *
+     *  @return this for a fluent interface;
+     */
+    add: function(question) {
+        var self    = this,
+            added   = [];
+
+        if (question == null)   { return self; }
+        if (! Array.isArray(question))  { question = [ question ]; }
+
+        question.forEach(function(config) {
+            var q   = (Mdns.isQuestion(config)
+                        ? config
+                        : Mdns.Question(config));
+
+            if (_find.call(self, q) >= 0)   { return; }
+
+            self.questions.push( q );
+            added.push( q );
+        });
+
+        if (self.isRunning && self.client.isReady && (added.length > 0))
+        {
+            _send.call(self, added, self.unicast);
+
+            self.interval = self.minInterval;
+            _schedule.call(self, self.interval);
+        }
+
+        return self;
+    },
+
+    /**
+     *  Remove question(s) from this query.
+     *  @method remove
+     *  @param  question    A Question instance, configuration object, array
+     *                      of instances or array of configuration objects;
+     *
+     *  @return this for a fluent interface;
+     */
+    remove: function(question) {
+        var self    = this;
+
+        if (question == null)   { return self; }
+        if (! Array.isArray(question))  { question = [ question ]; }
+
+        question.forEach(function(config) {
+            var q       = (Mdns.isQuestion(config)
+                            ? config
+                            : Mdns.Question(config)),
+                idex    = _find.call(self, q);
+
+            if (idex < 0)   { return; }
+
+            q = self.questions.splice(idex, 1)[0];
+
+            // Cancel maintenance for records answering this question
+            _.each(self._records, function(record, key) {
+                if (record.question !== q)  { return; }
+
+                if (record.timer)   { clearTimeout(record.timer); }
+                delete self._records[key];
+            });
+        });
+
+        return self;
+    }
+});
+
+module.exports = Query;
+
+/**********************************************************************
+ * Private helpers and utilities
+ *
+ */
+
+/**
+ *  Schedule the next (back-off) query.
+ *  @method _schedule
+ *  @param  delay       The delay, in milliseconds {Number};
+ *  @param  [unicast]   If true, request a unicast response {Boolean};
+ *
+ *  `this` is the controlling Query instance;
+ */
+function _schedule(delay, unicast)
+{
+    var self    = this;
+
+    if (self._timer)    { clearTimeout(self._timer); }
+
+    self._timer = setTimeout(function() {
+        self._timer = null;
+
+        _send.call(self, self.questions, unicast);
+
+        _schedule.call(self, self.interval);
+
+        self.interval = Math.min(self.interval * 2, self.maxInterval);
+    }, delay);
+
+    // Do NOT hold the process open simply to re-query
+    if (self._timer.unref)  { self._timer.unref(); }
+}
+
+/**
+ *  Send a query for the given questions, including known answers.  If the
+ *  known answers do not fit in a single packet, the query is sent with the
+ *  TC bit set and followed by additional packets carrying the remaining
+ *  known answers (section 7.2).
+ *  @method _send
+ *  @param  questions   The questions to ask {Array};
+ *  @param  [unicast]   If true, request a unicast response (QU) {Boolean};
+ *
+ *  `this` is the controlling Query instance;
+ */
+function _send(questions, unicast)
+{
+    var self    = this,
+        cache   = self.client.cache,
+        known   = [],
+        seen    = [],
+        msg, pack;
+
+    if ((! self.isRunning) || (questions.length < 1))   { return; }
+
+    if (cache)
+    {
+        questions.forEach(function(q) {
+            cache.knownAnswers(q.qname, q.qtype, q.qclass)
+                .forEach(function(rr) {
+                    // The same record may match several questions
+                    var key = [ _key(rr.name), rr.type, rr.class,
+                                rr.rdata.toBuffer().toString('hex') ]
+                                    .join('/');
+
+                    if (seen.indexOf(key) >= 0) { return; }
+                    seen.push( key );
+
+                    known.push( _knownAnswer(rr) );
+                });
+        });
+    }
+
+    msg = Mdns.Message({
+        header:     {},
+        question:   questions.map(function(q) {
+                        return Mdns.Question({
+                            qname:              q.qname,
+                            qtype:              q.qtype,
+                            qclass:             q.qclass,
+                            unicastResponse:    (unicast === true)
+                        });
+                    }),
+        answer:     known
+    });
+
+    do
+    {
+        pack = self.client.send(msg, function(err) {
+            if (err)    { self.emit('error', err); }
+        });
+
+        self.emit('query', msg);
+
+        if ((! msg.isTruncated()) || (msg.header.anCount < 1))  { break; }
+
+        // Continue with the remaining known answers
+        known = known.slice( msg.header.anCount );
+        msg   = Mdns.Message({
+            header: {},
+            answer: known
+        });
+
+    } while (known.length > 0);
+}
+
+/**
+ *  Process an incoming response, (re)scheduling cache maintenance for any
+ *  record that answers one of our questions.
+ *  @method _processResponse
+ *  @param  response    The parsed message {Mdns::Message};
+ *
+ *  `this` is the controlling Query instance;
+ */
+function _processResponse(response)
+{
+    var self    = this,
+        now     = Date.now();
+
+    if ((! response) || (response.header.qr !== 1)) { return; }
+
+    response.answer.concat( response.additional ).forEach(function(rr) {
+        var question    = _answers.call(self, rr),
+            data, key, record;
+
+        if (! question) { return; }
+
+        data = rr.rdata.toBuffer();
+        if (data === null)  { return; }
+
+        key    = [ rr.name.toLowerCase(), rr.type, rr.class,
+                   data.toString('hex') ].join('/');
+        record = self._records[key];
+
+        if (record && record.timer) { clearTimeout(record.timer); }
+
+        if (rr.ttl === 0)
+        {
+            // Goodbye -- nothing left to maintain
+            delete self._records[key];
+            return;
+        }
+
+        record = self._records[key] = {
+            question:   question,
+            step:       0,
+            ttl:        rr.ttl * 1000,
+            received:   now,
+            timer:      null
+        };
+
+        _maintain.call(self, key, record);
+    });
+}
+
+/**
+ *  Schedule the next cache maintenance query for a record.
+ *  @method _maintain
+ *  @param  key     The record key {String};
+ *  @param  record  The maintenance record {Object};
+ *
+ *  `this` is the controlling Query instance;
+ */
+function _maintain(key, record)
+{
+    var self    = this,
+        when;
+
+    if (record.step >= Query.REFRESH.length)
+    {
+        // No answer -- let the record expire from the cache
+        delete self._records[key];
+        return;
+    }
+
+    when = record.received
+         + record.ttl * (Query.REFRESH[ record.step ] + _random(2) / 100);
+
+    record.timer = setTimeout(function() {
+        record.timer = null;
+        record.step++;
+
+        _send.call(self, [ record.question ]);
+
+        _maintain.call(self, key, record);
+    }, Math.max(0, when - Date.now()));
+
+    // Do NOT hold the process open simply to maintain the cache
+    if (record.timer.unref) { record.timer.unref(); }
+}
+
+/**
+ *  Locate the question (if any) answered by the given record.
+ *  @method _answers
+ *  @param  rr      The Resource Record {Mdns::RR};
+ *
+ *  `this` is the controlling Query instance;
+ *
+ *  @return The matching question (undefined if none) {Mdns::Question};
+ */
+function _answers(rr)
+{
+    var self    = this,
+        ANY     = Mdns.consts.TYPE_STR.ANY,
+        name    = _key(rr.name);
+
+    for (var idex = 0, len = self.questions.length; idex < len; idex++)
+    {
+        var q   = self.questions[idex];
+
+        if ((_key(q.qname) === name)                        &&
+            ((q.qtype  === ANY) || (q.qtype  === rr.type))  &&
+            ((q.qclass === ANY) || (q.qclass === rr.class)))
+        {
+            return q;
+        }
+    }
+}
+
+/**
+ *  Locate an existing question matching the given question.
+ *  @method _find
+ *  @param  question    The question {Mdns::Question};
+ *
+ *  `this` is the controlling Query instance;
+ *
+ *  @return The index of the match (-1 if none) {Number};
+ */
+function _find(question)
+{
+    var self    = this,
+        name    = _key(question.qname);
+
+    for (var idex = 0, len = self.questions.length; idex < len; idex++)
+    {
+        var q   = self.questions[idex];
+
+        if ((_key(q.qname) === name)        &&
+            (q.qtype  === question.qtype)   &&
+            (q.qclass === question.qclass))
+        {
+            return idex;
+        }
+    }
+
+    return -1;
+}
+
+/**
+ *  Generate a known-answer record from a cached record.  The cached record
+ *  is left untouched and the cache-flush bit, which is only meaningful in
+ *  responses, is cleared.
+ *  @method _knownAnswer
+ *  @param  rr      The cached record, with its remaining ttl {Mdns::RR};
+ *
+ *  @return A new record {Mdns::RR};
+ */
+function _knownAnswer(rr)
+{
+    var rdata   = {};
+
+    Object.keys(rr.rdata).forEach(function(key) {
+        rdata[key] = rr.rdata[key];
+    });
+
+    return Mdns.RR({
+        name:   rr.name,
+        type:   rr.type,
+        class:  rr.class,
+        ttl:    rr.ttl,
+        rdata:  rdata
+    });
+}
+
+/**
+ *  Generate a case-insensitive lookup key for a domain-name.
+ *  @method _key
+ *  @param  name    The domain-name {String};
+ *
+ *  @return The key {String};
+ */
+function _key(name)
+{
+    name = (name || '').toLowerCase();
+
+    return (name.slice(-1) === '.' ? name : name +'.');
+}
+
+/**
+ *  Generate a random integer in the range [0..max].
+ *  @method _random
+ *  @param  max     The maximum value {Number};
+ *
+ *  @return The random value {Number};
+ */
+function _random(max)
+{
+    return Math.floor(Math.random() * (max + 1));
+}
@@ -52,6 +52,8 @@ var Util    = require('util'),
  *                          NOTE: For mDNS questions, the top-bit of 'qclass'
  *                                is used to indicate that unicast responses
  *                                are preferred for this particular question.
+ *                                This may also be requested via a true
+ *                                'unicastResponse';
  */
 function Question(msg, config)
 {
@@ -128,6 +130,8 @@ function Question(msg, config)
     self.qtype  = (config.qtype  || 0);
     self.qclass = (config.qclass || Consts.CLASS_STR.IN);
 
+    if (config.unicastResponse === true)    { self.unicastResponse = true; }
+
     if (config.unpack)  { self.unpack( config.unpack ); }
 }
 
@@ -219,9 +223,11 @@ Question.prototype.pack  = function(pack) {
 
     delete self.error;
 
+    var qclass  = self.qclass | (self.unicastResponse === true ? 0x8000 : 0);
+
     if ( (pack.domainName( self.qname )  === null) ||
          (pack.uint16(     self.qtype )  === null) ||
-         (pack.uint16(     self.qclass ) === null) )
+         (pack.uint16(          qclass ) === null) )
     {
         self.error = pack.error;
         return false;
@@ -62,9 +62,12 @@
  *      255     *       request for all records
  */
 var Util    = require('util'),
+    Net     = require('net'),
     Utils   = require('./utils.js'),
     Consts  = require('./consts.js'),
-    Unpack  = require('./unpack.js');
+    Unpack  = require('./unpack.js'),
+    Pack    = require('./pack.js').Pack,
+    Edns    = require('./edns.js');
 
 /** @brief  Create a new RData instance.
  *  @param  rr      The parent Resource Recourd instance;
@@ -132,6 +135,16 @@ RData.prototype.init = function(obj) {
     return self;
 };
 
+/** @brief  For a TXT record, a (non-enumerable) key/value view of the
+ *          character-strings (RFC 6763 section 6).  Reading decodes the
+ *          current strings (see Utils.txtDecode()) while assigning an object
+ *          replaces them (see Utils.txtEncode()).
+ */
+Object.defineProperty(RData.prototype, 'txtObject', {
+    get:    function()      { return Utils.txtDecode( this.txt ); },
+    set:    function(obj)   { this.txt = Utils.txtEncode( obj ); }
+});
+
 /** @brief  Generate a string representation of this DNS RDATA.
  *  @param  prefix      Any prefix string [ '' ];
  *  @param  lineLen     Number of characters per line [ 79 ];
@@ -196,6 +209,11 @@ RData.prototype.toString  = function(prefix, lineLen) {
                     }
                 }
             }
+            else if ((rr.type === Consts.TYPE_STR.OPT) &&
+                     (key     === 'options'))
+            {
+                tmp += '[ '+ val.map(Edns.toString).join(', ') +' ]';
+            }
             else
             {
                 tmp += val.toString();
@@ -253,6 +271,17 @@ RData.prototype.unpack   = function(unpack) {
 
     delete self._empty;
 
+    /* An empty RDATA (e.g. the RFC 2136 prerequisites and deletes) carries
+     * no fields, regardless of type.
+     */
+    if ((self.rdlength === 0) && (rr.type !== Consts.TYPE_STR.OPT))
+    {
+        self._empty   = true;
+        self.consumed = unpack.offset - start;
+
+        return true;
+    }
+
     switch (rr.type)
     {
     /********************************************************************/
@@ -322,7 +351,7 @@ RData.prototype.unpack   = function(unpack) {
         if ( ((self.a        = unpack.A())         === null) ||
              ((self.protocol = unpack.uint8())     === null) ||
              ((self.bitmap   = unpack.data(self.rdlength -
-                                            (unpack.offset - start)))
+                                            (unpack.offset - start - 2)))
                                                    === null) )
         {
             self.error = unpack.error;
@@ -331,9 +360,9 @@ RData.prototype.unpack   = function(unpack) {
         break;
 
     /********************************************************************/
-    case Consts.TYPE_STR.HINFO:     // HINFO    (OS, CPU)
-        if ( ((self.os  = unpack.charString()) === null) ||
-             ((self.cpu = unpack.charString()) === null) )
+    case Consts.TYPE_STR.HINFO:     // HINFO    (CPU, OS)
+        if ( ((self.cpu = unpack.charString()) === null) ||
+             ((self.os  = unpack.charString()) === null) )
         {
             self.error = unpack.error;
             return false;
@@ -364,19 +393,23 @@ RData.prototype.unpack   = function(unpack) {
     case Consts.TYPE_STR.TXT:       // TXT      (strings)
         // [ len, data, ... ]
         var consumed    = 0,
-            data;
+            data, len;
 
         self.txt = [];
         while (consumed < self.rdlength)
         {
             var so  = unpack.offset;
 
-            if ( (data = unpack.charString()) === null)
+            /* Retrieve the raw data so a binary value, which is NOT valid
+             * UTF-8, is preserved as a Buffer.
+             */
+            if ( ((len  = unpack.uint8())   === null) ||
+                 ((data = unpack.data(len)) === null) )
             {
                 self.error = unpack.error;
                 return false;
             }
-            self.txt.push( data );
+            self.txt.push( Utils.text(data) );
 
             consumed += (unpack.offset - so);
         }
@@ -473,8 +506,9 @@ RData.prototype.unpack   = function(unpack) {
         break;
 
     /********************************************************************
-     * RFC 2671: OPT Resource Record (RR type 41 / 0x29)
+     * RFC 6891: OPT Resource Record (RR type 41 / 0x29)
      *
+     *  Zero or more options, each:
      *                                      1  1  1  1  1  1
      *        0  1  2  3  4  5  6  7  8  9  0  1  2  3  4  5
      *      +--+--+--+--+--+--+--+--+--+--+--+--+--+--+--+--+
@@ -486,19 +520,30 @@ RData.prototype.unpack   = function(unpack) {
      *      /                                               /
      *      +--+--+--+--+--+--+--+--+--+--+--+--+--+--+--+--+
      *
+     *  Unpacked as:
+     *      options     [ {code:, data:, ...}, ... ]
+     *
+     *  with known options decoded (see edns.js).
      */
     case Consts.TYPE_STR.OPT:       // OPT
-        if ( ((self.code     = unpack.uint16())          === null) ||
-             ((self.length   = unpack.uint16())          === null) ||
-             ((self.data     = unpack.data(self.length)) === null) )
+        self.options = [];
+
+        while ((unpack.offset - start - 2) < self.rdlength)
         {
-            self.error = unpack.error;
-            return false;
+            var option  = Edns.unpackOption(unpack);
+
+            if (option === null)
+            {
+                self.error = unpack.error;
+                return false;
+            }
+
+            self.options.push( option );
         }
         break;
 
     /********************************************************************
-     * RFC 2845: TSIG Resource Record (RR type 250 / 0xFA)
+     * RFC 8945: TSIG Resource Record (RR type 250 / 0xFA)
      *
      *  RR.Name (key name), RR.Class (ANY), RR.ttl (0)
      *
@@ -528,21 +573,29 @@ RData.prototype.unpack   = function(unpack) {
      *      /                   OTHER DATA                  /
      *      /                                               /
      *      +--+--+--+--+--+--+--+--+--+--+--+--+--+--+--+--+
+     *
+     *  TIME SIGNED is unpacked as a Number (seconds since the epoch) and
+     *  ERROR as `tsigError` (since `error` reports unpacking errors).
      */
     case Consts.TYPE_STR.TSIG:      // TSIG
+        var timeHigh, timeLow;
+
         if ( ((self.algorithm  = unpack.domainName())        === null) ||
-             ((self.timeSigned = unpack.data(6))             === null) ||
+             ((timeHigh        = unpack.uint16())            === null) ||
+             ((timeLow         = unpack.uint32())            === null) ||
              ((self.fudge      = unpack.uint16())            === null) ||
              ((self.macSize    = unpack.uint16())            === null) ||
              ((self.mac        = unpack.data(self.macSize))  === null) ||
              ((self.originalId = unpack.uint16())            === null) ||
-             ((self.error      = unpack.uint16())            === null) ||
+             ((self.tsigError  = unpack.uint16())            === null) ||
              ((self.otherLen   = unpack.uint16())            === null) ||
              ((self.other      = unpack.data(self.otherLen)) === null) )
         {
             self.error = unpack.error;
             return false;
         }
+
+        self.timeSigned = (timeHigh * 0x100000000) + timeLow;
         break;
 
     /********************************************************************/
@@ -669,9 +722,9 @@ RData.prototype.pack  = function(pack) {
             break;
 
         /********************************************************************/
-        case Consts.TYPE_STR.HINFO:     // HINFO    (OS, CPU)
-            if ( (pack.charString( self.os  ) === null) ||
-                 (pack.charString( self.cpu ) === null) )
+        case Consts.TYPE_STR.HINFO:     // HINFO    (CPU, OS)
+            if ( (pack.charString( self.cpu ) === null) ||
+                 (pack.charString( self.os  ) === null) )
             {
                 self.error = pack.error;
                 return false;
@@ -701,9 +754,23 @@ RData.prototype.pack  = function(pack) {
         /********************************************************************/
         case Consts.TYPE_STR.TXT:       // TXT      (strings)
             // [ len, data, ... ]
-            for (var idex = 0, len = self.txt.length; idex < len; idex++)
+            var txt = self.txt;
+
+            if (typeof txt === 'string')    { txt = [ txt ]; }
+            else if (! Array.isArray(txt))
+            {
+                // A key/value object (RFC 6763 section 6)
+                try {
+                    txt = Utils.txtEncode( txt );
+                } catch(e) {
+                    self.error = e;
+                    return false;
+                }
+            }
+
+            for (var idex = 0, len = txt.length; idex < len; idex++)
             {
-                var data    = self.txt[ idex ];
+                var data    = txt[ idex ];
                 if (! data) { continue; }
 
                 if (pack.charString( data ) === null)
@@ -785,8 +852,9 @@ RData.prototype.pack  = function(pack) {
             break;
 
         /********************************************************************
-         * RFC 2671: OPT Resource Record (RR type 41 / 0x29)
+         * RFC 6891: OPT Resource Record (RR type 41 / 0x29)
          *
+         *  Zero or more options, each:
          *                                      1  1  1  1  1  1
          *        0  1  2  3  4  5  6  7  8  9  0  1  2  3  4  5
          *      +--+--+--+--+--+--+--+--+--+--+--+--+--+--+--+--+
@@ -798,19 +866,35 @@ RData.prototype.pack  = function(pack) {
          *      /                                               /
          *      +--+--+--+--+--+--+--+--+--+--+--+--+--+--+--+--+
          *
+         *  Packed from:
+         *      options     [ {code:, data:, ...}, ... ]
+         *  or a single (code, data) pair, with known options encoded from
+         *  any typed fields (see edns.js).  Padding is always packed last.
          */
         case Consts.TYPE_STR.OPT:       // OPT
-            if ( (pack.uint16( self.code              ) === null) ||
-                 (pack.uint16( self.length            ) === null) ||
-                 (pack.data(   self.data, self.length ) === null) )
+            val = (self.options ||
+                   (self.code != null
+                        ? [ {code: self.code, data: self.data} ]
+                        : []));
+
+            val = val.filter(function(option) {
+                    return (option.code !== Consts.OPTION_STR.PADDING);
+                  }).concat( val.filter(function(option) {
+                    return (option.code === Consts.OPTION_STR.PADDING);
+                  }) );
+
+            for (var idex = 0; idex < val.length; idex++)
             {
-                self.error = pack.error;
-                return false;
+                if (Edns.packOption(pack, val[idex]) === null)
+                {
+                    self.error = pack.error;
+                    return false;
+                }
             }
             break;
 
         /********************************************************************
-         * RFC 2845: TSIG Resource Record (RR type 250 / 0xFA)
+         * RFC 8945: TSIG Resource Record (RR type 250 / 0xFA)
          *
          *  RR.Name (key name), RR.Class (ANY), RR.ttl (0)
          *
@@ -842,15 +926,23 @@ RData.prototype.pack  = function(pack) {
          *      +--+--+--+--+--+--+--+--+--+--+--+--+--+--+--+--+
          */
         case Consts.TYPE_STR.TSIG:      // TSIG
-            if ( (pack.domainName(         self.algorithm  ) === null) ||
-                 (pack.data(6,             self.timeSigned ) === null) ||
-                 (pack.uint16(             self.fudge      ) === null) ||
-                 (pack.uint16(             self.macSize    ) === null) ||
-                 (pack.data(self.macSize,  self.mac        ) === null) ||
-                 (pack.uint16(             self.originalId ) === null) ||
-                 (pack.uint16(             self.error      ) === null) ||
-                 (pack.uint16(             self.otherLen   ) === null) ||
-                 (pack.data(self.otherLen, self.other      ) === null) )
+            val = { mac:   (self.mac   || new Buffer(0)),
+                    other: (self.other || new Buffer(0)) };
+
+            // The algorithm name MUST NOT be compressed
+            if ( (pack.domainName( self.algorithm, true     ) === null) ||
+                 (pack.uint16( Math.floor(self.timeSigned /
+                                          0x100000000)      ) === null) ||
+                 (pack.uint32( self.timeSigned % 0x100000000) === null) ||
+                 (pack.uint16( self.fudge                   ) === null) ||
+                 (pack.uint16( val.mac.length               ) === null) ||
+                 ((val.mac.length > 0) &&
+                  (pack.data(  val.mac                      ) === null)) ||
+                 (pack.uint16( self.originalId              ) === null) ||
+                 (pack.uint16( self.tsigError || 0          ) === null) ||
+                 (pack.uint16( val.other.length             ) === null) ||
+                 ((val.other.length > 0) &&
+                  (pack.data(  val.other                    ) === null)) )
             {
                 self.error = pack.error;
                 return false;
@@ -890,4 +982,548 @@ RData.prototype.pack  = function(pack) {
     return true;
 };
 
+/** @brief  Generate the raw, uncompressed wire-format of this RData
+ *          (excluding the 16-bit RDLENGTH).
+ *
+ *  This is suitable for comparing the data of two records
+ *  (e.g. RFC 6762 section 8.2).
+ *
+ *  @return A new Buffer (null on error, this.error will be Error instance)
+ */
+RData.prototype.toBuffer = function() {
+    var self    = this,
+        pack    = new Pack( new Buffer( 0xffff + 2 ) ),
+        buf;
+
+    pack.compress = false;
+
+    if (! self.pack( pack ))    { return null; }
+
+    // Copy so the (large) packing buffer is not retained
+    buf = new Buffer( self.produced - 2 );
+    pack.buf.copy( buf, 0, pack.begin + 2, pack.offset );
+
+    return buf;
+};
+
+/****************************************************************************
+ * Presentation format (RFC 1035 section 5.1, RFC 3597 section 5)
+ *
+ */
+
+/** @brief  Create a new RData instance from its presentation format.
+ *  @param  type    The record type (integer or string, e.g. 'MX' or
+ *                  'TYPE65');
+ *  @param  text    The presentation format (string), or the tokens of a
+ *                  master file entry ([ {text:, quoted:}, ... ]);
+ *  @param  origin  The origin of any relative domain-name, with '@' denoting
+ *                  the origin itself [ '.' ];
+ *
+ *  The RDATA of any type may use the generic format of RFC 3597:
+ *      \# <length> [ <hex> ... ]
+ *
+ *  @return The new RData instance, holding the type for use until it is
+ *          assigned to an RR (throws an Error on invalid text).
+ */
+RData.fromText = function(type, text, origin) {
+    var tokens  = (Array.isArray(text) ? text : _tokenize( String(text) )),
+        match   = (typeof type === 'string' && /^TYPE([0-9]+)$/i.exec(type)),
+        name    = type,
+        rr;
+
+    if (typeof type === 'string')
+    {
+        type = (match ? parseInt(match[1], 10)
+                      : Consts.str2type( type.toUpperCase() ));
+    }
+    if ((type == null) || (! (type <= 0xffff)))
+    {
+        throw new Error("unknown type '"+ name +"'");
+    }
+
+    rr = { type: type, name: '' };
+
+    if ((tokens.length > 0) && (! tokens[0].quoted) &&
+        (tokens[0].text === '\\#'))
+    {
+        return _fromGeneric(rr, tokens.slice(1));
+    }
+
+    return new RData(rr, _fromText(type, tokens, origin || '.'));
+};
+
+/** @brief  Generate the presentation format of this RDATA, with
+ *          fully-qualified, lower-case domain-names.  Types without a
+ *          presentation format (e.g. NULL, OPT) use the generic format of
+ *          RFC 3597.
+ *
+ *  @return The text (throws an Error if this RDATA cannot be packed).
+ */
+RData.prototype.toText = function() {
+    var self    = this,
+        type    = (self.rr ? self.rr.type : null),
+        txt, buf;
+
+    if (type === null)
+    {
+        throw new Error("RDATA is not associated with a record");
+    }
+
+    if (self._empty !== true)
+    {
+        switch (type)
+        {
+        case Consts.TYPE_STR.A:     return self.a;
+        case Consts.TYPE_STR.AAAA:  return self.aaaa;
+        case Consts.TYPE_STR.NS:    return Utils.nameToText( self.ns );
+        case Consts.TYPE_STR.MD:
+        case Consts.TYPE_STR.MF:
+        case Consts.TYPE_STR.MB:    return Utils.nameToText( self.ma );
+        case Consts.TYPE_STR.CNAME: return Utils.nameToText( self.cname );
+        case Consts.TYPE_STR.MG:    return Utils.nameToText( self.mg );
+        case Consts.TYPE_STR.MR:    return Utils.nameToText( self.mr );
+        case Consts.TYPE_STR.PTR:   return Utils.nameToText( self.ptr );
+
+        case Consts.TYPE_STR.SOA:
+            return [ Utils.nameToText( self.mname ),
+                     Utils.nameToText( self.rname ),
+                     self.serial, self.refresh, self.retry, self.expire,
+                     self.minimum ].join(' ');
+
+        case Consts.TYPE_STR.WKS:
+            return [ self.a,
+                     (PROTOCOLS[ self.protocol ] || self.protocol) ]
+                        .concat( _bits( self.bitmap, 0 ) ).join(' ');
+
+        case Consts.TYPE_STR.HINFO:
+            return _stringText( self.cpu ) +' '+ _stringText( self.os );
+
+        case Consts.TYPE_STR.MINFO:
+            return Utils.nameToText( self.rmailbx ) +' '+
+                   Utils.nameToText( self.emailbx );
+
+        case Consts.TYPE_STR.MX:
+            return self.preference +' '+ Utils.nameToText( self.exchange );
+
+        case Consts.TYPE_STR.TXT:
+            txt = self.txt;
+            if (typeof txt === 'string')    { txt = [ txt ]; }
+            else if (! Array.isArray(txt))  { txt = Utils.txtEncode( txt ); }
+
+            return txt.map(_stringText).join(' ');
+
+        case Consts.TYPE_STR.NSEC:
+            return [ Utils.nameToText( self.nextDomainName ) ]
+                    .concat( _bits( self.typeBitMap.slice(0,
+                                                          self.typeBitMapLen),
+                                    self.typeBitMapBlock * 256 )
+                                .map(function(type) {
+                                    return (Consts.type2str( type ) ||
+                                            'TYPE'+ type);
+                                }) ).join(' ');
+
+        case Consts.TYPE_STR.SRV:
+            return [ self.priority, self.weight, self.port,
+                     Utils.nameToText( self.target ) ].join(' ');
+
+        case Consts.TYPE_STR.TSIG:
+            // As presented by BIND (there is no standard format)
+            buf = [ (self.mac   || new Buffer(0)),
+                    (self.other || new Buffer(0)) ];
+
+            return [ Utils.nameToText( self.algorithm ), self.timeSigned,
+                     self.fudge, buf[0].length ]
+                    .concat( buf[0].length > 0 ? buf[0].toString('base64')
+                                               : [] )
+                    .concat([ self.originalId,
+                              (Consts.rcode2str( self.tsigError || 0 ) ||
+                               self.tsigError),
+                              buf[1].length ])
+                    .concat( buf[1].length > 0 ? buf[1].toString('base64')
+                                               : [] ).join(' ');
+        }
+    }
+
+    // The generic format (RFC 3597 section 5)
+    if (self._empty === true)   { buf = new Buffer(0); }
+    else if ((buf = self.toBuffer()) === null)
+    {
+        throw self.error;
+    }
+
+    return '\\# '+ buf.length + (buf.length > 0 ? ' '+ buf.toString('hex')
+                                                : '');
+};
+
+/****************************************************************************
+ * Private helpers and utilities
+ *
+ */
+
+/** @brief  IP protocol mnemonics of WKS records. */
+var PROTOCOLS   = { 6: 'TCP', 17: 'UDP' };
+
+/** @brief  Split presentation-format text into whitespace-separated tokens,
+ *          honoring "quoted" strings and retaining any escapes.
+ *  @param  text    The text;
+ *
+ *  @return The tokens [ {text:, quoted:}, ... ].
+ */
+function _tokenize(text)
+{
+    var tokens  = [],
+        re      = /"((?:[^"\\]|\\.)*)"|((?:[^\s"\\]|\\.)+)/g,
+        match;
+
+    while ((match = re.exec(text)) !== null)
+    {
+        tokens.push( match[1] != null ? { text: match[1], quoted: true  }
+                                      : { text: match[2], quoted: false } );
+    }
+
+    return tokens;
+}
+
+/** @brief  Generate the configuration data of an RDATA from its
+ *          presentation format.
+ *  @param  type    The record type;
+ *  @param  tokens  The tokens;
+ *  @param  origin  The origin of any relative domain-name;
+ *
+ *  @return The configuration data (throws an Error on invalid text).
+ */
+function _fromText(type, tokens, origin)
+{
+    var name    = (Consts.type2str( type ) || 'TYPE'+ type),
+        config  = {},
+        key, types, val;
+
+    switch (type)
+    {
+    case Consts.TYPE_STR.A:
+        __expect(1);
+        if (! Net.isIPv4( tokens[0].text ))
+        {
+            throw new Error("invalid IPv4 address '"+ tokens[0].text +"'");
+        }
+        return { a: tokens[0].text };
+
+    case Consts.TYPE_STR.AAAA:
+        __expect(1);
+        if (! Net.isIPv6( tokens[0].text ))
+        {
+            throw new Error("invalid IPv6 address '"+ tokens[0].text +"'");
+        }
+        return { aaaa: tokens[0].text };
+
+    case Consts.TYPE_STR.NS:    key = key || 'ns';      // fall through
+    case Consts.TYPE_STR.MD:
+    case Consts.TYPE_STR.MF:
+    case Consts.TYPE_STR.MB:    key = key || 'ma';      // fall through
+    case Consts.TYPE_STR.CNAME: key = key || 'cname';   // fall through
+    case Consts.TYPE_STR.MG:    key = key || 'mg';      // fall through
+    case Consts.TYPE_STR.MR:    key = key || 'mr';      // fall through
+    case Consts.TYPE_STR.PTR:   key = key || 'ptr';
+        __expect(1);
+
+        config[ key ] = __name(0);
+        return config;
+
+    case Consts.TYPE_STR.SOA:
+        __expect(7);
+        return { mname:     __name(0),
+                 rname:     __name(1),
+                 serial:    __number(2, 0xffffffff),
+                 refresh:   __period(3),
+                 retry:     __period(4),
+                 expire:    __period(5),
+                 minimum:   __period(6) };
+
+    case Consts.TYPE_STR.WKS:
+        if (tokens.length < 2)
+        {
+            throw new Error("WKS requires an address and protocol");
+        }
+        if (! Net.isIPv4( tokens[0].text ))
+        {
+            throw new Error("invalid IPv4 address '"+ tokens[0].text +"'");
+        }
+
+        for (key in PROTOCOLS)
+        {
+            if (PROTOCOLS[key] === tokens[1].text.toUpperCase())
+            {
+                val = key;
+            }
+        }
+
+        return { a:         tokens[0].text,
+                 protocol:  __number(1, 0xff, val),
+                 bitmap:    _bitmap( tokens.slice(2).map(function(token, idex) {
+                                return __number(idex + 2, 0xffff);
+                            }) ) };
+
+    case Consts.TYPE_STR.HINFO:
+        __expect(2);
+        return { cpu: __string(0), os: __string(1) };
+
+    case Consts.TYPE_STR.MINFO:
+        __expect(2);
+        return { rmailbx: __name(0), emailbx: __name(1) };
+
+    case Consts.TYPE_STR.MX:
+        __expect(2);
+        return { preference: __number(0, 0xffff), exchange: __name(1) };
+
+    case Consts.TYPE_STR.TXT:
+        if (tokens.length < 1)
+        {
+            throw new Error("TXT requires at least one string");
+        }
+        return { txt: tokens.map(function(token, idex) {
+                        return __string(idex);
+                      }) };
+
+    case Consts.TYPE_STR.NSEC:
+        if (tokens.length < 1)
+        {
+            throw new Error("NSEC requires a next domain-name");
+        }
+
+        types = tokens.slice(1).map(function(token) {
+                    var match   = /^TYPE([0-9]+)$/i.exec(token.text),
+                        type    = (match
+                                    ? parseInt(match[1], 10)
+                                    : Consts.str2type(
+                                                token.text.toUpperCase() ));
+
+                    if (type == null)
+                    {
+                        throw new Error("unknown type '"+ token.text +"'");
+                    }
+                    if (type > 255)
+                    {
+                        // Only the first window block is supported
+                        throw new Error("unsupported NSEC type '"
+                                        + token.text +"'");
+                    }
+
+                    return type;
+                });
+
+        val = _bitmap(types);
+
+        return { nextDomainName:    __name(0),
+                 typeBitMapBlock:   0,
+                 typeBitMapLen:     val.length,
+                 typeBitMap:        val };
+
+    case Consts.TYPE_STR.SRV:
+        __expect(4);
+        return { priority:  __number(0, 0xffff),
+                 weight:    __number(1, 0xffff),
+                 port:      __number(2, 0xffff),
+                 target:    __name(3) };
+
+    case Consts.TYPE_STR.TSIG:
+        /* algorithm time fudge mac-size [ mac ] original-id error
+         * other-len [ other ]
+         */
+        val    = 4;
+        config = { algorithm:   __name(0),
+                   timeSigned:  __number(1, 0xffffffffffff),
+                   fudge:       __number(2, 0xffff),
+                   macSize:     __number(3, 0xffff) };
+        config.mac        = (config.macSize > 0
+                                ? __base64(val++, config.macSize)
+                                : new Buffer(0));
+        config.originalId = __number(val++, 0xffff);
+        config.tsigError  = __number(val++, 0xffff,
+                                     (tokens[val - 1] &&
+                                      Consts.str2rcode(
+                                            tokens[val - 1].text.toUpperCase())));
+        config.otherLen   = __number(val++, 0xffff);
+        config.other      = (config.otherLen > 0
+                                ? __base64(val++, config.otherLen)
+                                : new Buffer(0));
+
+        __expect(val);
+        return config;
+    }
+
+    throw new Error("no presentation format for "+ name
+                    +" (use the generic '\\#' format)");
+
+    /*********************************************************
+     * Context-bound helpers
+     *
+     */
+    function __expect(count) {
+        if (tokens.length !== count)
+        {
+            throw new Error(name +" requires "+ count +" "
+                            + Utils.plural(count, 'field'));
+        }
+    }
+
+    function __token(idex) {
+        if (! tokens[idex])
+        {
+            throw new Error(name +" is missing fields");
+        }
+
+        return tokens[idex];
+    }
+
+    function __name(idex) {
+        var token   = __token(idex);
+
+        if (token.quoted)
+        {
+            throw new Error("invalid domain-name \""+ token.text +"\"");
+        }
+
+        return Utils.nameFromText(token.text, origin);
+    }
+
+    function __number(idex, max, mnemonic) {
+        var text    = __token(idex).text,
+            val     = (mnemonic != null
+                        ? Number(mnemonic)
+                        : (/^[0-9]+$/.test(text) ? parseInt(text, 10) : NaN));
+
+        if (! (val <= max))
+        {
+            throw new Error("invalid number '"+ text +"'");
+        }
+
+        return val;
+    }
+
+    function __period(idex) {
+        var text    = __token(idex).text,
+            val     = Utils.ttlFromText(text);
+
+        if (val === null)
+        {
+            throw new Error("invalid period '"+ text +"'");
+        }
+
+        return val;
+    }
+
+    function __string(idex) {
+        var data    = Utils.unescape( __token(idex).text );
+
+        if (data.length > 255)
+        {
+            throw new Error("character-string exceeds 255 bytes");
+        }
+
+        return Utils.text(data);
+    }
+
+    function __base64(idex, len) {
+        var text    = __token(idex).text,
+            data    = new Buffer(text, 'base64');
+
+        if (data.length !== len)
+        {
+            throw new Error("invalid base64 data '"+ text +"'");
+        }
+
+        return data;
+    }
+}
+
+/** @brief  Generate an RDATA from the generic format of RFC 3597 section 5.
+ *  @param  rr      The record (or an object providing the type);
+ *  @param  tokens  The tokens following '\#';
+ *
+ *  @return The new (unpacked) RData instance (throws an Error on invalid
+ *          text).
+ */
+function _fromGeneric(rr, tokens)
+{
+    var length  = (tokens.length > 0 && /^[0-9]+$/.test(tokens[0].text)
+                    ? parseInt(tokens[0].text, 10)
+                    : NaN),
+        hex     = tokens.slice(1).map(function(token) {
+                    return token.text;
+                  }).join(''),
+        buf, rdata;
+
+    if ((! (length <= 0xffff)) || (! /^([0-9a-fA-F]{2})*$/.test(hex)) ||
+        ((hex.length / 2) !== length))
+    {
+        throw new Error("invalid generic RDATA");
+    }
+
+    buf = new Buffer( 2 + length );
+    buf.writeUInt16BE(length, 0);
+    buf.write(hex, 2, 'hex');
+
+    rdata = new RData(rr, new Unpack( buf ));
+    if (rdata.error)
+    {
+        throw new Error("invalid generic RDATA: "+ rdata.error.message);
+    }
+
+    return rdata;
+}
+
+/** @brief  Generate the (quoted) presentation format of a character-string.
+ *  @param  str     The string (String or Buffer);
+ *
+ *  @return The text.
+ */
+function _stringText(str)
+{
+    return '"'+ Utils.escape( (Buffer.isBuffer(str) ? str
+                                                    : new Buffer(String(str))),
+                              /[\\"]/ ) +'"';
+}
+
+/** @brief  Generate a bitmap with a bit set for each value, where bit 0 is
+ *          the most significant bit of the first octet (as for WKS and NSEC).
+ *  @param  values  The values [ Number, ... ];
+ *
+ *  @return The bitmap (Buffer), only as long as needed.
+ */
+function _bitmap(values)
+{
+    var max     = Math.max.apply(Math, [ -1 ].concat( values )),
+        bitmap  = new Buffer( (max >> 3) + 1 );
+
+    bitmap.fill(0);
+
+    values.forEach(function(val) {
+        bitmap[ val >> 3 ] |= (0x80 >> (val & 7));
+    });
+
+    return (max < 0 ? new Buffer(0) : bitmap);
+}
+
+/** @brief  List the values of the bits set within a bitmap (see _bitmap()).
+ *  @param  bitmap  The bitmap (Buffer);
+ *  @param  base    The value of bit 0;
+ *
+ *  @return The values [ Number, ... ].
+ */
+function _bits(bitmap, base)
+{
+    var values  = [];
+
+    for (var idex = 0, len = (bitmap ? bitmap.length * 8 : 0); idex < len;
+                                                                    idex++)
+    {
+        if (bitmap[idex >> 3] & (0x80 >> (idex & 7)))
+        {
+            values.push( base + idex );
+        }
+    }
+
+    return values;
+}
+
 module.exports  = RData;
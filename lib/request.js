@@ -0,0 +1,276 @@
+/**
+ *  @file
+ *
+ *  The lifecycle of a single request made via Client.resolve().
+ *
+ *  A request is pending until it reaches exactly one terminal state, each
+ *  announced by a single event:
+ *      answered    'answer'(response)
+ *      timeout     'timeout'()
+ *      error       'error'(err, response)
+ *      cancelled   'cancelled'(reason)
+ *
+ *  followed by 'end'(state).  Any callback is invoked, and any promise
+ *  settled, exactly once to match.
+ *
+ *  @class  Mdns::Request
+ */
+var Util    = require('util'),
+    Events  = require('events'),
+    _       = require('lodash');
+
+/**
+ *  Create a new Request.
+ *  @constructor
+ *  @param  message             The DNS request message {Mdns::Message};
+ *  @param  [config]            If provided, an instance configuration object
+ *                              {Object};
+ *  @param  [config.timeout=0]  The time (in milliseconds) after which the
+ *                              request times out, 0 for no timeout {Number};
+ *  @param  [config.signal]     If provided, an AbortSignal (or any object
+ *                              with an `aborted` flag that emits 'abort')
+ *                              that cancels the request {AbortSignal};
+ *  @param  [config.callback]   If provided, the callback to invoke once the
+ *                              request ends {Function}:
+ *                                  callback(err, response);
+ *
+ *  @emits  answer(response)
+ *          timeout()
+ *          error(err, response)
+ *          cancelled(reason)
+ *          end(state)
+ */
+function Request(message, config)
+{
+    var self    = this;
+
+    Events.EventEmitter.call(self);
+
+    config = config || {};
+
+    self.message   = message;
+    self.id        = message.header.id;
+    self.timeout   = (config.timeout > 0 ? config.timeout : 0);
+    self.state     = 'pending';
+    self.response  = null;
+    self.error     = null;
+    self.bytesSent = 0;
+
+    self._callback = (_.isFunction(config.callback) ? config.callback : null);
+    self._signal   = (config.signal || null);
+    self._timer    = null;
+    self._promise  = null;
+
+    if (self.timeout > 0)
+    {
+        self._timer = setTimeout(function() {
+                        self._timer = null;
+
+                        _end.call(self, 'timeout', new Error('timeout'));
+                      }, self.timeout);
+    }
+
+    if (self._signal)
+    {
+        self._onAbort = function() {
+            self.cancel( self._signal.reason );
+        };
+
+        /* An already aborted signal cancels the request once the caller has
+         * had a chance to attach listeners.
+         */
+        if (self._signal.aborted)   { _.defer(self._onAbort); }
+        else                        { _listen(self._signal, self._onAbort,
+                                              true); }
+    }
+}
+Util.inherits(Request, Events.EventEmitter);
+
+/**
+ *  The promise of this request, created on first access so that an
+ *  unobserved failure is never reported as an unhandled rejection.
+ *  @property promise {Promise};
+ */
+Object.defineProperty(Request.prototype, 'promise', {
+    get:    function() {
+        var self    = this;
+
+        if (! self._promise)
+        {
+            self._promise = new Promise(function(resolve, reject) {
+                self._resolve = resolve;
+                self._reject  = reject;
+            });
+
+            if (self.state !== 'pending')   { _settle.call(self); }
+        }
+
+        return self._promise;
+    }
+});
+
+_.extend(Request.prototype, {
+    /**
+     *  Is this request still awaiting a response?
+     *  @method isPending
+     *
+     *  @return true | false
+     */
+    isPending: function() {
+        return (this.state === 'pending');
+    },
+
+    /**
+     *  Is the outcome of this request observed via a callback, promise or
+     *  'error' listener?
+     *  @method isObserved
+     *
+     *  @return true | false
+     */
+    isObserved: function() {
+        var self    = this;
+
+        return ((self._callback != null) || (self._promise != null) ||
+                (self.listeners('error').length > 0));
+    },
+
+    /**
+     *  Cancel this request.  Any response that arrives later is ignored.
+     *  @method cancel
+     *  @param  [reason]    The reason for cancellation;
+     *
+     *  @return this for a fluent interface;
+     */
+    cancel: function(reason) {
+        var self    = this,
+            err;
+
+        if (self.state !== 'pending')   { return self; }
+
+        err        = new Error('cancelled');
+        err.code   = 'ECANCELLED';
+        err.reason = reason;
+
+        return _end.call(self, 'cancelled', err, null, reason);
+    },
+
+    /**
+     *  End this request with a response.
+     *  @method answer
+     *  @param  response    The response {Mdns::Message};
+     *
+     *  @return this for a fluent interface;
+     */
+    answer: function(response) {
+        return _end.call(this, 'answered', null, response);
+    },
+
+    /**
+     *  End this request with an error.
+     *  @method fail
+     *  @param  err         The error {Error};
+     *  @param  [response]  The (error) response, if any {Mdns::Message};
+     *
+     *  @return this for a fluent interface;
+     */
+    fail: function(err, response) {
+        return _end.call(this, 'error', err, response);
+    }
+});
+
+module.exports = Request;
+
+/**********************************************************************
+ * Private helpers and utilities
+ *
+ */
+
+/**
+ *  Enter a terminal state, emitting the matching event, invoking any
+ *  callback and settling any promise.  Only the first call has any effect.
+ *  @method _end
+ *  @param  state       The terminal state {String}
+ *                      ( 'answered' | 'timeout' | 'error' | 'cancelled' );
+ *  @param  err         The error (null when answered) {Error};
+ *  @param  [response]  The response, if any {Mdns::Message};
+ *  @param  [reason]    For cancellation, the reason;
+ *
+ *  `this` is the controlling Request instance;
+ *
+ *  @return this for a fluent interface;
+ */
+function _end(state, err, response, reason)
+{
+    var self    = this;
+
+    if (self.state !== 'pending')   { return self; }
+
+    self.state    = state;
+    self.error    = (err || null);
+    self.response = (response || null);
+
+    if (self._timer)    { clearTimeout(self._timer); }
+    self._timer = null;
+
+    if (self._signal)   { _listen(self._signal, self._onAbort, false); }
+
+    switch (state)
+    {
+    case 'answered':    self.emit('answer', self.response);     break;
+    case 'timeout':     self.emit('timeout');                   break;
+    case 'cancelled':   self.emit('cancelled', reason);         break;
+    case 'error':
+        // Avoid an unhandled 'error' event when observed by other means
+        if (self.listeners('error').length > 0)
+        {
+            self.emit('error', self.error, self.response);
+        }
+        break;
+    }
+
+    if (self._callback) { self._callback(self.error, self.response); }
+
+    _settle.call(self);
+
+    self.emit('end', state);
+
+    return self;
+}
+
+/**
+ *  Settle the promise (if created) of an ended request.
+ *  @method _settle
+ *
+ *  `this` is the controlling Request instance;
+ */
+function _settle()
+{
+    var self    = this;
+
+    if (! self._promise)    { return; }
+
+    if (self.error) { self._reject( self.error ); }
+    else            { self._resolve( self.response ); }
+}
+
+/**
+ *  Add or remove an 'abort' listener on an AbortSignal (an EventTarget) or
+ *  EventEmitter.
+ *  @method _listen
+ *  @param  signal  The signal {AbortSignal | EventEmitter};
+ *  @param  handler The listener {Function};
+ *  @param  add     If true add, otherwise remove, the listener {Boolean};
+ */
+function _listen(signal, handler, add)
+{
+    if (_.isFunction(signal.addEventListener))
+    {
+        if (add)    { signal.addEventListener('abort', handler); }
+        else        { signal.removeEventListener('abort', handler); }
+    }
+    else if (_.isFunction(signal.on))
+    {
+        if (add)    { signal.on('abort', handler); }
+        else        { signal.removeListener('abort', handler); }
+    }
+}
@@ -0,0 +1,724 @@
+/**
+ *  @file
+ *
+ *  A promise-based resolver mirroring the `dns.promises` API of node.
+ *
+ *  Names within the mDNS domain (e.g. 'host.local') are resolved via a
+ *  one-shot multicast query (answered from the record cache when possible)
+ *  while all other names are resolved via a unicast DNS server.  Results
+ *  have the same shapes as those of `dns.promises` and failures are Errors
+ *  with the same `code`s (e.g. 'ENOTFOUND', 'ENODATA', 'ETIMEOUT').
+ *
+ *  @class  Mdns::Resolver
+ */
+var Net     = require('net'),
+    Fs      = require('fs'),
+    Dns     = require('dns'),
+    Mdns    = require('./mdns'),
+    _       = require('lodash');
+
+/**
+ *  Create a new Resolver.
+ *  @constructor
+ *  @param  [config]                    If provided, an instance configuration
+ *                                      object {Object};
+ *  @param  [config.server]             The unicast DNS server.  If neither
+ *                                      this nor `servers` is provided, the
+ *                                      servers configured for node's `dns`
+ *                                      module are used {Object};
+ *  @param  [config.server.address]     The IP address of the server {String};
+ *  @param  [config.server.port=53]     The port of the server {Number};
+ *  @param  [config.server.proto=udp4]  Which IP protocol to use {String}
+ *                                      ( 'udp4' | 'udp6' | 'tcp' );
+ *  @param  [config.servers]            An ordered list of unicast DNS servers
+ *                                      to fail over between (see
+ *                                      Mdns.Client()) {Array};
+ *  @param  [config.timeout=6000]       The query timeout, in milliseconds
+ *                                      {Number};
+ */
+function Resolver(config)
+{
+    var self    = this;
+
+    config = config || {};
+
+    self.servers = (config.servers ||
+                    (config.server ? [ config.server ] : Dns.getServers()));
+    if (self.servers.length < 1)    { self.servers = [ '127.0.0.1' ]; }
+    self.timeout = (config.timeout || Resolver.TIMEOUT);
+
+    self._unicast = null;   // Unicast DNS Client (created on demand)
+    self._mdns    = null;   // mDNS Client          (created on demand)
+}
+
+/** The default query timeout, in milliseconds. */
+Resolver.TIMEOUT = 6000;
+
+/** Error codes (as used by node's `dns` module). */
+Resolver.NODATA     = 'ENODATA';
+Resolver.FORMERR    = 'EFORMERR';
+Resolver.SERVFAIL   = 'ESERVFAIL';
+Resolver.NOTFOUND   = 'ENOTFOUND';
+Resolver.NOTIMP     = 'ENOTIMP';
+Resolver.REFUSED    = 'EREFUSED';
+Resolver.BADRESP    = 'EBADRESP';
+Resolver.TIMEOUT_ERR= 'ETIMEOUT';
+
+_.extend(Resolver.prototype, {
+    /**
+     *  Resolve a hostname to records of the given type.
+     *  @method resolve
+     *  @param  hostname        The name to resolve {String};
+     *  @param  [rrtype='A']    The record type {String}
+     *                          ( 'A' | 'AAAA' | 'CNAME' | 'MX' | 'NS' | 'PTR'
+     *                            | 'SOA' | 'SRV' | 'TXT' );
+     *
+     *  @return A promise for the records, shaped as by the corresponding
+     *          resolve*() method {Promise};
+     */
+    resolve: function(hostname, rrtype) {
+        var self    = this;
+
+        switch ((rrtype || 'A').toUpperCase())
+        {
+        case 'A':       return self.resolve4(hostname);
+        case 'AAAA':    return self.resolve6(hostname);
+        case 'CNAME':   return self.resolveCname(hostname);
+        case 'MX':      return self.resolveMx(hostname);
+        case 'NS':      return self.resolveNs(hostname);
+        case 'PTR':     return self.resolvePtr(hostname);
+        case 'SOA':     return self.resolveSoa(hostname);
+        case 'SRV':     return self.resolveSrv(hostname);
+        case 'TXT':     return self.resolveTxt(hostname);
+        }
+
+        return Promise.reject( _error('query', 'EINVAL', hostname,
+                                      "invalid rrtype '"+ rrtype +"'") );
+    },
+
+    /**
+     *  Resolve IPv4 addresses.
+     *  @method resolve4
+     *  @param  hostname            The name to resolve {String};
+     *  @param  [options]           If provided, an options object {Object};
+     *  @param  [options.ttl=false] If true, resolve to {address:, ttl:}
+     *                              objects {Boolean};
+     *
+     *  @return A promise for an array of addresses {Promise};
+     */
+    resolve4: function(hostname, options) {
+        return _addresses.call(this, hostname, 'A', 'a', options);
+    },
+
+    /**
+     *  Resolve IPv6 addresses.
+     *  @method resolve6
+     *  @param  hostname            The name to resolve {String};
+     *  @param  [options]           If provided, an options object {Object};
+     *  @param  [options.ttl=false] If true, resolve to {address:, ttl:}
+     *                              objects {Boolean};
+     *
+     *  @return A promise for an array of addresses {Promise};
+     */
+    resolve6: function(hostname, options) {
+        return _addresses.call(this, hostname, 'AAAA', 'aaaa', options);
+    },
+
+    /**
+     *  Resolve canonical name records.
+     *  @method resolveCname
+     *  @param  hostname    The name to resolve {String};
+     *
+     *  @return A promise for an array of names {Promise};
+     */
+    resolveCname: function(hostname) {
+        return _query.call(this, hostname, 'CNAME').then(function(records) {
+            return records.map(function(rr) {
+                return _name(rr.rdata.cname);
+            });
+        });
+    },
+
+    /**
+     *  Resolve mail exchange records.
+     *  @method resolveMx
+     *  @param  hostname    The name to resolve {String};
+     *
+     *  @return A promise for an array of {priority:, exchange:} {Promise};
+     */
+    resolveMx: function(hostname) {
+        return _query.call(this, hostname, 'MX').then(function(records) {
+            return records.map(function(rr) {
+                return {
+                    priority:   rr.rdata.preference,
+                    exchange:   _name(rr.rdata.exchange)
+                };
+            });
+        });
+    },
+
+    /**
+     *  Resolve name server records.
+     *  @method resolveNs
+     *  @param  hostname    The name to resolve {String};
+     *
+     *  @return A promise for an array of names {Promise};
+     */
+    resolveNs: function(hostname) {
+        return _query.call(this, hostname, 'NS').then(function(records) {
+            return records.map(function(rr) {
+                return _name(rr.rdata.ns);
+            });
+        });
+    },
+
+    /**
+     *  Resolve pointer records.
+     *  @method resolvePtr
+     *  @param  hostname    The name to resolve {String};
+     *
+     *  @return A promise for an array of names {Promise};
+     */
+    resolvePtr: function(hostname) {
+        return _query.call(this, hostname, 'PTR').then(function(records) {
+            return records.map(function(rr) {
+                return _name(rr.rdata.ptr);
+            });
+        });
+    },
+
+    /**
+     *  Resolve the start of authority record.
+     *  @method resolveSoa
+     *  @param  hostname    The name to resolve {String};
+     *
+     *  @return A promise for {nsname:, hostmaster:, serial:, refresh:,
+     *          retry:, expire:, minttl:} {Promise};
+     */
+    resolveSoa: function(hostname) {
+        return _query.call(this, hostname, 'SOA').then(function(records) {
+            var rdata   = records[0].rdata;
+
+            return {
+                nsname:     _name(rdata.mname),
+                hostmaster: _name(rdata.rname),
+                serial:     rdata.serial,
+                refresh:    rdata.refresh,
+                retry:      rdata.retry,
+                expire:     rdata.expire,
+                minttl:     rdata.minimum
+            };
+        });
+    },
+
+    /**
+     *  Resolve service records.
+     *  @method resolveSrv
+     *  @param  hostname    The name to resolve {String};
+     *
+     *  @return A promise for an array of {priority:, weight:, port:, name:}
+     *          {Promise};
+     */
+    resolveSrv: function(hostname) {
+        return _query.call(this, hostname, 'SRV').then(function(records) {
+            return records.map(function(rr) {
+                return {
+                    priority:   rr.rdata.priority,
+                    weight:     rr.rdata.weight,
+                    port:       rr.rdata.port,
+                    name:       _name(rr.rdata.target)
+                };
+            });
+        });
+    },
+
+    /**
+     *  Resolve text records.
+     *  @method resolveTxt
+     *  @param  hostname    The name to resolve {String};
+     *
+     *  @return A promise for an array of arrays of strings (the
+     *          character-strings of each record) {Promise};
+     */
+    resolveTxt: function(hostname) {
+        return _query.call(this, hostname, 'TXT').then(function(records) {
+            return records.map(function(rr) {
+                return (rr.rdata.txt || []).map(String);
+            });
+        });
+    },
+
+    /**
+     *  Perform a reverse lookup of an IPv4 or IPv6 address.
+     *  @method reverse
+     *  @param  ip  The address {String};
+     *
+     *  @return A promise for an array of hostnames {Promise};
+     */
+    reverse: function(ip) {
+        var self    = this,
+            name    = _arpa(ip);
+
+        if (! name)
+        {
+            return Promise.reject( _error('getHostByAddr', 'EINVAL', ip,
+                                          "invalid IP address '"+ ip +"'") );
+        }
+
+        return self.resolvePtr(name).catch(function(err) {
+            err.syscall  = 'getHostByAddr';
+            err.hostname = ip;
+            err.message  = err.syscall +' '+ err.code +' '+ ip;
+
+            throw err;
+        });
+    },
+
+    /**
+     *  Resolve an address and port to a hostname and service name.
+     *  @method lookupService
+     *  @param  address The IP address {String};
+     *  @param  port    The port {Number};
+     *
+     *  @return A promise for {hostname:, service:} {Promise};
+     */
+    lookupService: function(address, port) {
+        return this.reverse(address).then(function(hostnames) {
+            return {
+                hostname:   hostnames[0],
+                service:    _service(port)
+            };
+        }, function(err) {
+            err.syscall = 'getnameinfo';
+            err.message = err.syscall +' '+ err.code +' '+ address;
+
+            throw err;
+        });
+    },
+
+    /**
+     *  Close any clients created by this resolver.
+     *  @method close
+     */
+    close: function() {
+        var self    = this;
+
+        if (self._unicast)  { self._unicast.close(); }
+        if (self._mdns)     { self._mdns.close(); }
+
+        self._unicast = null;
+        self._mdns    = null;
+    }
+});
+
+module.exports = Resolver;
+
+/**********************************************************************
+ * Private helpers and utilities
+ *
+ */
+
+var _services   = null;     // port -> service name (from /etc/services)
+
+/**
+ *  Resolve address records.
+ *  @method _addresses
+ *  @param  hostname    The name to resolve {String};
+ *  @param  type        The record type ( 'A' | 'AAAA' ) {String};
+ *  @param  key         The rdata key of the address {String};
+ *  @param  [options]   If provided, an options object {Object};
+ *
+ *  `this` is the controlling Resolver instance;
+ *
+ *  @return A promise for an array of addresses {Promise};
+ */
+function _addresses(hostname, type, key, options)
+{
+    var withTtl = ((options != null) && (options.ttl === true));
+
+    return _query.call(this, hostname, type).then(function(records) {
+        return records.map(function(rr) {
+            return (withTtl
+                        ? { address: rr.rdata[key], ttl: rr.ttl }
+                        : rr.rdata[key]);
+        });
+    });
+}
+
+/**
+ *  Query for records of a given type, via mDNS for names within the mDNS
+ *  domain and unicast DNS otherwise.
+ *  @method _query
+ *  @param  hostname    The name to resolve {String};
+ *  @param  type        The record type {String};
+ *
+ *  `this` is the controlling Resolver instance;
+ *
+ *  @return A promise for the matching records {Promise};
+ */
+function _query(hostname, type)
+{
+    var self    = this,
+        qname   = _fqdn(hostname),
+        syscall = 'query'+ type.charAt(0) + type.slice(1).toLowerCase();
+
+    if (! _.isString(hostname) || (hostname.length < 1))
+    {
+        return Promise.reject( _error(syscall, 'EINVAL', hostname,
+                                      "invalid hostname") );
+    }
+
+    return (_isLocal(qname)
+                ? _queryMdns.call(self, qname, type)
+                : _queryUnicast.call(self, qname, type))
+        .catch(function(err) {
+            if (err.code === undefined) { err.code = Resolver.BADRESP; }
+
+            err.syscall  = syscall;
+            err.hostname = hostname;
+            err.message  = syscall +' '+ err.code +' '+ hostname;
+
+            throw err;
+        });
+}
+
+/**
+ *  Query a unicast DNS server.
+ *  @method _queryUnicast
+ *  @param  qname   The fully-qualified name {String};
+ *  @param  type    The record type {String};
+ *
+ *  `this` is the controlling Resolver instance;
+ *
+ *  @return A promise for the matching records {Promise};
+ */
+function _queryUnicast(qname, type)
+{
+    var self    = this,
+        client  = _client.call(self, false);
+
+    return new Promise(function(resolve, reject) {
+        client.resolve({qname: qname, qtype: type}, self.timeout,
+                       function(err, response) {
+            var records;
+
+            if (err)
+            {
+                return reject( _error(null,
+                                      (response
+                                        ? _rcodeError(response.header.rcode)
+                                        : (err.message === 'timeout'
+                                            ? Resolver.TIMEOUT_ERR
+                                            : (err.code ||
+                                               Resolver.BADRESP)))) );
+            }
+
+            records = _matching(response.answer, type);
+            if (records.length < 1)
+            {
+                return reject( _error(null, Resolver.NODATA) );
+            }
+
+            resolve( records );
+        });
+    });
+}
+
+/**
+ *  Perform a one-shot mDNS query, answered from the cache when possible.
+ *  @method _queryMdns
+ *  @param  qname   The fully-qualified name {String};
+ *  @param  type    The record type {String};
+ *
+ *  `this` is the controlling Resolver instance;
+ *
+ *  @return A promise for the matching records {Promise};
+ */
+function _queryMdns(qname, type)
+{
+    var self    = this,
+        client  = _client.call(self, true),
+        cached  = client.cache.lookup(qname, type);
+
+    if (cached.length > 0)  { return Promise.resolve( cached ); }
+
+    return new Promise(function(resolve, reject) {
+        var request = client.resolve({qname: qname, qtype: type},
+                                     self.timeout);
+
+        // Matching records may also arrive as additional records
+        client.on('response', __onResponse);
+
+        request.once('error', reject);
+        request.once('end', function() {
+            client.removeListener('response', __onResponse);
+
+            if (request.response)   { __onResponse(request.response); }
+
+            // (no effect if already resolved)
+            reject( _error(null, Resolver.NOTFOUND) );
+        });
+
+        /*****************************************************************
+         * Context-bound helpers
+         *
+         */
+        function __onResponse(response) {
+            var records = _matching(response.answer.concat(
+                                            response.additional ),
+                                    type, qname);
+
+            if ((response.header.qr !== 1) || (records.length < 1)) { return; }
+
+            resolve( records );
+
+            request.cancel();
+        }
+    });
+}
+
+/**
+ *  Retrieve (creating if needed) our unicast or mDNS client.
+ *  @method _client
+ *  @param  isMdns  If true, retrieve the mDNS client {Boolean};
+ *
+ *  `this` is the controlling Resolver instance;
+ *
+ *  @return The client {Mdns::Client};
+ */
+function _client(isMdns)
+{
+    var self    = this;
+
+    if (isMdns)
+    {
+        if (! self._mdns)
+        {
+            self._mdns = Mdns.Client();
+
+            // Errors are reported via each request
+            self._mdns.on('error', function() {});
+        }
+
+        return self._mdns;
+    }
+
+    if (! self._unicast)
+    {
+        self._unicast = Mdns.Client({ servers: self.servers });
+
+        // Errors are reported via each request
+        self._unicast.on('error', function() {});
+    }
+
+    return self._unicast;
+}
+
+/**
+ *  Select the records of a given type (and, optionally, name).
+ *  @method _matching
+ *  @param  records     The records {Array};
+ *  @param  type        The record type {String};
+ *  @param  [qname]     If provided, the record name {String};
+ *
+ *  @return The matching records {Array};
+ */
+function _matching(records, type, qname)
+{
+    var rtype   = Mdns.consts.str2type(type);
+
+    return records.filter(function(rr) {
+        return ((rr.type === rtype) &&
+                ((! qname) || (_fqdn(rr.name) === qname)));
+    });
+}
+
+/**
+ *  Determine whether a name is within the mDNS domain (or is an mDNS
+ *  link-local reverse-mapping name, RFC 6762 section 4).
+ *  @method _isLocal
+ *  @param  qname   The fully-qualified name {String};
+ *
+ *  @return true | false
+ */
+function _isLocal(qname)
+{
+    return /(^|\.)local\.$/.test(qname)                ||
+           /\.254\.169\.in-addr\.arpa\.$/.test(qname)   ||
+           /\.[89ab]\.e\.f\.ip6\.arpa\.$/.test(qname);
+}
+
+/**
+ *  Generate the reverse-mapping name of an IP address.
+ *  @method _arpa
+ *  @param  ip  The address {String};
+ *
+ *  @return The name (null if `ip` is not an IP address) {String};
+ */
+function _arpa(ip)
+{
+    var nibbles = [];
+
+    switch (Net.isIP(ip))
+    {
+    case 4:
+        return ip.split('.').reverse().join('.') +'.in-addr.arpa.';
+
+    case 6:
+        _expand6(ip).forEach(function(group) {
+            group.split('').forEach(function(nibble) {
+                nibbles.unshift( nibble );
+            });
+        });
+
+        return nibbles.join('.') +'.ip6.arpa.';
+    }
+
+    return null;
+}
+
+/**
+ *  Expand an IPv6 address into eight, 4-digit, lower-case hex groups.
+ *  @method _expand6
+ *  @param  ip  The address {String};
+ *
+ *  @return The groups {Array};
+ */
+function _expand6(ip)
+{
+    var halves  = ip.toLowerCase().split('::'),
+        head    = (halves[0] ? halves[0].split(':') : []),
+        tail    = (halves[1] ? halves[1].split(':') : []),
+        groups;
+
+    // An embedded IPv4 address occupies the final two groups
+    [ head, tail ].forEach(function(part) {
+        var last    = part[ part.length - 1 ],
+            octets;
+
+        if ((! last) || (last.indexOf('.') < 0))    { return; }
+
+        octets = last.split('.').map(Number);
+        part.splice(part.length - 1, 1,
+                    ((octets[0] << 8) | octets[1]).toString(16),
+                    ((octets[2] << 8) | octets[3]).toString(16));
+    });
+
+    groups = head;
+    if (halves.length > 1)
+    {
+        // '::' stands for as many zero groups as are missing
+        groups = head.concat( _.times(8 - head.length - tail.length,
+                                      function() { return '0'; }),
+                              tail );
+    }
+
+    return groups.map(function(group) {
+        return ('0000'+ group).slice(-4);
+    });
+}
+
+/**
+ *  Map a response code to an error code.
+ *  @method _rcodeError
+ *  @param  rcode   The response code {Number};
+ *
+ *  @return The error code {String};
+ */
+function _rcodeError(rcode)
+{
+    var RCODE   = Mdns.consts.RCODE_STR;
+
+    switch (rcode)
+    {
+    case RCODE.FORMERR:     return Resolver.FORMERR;
+    case RCODE.SERVFAIL:    return Resolver.SERVFAIL;
+    case RCODE.NOTFOUND:    return Resolver.NOTFOUND;
+    case RCODE.NOTIMP:      return Resolver.NOTIMP;
+    case RCODE.REFUSED:     return Resolver.REFUSED;
+    }
+
+    return Resolver.BADRESP;
+}
+
+/**
+ *  Generate an Error in the style of node's `dns` module.
+ *  @method _error
+ *  @param  syscall     The operation (e.g. 'queryA') {String};
+ *  @param  code        The error code (e.g. 'ENOTFOUND') {String};
+ *  @param  [hostname]  The name being resolved {String};
+ *  @param  [message]   A message, if other than the default {String};
+ *
+ *  @return The error {Error};
+ */
+function _error(syscall, code, hostname, message)
+{
+    var err = new Error(message || [syscall, code, hostname].filter(Boolean)
+                                                            .join(' '));
+
+    err.code     = code;
+    err.syscall  = syscall;
+    err.hostname = hostname;
+
+    return err;
+}
+
+/**
+ *  Retrieve the name of the (TCP) service on a port, from /etc/services.
+ *  @method _service
+ *  @param  port    The port {Number};
+ *
+ *  @return The service name, or the port as a string if unknown {String};
+ */
+function _service(port)
+{
+    if (_services === null)
+    {
+        _services = {};
+
+        try {
+            Fs.readFileSync('/etc/services', 'utf8').split('\n')
+                .forEach(function(line) {
+                    var match   = line.match(/^([^#\s]+)\s+(\d+)\/tcp/);
+
+                    if (match && (! _services[ match[2] ]))
+                    {
+                        _services[ match[2] ] = match[1];
+                    }
+                });
+        } catch(e) {}
+    }
+
+    return (_services[ port ] || String(port));
+}
+
+/**
+ *  Generate a fully-qualified, lower-case name.
+ *  @method _fqdn
+ *  @param  name    The name {String};
+ *
+ *  @return The name, with a trailing '.' {String};
+ */
+function _fqdn(name)
+{
+    name = String(name || '').toLowerCase();
+
+    return (name.slice(-1) === '.' ? name : name +'.');
+}
+
+/**
+ *  Remove the trailing '.' of a name (as node's `dns` module presents
+ *  names).
+ *  @method _name
+ *  @param  name    The name {String};
+ *
+ *  @return The name {String};
+ */
+function _name(name)
+{
+    name = String(name || '');
+
+    return ((name.length > 1) && (name.slice(-1) === '.')
+                ? name.slice(0, -1)
+                : name);
+}
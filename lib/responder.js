@@ -0,0 +1,806 @@
+/**
+ *  @file
+ *
+ *  A shared mDNS responder.
+ *
+ *  A single Responder owns one multicast socket (via an mDNS Client) and one
+ *  set of host address records, to which any number of service
+ *  registrations (Advertise instances) may be added and removed at runtime.
+ *  Once a registration has completed probing and announcing, the Responder
+ *  answers queries for its records, as well as service discovery queries
+ *  (_services._dns-sd._udp) with every registered service type.
+ *
+ *  Answers are multicast unless the query requested a unicast response (the
+ *  "QU" bit, RFC 6762 section 5.4) or came from a port other than 5353 (a
+ *  "legacy" unicast query, section 6.7), in which case they are sent
+ *  directly to the querier.
+ *
+ *  @class  Mdns::Responder
+ */
+var Util    = require('util'),
+    Events  = require('events'),
+    Os      = require('os'),
+    Mdns    = require('./mdns'),
+    _       = require('lodash');
+
+/**
+ *  Create a new Responder.
+ *  @constructor
+ *  @param  [config]                    If provided, an instance configuration
+ *                                      object {Object};
+ *  @param  [config.host=hostname]      The hostname to publish address
+ *                                      records for {String};
+ *  @param  [config.pollInterval=5000]  The interval (in milliseconds) at which
+ *                                      network interfaces are checked for
+ *                                      address changes, 0 to disable
+ *                                      {Number};
+ *  @param  [config.client]             If provided, an existing mDNS Client
+ *                                      to share {Mdns::Client};
+ *  @param  [config.handleSignals=false]
+ *                                      If true, stop (sending goodbyes for
+ *                                      all registrations) upon receipt of
+ *                                      any of Responder.SIGNALS {Boolean};
+ *
+ *  @emits  ready()
+ *          listening(address)
+ *          message(message, rinfo, raw-data)   any incoming message;
+ *          query(message, rinfo, raw-data)     a query we will answer;
+ *          response(message, rinfo, raw-data)  (rinfo is null for goodbyes)
+ *          interfaces(addresses)   the interface addresses have changed;
+ *          rename(host)            a conflict required a new hostname;
+ *          error(err)
+ */
+function Responder(config)
+{
+    var self        = this,
+        hostParts   = Os.hostname().split('.'),
+        hostname    = hostParts.shift(),
+        domain      = (hostParts.length > 0
+                        ? hostParts.join('.')
+                        : 'local');
+
+    Events.EventEmitter.call(self);
+
+    config = config || {};
+
+    self.host         = (config.host || hostname +'.'+ domain);
+    if (self.host.slice(-1) !== '.')    { self.host += '.'; }
+
+    self.pollInterval = (config.pollInterval != null
+                            ? config.pollInterval
+                            : Responder.POLL_INTERVAL);
+
+    self.handleSignals = (config.handleSignals === true);
+
+    self.addresses    = _interfaces();
+    self.services     = [];
+    self.isReady      = false;
+
+    self._ownClient   = (! config.client);
+    self.client       = (config.client || Mdns.Client());
+
+    self._bindings    = {
+        ready:      _.bind(_onReady, self),
+        listening:  function(ainfo) { self.emit('listening', ainfo); },
+        response:   _.bind(_processMessage, self),
+        error:      function(e) { self.emit('error', e); }
+    };
+
+    _.each(self._bindings, function(cb, name) {
+        self.client.on(name, cb);
+    });
+
+    // A shared client may already be ready
+    if (self.client.isReady)    { _.defer( self._bindings.ready ); }
+}
+Util.inherits(Responder, Events.EventEmitter);
+
+/** The default interval (in milliseconds) at which network interfaces are
+ *  checked for address changes.
+ */
+Responder.POLL_INTERVAL = 5000;
+
+/** The signals upon which a Responder with `handleSignals` stops, sending
+ *  goodbyes for all registrations.  (SIGKILL can't really be caught)
+ */
+Responder.SIGNALS = [ 'SIGHUP', 'SIGINT', 'SIGQUIT', 'SIGTERM' ];
+
+/** The number of times a goodbye is sent and the interval (in milliseconds)
+ *  between them, guarding against the loss of a single packet
+ *  (RFC 6762 section 10.1).
+ */
+Responder.GOODBYE_COUNT    = 3;
+Responder.GOODBYE_INTERVAL = 250;
+
+/** The maximum TTL (in seconds) of records in a legacy unicast response
+ *  (RFC 6762 section 6.7).
+ */
+Responder.LEGACY_TTL = 10;
+
+_.extend(Responder.prototype, {
+    /**
+     *  Register and begin advertising a new service.
+     *  @method add
+     *  @param  serviceType     The service type to advertise {String};
+     *  @param  [config]        If provided, an Advertise configuration object
+     *                          {Object} (see Mdns::Advertise);
+     *
+     *  @return The new, started registration {Mdns::Advertise};
+     */
+    add: function(serviceType, config) {
+        var self        = this,
+            advertise   = Mdns.Advertise(serviceType,
+                                         _.extend({}, config,
+                                                  {responder: self}));
+
+        advertise.begin();
+
+        return advertise;
+    },
+
+    /**
+     *  Remove a registration, sending goodbyes for its records.
+     *  @method remove
+     *  @param  advertise   The registration to remove {Mdns::Advertise};
+     *  @param  [callback]  If provided, the callback to invoke once all
+     *                      goodbyes have been sent {Function}:
+     *                          callback(err);
+     *
+     *  @return this for a fluent interface;
+     */
+    remove: function(advertise, callback) {
+        var self    = this,
+            others  = self.services.filter(function(service) {
+                        return (service !== advertise);
+                      }),
+            records = _goodbyeRecords(advertise, others);
+
+        advertise.end();
+
+        _goodbye.call(self, records, callback);
+
+        return self;
+    },
+
+    /**
+     *  Stop the responder, sending goodbyes for the records of all
+     *  registrations before closing.
+     *  @method stop
+     *  @param  [callback]  If provided, the callback to invoke once all
+     *                      goodbyes have been sent and the responder is closed
+     *                      {Function}: callback(err);
+     *
+     *  @return this for a fluent interface, or, with no callback, a Promise
+     *          {Promise};
+     */
+    stop: function(callback) {
+        var self    = this,
+            records;
+
+        if (! _.isFunction(callback))
+        {
+            return new Promise(function(resolve, reject) {
+                self.stop(function(err) {
+                    if (err)    { reject(err); }
+                    else        { resolve(); }
+                });
+            });
+        }
+
+        if (self.isClosed || self.isStopping)
+        {
+            _.defer(callback);
+            return self;
+        }
+
+        // No longer answer queries for records we are about to withdraw
+        self.isStopping = true;
+
+        records = _records(self.services, true);
+
+        // Stop any announcements still in progress
+        self.services.slice(0).forEach(function(service) {
+            service.end();
+        });
+
+        _goodbye.call(self, records, function(err) {
+            self.close();
+
+            callback(err);
+        });
+
+        return self;
+    },
+
+    /**
+     *  Generate the address records for our host.
+     *  @method hostRecords
+     *  @param  [ttl=120]   The TTL of the records {Number};
+     *
+     *  @return An array of A/AAAA records {Array};
+     */
+    hostRecords: function(ttl) {
+        var self    = this;
+
+        if (ttl == null)    { ttl = 120; }
+
+        return self.addresses.map(function(addr) {
+            var isV4    = (addr.family === 'IPv4' || addr.family === 4);
+
+            return Mdns.RR({
+                name:   self.host,
+                type:   (isV4 ? 'A' : 'AAAA'),
+                class:  'IN',
+                ttl:    ttl,
+                rdata:  (isV4 ? { 'a': addr.address }
+                              : { 'aaaa': addr.address })
+            });
+        });
+    },
+
+    /**
+     *  Choose a new hostname following a conflict (RFC 6762 section 9):
+     *  'host.local.' => 'host-2.local.' => 'host-3.local.' ...
+     *  @method renameHost
+     *
+     *  @return The new hostname {String};
+     */
+    renameHost: function() {
+        var self    = this,
+            labels  = self.host.split('.'),
+            hostNum = labels[0].match(/^(.*)-(\d+)$/);
+
+        labels[0] = (hostNum
+                        ? hostNum[1] +'-'+ (parseInt(hostNum[2], 10) + 1)
+                        : labels[0] +'-2');
+
+        self.host = labels.join('.');
+
+        self.emit('rename', self.host);
+
+        return self.host;
+    },
+
+    /**
+     *  Send the given mDNS message over our socket.
+     *  @method send
+     *  @param  msg             The mDNS message to send {Mdns::Message};
+     *  @param  [callback]      If provided, the callback to invoke upon
+     *                          completion of the send {Function}:
+     *                              callback(err, data);
+     *
+     *  @return The final pack instance, possibly with an error;
+     */
+    send: function(msg, callback) {
+        return this.client.send(msg, callback);
+    },
+
+    /**
+     *  Send the given mDNS message directly to a specific address/port.
+     *  @method sendTo
+     *  @param  msg             The mDNS message to send {Mdns::Message};
+     *  @param  rinfo           The target {address:, port:} {Object};
+     *  @param  [callback]      If provided, the callback to invoke upon
+     *                          completion of the send {Function}:
+     *                              callback(err, data);
+     *
+     *  @return The final pack instance, possibly with an error;
+     */
+    sendTo: function(msg, rinfo, callback) {
+        return this.client.sendTo(msg, rinfo, callback);
+    },
+
+    /**
+     *  Close the responder, ending all registrations and releasing the
+     *  client if we created it.
+     *  @method close
+     */
+    close: function() {
+        var self    = this;
+
+        if (self.isClosed)  { return; }
+        self.isClosed = true;
+
+        self.services.slice(0).forEach(function(service) {
+            service.end();
+        });
+
+        if (self._pollTimer)    { clearInterval(self._pollTimer); }
+        delete self._pollTimer;
+
+        if (self._signals)
+        {
+            Responder.SIGNALS.forEach(function(signal) {
+                process.removeListener(signal, self._signals);
+            });
+            delete self._signals;
+        }
+
+        _.each(self._bindings, function(cb, name) {
+            self.client.removeListener(name, cb);
+        });
+
+        if (self._ownClient)    { self.client.close(); }
+    },
+
+    /**
+     *  Add a registration.  This is invoked by the Advertise constructor.
+     *  @method register
+     *  @param  advertise   The registration {Mdns::Advertise};
+     *
+     *  @return this for a fluent interface;
+     */
+    register: function(advertise) {
+        var self    = this;
+
+        if (self.services.indexOf(advertise) < 0)
+        {
+            self.services.push( advertise );
+        }
+
+        return self;
+    },
+
+    /**
+     *  Remove a registration (without sending goodbyes).  This is invoked by
+     *  Advertise.end().
+     *  @method unregister
+     *  @param  advertise   The registration {Mdns::Advertise};
+     *
+     *  @return this for a fluent interface;
+     */
+    unregister: function(advertise) {
+        var self    = this,
+            idex    = self.services.indexOf(advertise);
+
+        if (idex >= 0)  { self.services.splice(idex, 1); }
+
+        return self;
+    }
+});
+
+module.exports = Responder;
+
+/**********************************************************************
+ * Private helpers and utilities
+ *
+ */
+
+/**
+ *  Handle the readiness of our client, beginning interface polling and (if
+ *  requested) installing signal handlers that stop the responder.
+ *  @method _onReady
+ *
+ *  `this` is the controlling Responder instance;
+ */
+function _onReady()
+{
+    var self    = this;
+
+    if (self.isReady)   { return; }
+    self.isReady = true;
+
+    if (self.pollInterval > 0)
+    {
+        self._pollTimer = setInterval(_.bind(_pollInterfaces, self),
+                                      self.pollInterval);
+    }
+
+    if (self.handleSignals)
+    {
+        // Send goodbyes for all registrations before allowing termination
+        self._signals = __signal;
+
+        Responder.SIGNALS.forEach(function(signal) {
+            process.on(signal, __signal);
+        });
+    }
+
+    self.emit('ready');
+
+    /*************************************************************************
+     * A context-bound signal handler
+     *
+     */
+    function __signal(signal)
+    {
+        self.stop(function() {
+            /* Our handlers have been removed.  If no one else is handling
+             * this signal, re-raise it for the default behavior.
+             */
+            if (process.listeners(signal).length < 1)
+            {
+                process.kill(process.pid, signal);
+            }
+        });
+    }
+}
+
+/**
+ *  Send a goodbye (i.e. ttl == 0) for the given records, repeated
+ *  Responder.GOODBYE_COUNT times.
+ *  @method _goodbye
+ *  @param  records     The records {Array};
+ *  @param  [callback]  If provided, the callback to invoke once the final
+ *                      goodbye has been sent {Function}: callback(err);
+ *
+ *  `this` is the controlling Responder instance;
+ */
+function _goodbye(records, callback)
+{
+    var self        = this,
+        msg         = Mdns.Message({
+                        header: {id:0, qr:1, aa:1}
+                      }),
+        sendCount   = 0;
+
+    if (! _.isFunction(callback))   { callback = function(){}; }
+
+    if ((records.length < 1) || self.isClosed)
+    {
+        _.defer(callback);
+        return;
+    }
+
+    records.forEach(function(rr) {
+        rr.ttl        = 0;
+        rr.cacheFlush = false;
+
+        msg.answer.push( rr );
+    });
+
+    __send();
+
+    /*************************************************************************
+     * A context-bound function to send the interval goodbyes.
+     *
+     */
+    function __send()
+    {
+        var pack;
+
+        if (self.isClosed)  { return callback(); }
+
+        pack = self.send(msg, function(err) {
+            if (err || (sendCount >= Responder.GOODBYE_COUNT))
+            {
+                return callback(err);
+            }
+
+            setTimeout(__send, Responder.GOODBYE_INTERVAL);
+        });
+
+        // Indicate 'goodbye' by passing (rinfo = null)
+        if (sendCount++ < 1)
+        {
+            self.emit('response', msg, null,
+                      (pack ? pack.buf.slice(pack.begin, pack.offset) : null));
+        }
+    }
+}
+
+/**
+ *  Check for a change in interface addresses.  Goodbyes are sent for any
+ *  address records that are no longer valid before each registration is
+ *  notified (via 'interfaces') so it can announce the new set.
+ *  @method _pollInterfaces
+ *
+ *  `this` is the controlling Responder instance;
+ */
+function _pollInterfaces()
+{
+    var self    = this,
+        addrs   = _interfaces(),
+        prev, stale;
+
+    if (_.isEqual(_addressList(addrs), _addressList(self.addresses)))
+    {
+        return;
+    }
+
+    prev           = self.hostRecords();
+    self.addresses = addrs;
+
+    stale = _subtract(prev, self.hostRecords());
+    if (stale.length > 0)   { _goodbye.call(self, stale); }
+
+    self.emit('interfaces', self.addresses);
+}
+
+/**
+ *  Process an incoming mDNS message, answering any query for records of a
+ *  registration that is in the 'responding' state.
+ *  @method _processMessage
+ *  @param  query   The parsed message {Mdns::Message};
+ *  @param  rinfo   The remote address/port information {Object};
+ *  @param  data    The raw message {Buffer};
+ *
+ *  `this` is the controlling Responder instance;
+ */
+function _processMessage(query, rinfo, data)
+{
+    var self        = this,
+        responding  = self.services.filter(function(service) {
+                        return (service.state === 'responding');
+                      }),
+        records     = _records(responding),
+        answers     = [];
+
+    // Our records are being withdrawn
+    if (self.isStopping)    { return; }
+
+    // Allow registrations to watch for conflicts
+    self.emit('message', query, rinfo, data);
+
+    // Ignore anything but requests
+    if ((query.header.qr !== 0) || (responding.length < 1)) { return; }
+
+    self.emit('query', query, rinfo, data);
+
+    // Is this a request for something we've advertised?
+    query.question.forEach(function(question) {
+        var qname   = _key(question.qname);
+
+        // Handle service discovery (_services.dns-sd._udp.%domain%).
+        if ((question.qtype === Mdns.consts.TYPE_STR.ANY)  ||
+            (question.qtype === Mdns.consts.TYPE_STR.PTR))
+        {
+            responding.forEach(function(service) {
+                if (_key(service.serviceDiscovery) !== qname)   { return; }
+
+                /* This is a service discovery query.
+                 *
+                 * Respond with a pointer for this service type.
+                 */
+                __answer( Mdns.RR({
+                    name:   service.serviceDiscovery,
+                    type:   'PTR',
+                    class:  'IN',
+                    ttl:    4500,
+                    rdata:  {
+                        ptr:    service.fullType
+                    }
+                }) );
+            });
+        }
+
+        records.forEach(function(auth) {
+            if ( ((question.qtype  === Mdns.consts.TYPE_STR.ANY)  ||
+                  (auth.type       === question.qtype))             &&
+                 ((question.qclass === Mdns.consts.CLASS_STR.ANY) ||
+                  (auth.class      === question.qclass))            &&
+                 (_key(auth.name)  === qname)                       &&
+                 (! _isKnown(auth, query.answer)) )
+            {
+                // Trigger a response by including an answer
+                __answer( auth );
+            }
+        });
+    });
+
+    // If we have any answers to this query, send them now
+    if (answers.length > 0)
+    {
+        var legacy  = (rinfo && (rinfo.port !== Mdns.consts.MDNS.PORT)),
+            unicast = (legacy || query.question.some(function(question) {
+                        return (question.unicastResponse === true);
+                      })),
+            msg, pack;
+
+        if (legacy)
+        {
+            /* A legacy unicast response (RFC 6762 section 6.7) repeats the
+             * question, caps each TTL at 10 seconds and does NOT use the
+             * cache-flush bit.
+             */
+            msg = Mdns.Message({
+                header:     {id:query.header.id, qr:1, aa:1},
+                question:   query.question.map(function(question) {
+                                return Mdns.Question({
+                                    qname:  question.qname,
+                                    qtype:  question.qtype,
+                                    qclass: question.qclass
+                                });
+                            }),
+                answer:     answers.map(_legacyAnswer)
+            });
+        }
+        else
+        {
+            msg = Mdns.Message({
+                header: {id:query.header.id, qr:1, aa:1},
+                answer: answers
+            });
+        }
+
+        pack = (unicast && rinfo
+                    ? self.sendTo( msg, rinfo )
+                    : self.send( msg ));
+
+        self.emit('response', msg, rinfo,
+                  (pack ? pack.buf.slice(pack.begin, pack.offset) : null));
+    }
+
+    /*********************************************************
+     * Context-bound helpers
+     *
+     */
+    function __answer(rr) {
+        if (_indexOf(answers, rr) >= 0) { return; }
+
+        answers.push( rr );
+    }
+}
+
+/**
+ *  Generate the answer to a legacy unicast query from one of our records.
+ *  The record itself is left untouched.
+ *  @method _legacyAnswer
+ *  @param  rr      The record {Mdns::RR};
+ *
+ *  @return A new record {Mdns::RR};
+ */
+function _legacyAnswer(rr)
+{
+    var rdata   = {};
+
+    Object.keys(rr.rdata).forEach(function(key) {
+        rdata[key] = rr.rdata[key];
+    });
+
+    return Mdns.RR({
+        name:   rr.name,
+        type:   rr.type,
+        class:  rr.class,
+        ttl:    Math.min(rr.ttl, Responder.LEGACY_TTL),
+        rdata:  rdata
+    });
+}
+
+/**
+ *  Collect the (unique) records of the given registrations.
+ *  @method _records
+ *  @param  services        The registrations {Array};
+ *  @param  [announced]     If true, collect every record that has been
+ *                          announced, including those of registrations that
+ *                          are still announcing (i.e. the records requiring
+ *                          goodbyes) {Boolean};
+ *
+ *  @return The records {Array};
+ */
+function _records(services, announced)
+{
+    var records = [];
+
+    services.forEach(function(service) {
+        var published   = (announced === true
+                            ? service.announced()
+                            : service.records());
+
+        published.forEach(function(rr) {
+            if (_indexOf(records, rr) < 0)  { records.push( rr ); }
+        });
+    });
+
+    return records;
+}
+
+/**
+ *  Determine which records of a registration being removed are no longer
+ *  published by any remaining registration.
+ *  @method _goodbyeRecords
+ *  @param  advertise   The registration being removed {Mdns::Advertise};
+ *  @param  others      The remaining registrations {Array};
+ *
+ *  @return The records {Array};
+ */
+function _goodbyeRecords(advertise, others)
+{
+    return _subtract(_records([ advertise ], true), _records(others, true));
+}
+
+/**
+ *  Generate the set of records in `set` that are not also in `remove`.
+ *  @method _subtract
+ *  @param  set     The records {Array};
+ *  @param  remove  The records to remove {Array};
+ *
+ *  @return The remaining records {Array};
+ */
+function _subtract(set, remove)
+{
+    return set.filter(function(rr) {
+        return (_indexOf(remove, rr) < 0);
+    });
+}
+
+/**
+ *  Locate a record, by name and data, within a set of records.
+ *  @method _indexOf
+ *  @param  records     The records {Array};
+ *  @param  rr          The record {Mdns::RR};
+ *
+ *  @return The index of the match (-1 if none) {Number};
+ */
+function _indexOf(records, rr)
+{
+    for (var idex = 0, len = records.length; idex < len; idex++)
+    {
+        if ((_key(records[idex].name) === _key(rr.name)) &&
+            (records[idex].compare(rr) === 0))
+        {
+            return idex;
+        }
+    }
+
+    return -1;
+}
+
+/**
+ *  Is the given record included, with at least half of its TTL remaining,
+ *  in the Known-Answer list of a query (RFC 6762 section 7.1)?
+ *  @method _isKnown
+ *  @param  rr      Our record {Mdns::RR};
+ *  @param  known   The Known-Answer records of the query {Array};
+ *
+ *  @return true | false
+ */
+function _isKnown(rr, known)
+{
+    return known.some(function(answer) {
+        return ((_key(answer.name) === _key(rr.name)) &&
+                (answer.ttl        >= (rr.ttl / 2))   &&
+                (answer.compare(rr) === 0));
+    });
+}
+
+/**
+ *  Retrieve the addresses of all non-internal network interfaces.
+ *  @method _interfaces
+ *
+ *  @return An array of Os.networkInterfaces() address objects {Array};
+ */
+function _interfaces()
+{
+    var nics    = Os.networkInterfaces(),
+        addrs   = [];
+
+    for (var name in nics)
+    {
+        var nic = nics[name];
+
+        // Skip the internal nic
+        if (nic[0].internal)   { continue; }
+
+        addrs = addrs.concat( nic );
+    }
+
+    return addrs;
+}
+
+/**
+ *  Generate a sorted list of the addresses of the given interface address
+ *  objects.
+ *  @method _addressList
+ *  @param  addrs   The interface address objects {Array};
+ *
+ *  @return The sorted addresses {Array};
+ */
+function _addressList(addrs)
+{
+    return addrs.map(function(addr) { return addr.address; }).sort();
+}
+
+/**
+ *  Generate a case-insensitive lookup key for a domain-name.
+ *  @method _key
+ *  @param  name    The domain-name {String};
+ *
+ *  @return The key {String};
+ */
+function _key(name)
+{
+    name = (name || '').toLowerCase();
+
+    return (name.slice(-1) === '.' ? name : name +'.');
+}
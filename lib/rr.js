@@ -49,9 +49,12 @@
  *                  cached before it should be discarded.  Zero values are
  *                  interpreted to mean that the RR can only be used for the
  *                  transaction in progress, and should not be cached.
- *                      :NOTE: Per RFC 2671, for EDNS0 OPT TYPE (41), the TTL
+ *                      :NOTE: Per RFC 6891, for EDNS0 OPT TYPE (41), the TTL
  *                             encodes 8-bits of Extended-Rcode, an 8-bit
- *                             version, followed by 16-bits of 0.
+ *                             version, the DO bit and 15-bits of 0 while the
+ *                             CLASS holds the requestor's UDP payload size
+ *                             (see udpPayloadSize, extendedRcode, version and
+ *                             dnssecOk).
  *  
  *  RDLENGTH        an unsigned 16 bit integer that specifies the length in
  *                  octets of the RDATA field.
@@ -80,6 +83,12 @@ var Util    = require('util'),
  *                      For initialization:
  *                          name, type, class, ttl,
  *                          rdata (RData instance or configuration data)
+ *
+ *                          For an OPT record (RFC 6891), name defaults to the
+ *                          root and any of the following may be used in place
+ *                          of class and ttl:
+ *                              udpPayloadSize, extendedRcode, version,
+ *                              dnssecOk
  */
 function RR(msg, config)
 {
@@ -132,7 +141,10 @@ function RR(msg, config)
                     val = Consts.str2class(val);
                 }
 
-                if (val & 0x8000)
+                /* The class of an OPT record is the requestor's UDP payload
+                 * size, which has no cache-flush bit.
+                 */
+                if ((val & 0x8000) && (self._data.type !== Consts.TYPE_STR.OPT))
                 {
                     /* mDNS -- this record is a member of a unique RRSet, and
                      *         the entire RRSet has been sent together
@@ -193,6 +205,16 @@ function RR(msg, config)
     self.ttl      = (config.ttl   || 0);
     self.rdata    = (config.rdata || {});
 
+    if (self.type === Consts.TYPE_STR.OPT)
+    {
+        if (self.name === null) { self.name = '.'; }
+
+        ['udpPayloadSize', 'extendedRcode', 'version', 'dnssecOk']
+            .forEach(function(key) {
+                if (config[key] != null)    { self[key] = config[key]; }
+            });
+    }
+
 
     if (self.rdata)
     {
@@ -212,6 +234,41 @@ function RR(msg, config)
     if (config.unpack)  { self.unpack( config.unpack ); }
 }
 
+/** @brief  EDNS(0) (RFC 6891) views of the class and TTL of an OPT record:
+ *              udpPayloadSize  the requestor's UDP payload size (class);
+ *              extendedRcode   the upper 8 bits of the 12-bit rcode (the
+ *                              lower 4 are in the message header);
+ *              version         the EDNS version;
+ *              dnssecOk        the DO bit {Boolean};
+ */
+Object.defineProperties(RR.prototype, {
+    'udpPayloadSize':   {
+        get:    function()      { return this.class; },
+        set:    function(val)   { this.class = (val & 0xffff); }
+    },
+    'extendedRcode':    {
+        get:    function()      { return ((this.ttl >>> 24) & 0xff); },
+        set:    function(val)   {
+            this.ttl = (((val & 0xff) << 24) | (this.ttl & 0x00ffffff)) >>> 0;
+        }
+    },
+    'version':          {
+        get:    function()      { return ((this.ttl >>> 16) & 0xff); },
+        set:    function(val)   {
+            this.ttl = (((val & 0xff) << 16) | (this.ttl & 0xff00ffff)) >>> 0;
+        }
+    },
+    'dnssecOk':         {
+        get:    function()      {
+            return ((this.ttl & Consts.EDNS.DO) !== 0);
+        },
+        set:    function(val)   {
+            this.ttl = (val ? (this.ttl | Consts.EDNS.DO)
+                            : (this.ttl & ~Consts.EDNS.DO)) >>> 0;
+        }
+    }
+});
+
 /** @brief  Generate a string representation of this DNS Resource Record.
  *  @param  prefix      Any prefix string [ '' ];
  *  @param  lineLen     Number of characters per line [ 79 ];
@@ -226,12 +283,26 @@ RR.prototype.toString  = function(prefix, lineLen) {
         str         = '',
         rdPrefix    = prefix.replace(/[0-9:]/g, ' ');
 
-    str += Util.format("%s: type:%d (%s), class:%d (%s)%s, ttl:%d\n",
-                       self.name,
-                       self.type,  Consts.type2str(self.type),
-                       self.class, Consts.class2str(self.class),
-                       (self.cacheFlush ? ' - cache-flush' : ''),
-                       self.ttl);
+    if (self.type === Consts.TYPE_STR.OPT)
+    {
+        str += Util.format("%s: type:%d (%s), udpPayloadSize:%d, "
+                            + "extendedRcode:%d, version:%d%s\n",
+                           self.name,
+                           self.type,  Consts.type2str(self.type),
+                           self.udpPayloadSize,
+                           self.extendedRcode,
+                           self.version,
+                           (self.dnssecOk ? ', do' : ''));
+    }
+    else
+    {
+        str += Util.format("%s: type:%d (%s), class:%d (%s)%s, ttl:%d\n",
+                           self.name,
+                           self.type,  Consts.type2str(self.type),
+                           self.class, Consts.class2str(self.class),
+                           (self.cacheFlush ? ' - cache-flush' : ''),
+                           self.ttl);
+    }
     str += rdPrefix + "  rdata: "
         +  self.rdata.toString(rdPrefix +"       : ", lineLen);
 
@@ -292,6 +363,31 @@ RR.prototype.unpack   = function(unpack) {
     return true;
 };
 
+/** @brief  Lexicographically compare this RR with another (RFC 6762
+ *          section 8.2): first by class (excluding the cache-flush bit),
+ *          then by type and finally by the raw, uncompressed rdata.
+ *  @param  other   The RR instance to compare with;
+ *
+ *  @return < 0 if this RR is earlier, > 0 if later, 0 if identical.
+ */
+RR.prototype.compare = function(other) {
+    var self    = this,
+        a, b;
+
+    if (self.class !== other.class) { return self.class - other.class; }
+    if (self.type  !== other.type)  { return self.type  - other.type;  }
+
+    a = self.rdata.toBuffer()  || new Buffer(0);
+    b = other.rdata.toBuffer() || new Buffer(0);
+
+    for (var idex = 0, len = Math.min(a.length, b.length); idex < len; idex++)
+    {
+        if (a[idex] !== b[idex])    { return a[idex] - b[idex]; }
+    }
+
+    return a.length - b.length;
+};
+
 /****************************************************************************
  * Packing (for outgoing DNS messages)
  *
@@ -316,7 +412,7 @@ RR.prototype.pack  = function(pack) {
          (pack.uint32(     self.ttl )    === null) ||
          (self.rdata.pack( pack )        === false) )
     {
-        self.error = pack.error;
+        self.error = (pack.error || self.rdata.error);
         return false;
     }
 
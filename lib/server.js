@@ -0,0 +1,654 @@
+/**
+ *  @file
+ *
+ *  An authoritative, unicast DNS server listening on both UDP and TCP
+ *  (RFC 1035 section 4.2, RFC 7766).
+ *
+ *  Each query is parsed and handed, along with a prepared response, to a
+ *  handler.  The default handler answers from the in-memory zones of the
+ *  server (see Mdns::Zone).  The response is then packed, with name
+ *  compression, into:
+ *      UDP     the lesser of the requestor's UDP payload size (512 without
+ *              EDNS) and our own.  A response that does not fit is sent with
+ *              the TC bit set and only the question (and any OPT record),
+ *              prompting the requestor to retry over TCP (RFC 2181
+ *              section 9, RFC 6891 section 7);
+ *      TCP     a single message of up to 65535 bytes;
+ *
+ *  With `transfer` enabled, AXFR (RFC 5936) requests, and IXFR (RFC 1995)
+ *  requests as a full transfer, are served over TCP from the zones.
+ *
+ *  @class  Mdns::Server
+ */
+var Util    = require('util'),
+    Events  = require('events'),
+    Dgram   = require('dgram'),
+    Net     = require('net'),
+    _       = require('lodash'),
+    Pack    = require('./pack'),
+    Tcp     = require('./tcp'),
+    Zone    = require('./zone'),
+    Mdns    = require('./mdns');
+
+/**
+ *  Create a new server.
+ *  @constructor
+ *  @param  config                      If provided, an instance configuration
+ *                                      object {Object};
+ *  @param  [config.address='0.0.0.0']  The address to listen on {String};
+ *  @param  [config.port=53]            The port to listen on, 0 for any
+ *                                      available port (the same port is used
+ *                                      for UDP and TCP) {Number};
+ *  @param  [config.proto='udp4']       Which IP protocol to use {String}
+ *                                      ( 'udp4' | 'udp6' );
+ *  @param  [config.udp=true]           Listen on UDP {Boolean};
+ *  @param  [config.tcp=true]           Listen on TCP {Boolean};
+ *  @param  [config.zones]              The zones to serve, Zone instances or
+ *                                      configuration data for new instances
+ *                                      (see Mdns.Zone()) {Array};
+ *  @param  [config.handler]            If provided, the handler of each
+ *                                      query, in place of answering from
+ *                                      `zones` {Function}:
+ *                                          handler(query, response, rinfo,
+ *                                                  callback(err));
+ *                                      `response` is prepared with the id,
+ *                                      opcode, RD/CD bits, question and (for
+ *                                      an EDNS query) OPT record of the
+ *                                      query.  `rinfo.protocol` is 'udp' or
+ *                                      'tcp'.  An `err` results in SERVFAIL;
+ *  @param  [config.udpPayloadSize=1232]
+ *                                      The largest UDP response to send to an
+ *                                      EDNS requestor {Number};
+ *  @param  [config.transfer=false]     Serve zone transfers {Boolean};
+ *
+ *  @emits  listening()
+ *          query(query, rinfo)         each query received;
+ *          response(response, rinfo)   each response, just before it is sent;
+ *          error(err)
+ *          close()
+ */
+function Server(config)
+{
+    var self    = this;
+
+    Events.EventEmitter.call(self);
+
+    config = config || {};
+
+    self.address        = (config.address || '0.0.0.0');
+    self.port           = (config.port != null ? config.port
+                                               : Mdns.consts.DNS.PORT);
+    self.proto          = (config.proto || 'udp4');
+    self.udp            = (config.udp !== false);
+    self.tcp            = (config.tcp !== false);
+    self.handler        = (_.isFunction(config.handler)
+                                ? config.handler
+                                : _.bind(__answer, self));
+    self.udpPayloadSize = (config.udpPayloadSize || Mdns.consts.EDNS.PAYLOAD);
+    self.transfer       = (config.transfer === true);
+    self.zones          = [];
+
+    self._socket        = null;     // The UDP socket
+    self._server        = null;     // The TCP server
+    self._connections   = [];       // Accepted TCP connections {Mdns::Tcp}
+
+    (config.zones || []).forEach(function(zone) { self.addZone(zone); });
+
+    /*********************************************************
+     * Context-bound helpers
+     *
+     */
+    function __answer(query, response, rinfo, callback) {
+        self.answer(query, response);
+
+        callback(null);
+    }
+}
+Util.inherits(Server, Events.EventEmitter);
+
+_.extend(Server.prototype, {
+    /**
+     *  Add a zone to be served.
+     *  @method addZone
+     *  @param  zone    A Zone instance or configuration data for a new
+     *                  instance {Mdns::Zone | Object};
+     *
+     *  @return The zone {Mdns::Zone};
+     */
+    addZone: function(zone) {
+        if (! (zone instanceof Zone))   { zone = new Zone(zone); }
+
+        this.zones.push( zone );
+
+        return zone;
+    },
+
+    /**
+     *  Locate the zone holding a name (the zone with the longest origin
+     *  containing it).
+     *  @method zoneFor
+     *  @param  name    The name {String};
+     *
+     *  @return The zone (null if none) {Mdns::Zone};
+     */
+    zoneFor: function(name) {
+        var found   = null;
+
+        this.zones.forEach(function(zone) {
+            if (zone.contains(name) &&
+                ((! found) || (zone.origin.length > found.origin.length)))
+            {
+                found = zone;
+            }
+        });
+
+        return found;
+    },
+
+    /**
+     *  Answer a query from the zones of this server.  A custom handler may use
+     *  this to answer any query it does not handle itself.
+     *  @method answer
+     *  @param  query       The query {Mdns::Message};
+     *  @param  response    The prepared response to fill {Mdns::Message};
+     *
+     *  @return The response {Mdns::Message};
+     */
+    answer: function(query, response) {
+        var question    = query.question[0],
+            zone        = this.zoneFor( question.qname ),
+            result;
+
+        if (! zone)
+        {
+            response.header.rcode = Mdns.consts.RCODE_STR.REFUSED;
+            return response;
+        }
+
+        result = zone.lookup(question.qname, question.qtype, question.qclass);
+
+        response.header.aa    = (result.authoritative ? 1 : 0);
+        response.header.rcode = result.rcode;
+
+        response.answer     = response.answer.concat( result.answer );
+        response.authority  = response.authority.concat( result.authority );
+
+        // Ahead of any OPT record
+        response.additional = result.additional.concat( response.additional );
+
+        return response;
+    },
+
+    /**
+     *  Begin listening.
+     *  @method listen
+     *  @param  [callback]  The callback to invoke once listening (or on
+     *                      error) {Function}:
+     *                          callback(err);
+     *
+     *  @return this for a fluent interface;
+     */
+    listen: function(callback) {
+        var self    = this;
+
+        if (! _.isFunction(callback))   { callback = function(){}; }
+
+        _listenUdp.call(self, function(err) {
+            if (err)    { return __done(err); }
+
+            _listenTcp.call(self, __done);
+        });
+
+        return self;
+
+        /*****************************************************
+         * Context-bound helpers
+         *
+         */
+        function __done(err) {
+            if (err)
+            {
+                self.close();
+                return callback(err);
+            }
+
+            self.emit('listening');
+
+            callback(null);
+        }
+    },
+
+    /**
+     *  Stop listening, closing all connections.
+     *  @method close
+     *  @param  [callback]  The callback to invoke once closed {Function};
+     *
+     *  @return this for a fluent interface;
+     */
+    close: function(callback) {
+        var self    = this,
+            socket  = self._socket,
+            server  = self._server;
+
+        self._socket = null;
+        self._server = null;
+
+        if (socket) { socket.close(); }
+        if (server) { server.close(); }
+
+        self._connections.forEach(function(tcp) { tcp.close(); });
+        self._connections = [];
+
+        if (socket || server)   { self.emit('close'); }
+
+        if (_.isFunction(callback)) { _.defer(callback); }
+
+        return self;
+    }
+});
+
+module.exports = Server;
+
+/**********************************************************************
+ * Private helpers and utilities
+ *
+ */
+
+/**
+ *  Bind the UDP socket (if enabled), resolving a port of 0 to the port
+ *  assigned.
+ *  @method _listenUdp
+ *  @param  callback    The completion callback {Function}:
+ *                          callback(err);
+ *
+ *  `this` is the controlling Server instance;
+ */
+function _listenUdp(callback)
+{
+    var self    = this,
+        socket;
+
+    if (! self.udp) { return callback(null); }
+
+    self._socket = socket = Dgram.createSocket( self.proto );
+
+    socket.once('error', callback);
+    socket.on('message', function(data, rinfo) {
+        _onQuery.call(self, data, _.extend({ protocol: 'udp' }, rinfo),
+                      function(response) {
+                        socket.send(response, 0, response.length,
+                                    rinfo.port, rinfo.address);
+                      });
+    });
+
+    socket.bind( self.port, self.address, function() {
+        socket.removeListener('error', callback);
+        socket.on('error', function(e) { self.emit('error', e); });
+
+        self.port = socket.address().port;
+
+        callback(null);
+    });
+}
+
+/**
+ *  Begin listening for TCP connections (if enabled).
+ *  @method _listenTcp
+ *  @param  callback    The completion callback {Function}:
+ *                          callback(err);
+ *
+ *  `this` is the controlling Server instance;
+ */
+function _listenTcp(callback)
+{
+    var self    = this,
+        server;
+
+    if (! self.tcp) { return callback(null); }
+
+    self._server = server = Net.createServer(function(socket) {
+        _onConnection.call(self, socket);
+    });
+
+    server.once('error', callback);
+
+    server.listen( self.port, self.address, function() {
+        server.removeListener('error', callback);
+        server.on('error', function(e) { self.emit('error', e); });
+
+        self.port = server.address().port;
+
+        callback(null);
+    });
+}
+
+/**
+ *  Accept a new TCP connection, over which any number of queries may be
+ *  pipelined (RFC 7766 section 6.2.1).
+ *  @method _onConnection
+ *  @param  socket  The accepted socket {Net.Socket};
+ *
+ *  `this` is the controlling Server instance;
+ */
+function _onConnection(socket)
+{
+    var self    = this,
+        tcp     = new Tcp({ socket: socket }),
+        rinfo   = _.extend({ protocol: 'tcp' }, tcp.rinfo);
+
+    self._connections.push( tcp );
+
+    tcp.on('message', function(data) {
+        _onQuery.call(self, data, rinfo, function(response) {
+            tcp.send( response );
+        }, tcp);
+    });
+
+    // A reset by the requestor is of no concern to the server
+    tcp.on('error', function() {});
+    tcp.on('close', function() {
+        var idex    = self._connections.indexOf(tcp);
+
+        if (idex >= 0)  { self._connections.splice(idex, 1); }
+    });
+}
+
+/**
+ *  Process a single query.
+ *  @method _onQuery
+ *  @param  data    The raw query {Buffer};
+ *  @param  rinfo   The requestor {Object};
+ *  @param  send    The function sending a raw response {Function}:
+ *                      send(data);
+ *  @param  [tcp]   The TCP connection of the query {Mdns::Tcp};
+ *
+ *  `this` is the controlling Server instance;
+ */
+function _onQuery(data, rinfo, send, tcp)
+{
+    var self        = this,
+        RCODE       = Mdns.consts.RCODE_STR,
+        query       = Mdns.Message(data),
+        response, opt, qtype, called;
+
+    if ((! query.header) || (query.header.qr !== 0))
+    {
+        // Not a query
+        return;
+    }
+
+    response = Mdns.Message({
+                header: { id:       query.header.id,
+                          qr:       1,
+                          opcode:   query.header.opcode,
+                          rd:       query.header.rd,
+                          cd:       query.header.cd }
+               });
+
+    if (query.error)
+    {
+        // Too malformed to answer (RFC 1035 section 4.1.1)
+        response.header.rcode = RCODE.FORMERR;
+        return _send.call(self, query, response, rinfo, send, tcp);
+    }
+
+    self.emit('query', query, rinfo);
+
+    query.question.forEach(function(question) {
+        response.addQuestion(question.qname, question.qtype, question.qclass);
+    });
+
+    if ((opt = query.opt()))
+    {
+        response.setEdns({ udpPayloadSize: self.udpPayloadSize });
+
+        if (opt.version > Mdns.consts.EDNS.VERSION)
+        {
+            /* BADVERS, the extended rcode 16 (RFC 6891 section 6.1.3),
+             * with the lower 4 bits (0) in the header.
+             */
+            response.opt().extendedRcode = 1;
+            return _send.call(self, query, response, rinfo, send, tcp);
+        }
+    }
+
+    if (query.header.opcode !== Mdns.consts.OPCODE_STR.QUERY)
+    {
+        response.header.rcode = RCODE.NOTIMP;
+        return _send.call(self, query, response, rinfo, send, tcp);
+    }
+
+    if (query.question.length !== 1)
+    {
+        response.header.rcode = RCODE.FORMERR;
+        return _send.call(self, query, response, rinfo, send, tcp);
+    }
+
+    qtype = query.question[0].qtype;
+    if ((qtype === Mdns.consts.TYPE_STR.AXFR) ||
+        (qtype === Mdns.consts.TYPE_STR.IXFR))
+    {
+        if ((! tcp) || (! self.transfer))
+        {
+            response.header.rcode = RCODE.REFUSED;
+            return _send.call(self, query, response, rinfo, send, tcp);
+        }
+
+        return _transfer.call(self, query, response, rinfo, send);
+    }
+
+    self.handler(query, response, rinfo, function(err) {
+        if (called) { return; }
+        called = true;
+
+        if (err)    { _servfail(response); }
+
+        _send.call(self, query, response, rinfo, send, tcp);
+    });
+}
+
+/**
+ *  Pack and send a response, truncating a UDP response that exceeds the
+ *  payload size of the requestor.  A response that cannot be packed (e.g. a
+ *  record with invalid rdata) is replaced by SERVFAIL.
+ *  @method _send
+ *  @param  query       The query {Mdns::Message};
+ *  @param  response    The response {Mdns::Message};
+ *  @param  rinfo       The requestor {Object};
+ *  @param  send        The function sending a raw response {Function};
+ *  @param  [tcp]       The TCP connection of the query {Mdns::Tcp};
+ *
+ *  `this` is the controlling Server instance;
+ */
+function _send(query, response, rinfo, send, tcp)
+{
+    var self    = this,
+        size    = (tcp
+                    ? Tcp.MAX_MESSAGE
+                    : (query.opt()
+                        ? Math.min(query.udpPayloadSize(),
+                                   Math.max(self.udpPayloadSize,
+                                            Mdns.consts.EDNS.MIN_PAYLOAD))
+                        : Mdns.consts.EDNS.MIN_PAYLOAD)),
+        pack    = new Pack.Pack( new Buffer( size ) ),
+        truncated, end;
+
+    if (! response.pack( pack ))
+    {
+        truncated = (response.error instanceof Pack.TruncError);
+
+        if (truncated)
+        {
+            // Retain only the question and any OPT record
+            response.answer     = [];
+            response.authority  = [];
+            response.additional = _.compact([ response.opt() ]);
+        }
+        else
+        {
+            _error.call(self, response.error);
+            _servfail(response);
+        }
+
+        pack = new Pack.Pack( new Buffer( size ) );
+        if (! response.pack( pack ))
+        {
+            _error.call(self, response.error);
+            return;
+        }
+
+        if (truncated)
+        {
+            // Packing clears TC, so re-write the header
+            end         = pack.offset;
+            pack.offset = pack.begin;
+
+            response.truncate().header.pack( pack );
+
+            pack.offset = end;
+        }
+    }
+
+    self.emit('response', response, rinfo);
+
+    send( pack.buf.slice(pack.begin, pack.offset) );
+}
+
+/**
+ *  Serve a zone transfer, as a sequence of messages holding the SOA, every
+ *  other record and the SOA again (RFC 5936 section 2.2).  An IXFR is served
+ *  as a full transfer unless the requestor already holds the current serial,
+ *  in which case only the SOA is sent (RFC 1995 section 4).
+ *  @method _transfer
+ *  @param  query       The query {Mdns::Message};
+ *  @param  response    The prepared response {Mdns::Message};
+ *  @param  rinfo       The requestor {Object};
+ *  @param  send        The function sending a raw response {Function};
+ *
+ *  `this` is the controlling Server instance;
+ */
+function _transfer(query, response, rinfo, send)
+{
+    var self        = this,
+        question    = query.question[0],
+        zone        = self.zoneFor( question.qname ),
+        soa         = (zone && zone.soa()),
+        current     = _.find(query.authority, function(rr) {
+                        return (rr.type === Mdns.consts.TYPE_STR.SOA);
+                      }),
+        records, pack, count, end;
+
+    if ((! soa) || (zone.origin !== _fqdn(question.qname)))
+    {
+        response.header.rcode = Mdns.consts.RCODE_STR.NOTAUTH;
+        return _send.call(self, query, response, rinfo, send, true);
+    }
+
+    response.header.aa = 1;
+
+    if ((question.qtype === Mdns.consts.TYPE_STR.IXFR) && current &&
+        (current.rdata.serial === soa.rdata.serial))
+    {
+        response.answer = [ soa ];
+        return _send.call(self, query, response, rinfo, send, true);
+    }
+
+    records = [ soa ].concat( _.without(zone.records, soa), [ soa ] );
+
+    /* Fill each message with as many records as will fit, relying upon the
+     * truncation of Message.pack() to stop at the last full record.
+     */
+    while (records.length > 0)
+    {
+        response.answer = records;
+        pack            = new Pack.Pack( new Buffer( Tcp.MAX_MESSAGE ) );
+
+        if ((! response.pack( pack )) &&
+            (! (response.error instanceof Pack.TruncError)))
+        {
+            _error.call(self, response.error);
+            _servfail(response);
+
+            return _send.call(self, query, response, rinfo, send, true);
+        }
+
+        count = response.header.anCount;
+        if (count < 1)
+        {
+            _error.call(self, new Error("record too large for a single "
+                                        + "message"));
+            _servfail(response);
+
+            return _send.call(self, query, response, rinfo, send, true);
+        }
+
+        if (response.isTruncated())
+        {
+            // A transfer is never truncated, the records simply continue
+            end                = pack.offset;
+            response.header.tc = 0;
+            pack.offset        = pack.begin;
+
+            response.header.pack( pack );
+
+            pack.offset = end;
+        }
+
+        self.emit('response', response, rinfo);
+
+        send( pack.buf.slice(pack.begin, pack.offset) );
+
+        records = records.slice( count );
+
+        // Only the first message need include the question (RFC 5936 2.2.1)
+        response.question   = [];
+        response.additional = [];
+    }
+}
+
+/**
+ *  Empty a response, other than the question and any OPT record, as SERVFAIL.
+ *  @method _servfail
+ *  @param  response    The response {Mdns::Message};
+ */
+function _servfail(response)
+{
+    response.header.aa    = 0;
+    response.header.rcode = Mdns.consts.RCODE_STR.SERVFAIL;
+    response.answer       = [];
+    response.authority    = [];
+    response.additional   = _.compact([ response.opt() ]);
+}
+
+/**
+ *  Report an error in answering a query.  The requestor has already been
+ *  answered (with SERVFAIL) so, unless it is being observed, the error is of
+ *  no further concern and is not thrown.
+ *  @method _error
+ *  @param  err     The error {Error};
+ *
+ *  `this` is the controlling Server instance;
+ */
+function _error(err)
+{
+    var self    = this;
+
+    if (self.listeners('error').length > 0)
+    {
+        self.emit('error', err);
+    }
+}
+
+/**
+ *  Generate a fully-qualified, lower-case name.
+ *  @method _fqdn
+ *  @param  name    The name {String};
+ *
+ *  @return The name, with a trailing '.' {String};
+ */
+function _fqdn(name)
+{
+    name = String(name || '').toLowerCase();
+
+    return (name.slice(-1) === '.' ? name : name +'.');
+}
@@ -0,0 +1,265 @@
+/**
+ *  @file
+ *
+ *  A DNS-over-TCP transport (RFC 1035 section 4.2.2, RFC 7766).
+ *
+ *  Each message sent over TCP is prefixed with a two byte length field.  The
+ *  incoming stream is reassembled into complete messages regardless of how it
+ *  is split into (or combined within) 'data' events, so multiple queries may
+ *  be pipelined over a single connection.
+ *
+ *  The connection is established on demand, closed after a period of
+ *  inactivity, and re-established by the next send.
+ *
+ *  @class  Mdns::Tcp
+ */
+var Util    = require('util'),
+    Events  = require('events'),
+    Net     = require('net'),
+    _       = require('lodash');
+
+/**
+ *  Create a new TCP transport.
+ *  @constructor
+ *  @param  config                      The configuration object {Object};
+ *  @param  config.address              The IP address of the server {String};
+ *  @param  [config.port=53]            The port of the server {Number};
+ *  @param  [config.idleTimeout=10000]  The period of inactivity (in
+ *                                      milliseconds) after which the
+ *                                      connection is closed, 0 to never close
+ *                                      {Number};
+ *  @param  [config.socket]             If provided, an existing, connected
+ *                                      socket to use (e.g. an accepted server
+ *                                      connection) {Net.Socket};
+ *
+ *  @emits  connect()
+ *          message(data, rinfo)    a complete, unframed message;
+ *          timeout(pending)        the connection was idle with `pending`
+ *                                  messages unanswered;
+ *          error(err)
+ *          close()
+ */
+function Tcp(config)
+{
+    var self    = this;
+
+    Events.EventEmitter.call(self);
+
+    config = config || {};
+
+    self.address     = config.address;
+    self.port        = (config.port || 53);
+    self.idleTimeout = (config.idleTimeout != null
+                            ? config.idleTimeout
+                            : Tcp.IDLE_TIMEOUT);
+
+    self.socket      = null;
+    self.isConnected = false;
+    self.pending     = 0;       // Messages sent, awaiting a response
+
+    self._queue      = [];      // Framed messages awaiting a connection
+    self._buffer     = null;    // Partial incoming data
+
+    if (config.socket)  { _attach.call(self, config.socket, true); }
+}
+Util.inherits(Tcp, Events.EventEmitter);
+
+/** The default period of inactivity (in milliseconds) after which the
+ *  connection is closed.
+ */
+Tcp.IDLE_TIMEOUT = 10000;
+
+/** The maximum size of a single DNS message over TCP. */
+Tcp.MAX_MESSAGE  = 65535;
+
+_.extend(Tcp.prototype, {
+    /**
+     *  Send a single DNS message, connecting if needed.
+     *  @method send
+     *  @param  data        The raw DNS message {Buffer};
+     *  @param  [callback]  If provided, the callback to invoke once the
+     *                      message has been written {Function}:
+     *                          callback(err, bytes);
+     *
+     *  @return this for a fluent interface;
+     */
+    send: function(data, callback) {
+        var self    = this,
+            framed;
+
+        if (! _.isFunction(callback))   { callback = function(){}; }
+
+        if (data.length > Tcp.MAX_MESSAGE)
+        {
+            _.defer(callback, new Error("message too large for TCP ("
+                                        + data.length +" bytes)"));
+            return self;
+        }
+
+        framed = new Buffer( data.length + 2 );
+        framed.writeUInt16BE(data.length, 0);
+        data.copy(framed, 2);
+
+        self.pending++;
+
+        if (self.isConnected)
+        {
+            _write.call(self, framed, callback);
+        }
+        else
+        {
+            self._queue.push({ data: framed, callback: callback });
+
+            if (! self.socket)
+            {
+                _attach.call(self, Net.connect(self.port, self.address),
+                             false);
+            }
+        }
+
+        return self;
+    },
+
+    /**
+     *  Close the connection.  Any queued message is discarded.
+     *  @method close
+     *
+     *  @return this for a fluent interface;
+     */
+    close: function() {
+        var self    = this;
+
+        if (self.socket)    { self.socket.destroy(); }
+
+        return self;
+    }
+});
+
+module.exports = Tcp;
+
+/**********************************************************************
+ * Private helpers and utilities
+ *
+ */
+
+/**
+ *  Attach to a socket.
+ *  @method _attach
+ *  @param  socket      The socket {Net.Socket};
+ *  @param  connected   If true, the socket is already connected {Boolean};
+ *
+ *  `this` is the controlling Tcp instance;
+ */
+function _attach(socket, connected)
+{
+    var self    = this,
+        failure = null;     // The error (if any) that closed the socket
+
+    self.socket  = socket;
+    self._buffer = null;
+
+    if (self.idleTimeout > 0)   { socket.setTimeout(self.idleTimeout); }
+
+    socket.on('connect', __onConnect);
+    socket.on('data',    _.bind(_onData, self));
+    socket.on('timeout', function() {
+        var pending = self.pending;
+
+        if (pending > 0)    { self.emit('timeout', pending); }
+
+        socket.destroy();
+    });
+    socket.on('error',   function(e) {
+        failure = e;
+
+        self.emit('error', e);
+    });
+    socket.on('close',   function() {
+        var queue   = self._queue;
+
+        if (self.socket !== socket) { return; }
+
+        self.socket      = null;
+        self.isConnected = false;
+        self.pending     = 0;
+        self._queue      = [];
+        self._buffer     = null;
+
+        // Fail anything that was never written
+        queue.forEach(function(item) {
+            item.callback( failure || new Error("connection closed") );
+        });
+
+        self.emit('close');
+    });
+
+    if (connected)  { __onConnect(); }
+
+    /*********************************************************
+     * Context-bound helpers
+     *
+     */
+    function __onConnect() {
+        var queue   = self._queue;
+
+        self.isConnected = true;
+        self.rinfo       = { address:   socket.remoteAddress,
+                             port:      socket.remotePort };
+        self._queue      = [];
+
+        self.emit('connect');
+
+        queue.forEach(function(item) {
+            _write.call(self, item.data, item.callback);
+        });
+    }
+}
+
+/**
+ *  Write framed data to our connected socket.
+ *  @method _write
+ *  @param  framed      The length-prefixed message {Buffer};
+ *  @param  callback    The completion callback {Function};
+ *
+ *  `this` is the controlling Tcp instance;
+ */
+function _write(framed, callback)
+{
+    this.socket.write(framed, function(err) {
+        callback(err, (err ? 0 : framed.length - 2));
+    });
+}
+
+/**
+ *  Reassemble incoming data into complete messages, emitting 'message' for
+ *  each.
+ *  @method _onData
+ *  @param  data    The incoming data {Buffer};
+ *
+ *  `this` is the controlling Tcp instance;
+ */
+function _onData(data)
+{
+    var self    = this,
+        buf     = (self._buffer
+                    ? Buffer.concat([ self._buffer, data ])
+                    : data),
+        offset  = 0,
+        len;
+
+    while ((buf.length - offset) >= 2)
+    {
+        len = buf.readUInt16BE(offset);
+        if ((buf.length - offset - 2) < len)    { break; }
+
+        offset += 2;
+
+        if (self.pending > 0)   { self.pending--; }
+
+        self.emit('message', buf.slice(offset, offset + len), self.rinfo);
+
+        offset += len;
+    }
+
+    self._buffer = (offset < buf.length ? buf.slice(offset) : null);
+}
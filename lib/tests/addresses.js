@@ -0,0 +1,44 @@
+var Util    = require('util'),
+    Pack    = require('../pack.js').Pack,
+    Unpack  = require('../unpack.js');
+
+/*****************************************************************************
+ * AAAA pack/unpack, with compressed (RFC 5952) output
+ *
+ */
+console.log("--------------------------------------------------------------");
+[
+    '::',
+    '::1',
+    'fe80::',
+    '2001:db8::1',
+    '2001:DB8:0:0:1:0:0:1',
+    'fe80::fc:ff:fe00:1',
+    '1:0:0:2:0:0:0:3',
+    '1:0:2:3:4:5:6:7',
+    '1:2:3:4:5:6:7:8',
+    '::ffff:192.0.2.1',
+    '::ffff:c000:201',
+    '64:ff9b::1.2.3.4',
+    '::1.2.3.4'
+].forEach(function(addr) {
+    var pack    = new Pack( new Buffer( 16 ) ),
+        len     = pack.AAAA( addr );
+
+    console.log("%s: %s -> %s", addr, pack.buf.toString('hex'),
+                (len === 16 ? new Unpack( pack.buf ).AAAA() : pack.error));
+});
+
+/*****************************************************************************
+ * Invalid AAAA addresses
+ *
+ */
+console.log("--------------------------------------------------------------");
+[ '1::2::3', '::ffff:1.2.3', '::ffff:1.2.3.256', '12345::', '192.0.2.1' ]
+    .forEach(function(addr) {
+        var pack    = new Pack( new Buffer( 16 ) );
+
+        console.log("%s: %s", addr,
+                    (pack.AAAA( addr ) === null ? pack.error.message
+                                                : 'accepted'));
+    });
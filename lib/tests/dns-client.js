@@ -0,0 +1,306 @@
+var Dgram   = require('dgram'),
+    _       = require('lodash'),
+    Mdns    = require('../mdns.js'),
+    Pack    = require('../pack.js').Pack;
+
+/*****************************************************************************
+ * Scripted unicast DNS servers, each handing the queries it receives to the
+ * `respond(query, reply)` of the current test where:
+ *      reply( {id:, question:, answer: [rr-config, ...], rcode:} )
+ *
+ * sends a response (by default, an answer-less NOERROR to the query).
+ *
+ */
+var servers = [ 'first', 'second' ].map(function(name) {
+        var server  = Dgram.createSocket('udp4');
+
+        server.label   = name;
+        server.respond = null;
+
+        server.on('message', function(data, rinfo) {
+            var query   = Mdns.Message( data );
+
+            console.log("%s: query %s", name, query.question[0].qname);
+
+            if (! server.respond)   { return; }
+
+            server.respond(query, function(config) {
+                var response    = Mdns.Message({
+                                    header:     {id:(config.id != null
+                                                        ? config.id
+                                                        : query.header.id),
+                                                 qr:1, rd:1, ra:1,
+                                                 rcode:(config.rcode || 0)},
+                                    question:   (config.question ||
+                                                 query.question[0]),
+                                    answer:     (config.answer || [])
+                                  }),
+                    pack        = new Pack( new Buffer( 512 ) );
+
+                response.pack( pack );
+
+                server.send(pack.buf, 0, pack.offset, rinfo.port,
+                            rinfo.address);
+            });
+        });
+
+        return server;
+    });
+
+/** @brief  Generate the configuration of an A record.
+ *  @param  name    The record name {String};
+ *  @param  addr    The address {String};
+ *
+ *  @return The record configuration {Object};
+ */
+function a(name, addr)
+{
+    return {name:name, type:'A', class:'IN', ttl:300, rdata:{a:addr}};
+}
+
+/** @brief  Create a client of our scripted servers.
+ *  @param  [config]    Additional client configuration {Object};
+ *
+ *  @return The new client {Mdns::Client};
+ */
+function client(config)
+{
+    var dns;
+
+    config = config || {};
+
+    config.servers = servers.map(function(server) {
+        return '127.0.0.1:'+ server.address().port;
+    });
+
+    dns = Mdns.Client(config);
+
+    dns.on('retry', function(request, server) {
+        console.log("retry: %s", label(server));
+    });
+    dns.on('failover', function(request, from, to) {
+        console.log("failover: %s => %s", label(from), label(to));
+    });
+    dns.on('serverDown', function(server, err) {
+        console.log("serverDown: %s (%s)", label(server), err.message);
+    });
+    dns.on('serverUp', function(server) {
+        console.log("serverUp: %s", label(server));
+    });
+
+    return dns;
+}
+
+/** @brief  Identify one of our scripted servers.
+ *  @param  server  The server, as tracked by a client {Object};
+ *
+ *  @return The label of the server {String};
+ */
+function label(server)
+{
+    return _.find(servers, function(socket) {
+        return (socket.address().port === server.port);
+    }).label;
+}
+
+/** @brief  Report the outcome of a resolution.
+ *  @param  label   The label of the resolution {String};
+ *  @param  [next]  If provided, the callback to invoke once reported
+ *                  {Function};
+ *
+ *  @return The resolution callback {Function};
+ */
+function report(label, next)
+{
+    return function(err, response) {
+        if (err)
+        {
+            console.log("%s: error %s", label, err.message);
+        }
+        else
+        {
+            console.log("%s: %s", label,
+                        response.answer.map(function(rr) {
+                            return rr.rdata.a;
+                        }).join(', '));
+        }
+
+        if (next)   { next(); }
+    };
+}
+
+var tests   = [
+    /*************************************************************************
+     * Responses with the wrong id, or the right id but another question, are
+     * dropped
+     *
+     */
+    function(next) {
+        var dns     = client();
+
+        servers[0].respond = function(query, reply) {
+            var qname   = query.question[0].qname;
+
+            reply({id:(query.header.id + 1) & 0xffff,
+                   answer:[ a(qname, '192.0.2.66') ]});
+            reply({question:{qname:'other.example.com', qtype:'A'},
+                   answer:[ a('other.example.com', '192.0.2.99') ]});
+            reply({answer:[ a(qname, '192.0.2.1') ]});
+        };
+
+        dns.on('response', function(response) {
+            console.log("response: %s", response.question[0].qname);
+        });
+
+        dns.once('ready', function() {
+            dns.resolve({qname:'www.example.com', qtype:'A'},
+                        report('www', function() {
+                            // Once the response has been emitted
+                            setImmediate(function() {
+                                dns.close();
+                                next();
+                            });
+                        }));
+        });
+    },
+
+    /*************************************************************************
+     * Concurrent requests, answered out of order
+     *
+     */
+    function(next) {
+        var dns     = client(),
+            held    = [],
+            addrs   = {one:'192.0.2.1', two:'192.0.2.2', three:'192.0.2.3'},
+            names   = Object.keys(addrs),
+            count   = names.length;
+
+        servers[0].respond = function(query, reply) {
+            var qname   = query.question[0].qname;
+
+            held.push(function() {
+                reply({answer:[ a(qname, addrs[ qname.split('.')[0] ]) ]});
+            });
+
+            if (held.length < names.length) { return; }
+
+            held.reverse().forEach(function(send) { send(); });
+        };
+
+        dns.once('ready', function() {
+            names.forEach(function(name) {
+                dns.resolve({qname:name +'.example.com', qtype:'A'},
+                            report(name, function() {
+                                if (--count > 0)    { return; }
+
+                                dns.close();
+                                next();
+                            }));
+            });
+        });
+    },
+
+    /*************************************************************************
+     * An unanswered request is retried, then fails over to the next server
+     *
+     */
+    function(next) {
+        var dns     = client({retryTimeout:50});
+
+        servers[1].respond = function(query, reply) {
+            reply({answer:[ a(query.question[0].qname, '192.0.2.2') ]});
+        };
+
+        dns.once('ready', function() {
+            dns.resolve({qname:'www.example.com', qtype:'A'},
+                        report('www', function() {
+                            dns.close();
+                            next();
+                        }));
+        });
+    },
+
+    /*************************************************************************
+     * SERVFAIL fails over immediately, and a server that fails
+     * `maxFailures` times is down (and tried last) until `recheckInterval`
+     * has passed and it again answers
+     *
+     */
+    function(next) {
+        var dns     = client({retryTimeout:50, maxFailures:1,
+                              recheckInterval:100}),
+            rcode   = Mdns.consts.RCODE_STR.SERVFAIL;
+
+        servers[0].respond = function(query, reply) {
+            reply({rcode:rcode,
+                   answer:[ a(query.question[0].qname, '192.0.2.1') ]});
+        };
+        servers[1].respond = function(query, reply) {
+            reply({answer:[ a(query.question[0].qname, '192.0.2.2') ]});
+        };
+
+        dns.once('ready', function() {
+            dns.resolve({qname:'one.example.com', qtype:'A'},
+                        report('one', __down));
+        });
+
+        /*********************************************************************
+         * Context-bound helpers
+         *
+         */
+        function __down() {
+            dns.resolve({qname:'two.example.com', qtype:'A'},
+                        report('two', function() {
+                            rcode = 0;
+                            setTimeout(__recheck, 150);
+                        }));
+        }
+
+        function __recheck() {
+            dns.resolve({qname:'three.example.com', qtype:'A'},
+                        report('three', function() {
+                            dns.close();
+                            next();
+                        }));
+        }
+    },
+
+    /*************************************************************************
+     * No server answers
+     *
+     */
+    function(next) {
+        var dns     = client({retries:0, retryTimeout:50});
+
+        dns.once('ready', function() {
+            dns.resolve({qname:'www.example.com', qtype:'A'}, 200,
+                        report('www', function() {
+                            dns.close();
+                            next();
+                        }));
+        });
+    }
+];
+
+(function __listen(idex) {
+    if (idex < servers.length)
+    {
+        return servers[idex].bind(0, '127.0.0.1', function() {
+            __listen(idex + 1);
+        });
+    }
+
+    (function __next() {
+        var test    = tests.shift();
+
+        servers.forEach(function(server) { server.respond = null; });
+
+        if (! test)
+        {
+            return servers.forEach(function(server) { server.close(); });
+        }
+
+        console.log("--------------------------------------------------------------");
+        test( __next );
+    }());
+}(0));
@@ -0,0 +1,95 @@
+var Util    = require('util'),
+    Mdns    = require('../mdns.js'),
+    Pack    = require('../pack.js').Pack,
+    Utils   = require('../utils.js');
+
+function hex(buf)
+{
+    return Utils.buf2hex(buf, {noOffsets:true});
+}
+
+function roundTrip(msg)
+{
+    var pack    = new Pack( new Buffer( 512 ) );
+
+    if (! msg.pack(pack))
+    {
+        console.log("pack error: %s", msg.error.message);
+        return null;
+    }
+
+    console.log("packed %d bytes", pack.offset);
+
+    return Mdns.Message( pack.buf.slice(0, pack.offset) );
+}
+
+/*****************************************************************************
+ * Client Subnet, Cookie, NSID and Padding via Message config
+ *
+ */
+console.log("--------------------------------------------------------------");
+var msg = Mdns.Message({
+            header:     {id:0x1234, rd:1},
+            question:   {qname:'example.com.', qtype:'A'},
+            edns:       {
+                padding:        true,
+                nsid:           true,
+                clientSubnet:   '192.0.2.77/20',
+                cookie:         {
+                    client: new Buffer('0102030405060708', 'hex'),
+                    server: new Buffer('a1a2a3a4a5a6a7a8b1b2b3b4b5b6b7b8',
+                                       'hex')
+                }
+            }
+          }),
+    unpacked    = roundTrip(msg);
+
+console.log("%s", unpacked);
+unpacked.opt().rdata.options.forEach(function(option) {
+    console.log("    %s: %s", Mdns.consts.option2str(option.code),
+                hex(option.data));
+});
+
+var ecs     = unpacked.ednsOption('ECS'),
+    cookie  = unpacked.ednsOption(Mdns.consts.OPTION_STR.COOKIE);
+
+console.log("ecs: family %d, %s/%d/%d", ecs.family, ecs.address,
+            ecs.sourcePrefixLength, ecs.scopePrefixLength);
+console.log("cookie: client %s, server %s",
+            cookie.clientCookie.toString('hex'),
+            cookie.serverCookie.toString('hex'));
+
+/*****************************************************************************
+ * IPv6 Client Subnet and an NSID response
+ *
+ */
+console.log("--------------------------------------------------------------");
+msg = Mdns.Message({
+        header:     {id:0x1234, qr:1},
+        question:   {qname:'example.com.', qtype:'AAAA'},
+        edns:       {
+            clientSubnet:   {address:'2001:db8:1234:5678::1',
+                             sourcePrefixLength:  48,
+                             scopePrefixLength:   40},
+            options:        [ {code:Mdns.consts.OPTION_STR.NSID,
+                               nsid:'ns1.example'},
+                              {code:65001, data:new Buffer([0xde,0xad])} ]
+        }
+      });
+unpacked = roundTrip(msg);
+
+console.log("%s", unpacked);
+
+/*****************************************************************************
+ * Invalid options
+ *
+ */
+console.log("--------------------------------------------------------------");
+msg = Mdns.Message({
+        question:   {qname:'example.com.', qtype:'A'},
+        edns:       { cookie: {client: new Buffer(4)} }
+      });
+roundTrip(msg);
+
+msg.setEdns({ clientSubnet: '192.0.2.0/33' });
+roundTrip(msg);
@@ -0,0 +1,77 @@
+var Util    = require('util'),
+    Mdns    = require('../mdns.js'),
+    Pack    = require('../pack.js').Pack,
+    Utils   = require('../utils.js');
+
+function hex(buf)
+{
+    return Utils.buf2hex(buf, {noOffsets:true});
+}
+
+/*****************************************************************************
+ * A query with an OPT record carrying several options
+ *
+ */
+console.log("--------------------------------------------------------------");
+var msg     = Mdns.Message({
+                header:     {id:0x1234, rd:1},
+                question:   {qname:'example.com.', qtype:'A'},
+                edns:       {
+                    udpPayloadSize: 4096,
+                    dnssecOk:       true,
+                    options:        [
+                        {code:10, data:new Buffer([1,2,3,4,5,6,7,8])},
+                        {code:12, data:new Buffer(0)}
+                    ]
+                }
+              }),
+    pack    = new Pack( new Buffer( 512 ) );
+
+console.log("pack: %s, %d bytes", msg.pack(pack), pack.offset);
+console.log("opt: %s", hex(pack.buf.slice(29, pack.offset)));
+
+var unpacked    = Mdns.Message( pack.buf.slice(0, pack.offset) ),
+    opt         = unpacked.opt();
+
+console.log("%s", unpacked);
+console.log("udpPayloadSize: %d, version: %d, dnssecOk: %s",
+            opt.udpPayloadSize, opt.version, opt.dnssecOk);
+opt.rdata.options.forEach(function(option) {
+    console.log("    option %d: %s", option.code, hex(option.data));
+});
+console.log("message udpPayloadSize: %d", unpacked.udpPayloadSize());
+
+/*****************************************************************************
+ * Extended rcode (BADVERS == 16)
+ *
+ */
+console.log("--------------------------------------------------------------");
+msg  = Mdns.Message({
+        header: {id:0x1234, qr:1, rcode:0},
+        edns:   {extendedRcode:1, version:0}
+       });
+pack = new Pack( new Buffer( 512 ) );
+msg.pack(pack);
+
+unpacked = Mdns.Message( pack.buf.slice(0, pack.offset) );
+console.log("header rcode: %d, rcode: %d",
+            unpacked.header.rcode, unpacked.rcode());
+
+/*****************************************************************************
+ * Defaults, replacement and removal
+ *
+ */
+console.log("--------------------------------------------------------------");
+msg = Mdns.Message({question:{qname:'example.com.', qtype:'A'}});
+console.log("none: %s, udpPayloadSize: %d", msg.opt(), msg.udpPayloadSize());
+
+msg.setEdns(true);
+console.log("default: %d, additional: %d",
+            msg.opt().udpPayloadSize, msg.additional.length);
+
+msg.setEdns(600);
+console.log("replaced: %d, additional: %d",
+            msg.opt().udpPayloadSize, msg.additional.length);
+
+msg.setEdns(null);
+console.log("removed: %s, additional: %d", msg.opt(), msg.additional.length);
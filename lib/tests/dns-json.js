@@ -0,0 +1,131 @@
+var Util    = require('util'),
+    Mdns    = require('../mdns.js'),
+    Pack    = require('../pack.js').Pack;
+
+function wire(msg)
+{
+    var pack    = new Pack( new Buffer( 512 ) );
+
+    msg.pack(pack);
+
+    return pack.buf.slice(0, pack.offset);
+}
+
+/*****************************************************************************
+ * A response, including EDNS and a type without a presentation format
+ *
+ */
+console.log("--------------------------------------------------------------");
+var msg     = Mdns.Message({
+                header:     {id:0x1234, qr:1, aa:1, rd:1, ra:1},
+                question:   {qname:'example.com.', qtype:'MX'},
+                answer:     [
+                    {name:'example.com.', type:'MX', class:'IN', ttl:300,
+                     rdata:{preference:10, exchange:'mail.example.com.'}},
+                    {name:'example.com.', type:'TXT', class:'IN', ttl:300,
+                     rdata:{txt:['v=spf1 -all', 'say "hi"']}},
+                    {name:'example.com.', type:999, class:'IN', ttl:300,
+                     rdata:Mdns.RData.fromText(999, '\\# 3 010203')}
+                ],
+                authority:  {name:'example.com.', type:'NS', class:'IN',
+                             ttl:3600, rdata:{ns:'ns1.example.com.'}},
+                additional: {name:'mail.example.com.', type:'A', class:'IN',
+                             ttl:300, rdata:{a:'192.0.2.1'}},
+                edns:       {udpPayloadSize:1232, dnssecOk:true}
+              }),
+    json    = msg.toJSON({octets:true});
+
+console.log("%s", JSON.stringify(json, null, 2));
+
+// From the JSON text of the message members (without messageOctetsHEX)
+var copy    = Mdns.Message.fromJSON( JSON.stringify(msg) );
+
+console.log("members  round-trip: %s", wire(copy).equals( wire(msg) ));
+console.log("members  udpPayloadSize: %d, dnssecOk: %s",
+            copy.udpPayloadSize(), copy.opt().dnssecOk);
+
+// From messageOctetsHEX
+copy = Mdns.Message.fromJSON( json );
+
+console.log("octets   round-trip: %s", wire(copy).equals( wire(msg) ));
+
+// Generating messageOctetsHEX leaves the message unchanged
+var received    = Mdns.Message( wire(msg) );
+
+received.truncate();
+received.header.anCount = 2;
+
+json = received.toJSON({octets:true});
+copy = Mdns.Message.fromJSON({messageOctetsHEX: json.messageOctetsHEX});
+
+console.log("octets   unchanged: tc %d, anCount %d, octets TC %d",
+            received.header.tc, received.header.anCount, copy.header.tc);
+
+/*****************************************************************************
+ * Multiple questions, mnemonics and Boolean flags
+ *
+ */
+console.log("--------------------------------------------------------------");
+copy = Mdns.Message.fromJSON({
+            ID: 7, QR: false, RD: true, CD: true,
+            questionRRs: [
+                {NAME:'a.example.com', TYPEname:'A', CLASSname:'IN'},
+                {NAME:'b.example.com.', TYPE:28, CLASS:1}
+            ]
+       });
+
+console.log("%s", JSON.stringify(copy, null, 2));
+
+/*****************************************************************************
+ * mDNS: the unicast-response (QU) and cache-flush bits of QCLASS and CLASS
+ *
+ */
+console.log("--------------------------------------------------------------");
+var mdns    = Mdns.Message({
+                header:     {id:0, qr:1, aa:1},
+                question:   {qname:'host.local.', qtype:'A',
+                             unicastResponse:true},
+                answer:     [
+                    {name:'host.local.', type:'A', class:'IN', ttl:120,
+                     rdata:{a:'192.0.2.10'}},
+                    {name:'_ipp._tcp.local.', type:'PTR', class:'IN',
+                     ttl:4500, rdata:{ptr:'printer._ipp._tcp.local.'}}
+                ]
+              });
+
+mdns.answer[0].cacheFlush = true;
+
+json = JSON.parse( JSON.stringify(mdns) );
+console.log("QCLASS: %d (%s)", json.QCLASS, json.QCLASSname);
+json.answerRRs.forEach(function(rr) {
+    console.log("%s CLASS: %d (%s)", rr.TYPEname, rr.CLASS, rr.CLASSname);
+});
+
+copy = Mdns.Message.fromJSON( json );
+
+console.log("round-trip: %s, unicastResponse: %s, cacheFlush: %s, %s",
+            wire(copy).equals( wire(mdns) ),
+            copy.question[0].unicastResponse,
+            copy.answer[0].cacheFlush, copy.answer[1].cacheFlush);
+
+/*****************************************************************************
+ * Invalid representations
+ *
+ */
+console.log("--------------------------------------------------------------");
+[
+    'null',
+    {messageOctetsHEX:'12345'},
+    {messageOctetsHEX:'1234'},
+    {QNAME:'example.com.', QTYPEname:'BOGUS', QCLASS:1},
+    {answerRRs:[ {NAME:'example.com.', TYPE:1, CLASS:1, TTL:0} ]},
+    {answerRRs:[ {NAME:'example.com.', TYPE:1, CLASS:1, TTL:0,
+                  rdataA:'192.0.2'} ]}
+].forEach(function(json) {
+    try {
+        Mdns.Message.fromJSON(json);
+        console.log("%j: accepted", json);
+    } catch(e) {
+        console.log("%j: %s", json, e.message);
+    }
+});
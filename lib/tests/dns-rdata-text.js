@@ -0,0 +1,76 @@
+var Util    = require('util'),
+    Mdns    = require('../mdns.js'),
+    Pack    = require('../pack.js').Pack;
+
+/*****************************************************************************
+ * Presentation format round-trips (fromText() -> toText() -> wire -> toText())
+ *
+ */
+console.log("--------------------------------------------------------------");
+[
+    [ 'A',      '192.0.2.1' ],
+    [ 'AAAA',   '2001:db8::1' ],
+    [ 'NS',     'ns1' ],
+    [ 'MB',     'mailbox.example.org.' ],
+    [ 'CNAME',  '@' ],
+    [ 'PTR',    'Host.Example.COM.' ],
+    [ 'SOA',    'ns1 hostmaster 2024010101 2h 15m 2w 300' ],
+    [ 'WKS',    '192.0.2.1 TCP 21 25 80' ],
+    [ 'WKS',    '192.0.2.1 17 53' ],
+    [ 'HINFO',  '"Intel x86" Linux' ],
+    [ 'MINFO',  'admin errors' ],
+    [ 'MX',     '10 mail' ],
+    [ 'TXT',    '"hello \\"world\\"" plain \\065\\066 "tab\\009" "semi;colon"' ],
+    [ 'NSEC',   'next A MX RRSIG NSEC TYPE200' ],
+    [ 'SRV',    '0 5 5060 sip.example.org.' ],
+    [ 'TSIG',   'hmac-sha256. 1700000000 300 4 AQIDBA== 4321 BADSIG 0' ],
+    [ 'NULL',   '\\# 3 abcdef' ],
+    [ 'TYPE999','\\# 4 0102 0304' ],
+    [ 'A',      '\\# 4 c0000205' ],
+    [ 'MX',     '\\# 0' ]
+].forEach(function(test) {
+    var rdata   = Mdns.RData.fromText(test[0], test[1], 'example.com.'),
+        text    = rdata.toText(),
+        msg     = Mdns.Message({
+                    answer: [ {name:'example.com.', type:rdata.rr.type,
+                               ttl:300, rdata:rdata} ]
+                  }),
+        pack    = new Pack( new Buffer( 512 ) ),
+        copy;
+
+    msg.pack(pack);
+    copy = Mdns.Message( pack.buf.slice(0, pack.offset) ).answer[0];
+
+    console.log("%s [ %s ]:", test[0], test[1]);
+    console.log("  %s", text);
+    console.log("  round-trip: %s, wire: %s",
+                Mdns.RData.fromText(test[0], text).toText() === text,
+                copy.rdata.toText() === text);
+});
+
+/*****************************************************************************
+ * Invalid presentation format
+ *
+ */
+console.log("--------------------------------------------------------------");
+[
+    [ 'A',      '192.0.2' ],
+    [ 'AAAA',   '192.0.2.1' ],
+    [ 'MX',     '10' ],
+    [ 'MX',     '65536 mail' ],
+    [ 'NS',     'a..b' ],
+    [ 'SOA',    'ns1 hostmaster 1 2 3 4 soon' ],
+    [ 'WKS',    '192.0.2.1 SCTP 80' ],
+    [ 'TXT',    '' ],
+    [ 'NSEC',   'next TYPE300' ],
+    [ 'FOO',    'bar' ],
+    [ 'DNSKEY', '257 3 8 AwEAAQ==' ],
+    [ 'A',      '\\# 4 c00002' ]
+].forEach(function(test) {
+    try {
+        Mdns.RData.fromText(test[0], test[1], 'example.com.');
+        console.log("%s [ %s ]: accepted", test[0], test[1]);
+    } catch(e) {
+        console.log("%s [ %s ]: %s", test[0], test[1], e.message);
+    }
+});
@@ -1,4 +1,5 @@
 var Util    = require('util'),
+    _       = require('lodash'),
     Utils   = require('../utils.js'),
     Message = require('../message.js'),
 
@@ -20,7 +21,7 @@ var rBuf    = new Buffer( data ),
     message = new Message( rBuf );
 
 console.log("Unpack mesage from %d bytes of raw data:", message.consumed);
-console.log("message:\n%s", JSON.stringify(message, null, 2));
+console.log("message:\n%s", JSON.stringify(_.extend({}, message), null, 2));
 
 /*****************************************************************************
  * Pack test
@@ -0,0 +1,204 @@
+var Events  = require('events'),
+    _       = require('lodash'),
+    Mdns    = require('../mdns.js'),
+    Request = require('../request.js'),
+
+    query   = Mdns.Message({
+                header:     {id:1234, rd:1},
+                question:   [ {qname:'www.example.com.', qtype:'A'} ]
+              }),
+    answer  = Mdns.Message({
+                header:     {id:1234, qr:1, rd:1, ra:1},
+                question:   [ {qname:'www.example.com.', qtype:'A'} ],
+                answer:     [ {name:'www.example.com.', type:'A', class:'IN',
+                               ttl:300, rdata:{a:'192.0.2.1'}} ]
+              });
+
+/** @brief  Create a request, reporting every event, callback and promise
+ *          outcome.
+ *  @param  label   The label of the request {String};
+ *  @param  config  The request configuration {Object};
+ *
+ *  @return The new request {Mdns::Request};
+ */
+function track(label, config)
+{
+    var request = new Request(query, _.extend({
+                    callback:   function(err, response) {
+                        console.log("%s: callback(%s, %s)", label,
+                                    (err ? err.message : err),
+                                    (response ? response.header.id
+                                              : response));
+                    }
+                  }, config));
+
+    [ 'answer', 'timeout', 'cancelled', 'end' ].forEach(function(name) {
+        request.on(name, function(arg) {
+            console.log("%s: '%s' event%s", label, name,
+                        (name === 'answer' ? ''
+                                           : (arg != null ? ' ('+ arg +')'
+                                                          : '')));
+        });
+    });
+
+    return request;
+}
+
+/** @brief  Report the outcome of the promise of a request.
+ *  @param  label   The label of the request {String};
+ *  @param  request The request {Mdns::Request};
+ *  @param  next    The callback to invoke once settled {Function};
+ */
+function settled(label, request, next)
+{
+    request.promise.then(function(response) {
+        console.log("%s: resolved (%d)", label, response.header.id);
+        next();
+    }, function(err) {
+        console.log("%s: rejected (%s%s)", label, err.message,
+                    (err.code ? ', '+ err.code : ''));
+        next();
+    });
+}
+
+var tests   = [
+    /*************************************************************************
+     * Answered: later outcomes are ignored
+     *
+     */
+    function(next) {
+        var request = track('answered');
+
+        request.answer( answer );
+        request.fail( new Error('late failure') );
+        request.cancel('late');
+        request.answer( answer );
+
+        console.log("answered: state %s, pending %s", request.state,
+                    request.isPending());
+
+        // A promise created after the request ends is still settled
+        settled('answered', request, next);
+    },
+
+    /*************************************************************************
+     * Timeout
+     *
+     */
+    function(next) {
+        var request = track('timeout', {timeout: 20});
+
+        console.log("timeout: state %s, pending %s", request.state,
+                    request.isPending());
+
+        settled('timeout', request, function() {
+            // A response arriving after the timeout is ignored
+            request.answer( answer );
+
+            console.log("timeout: state %s, error %s", request.state,
+                        request.error.message);
+            next();
+        });
+    },
+
+    /*************************************************************************
+     * Error, observed only via the promise (no 'error' event is thrown)
+     *
+     */
+    function(next) {
+        var request = new Request(query);
+
+        console.log("error: observed %s", request.isObserved());
+        settled('error', request, next);
+        console.log("error: observed %s", request.isObserved());
+
+        request.fail( new Error('SERVFAIL'), answer );
+
+        console.log("error: state %s, response %d", request.state,
+                    request.response.header.id);
+    },
+
+    /*************************************************************************
+     * Cancelled, with a reason
+     *
+     */
+    function(next) {
+        var request = track('cancel', {timeout: 20});
+
+        request.cancel('no longer needed');
+        request.cancel('again');
+
+        console.log("cancel: state %s, reason %s", request.state,
+                    request.error.reason);
+
+        // The timeout is cleared
+        setTimeout(next, 40);
+    },
+
+    /*************************************************************************
+     * Aborted via an AbortSignal
+     *
+     */
+    function(next) {
+        var controller  = new AbortController(),
+            request     = track('abort', {signal: controller.signal});
+
+        controller.abort('stop');
+        controller.abort('again');
+
+        settled('abort', request, next);
+    },
+
+    /*************************************************************************
+     * An already aborted signal cancels the request once listeners can be
+     * attached
+     *
+     */
+    function(next) {
+        var controller  = new AbortController(),
+            request;
+
+        controller.abort('early');
+
+        request = track('aborted', {signal: controller.signal});
+
+        console.log("aborted: state %s", request.state);
+
+        settled('aborted', request, next);
+    },
+
+    /*************************************************************************
+     * An EventEmitter signal is released once the request ends
+     *
+     */
+    function(next) {
+        var signal  = new Events.EventEmitter(),
+            request;
+
+        signal.aborted = false;
+
+        request = track('emitter', {signal: signal});
+
+        console.log("emitter: abort listeners %d",
+                    signal.listeners('abort').length);
+
+        request.answer( answer );
+
+        console.log("emitter: abort listeners %d",
+                    signal.listeners('abort').length);
+
+        signal.emit('abort');
+
+        console.log("emitter: state %s", request.state);
+        next();
+    }
+];
+
+(function __next() {
+    var test    = tests.shift();
+
+    if (! test) { return; }
+
+    console.log("--------------------------------------------------------------");
+    test( __next );
+}());
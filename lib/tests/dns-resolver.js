@@ -0,0 +1,152 @@
+var Dgram   = require('dgram'),
+    Mdns    = require('../mdns.js'),
+    Client  = require('../client.js'),
+    Pack    = require('../pack.js').Pack,
+
+    RCODE   = Mdns.consts.RCODE_STR;
+
+/*****************************************************************************
+ * The unicast DNS server, answering each query by name:
+ *      answers[ qname ] => {answer: [rr-config, ...], rcode:}
+ *
+ * Names that are not listed are never answered.
+ *
+ */
+var answers = {
+        'www.example.com.':     {answer: [
+            {name:'www.example.com.', type:'A', class:'IN', ttl:300,
+             rdata:{a:'192.0.2.1'}},
+            {name:'www.example.com.', type:'A', class:'IN', ttl:60,
+             rdata:{a:'192.0.2.2'}} ]},
+        'example.com.':         {answer: [
+            {name:'example.com.', type:'MX', class:'IN', ttl:300,
+             rdata:{preference:10, exchange:'mail.example.com.'}},
+            {name:'example.com.', type:'TXT', class:'IN', ttl:300,
+             rdata:{txt:['v=spf1 -all']}} ]},
+        'missing.example.com.': {rcode: RCODE.NOTFOUND},
+        'empty.example.com.':   {answer: []},
+        'broken.example.com.':  {rcode: RCODE.SERVFAIL}
+    },
+    server  = Dgram.createSocket('udp4');
+
+server.on('message', function(data, rinfo) {
+    var query   = Mdns.Message( data ),
+        qname   = query.question[0].qname,
+        config  = answers[ qname ],
+        pack    = new Pack( new Buffer( 512 ) ),
+        response;
+
+    if (! config)   { return; }
+
+    response = Mdns.Message({
+                header:     {id:query.header.id, qr:1, aa:1, rd:1, ra:1,
+                             rcode:(config.rcode || 0)},
+                question:   query.question[0],
+                answer:     (config.answer || [])
+               });
+
+    response.pack( pack );
+
+    server.send(pack.buf, 0, pack.offset, rinfo.port, rinfo.address);
+});
+
+/** @brief  Report the outcome of a resolution.
+ *  @param  label   The label of the resolution {String};
+ *  @param  promise The promise of the resolution {Promise};
+ *  @param  next    The callback to invoke once settled {Function};
+ */
+function settled(label, promise, next)
+{
+    promise.then(function(result) {
+        console.log("%s: %s", label, JSON.stringify(result));
+        next();
+    }, function(err) {
+        console.log("%s: %s (%s)", label, err.code, err.message);
+        next();
+    });
+}
+
+var resolver    = null,
+    tests       = [
+    /*************************************************************************
+     * Unicast answers, shaped as by `dns.promises`
+     *
+     */
+    function(next) {
+        settled('resolve4', resolver.resolve4('www.example.com'), next);
+    },
+    function(next) {
+        settled('resolve4 ttl', resolver.resolve4('www.example.com',
+                                                  {ttl:true}), next);
+    },
+    function(next) {
+        settled('resolveMx', resolver.resolveMx('example.com'), next);
+    },
+    function(next) {
+        settled('resolveTxt', resolver.resolve('example.com', 'TXT'), next);
+    },
+
+    /*************************************************************************
+     * Unicast failures
+     *
+     */
+    function(next) {
+        settled('NXDOMAIN', resolver.resolve4('missing.example.com'), next);
+    },
+    function(next) {
+        settled('NODATA', resolver.resolve4('empty.example.com'), next);
+    },
+    function(next) {
+        settled('wrong type', resolver.resolve6('www.example.com'), next);
+    },
+    function(next) {
+        settled('SERVFAIL', resolver.resolve4('broken.example.com'), next);
+    },
+    function(next) {
+        settled('unanswered', resolver.resolve4('silent.example.com'), next);
+    },
+    function(next) {
+        settled('rrtype', resolver.resolve('example.com', 'BOGUS'), next);
+    },
+
+    /*************************************************************************
+     * An mDNS query that cannot be sent is rejected (rather than throwing an
+     * 'error' from the shared mDNS client)
+     *
+     */
+    function(next) {
+        var send    = Client.prototype.send;
+
+        Client.prototype.send = function(msg, callback) {
+            var err     = new Error('send EHOSTUNREACH');
+
+            err.code = 'EHOSTUNREACH';
+
+            setImmediate(function() { callback(err); });
+        };
+
+        settled('mDNS send', resolver.resolve4('printer.local'), function() {
+            Client.prototype.send = send;
+            next();
+        });
+    }
+];
+
+server.bind(0, '127.0.0.1', function() {
+    resolver = Mdns.Resolver({timeout:200,
+                              server:{address:'127.0.0.1',
+                                      port:server.address().port}});
+
+    (function __next() {
+        var test    = tests.shift();
+
+        if (! test)
+        {
+            resolver.close();
+            return server.close();
+        }
+
+        console.log("--------------------------------------------------------------");
+        test( __next );
+    }());
+});
@@ -0,0 +1,210 @@
+var Dgram   = require('dgram'),
+    Mdns    = require('../mdns.js'),
+    Pack    = require('../pack.js').Pack,
+
+    records = [
+        {name:'example.com', type:'SOA', ttl:3600,
+         rdata:{mname:'ns1.example.com.', rname:'host.example.com.',
+                serial:5, refresh:7200, retry:900, expire:1209600,
+                minimum:300}},
+        {name:'example.com', type:'NS', ttl:3600,
+         rdata:{ns:'ns1.example.com.'}},
+        {name:'ns1.example.com', type:'A', ttl:3600, rdata:{a:'192.0.2.1'}},
+        {name:'www.example.com', type:'CNAME', ttl:60,
+         rdata:{cname:'host.example.com.'}},
+        {name:'host.example.com', type:'A', ttl:60, rdata:{a:'192.0.2.2'}},
+        {name:'sub.example.com', type:'NS', ttl:60,
+         rdata:{ns:'ns.sub.example.com.'}},
+        {name:'ns.sub.example.com', type:'A', ttl:60,
+         rdata:{a:'192.0.2.5'}}
+    ],
+    broken  = [
+        {name:'example.net', type:'SOA', ttl:3600,
+         rdata:{mname:'ns1.example.net.', rname:'host.example.net.',
+                serial:1, refresh:7200, retry:900, expire:1209600,
+                minimum:300}},
+        {name:'bad.example.net', type:'A', ttl:60, rdata:{a:'192.0.2'}}
+    ];
+
+// An A RRset too large for a UDP response
+for (var idex = 1; idex <= 100; idex++)
+{
+    records.push({name:'big.example.com', type:'A', ttl:60,
+                  rdata:{a:'198.51.100.'+ idex}});
+}
+
+var server  = Mdns.Server({address:'127.0.0.1', port:0, transfer:true,
+                           zones:[ {origin:'example.com', records:records},
+                                   {origin:'example.net', records:broken} ]}),
+    socket  = Dgram.createSocket('udp4');
+
+server.on('response', function(response, rinfo) {
+    console.log("server: %s response, %s%s", rinfo.protocol,
+                Mdns.consts.rcode2str(response.header.rcode),
+                (response.header.tc ? ' (truncated)' : ''));
+});
+
+/** @brief  Describe a record.
+ *  @param  rr      The record {Mdns::RR};
+ *
+ *  @return The description {String};
+ */
+function show(rr)
+{
+    return rr.name +' '+ Mdns.consts.type2str(rr.type) +' '+
+            JSON.stringify(rr.rdata);
+}
+
+/** @brief  Report a response.
+ *  @param  msg     The response {Mdns::Message};
+ */
+function report(msg)
+{
+    console.log("    rcode %s, aa %d, tc %d",
+                Mdns.consts.rcode2str(msg.header.rcode), msg.header.aa,
+                msg.header.tc);
+
+    [ 'answer', 'authority', 'additional' ].forEach(function(section) {
+        msg[ section ].forEach(function(rr) {
+            console.log("    %s: %s", section, show(rr));
+        });
+    });
+}
+
+/** @brief  Send a query over UDP (without EDNS) and report the response.
+ *  @param  qname   The name to query {String};
+ *  @param  qtype   The type to query {String};
+ *  @param  next    The callback to invoke once answered {Function};
+ */
+function udp(qname, qtype, next)
+{
+    var query   = Mdns.Message({header:{id:1234},
+                                question:{qname:qname, qtype:qtype}}),
+        pack    = new Pack( new Buffer( 512 ) );
+
+    query.pack( pack );
+
+    socket.once('message', function(data) {
+        report( Mdns.Message( data ) );
+        next();
+    });
+
+    socket.send(pack.buf, 0, pack.offset, server.port, '127.0.0.1');
+}
+
+var tests   = [
+    /*************************************************************************
+     * An answer, following a CNAME within the zone
+     *
+     */
+    function(next) {
+        udp('www.example.com', 'A', next);
+    },
+
+    /*************************************************************************
+     * NXDOMAIN and NODATA, each with the SOA
+     *
+     */
+    function(next) {
+        udp('missing.example.com', 'A', next);
+    },
+    function(next) {
+        udp('host.example.com', 'AAAA', next);
+    },
+
+    /*************************************************************************
+     * A delegation, with glue
+     *
+     */
+    function(next) {
+        udp('deep.sub.example.com', 'A', next);
+    },
+
+    /*************************************************************************
+     * Outside of any zone
+     *
+     */
+    function(next) {
+        udp('www.example.org', 'A', next);
+    },
+
+    /*************************************************************************
+     * A record that cannot be packed results in SERVFAIL
+     *
+     */
+    function(next) {
+        udp('bad.example.net', 'A', next);
+    },
+
+    /*************************************************************************
+     * An answer too large for UDP is truncated, and a client retries over TCP
+     *
+     */
+    function(next) {
+        udp('big.example.com', 'A', next);
+    },
+    function(next) {
+        var client  = Mdns.Client({server:{address:'127.0.0.1',
+                                           port:server.port}});
+
+        client.resolve({qname:'big.example.com', qtype:'A'},
+                       function(err, response) {
+            if (err)
+            {
+                console.log("client: error %s", err.message);
+            }
+            else
+            {
+                console.log("client: %d answers, tc %d",
+                            response.answer.length, response.header.tc);
+            }
+
+            client.close();
+            next();
+        });
+    },
+
+    /*************************************************************************
+     * AXFR (over TCP) and a zone transfer refused over UDP
+     *
+     */
+    function(next) {
+        udp('example.com', 'AXFR', next);
+    },
+    function(next) {
+        var transfer    = Mdns.Transfer({
+                            server: '127.0.0.1:'+ server.port,
+                            zone:   'example.com'
+                          }),
+            count       = 0;
+
+        transfer.on('record', function() { count++; });
+        transfer.on('error', function(err) {
+            console.log("transfer: error %s", err.message);
+        });
+        transfer.on('end', function(result) {
+            console.log("transfer: %s, serial %d, %d records", result.type,
+                        result.serial, count);
+            next();
+        });
+
+        transfer.begin();
+    }
+];
+
+server.listen(function(err) {
+    if (err)    { return console.log("listen: %s", err.message); }
+
+    (function __next() {
+        var test    = tests.shift();
+
+        if (! test)
+        {
+            socket.close();
+            return server.close();
+        }
+
+        console.log("--------------------------------------------------------------");
+        test( __next );
+    }());
+});
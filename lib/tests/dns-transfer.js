@@ -0,0 +1,181 @@
+var Net     = require('net'),
+    Mdns    = require('../mdns.js'),
+    Pack    = require('../pack.js').Pack,
+
+    types   = Mdns.consts.TYPE_STR;
+
+function soa(serial)
+{
+    return Mdns.RR({name:'example.com.', type:'SOA', class:'IN', ttl:3600,
+                    rdata:{mname:'ns.example.com.', rname:'host.example.com.',
+                           serial:serial, refresh:7200, retry:900,
+                           expire:1209600, minimum:300}});
+}
+
+function a(name, addr)
+{
+    return Mdns.RR({name:name +'.example.com.', type:'A', class:'IN',
+                    ttl:3600, rdata:{a:addr}});
+}
+
+function show(rr)
+{
+    return rr.name +' '+ Mdns.consts.type2str(rr.type) +' '+
+            (rr.type === types.SOA ? rr.rdata.serial : rr.rdata.a);
+}
+
+/*****************************************************************************
+ * The transfer server, answering each request with the messages generated
+ * by the current test:
+ *      respond(qtype, serial) => [ {answer: [rr, ...], rcode:}, ... ]
+ *
+ */
+var respond = null,
+    server  = Net.createServer(function(sock) {
+        sock.on('data', function(data) {
+            var length  = data.readUInt16BE(0),
+                request = Mdns.Message( data.slice(2, 2 + length) ),
+                qtype   = request.question[0].qtype,
+                serial  = (request.authority.length > 0
+                            ? request.authority[0].rdata.serial
+                            : null);
+
+            console.log("server: %s request%s", Mdns.consts.type2str(qtype),
+                        (serial !== null ? ' from serial '+ serial : ''));
+
+            respond(qtype, serial).forEach(function(config) {
+                var msg     = Mdns.Message({
+                                header:     {id:request.header.id, qr:1, aa:1,
+                                             rcode:(config.rcode || 0)},
+                                question:   request.question[0],
+                                answer:     (config.answer || [])
+                              }),
+                    pack    = new Pack( new Buffer( 4096 ) ),
+                    frame;
+
+                msg.pack(pack);
+
+                frame = new Buffer( pack.offset + 2 );
+                frame.writeUInt16BE(pack.offset, 0);
+                pack.buf.copy(frame, 2, 0, pack.offset);
+
+                sock.write( frame );
+            });
+        });
+    });
+
+// The full zone at serial 3
+function axfr()
+{
+    return [ {answer: [ soa(3), a('www', '192.0.2.1'), a('new', '192.0.2.8') ]},
+             {answer: [ a('newer', '192.0.2.7'), soa(3) ]} ];
+}
+
+var tests   = [
+    /*************************************************************************
+     * IXFR of two differences (1 => 2 => 3) spanning several messages
+     *
+     */
+    { label:    'incremental',
+      serial:   1,
+      respond:  function() {
+        return [ {answer: [ soa(3),
+                            soa(1), a('old', '192.0.2.9'),
+                            soa(2), a('new', '192.0.2.8') ]},
+                 {answer: [ soa(2),
+                            soa(3), a('newer', '192.0.2.7') ]},
+                 {answer: [ soa(3) ]} ];
+      } },
+
+    /*************************************************************************
+     * IXFR of a zone that is current (a single SOA)
+     *
+     */
+    { label:    'current',
+      serial:   3,
+      respond:  function() {
+        return [ {answer: [ soa(3) ]} ];
+      } },
+
+    /*************************************************************************
+     * IXFR answered with the full zone
+     *
+     */
+    { label:    'full',
+      serial:   1,
+      respond:  axfr },
+
+    /*************************************************************************
+     * IXFR refused, falling back to AXFR
+     *
+     */
+    { label:    'fallback',
+      serial:   1,
+      respond:  function(qtype) {
+        if (qtype === types.AXFR)   { return axfr(); }
+
+        return [ {rcode: Mdns.consts.RCODE_STR.NOTIMP} ];
+      } },
+
+    /*************************************************************************
+     * AXFR that does not begin with an SOA
+     *
+     */
+    { label:    'invalid',
+      serial:   null,
+      respond:  function() {
+        return [ {answer: [ a('www', '192.0.2.1'), soa(3) ]} ];
+      } }
+];
+
+function next()
+{
+    var test    = tests.shift(),
+        transfer;
+
+    if (! test) { return server.close(); }
+
+    console.log("--------------------------------------------------------------");
+    console.log("%s:", test.label);
+
+    respond  = test.respond;
+    transfer = Mdns.Transfer({
+                server:     '127.0.0.1:'+ server.address().port,
+                zone:       'example.com',
+                serial:     test.serial,
+                records:    [ soa(test.serial || 1), a('www', '192.0.2.1'),
+                              a('old', '192.0.2.9') ]
+               });
+
+    [ 'record', 'delete', 'add' ].forEach(function(name) {
+        transfer.on(name, function(rr) {
+            console.log("    %s: %s", name, show(rr));
+        });
+    });
+
+    transfer.on('fallback', function(err) {
+        console.log("    fallback: %s", err.message);
+    });
+    transfer.on('error', function(err) {
+        console.log("    error: %s", err.message);
+    });
+    transfer.on('end', function(result) {
+        if (result)
+        {
+            console.log("    end: %s, serial %d", result.type, result.serial);
+            result.records.forEach(function(rr) {
+                console.log("        %s", show(rr));
+            });
+        }
+        else
+        {
+            console.log("    end: failed");
+        }
+
+        next();
+    });
+
+    transfer.begin();
+}
+
+server.listen(0, '127.0.0.1', next);
@@ -0,0 +1,181 @@
+var Util    = require('util'),
+    Mdns    = require('../mdns.js'),
+    Pack    = require('../pack.js').Pack,
+    Utils   = require('../utils.js');
+
+// A fixed clock for repeatable MACs
+var now     = 1700000000000;
+Date.now = function() { return now; };
+
+function toWire(msg)
+{
+    var pack    = new Pack( new Buffer( 512 ) );
+
+    msg.pack(pack);
+
+    return pack.buf.slice(0, pack.offset);
+}
+
+function show(label, err)
+{
+    console.log("%s: %s", label, (err ? err.code +' ('+ err.message +')'
+                                      : 'ok'));
+}
+
+/*****************************************************************************
+ * Keyfile parsing
+ *
+ */
+console.log("--------------------------------------------------------------");
+var keys    = Mdns.Tsig.parseKeys([
+                '# tsig-keygen output',
+                'key "update-key" {',
+                '    algorithm hmac-sha256;',
+                '    secret "c2VjcmV0LXNoYXJlZC13aXRoLXRoZS1zZXJ2ZXI=";',
+                '};',
+                '/* a legacy key */',
+                'key legacy.example. { algorithm HMAC-MD5; // old',
+                '    secret "bGVnYWN5";  };',
+                'key "slash-key" {  # base64 may contain //',
+                '    algorithm hmac-sha512;',
+                '    secret "Zm9v//9iYXI=";',
+                '};'
+              ].join('\n'));
+
+Object.keys(keys).forEach(function(name) {
+    console.log("key %s: %s, %d byte secret (%s), fudge %d", name,
+                keys[name].algorithm, keys[name].secret.length,
+                keys[name].secret.toString('base64'), keys[name].fudge);
+});
+
+/*****************************************************************************
+ * Sign a request and verify it
+ *
+ */
+console.log("--------------------------------------------------------------");
+var key     = keys['update-key.'],
+    request = Mdns.Message({
+                header:     {id:0x1234, rd:1},
+                question:   {qname:'example.com.', qtype:'A'}
+              }),
+    mac     = key.sign(request),
+    data    = toWire(request);
+
+console.log("mac: %s", mac.toString('hex'));
+console.log("%s", Utils.buf2hex(data, {octetsPer:16}));
+
+var received    = Mdns.Message(data),
+    tsig        = received.additional[0];
+
+console.log("%s", received);
+show("verify request", key.verify(data, received));
+
+/*****************************************************************************
+ * Sign a response (covering the request MAC) and verify it
+ *
+ */
+console.log("--------------------------------------------------------------");
+var response    = Mdns.Message({
+                    header:     {id:0x1234, qr:1, rd:1, ra:1},
+                    question:   {qname:'example.com.', qtype:'A'},
+                    answer:     [{name:'example.com.', type:'A', class:'IN',
+                                  ttl:300, rdata:{a:'192.0.2.1'}}]
+                  });
+
+key.sign(response, mac);
+data = toWire(response);
+
+show("verify response",     key.verify(data, Mdns.Message(data), mac));
+show("without request MAC", key.verify(data, Mdns.Message(data)));
+
+// A modified id is restored from the original id
+data.writeUInt16BE(0x4321, 0);
+show("new id",              key.verify(data, Mdns.Message(data), mac));
+
+// Tampered data
+data[ 3 ] ^= 0x20;
+show("tampered",            key.verify(data, Mdns.Message(data), mac));
+
+/*****************************************************************************
+ * Key, time and signer errors
+ *
+ */
+console.log("--------------------------------------------------------------");
+key.sign(response, mac);
+data = toWire(response);
+
+show("wrong key",       keys['legacy.example.'].verify(data,
+                                                       Mdns.Message(data),
+                                                       mac));
+now += 301 * 1000;
+show("late",            key.verify(data, Mdns.Message(data), mac));
+
+key.sign(response, mac, Mdns.consts.RCODE_STR.BADTIME);
+data = toWire(response);
+show("peer error",      key.verify(data, Mdns.Message(data), mac));
+
+response.additional.pop();
+data = toWire(response);
+show("unsigned",        key.verify(data, Mdns.Message(data), mac));
+
+/*****************************************************************************
+ * Invalid keys
+ *
+ */
+console.log("--------------------------------------------------------------");
+[ {secret:'c2VjcmV0'},
+  {name:'k', algorithm:'hmac-gost', secret:'c2VjcmV0'},
+  {name:'k'} ].forEach(function(config) {
+    try {
+        Mdns.Tsig(config);
+    } catch(e) {
+        console.log("error: %s", e.message);
+    }
+});
+
+/*****************************************************************************
+ * A signed update answered by an unsigned response fails, ending the update
+ * without the response
+ *
+ */
+console.log("--------------------------------------------------------------");
+var Dgram   = require('dgram'),
+    server  = Dgram.createSocket('udp4');
+
+server.on('message', function(data, rinfo) {
+    var request     = Mdns.Message( data ),
+        response    = Mdns.Message({
+                        header:     {id:request.header.id, qr:1,
+                                     opcode:request.header.opcode},
+                        question:   request.question[0]
+                      }),
+        wire        = toWire(response);
+
+    server.send(wire, 0, wire.length, rinfo.port, rinfo.address);
+});
+
+server.bind(0, '127.0.0.1', function() {
+    var update  = Mdns.Update({
+                    server:     {address:'127.0.0.1',
+                                 port:server.address().port},
+                    zone:       {name:'example.com'},
+                    tsig:       key
+                  });
+
+    update.add({name:'www.example.com', type:'A', ttl:300,
+                rdata:{a:'192.0.2.1'}});
+
+    update.on('error', function(err) {
+        show("update", err);
+    });
+    update.on('response', function(records, rinfo, msg) {
+        console.log("update: response %s", (msg ? 'received' : 'withheld'));
+    });
+    update.on('end', function() {
+        console.log("update: end");
+
+        server.close();
+    });
+
+    update.begin();
+});
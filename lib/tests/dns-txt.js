@@ -0,0 +1,95 @@
+var Util    = require('util'),
+    Mdns    = require('../mdns.js'),
+    Pack    = require('../pack.js').Pack,
+    Unpack  = require('../unpack.js'),
+    Utils   = require('../utils.js'),
+
+    name    = 'Printer._ipp._tcp.local.';
+
+function show(label, obj)
+{
+    console.log("%s:", label);
+    Object.keys(obj).forEach(function(key) {
+        var val = obj[key];
+
+        console.log("    %s: %s", key,
+                    (Buffer.isBuffer(val)
+                        ? '<Buffer '+ Utils.buf2hex(val, {noOffsets:true}) +'>'
+                        : Util.inspect(val)));
+    });
+}
+
+/*****************************************************************************
+ * Build from an object, pack, unpack and decode
+ *
+ */
+console.log("--------------------------------------------------------------");
+var rr  = Mdns.RR({
+        name:name, type:'TXT', class:'IN', ttl:4500,
+        rdata:  {
+            txtObject:  {
+                txtvers:    1,
+                rp:         'queue/raw',
+                Color:      true,
+                duplex:     false,
+                note:       '',
+                bin:        new Buffer([ 0x00, 0xff, 0x80 ])
+            }
+        }
+    }),
+    pack    = new Pack( new Buffer( 512 ) );
+
+console.log("pack: %s", rr.pack(pack));
+console.log("txt: %d strings", rr.rdata.txt.length);
+console.log("keys: %s", Object.keys(rr.rdata).join(', '));
+
+var unpacked    = Mdns.RR();
+unpacked.unpack( new Unpack( pack.buf.slice(0, pack.offset) ) );
+
+unpacked.rdata.txt.forEach(function(str) {
+    console.log("    %s", (Buffer.isBuffer(str)
+                            ? '<Buffer '+ Utils.buf2hex(str, {noOffsets:true})
+                                +'>'
+                            : Util.inspect(str)));
+});
+show("txtObject", unpacked.rdata.txtObject);
+
+/*****************************************************************************
+ * Decoding rules (RFC 6763 section 6.4)
+ *
+ */
+console.log("--------------------------------------------------------------");
+show("decode", Utils.txtDecode([ 'PaperSize=A4', 'papersize=Letter', '=ignored',
+                                 '', 'Bare', 'empty=', 'eq=a=b' ]));
+
+/*****************************************************************************
+ * An object with no attributes and a plain object as 'txt'
+ *
+ */
+console.log("--------------------------------------------------------------");
+rr   = Mdns.RR({name:name, type:'TXT', class:'IN', ttl:4500,
+                rdata:{ txt: {} }});
+pack = new Pack( new Buffer( 512 ) );
+console.log("empty pack: %s, %d bytes", rr.pack(pack), pack.offset);
+
+/*****************************************************************************
+ * Validation
+ *
+ */
+console.log("--------------------------------------------------------------");
+try {
+    Utils.txtEncode({ 'a=b': 'c' });
+} catch(e) {
+    console.log("error: %s", e.message);
+}
+
+try {
+    Utils.txtEncode({ long: new Array(256).join('x') });
+} catch(e) {
+    console.log("error: %s", e.message);
+}
+
+rr   = Mdns.RR({name:name, type:'TXT', class:'IN', ttl:4500,
+                rdata:{ txt: { long: new Array(256).join('x') } }});
+pack = new Pack( new Buffer( 512 ) );
+console.log("pack: %s, error: %s", rr.pack(pack), rr.error.message);
@@ -0,0 +1,84 @@
+var Util    = require('util'),
+    Mdns    = require('../mdns.js'),
+    Pack    = require('../pack.js').Pack,
+    Utils   = require('../utils.js');
+
+function show(update)
+{
+    var msg     = update._current,
+        pack    = new Pack( new Buffer( 512 ) );
+
+    msg.pack(pack);
+
+    console.log("%s", Mdns.Message( pack.buf.slice(0, pack.offset) ));
+}
+
+/*****************************************************************************
+ * Fluent prerequisites and deletes
+ *
+ */
+console.log("--------------------------------------------------------------");
+var update  = Mdns.Update({zone: {name:'example.com.'}});
+
+update.requireExists('www.example.com.', 'A')
+      .requireValue({name:'www.example.com.', type:'A',
+                     rdata:{a:'192.0.2.1'}})
+      .requireAbsent('www.example.com.', 'AAAA')
+      .requireNameInUse('mail.example.com.')
+      .requireNameNotInUse('new.example.com.')
+      .deleteRRset('www.example.com.', 'TXT')
+      .deleteName('old.example.com.')
+      .deleteRecord(Mdns.RR({name:'www.example.com.', type:'A', class:'IN',
+                             ttl:300, rdata:{a:'192.0.2.1'}}))
+      .add({name:'www.example.com.', type:'A', class:'IN', ttl:300,
+            rdata:{a:'192.0.2.2'}});
+
+show(update);
+
+/*****************************************************************************
+ * Prerequisites and deletes via configuration
+ *
+ */
+console.log("--------------------------------------------------------------");
+update = Mdns.Update({
+            zone:           {name:'example.com.'},
+            prerequisites:  [
+                {type:'exists',   name:'a.example.com.', rrtype:'A'},
+                {type:'exists',   name:'a.example.com.', rrtype:'A',
+                 rdata:{a:'192.0.2.3'}},
+                {type:'!exists',  name:'a.example.com.', rrtype:'MX'},
+                {type:'inUse',    name:'b.example.com.'},
+                {type:'notInUse', name:'c.example.com.'}
+            ],
+            del:            [
+                {name:'a.example.com.', type:'A', rdata:{a:'192.0.2.3'}},
+                {name:'a.example.com.', type:'TXT'},
+                {name:'d.example.com.'}
+            ]
+         });
+
+show(update);
+
+/*****************************************************************************
+ * Errors
+ *
+ */
+console.log("--------------------------------------------------------------");
+try {
+    Mdns.Update().requireExists('www.example.com.', 'A');
+} catch(e) {
+    console.log("error: %s", e.message);
+}
+
+try {
+    Mdns.Update({zone:{name:'example.com.'},
+                 prerequisites:{type:'maybe', name:'a.example.com.'}});
+} catch(e) {
+    console.log("error: %s", e.message);
+}
+
+try {
+    update.requireAbsent('a.example.com.', 'BOGUS');
+} catch(e) {
+    console.log("error: %s", e.message);
+}
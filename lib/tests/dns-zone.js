@@ -0,0 +1,84 @@
+var Util    = require('util'),
+    Mdns    = require('../mdns.js');
+
+var zone    = Mdns.Zone({
+                origin:     'example.com.',
+                records:    [
+                    {name:'example.com.', type:'SOA', ttl:3600,
+                     rdata:{mname:'ns1.example.com.', rname:'host.example.com.',
+                            serial:1, refresh:7200, retry:900,
+                            expire:1209600, minimum:300}},
+                    {name:'example.com.', type:'NS', ttl:3600,
+                     rdata:{ns:'ns1.example.com.'}},
+                    {name:'example.com.', type:'MX', ttl:3600,
+                     rdata:{preference:10, exchange:'mail.example.com.'}},
+                    {name:'ns1.example.com.', type:'A', ttl:3600,
+                     rdata:{a:'192.0.2.1'}},
+                    {name:'mail.example.com.', type:'A', ttl:3600,
+                     rdata:{a:'192.0.2.2'}},
+                    {name:'www.example.com.', type:'CNAME', ttl:3600,
+                     rdata:{cname:'mail.example.com.'}},
+                    {name:'ext.example.com.', type:'CNAME', ttl:3600,
+                     rdata:{cname:'www.example.org.'}},
+                    {name:'host.deep.example.com.', type:'A', ttl:3600,
+                     rdata:{a:'192.0.2.3'}},
+                    {name:'*.wild.example.com.', type:'TXT', ttl:3600,
+                     rdata:{txt:['wildcard']}},
+                    {name:'sub.example.com.', type:'NS', ttl:3600,
+                     rdata:{ns:'ns.sub.example.com.'}},
+                    {name:'ns.sub.example.com.', type:'A', ttl:3600,
+                     rdata:{a:'192.0.2.4'}}
+                ]
+              });
+
+function show(qname, qtype, qclass)
+{
+    var result  = zone.lookup(qname, qtype, qclass);
+
+    console.log("--------------------------------------------------------------");
+    console.log("%s %s: rcode: %s, aa: %s", qname, qtype,
+                Mdns.consts.rcode2str(result.rcode), result.authoritative);
+
+    ['answer', 'authority', 'additional'].forEach(function(section) {
+        result[section].forEach(function(rr) {
+            console.log("  %s: %s %s %d", section, rr.name,
+                        Mdns.consts.type2str(rr.type), rr.ttl);
+        });
+    });
+}
+
+show('mail.example.com.',           'A');
+show('MAIL.Example.COM',            'A');
+show('example.com.',                'MX');
+show('example.com.',                'ANY');
+show('www.example.com.',            'A');
+show('ext.example.com.',            'A');
+show('www.example.com.',            'CNAME');
+show('mail.example.com.',           'AAAA');
+show('deep.example.com.',           'A');
+show('missing.example.com.',        'A');
+show('a.wild.example.com.',         'TXT');
+show('a.b.wild.example.com.',       'TXT');
+show('wild.example.com.',           'TXT');
+show('sub.example.com.',            'A');
+show('host.sub.example.com.',       'A');
+show('www.example.org.',            'A');
+show('mail.example.com.',           'A',    'CH');
+
+/*****************************************************************************
+ * Removal
+ *
+ */
+console.log("--------------------------------------------------------------");
+console.log("soa: %s", zone.soa().name);
+console.log("removed: %s",
+            zone.remove(Mdns.RR({name:'mail.example.com.', type:'A',
+                                 class:'IN', rdata:{a:'192.0.2.2'}})).name);
+console.log("records: %d", zone.records.length);
+show('mail.example.com.',           'A');
+
+try {
+    zone.add({name:'www.example.org.', type:'A', rdata:{a:'192.0.2.5'}});
+} catch(e) {
+    console.log("add: %s", e.message);
+}
@@ -0,0 +1,96 @@
+var Util    = require('util'),
+    Mdns    = require('../mdns.js');
+
+function show(records)
+{
+    records.forEach(function(rr) {
+        console.log("%s %d %s %s %j", rr.name, rr.ttl,
+                    Mdns.consts.class2str(rr.class),
+                    Mdns.consts.type2str(rr.type) || rr.type,
+                    rr.rdata);
+    });
+}
+
+/*****************************************************************************
+ * Directives, relative names, defaults, multi-line records and escapes
+ *
+ */
+console.log("--------------------------------------------------------------");
+var text    = [
+        '$ORIGIN example.com.',
+        '$TTL 1h',
+        '@       IN  SOA ns1 hostmaster (',
+        '                2024010101  ; serial',
+        '                2h 15m 2w   ; refresh, retry, expire',
+        '                300 )       ; minimum',
+        '        IN  NS  ns1',
+        '        MX  10 mail',
+        'ns1         A   192.0.2.1',
+        'mail    600 IN  A   192.0.2.2',
+        'www     IN  300 CNAME mail',
+        'txt         TXT "hello \\"world\\"" plain \\065\\066 "semi;colon"',
+        '_sip._tcp   SRV 0 5 5060 sip.example.org.',
+        'esc\\ aped   A   192.0.2.3',
+        '$ORIGIN sub',
+        'host        AAAA 2001:db8::1',
+        '@           TYPE999 \\# 3 01 0203',
+        'generic     A   \\# 4 c0000205'
+    ].join('\n'),
+    records = Mdns.zonefile.parse(text);
+
+show(records);
+
+/*****************************************************************************
+ * Serialization (and round-trip)
+ *
+ */
+console.log("--------------------------------------------------------------");
+var out = Mdns.zonefile.serialize(records);
+
+console.log(out);
+console.log("round-trip: %s",
+            Mdns.zonefile.serialize( Mdns.zonefile.parse(out) ) === out);
+
+/*****************************************************************************
+ * A zone, with an initial origin
+ *
+ */
+console.log("--------------------------------------------------------------");
+var zone    = Mdns.Zone({
+                origin:     'example.net',
+                records:    Mdns.zonefile.parse([
+                                'www     A   192.0.2.9',
+                                '@       SOA ns hostmaster 1 2 3 4 5',
+                            ].join('\n'), {origin:'example.net', ttl:60})
+              });
+
+console.log(zone.toText());
+
+/*****************************************************************************
+ * Errors
+ *
+ */
+console.log("--------------------------------------------------------------");
+[ 'x A 192.0.2.1',
+  '$TTL 5\nx A 192.0.2',
+  'x 5 ( A 192.0.2.1',
+  '$TTL 5\nx BOGUS 1',
+  '$TTL 5\nx MX 1',
+  '$TTL 5\nx A \\# 4 c00002',
+  '$TTL 5\nx TXT "unterminated',
+  '$GENERATE 1-2 x$ A 192.0.2.$',
+  '$TTL 5\n    A 192.0.2.1'
+].forEach(function(text) {
+    try {
+        Mdns.zonefile.parse(text, {file:'test.db'});
+        console.log("no error");
+    } catch(e) {
+        console.log("error: %s", e.message);
+    }
+});
+
+try {
+    Mdns.zonefile.parse('$INCLUDE other.db', {include:false});
+} catch(e) {
+    console.log("error: %s", e.message);
+}
@@ -0,0 +1,20 @@
+--------------------------------------------------------------
+::: 00000000000000000000000000000000 -> ::
+::1: 00000000000000000000000000000001 -> ::1
+fe80::: fe800000000000000000000000000000 -> fe80::
+2001:db8::1: 20010db8000000000000000000000001 -> 2001:db8::1
+2001:DB8:0:0:1:0:0:1: 20010db8000000000001000000000001 -> 2001:db8::1:0:0:1
+fe80::fc:ff:fe00:1: fe8000000000000000fc00fffe000001 -> fe80::fc:ff:fe00:1
+1:0:0:2:0:0:0:3: 00010000000000020000000000000003 -> 1:0:0:2::3
+1:0:2:3:4:5:6:7: 00010000000200030004000500060007 -> 1:0:2:3:4:5:6:7
+1:2:3:4:5:6:7:8: 00010002000300040005000600070008 -> 1:2:3:4:5:6:7:8
+::ffff:192.0.2.1: 00000000000000000000ffffc0000201 -> ::ffff:192.0.2.1
+::ffff:c000:201: 00000000000000000000ffffc0000201 -> ::ffff:192.0.2.1
+64:ff9b::1.2.3.4: 0064ff9b000000000000000001020304 -> 64:ff9b::102:304
+::1.2.3.4: 00000000000000000000000001020304 -> ::102:304
+--------------------------------------------------------------
+1::2::3: invalid AAAA address value '1::2::3'
+::ffff:1.2.3: invalid AAAA address value '::ffff:1.2.3'
+::ffff:1.2.3.256: invalid AAAA address value '::ffff:1.2.3.256'
+12345::: invalid AAAA address value '12345::'
+192.0.2.1: invalid AAAA address value '192.0.2.1'
@@ -0,0 +1,34 @@
+--------------------------------------------------------------
+first: query www.example.com.
+www: 192.0.2.1
+response: www.example.com.
+--------------------------------------------------------------
+first: query one.example.com.
+first: query two.example.com.
+first: query three.example.com.
+three: 192.0.2.3
+two: 192.0.2.2
+one: 192.0.2.1
+--------------------------------------------------------------
+first: query www.example.com.
+retry: first
+first: query www.example.com.
+failover: first => second
+second: query www.example.com.
+www: 192.0.2.2
+--------------------------------------------------------------
+first: query one.example.com.
+serverDown: first (DNS error: SERVFAIL)
+failover: first => second
+second: query one.example.com.
+one: 192.0.2.2
+second: query two.example.com.
+two: 192.0.2.2
+first: query three.example.com.
+serverUp: first
+three: 192.0.2.1
+--------------------------------------------------------------
+first: query www.example.com.
+failover: first => second
+second: query www.example.com.
+www: error timeout
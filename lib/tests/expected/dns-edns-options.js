@@ -0,0 +1,39 @@
+--------------------------------------------------------------
+packed 128 bytes
+Header: id: 4660, opcode: QUERY, status: NOERROR
+      : flags: rd
+      : Question: 1, Answer: 0, Authority: 0, Additional: 1
+
+1 question
+   0: example.com.: qtype:1 (A), qclass:1 (IN)
+
+1 additional
+   0: .: type:41 (OPT), udpPayloadSize:1232, extendedRcode:0, version:0
+        rdata: rdlength:88, 
+             : options:[ NSID=, ECS=192.0.0.0/20/0, COOKIE=0102030405060708:a1a2a3a4a5a6a7a8b1b2b3b4b5b6b7b8, PADDING=41 ]
+
+
+    NSID: 
+    ECS: 00 01 14 00 c0 00 00
+    COOKIE: 01 02 03 04 05 06 07 08 a1 a2 a3 a4 a5 a6 a7 a8 b1 b2 b3 b4 b5 b6 b7 b8
+    PADDING: 00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 00
+ecs: family 1, 192.0.0.0/20/0
+cookie: client 0102030405060708, server a1a2a3a4a5a6a7a8b1b2b3b4b5b6b7b8
+--------------------------------------------------------------
+packed 75 bytes
+Header: id: 4660, opcode: QUERY, status: NOERROR
+      : flags: qr
+      : Question: 1, Answer: 0, Authority: 0, Additional: 1
+
+1 question
+   0: example.com.: qtype:28 (AAAA), qclass:1 (IN)
+
+1 additional
+   0: .: type:41 (OPT), udpPayloadSize:1232, extendedRcode:0, version:0
+        rdata: rdlength:35, 
+             : options:[ NSID="ns1.example", 65001=dead, ECS=2001:db8:1234::/48/40 ]
+
+
+--------------------------------------------------------------
+pack error: invalid COOKIE lengths (4, 0)
+pack error: invalid ECS '192.0.2.0/33'
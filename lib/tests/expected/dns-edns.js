@@ -0,0 +1,26 @@
+--------------------------------------------------------------
+pack: true, 56 bytes
+opt: 00 00 29 10 00 00 00 80 00 00 10 00 0a 00 08 01 02 03 04 05 06 07 08 00 0c 00 00
+Header: id: 4660, opcode: QUERY, status: NOERROR
+      : flags: rd
+      : Question: 1, Answer: 0, Authority: 0, Additional: 1
+
+1 question
+   0: example.com.: qtype:1 (A), qclass:1 (IN)
+
+1 additional
+   0: .: type:41 (OPT), udpPayloadSize:4096, extendedRcode:0, version:0, do
+        rdata: rdlength:16, options:[ COOKIE=0102030405060708, PADDING=0 ]
+
+
+udpPayloadSize: 4096, version: 0, dnssecOk: true
+    option 10: 01 02 03 04 05 06 07 08
+    option 12: 
+message udpPayloadSize: 4096
+--------------------------------------------------------------
+header rcode: 0, rcode: 16
+--------------------------------------------------------------
+none: null, udpPayloadSize: 512
+default: 1232, additional: 1
+replaced: 600, additional: 1
+removed: null, additional: 0
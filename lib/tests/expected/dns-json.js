@@ -0,0 +1,130 @@
+--------------------------------------------------------------
+{
+  "ID": 4660,
+  "QR": 1,
+  "Opcode": 0,
+  "AA": 1,
+  "TC": 0,
+  "RD": 1,
+  "RA": 1,
+  "AD": 0,
+  "CD": 0,
+  "RCODE": 0,
+  "QDCOUNT": 1,
+  "ANCOUNT": 3,
+  "NSCOUNT": 1,
+  "ARCOUNT": 2,
+  "QNAME": "example.com.",
+  "QTYPE": 15,
+  "QTYPEname": "MX",
+  "QCLASS": 1,
+  "QCLASSname": "IN",
+  "answerRRs": [
+    {
+      "NAME": "example.com.",
+      "TYPE": 15,
+      "TYPEname": "MX",
+      "CLASS": 1,
+      "CLASSname": "IN",
+      "TTL": 300,
+      "rdataMX": "10 mail.example.com."
+    },
+    {
+      "NAME": "example.com.",
+      "TYPE": 16,
+      "TYPEname": "TXT",
+      "CLASS": 1,
+      "CLASSname": "IN",
+      "TTL": 300,
+      "rdataTXT": "\"v=spf1 -all\" \"say \\\"hi\\\"\""
+    },
+    {
+      "NAME": "example.com.",
+      "TYPE": 999,
+      "CLASS": 1,
+      "CLASSname": "IN",
+      "TTL": 300,
+      "RDATAHEX": "010203"
+    }
+  ],
+  "authorityRRs": [
+    {
+      "NAME": "example.com.",
+      "TYPE": 2,
+      "TYPEname": "NS",
+      "CLASS": 1,
+      "CLASSname": "IN",
+      "TTL": 3600,
+      "rdataNS": "ns1.example.com."
+    }
+  ],
+  "additionalRRs": [
+    {
+      "NAME": "mail.example.com.",
+      "TYPE": 1,
+      "TYPEname": "A",
+      "CLASS": 1,
+      "CLASSname": "IN",
+      "TTL": 300,
+      "rdataA": "192.0.2.1"
+    },
+    {
+      "NAME": ".",
+      "TYPE": 41,
+      "TYPEname": "OPT",
+      "CLASS": 1232,
+      "TTL": 32768,
+      "RDATAHEX": ""
+    }
+  ],
+  "messageOctetsHEX": "123485800001000300010002076578616D706C6503636F6D00000F0001C00C000F00010000012C0009000A046D61696CC00CC00C001000010000012C00150B763D73706631202D616C6C087361792022686922C00C03E700010000012C0003010203C00C0002000100000E100006036E7331C00CC02B000100010000012C0004C000020100002904D0000080000000"
+}
+members  round-trip: true
+members  udpPayloadSize: 1232, dnssecOk: true
+octets   round-trip: true
+octets   unchanged: tc 1, anCount 2, octets TC 1
+--------------------------------------------------------------
+{
+  "ID": 7,
+  "QR": 0,
+  "Opcode": 0,
+  "AA": 0,
+  "TC": 0,
+  "RD": 1,
+  "RA": 0,
+  "AD": 0,
+  "CD": 1,
+  "RCODE": 0,
+  "QDCOUNT": 2,
+  "ANCOUNT": 0,
+  "NSCOUNT": 0,
+  "ARCOUNT": 0,
+  "questionRRs": [
+    {
+      "NAME": "a.example.com.",
+      "TYPE": 1,
+      "TYPEname": "A",
+      "CLASS": 1,
+      "CLASSname": "IN"
+    },
+    {
+      "NAME": "b.example.com.",
+      "TYPE": 28,
+      "TYPEname": "AAAA",
+      "CLASS": 1,
+      "CLASSname": "IN"
+    }
+  ]
+}
+--------------------------------------------------------------
+QCLASS: 32769 (IN)
+A CLASS: 32769 (IN)
+PTR CLASS: 1 (IN)
+round-trip: true, unicastResponse: true, cacheFlush: true, undefined
+--------------------------------------------------------------
+"null": 'json' MUST be an object
+{"messageOctetsHEX":"12345"}: invalid messageOctetsHEX
+{"messageOctetsHEX":"1234"}: HEADER requires at least 12 bytes
+{"QNAME":"example.com.","QTYPEname":"BOGUS","QCLASS":1}: missing or unknown QTYPE
+{"answerRRs":[{"NAME":"example.com.","TYPE":1,"CLASS":1,"TTL":0}]}: record 'example.com.' has no RDATA
+{"answerRRs":[{"NAME":"example.com.","TYPE":1,"CLASS":1,"TTL":0,"rdataA":"192.0.2"}]}: invalid IPv4 address '192.0.2'
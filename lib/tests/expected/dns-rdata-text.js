@@ -0,0 +1,74 @@
+--------------------------------------------------------------
+A [ 192.0.2.1 ]:
+  192.0.2.1
+  round-trip: true, wire: true
+AAAA [ 2001:db8::1 ]:
+  2001:db8::1
+  round-trip: true, wire: true
+NS [ ns1 ]:
+  ns1.example.com.
+  round-trip: true, wire: true
+MB [ mailbox.example.org. ]:
+  mailbox.example.org.
+  round-trip: true, wire: true
+CNAME [ @ ]:
+  example.com.
+  round-trip: true, wire: true
+PTR [ Host.Example.COM. ]:
+  host.example.com.
+  round-trip: true, wire: true
+SOA [ ns1 hostmaster 2024010101 2h 15m 2w 300 ]:
+  ns1.example.com. hostmaster.example.com. 2024010101 7200 900 1209600 300
+  round-trip: true, wire: true
+WKS [ 192.0.2.1 TCP 21 25 80 ]:
+  192.0.2.1 TCP 21 25 80
+  round-trip: true, wire: true
+WKS [ 192.0.2.1 17 53 ]:
+  192.0.2.1 UDP 53
+  round-trip: true, wire: true
+HINFO [ "Intel x86" Linux ]:
+  "Intel x86" "Linux"
+  round-trip: true, wire: true
+MINFO [ admin errors ]:
+  admin.example.com. errors.example.com.
+  round-trip: true, wire: true
+MX [ 10 mail ]:
+  10 mail.example.com.
+  round-trip: true, wire: true
+TXT [ "hello \"world\"" plain \065\066 "tab\009" "semi;colon" ]:
+  "hello \"world\"" "plain" "AB" "tab\009" "semi;colon"
+  round-trip: true, wire: true
+NSEC [ next A MX RRSIG NSEC TYPE200 ]:
+  next.example.com. A MX RRSIG NSEC TYPE200
+  round-trip: true, wire: true
+SRV [ 0 5 5060 sip.example.org. ]:
+  0 5 5060 sip.example.org.
+  round-trip: true, wire: true
+TSIG [ hmac-sha256. 1700000000 300 4 AQIDBA== 4321 BADSIG 0 ]:
+  hmac-sha256. 1700000000 300 4 AQIDBA== 4321 BADSIG 0
+  round-trip: true, wire: true
+NULL [ \# 3 abcdef ]:
+  \# 3 abcdef
+  round-trip: true, wire: true
+TYPE999 [ \# 4 0102 0304 ]:
+  \# 4 01020304
+  round-trip: true, wire: true
+A [ \# 4 c0000205 ]:
+  192.0.2.5
+  round-trip: true, wire: true
+MX [ \# 0 ]:
+  \# 0
+  round-trip: true, wire: true
+--------------------------------------------------------------
+A [ 192.0.2 ]: invalid IPv4 address '192.0.2'
+AAAA [ 192.0.2.1 ]: invalid IPv6 address '192.0.2.1'
+MX [ 10 ]: MX requires 2 fields
+MX [ 65536 mail ]: invalid number '65536'
+NS [ a..b ]: empty label in 'a..b'
+SOA [ ns1 hostmaster 1 2 3 4 soon ]: invalid period 'soon'
+WKS [ 192.0.2.1 SCTP 80 ]: invalid number 'SCTP'
+TXT [  ]: TXT requires at least one string
+NSEC [ next TYPE300 ]: unsupported NSEC type 'TYPE300'
+FOO [ bar ]: unknown type 'FOO'
+DNSKEY [ 257 3 8 AwEAAQ== ]: no presentation format for DNSKEY (use the generic '\#' format)
+A [ \# 4 c00002 ]: invalid generic RDATA
@@ -0,0 +1,41 @@
+--------------------------------------------------------------
+answered: 'answer' event
+answered: callback(null, 1234)
+answered: 'end' event (answered)
+answered: state answered, pending false
+answered: resolved (1234)
+--------------------------------------------------------------
+timeout: state pending, pending true
+timeout: 'timeout' event
+timeout: callback(timeout, null)
+timeout: 'end' event (timeout)
+timeout: rejected (timeout)
+timeout: state timeout, error timeout
+--------------------------------------------------------------
+error: observed false
+error: observed true
+error: state error, response 1234
+error: rejected (SERVFAIL)
+--------------------------------------------------------------
+cancel: 'cancelled' event (no longer needed)
+cancel: callback(cancelled, null)
+cancel: 'end' event (cancelled)
+cancel: state cancelled, reason no longer needed
+--------------------------------------------------------------
+abort: 'cancelled' event (stop)
+abort: callback(cancelled, null)
+abort: 'end' event (cancelled)
+abort: rejected (cancelled, ECANCELLED)
+--------------------------------------------------------------
+aborted: state pending
+aborted: 'cancelled' event (early)
+aborted: callback(cancelled, null)
+aborted: 'end' event (cancelled)
+aborted: rejected (cancelled, ECANCELLED)
+--------------------------------------------------------------
+emitter: abort listeners 1
+emitter: 'answer' event
+emitter: callback(null, 1234)
+emitter: 'end' event (answered)
+emitter: abort listeners 0
+emitter: state answered
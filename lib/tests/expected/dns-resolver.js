@@ -0,0 +1,22 @@
+--------------------------------------------------------------
+resolve4: ["192.0.2.1","192.0.2.2"]
+--------------------------------------------------------------
+resolve4 ttl: [{"address":"192.0.2.1","ttl":300},{"address":"192.0.2.2","ttl":60}]
+--------------------------------------------------------------
+resolveMx: [{"priority":10,"exchange":"mail.example.com"}]
+--------------------------------------------------------------
+resolveTxt: [["v=spf1 -all"]]
+--------------------------------------------------------------
+NXDOMAIN: ENOTFOUND (queryA ENOTFOUND missing.example.com)
+--------------------------------------------------------------
+NODATA: ENODATA (queryA ENODATA empty.example.com)
+--------------------------------------------------------------
+wrong type: ENODATA (queryAaaa ENODATA www.example.com)
+--------------------------------------------------------------
+SERVFAIL: ESERVFAIL (queryA ESERVFAIL broken.example.com)
+--------------------------------------------------------------
+unanswered: ETIMEOUT (queryA ETIMEOUT silent.example.com)
+--------------------------------------------------------------
+rrtype: EINVAL (invalid rrtype 'BOGUS')
+--------------------------------------------------------------
+mDNS send: EHOSTUNREACH (queryA EHOSTUNREACH printer.local)
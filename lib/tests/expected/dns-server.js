@@ -0,0 +1,37 @@
+--------------------------------------------------------------
+server: udp response, NOERROR
+    rcode NOERROR, aa 1, tc 0
+    answer: www.example.com. CNAME {"rdlength":7,"cname":"host.example.com.","consumed":9}
+    answer: host.example.com. A {"rdlength":4,"a":"192.0.2.2","consumed":6}
+--------------------------------------------------------------
+server: udp response, NOTFOUND
+    rcode NOTFOUND, aa 1, tc 0
+    authority: example.com. SOA {"rdlength":33,"mname":"ns1.example.com.","rname":"host.example.com.","serial":5,"refresh":7200,"retry":900,"expire":1209600,"minimum":300,"consumed":35}
+--------------------------------------------------------------
+server: udp response, NOERROR
+    rcode NOERROR, aa 1, tc 0
+    authority: example.com. SOA {"rdlength":28,"mname":"ns1.example.com.","rname":"host.example.com.","serial":5,"refresh":7200,"retry":900,"expire":1209600,"minimum":300,"consumed":30}
+--------------------------------------------------------------
+server: udp response, NOERROR
+    rcode NOERROR, aa 0, tc 0
+    authority: sub.example.com. NS {"rdlength":5,"ns":"ns.sub.example.com.","consumed":7}
+    additional: ns.sub.example.com. A {"rdlength":4,"a":"192.0.2.5","consumed":6}
+--------------------------------------------------------------
+server: udp response, REFUSED
+    rcode REFUSED, aa 0, tc 0
+--------------------------------------------------------------
+server: udp response, SERVFAIL
+    rcode SERVFAIL, aa 0, tc 0
+--------------------------------------------------------------
+server: udp response, NOERROR (truncated)
+    rcode NOERROR, aa 1, tc 1
+--------------------------------------------------------------
+server: udp response, NOERROR (truncated)
+server: tcp response, NOERROR
+client: 100 answers, tc 0
+--------------------------------------------------------------
+server: udp response, REFUSED
+    rcode REFUSED, aa 0, tc 0
+--------------------------------------------------------------
+server: tcp response, NOERROR
+transfer: AXFR, serial 5, 107 records
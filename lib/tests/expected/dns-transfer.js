@@ -0,0 +1,53 @@
+--------------------------------------------------------------
+incremental:
+server: IXFR request from serial 1
+    delete: example.com. SOA 1
+    delete: old.example.com. A 192.0.2.9
+    add: example.com. SOA 2
+    add: new.example.com. A 192.0.2.8
+    delete: example.com. SOA 2
+    add: example.com. SOA 3
+    add: newer.example.com. A 192.0.2.7
+    end: IXFR, serial 3
+        www.example.com. A 192.0.2.1
+        new.example.com. A 192.0.2.8
+        example.com. SOA 3
+        newer.example.com. A 192.0.2.7
+--------------------------------------------------------------
+current:
+server: IXFR request from serial 3
+    end: NONE, serial 3
+        example.com. SOA 3
+        www.example.com. A 192.0.2.1
+        old.example.com. A 192.0.2.9
+--------------------------------------------------------------
+full:
+server: IXFR request from serial 1
+    record: example.com. SOA 3
+    record: www.example.com. A 192.0.2.1
+    record: new.example.com. A 192.0.2.8
+    record: newer.example.com. A 192.0.2.7
+    end: AXFR, serial 3
+        example.com. SOA 3
+        www.example.com. A 192.0.2.1
+        new.example.com. A 192.0.2.8
+        newer.example.com. A 192.0.2.7
+--------------------------------------------------------------
+fallback:
+server: IXFR request from serial 1
+    fallback: DNS error: NOTIMP
+server: AXFR request
+    record: example.com. SOA 3
+    record: www.example.com. A 192.0.2.1
+    record: new.example.com. A 192.0.2.8
+    record: newer.example.com. A 192.0.2.7
+    end: AXFR, serial 3
+        example.com. SOA 3
+        www.example.com. A 192.0.2.1
+        new.example.com. A 192.0.2.8
+        newer.example.com. A 192.0.2.7
+--------------------------------------------------------------
+invalid:
+server: AXFR request
+    error: transfer does not begin with SOA
+    end: failed
@@ -0,0 +1,48 @@
+--------------------------------------------------------------
+key update-key.: hmac-sha256., 29 byte secret (c2VjcmV0LXNoYXJlZC13aXRoLXRoZS1zZXJ2ZXI=), fudge 300
+key legacy.example.: hmac-md5.sig-alg.reg.int., 6 byte secret (bGVnYWN5), fudge 300
+key slash-key.: hmac-sha512., 8 byte secret (Zm9v//9iYXI=), fudge 300
+--------------------------------------------------------------
+mac: e58709df1e37f9a062c6c3976f57abf29ce7b0466d96ba72011e9b8958dbf90a
+ 0x0000: 12 34 01 00 00 01 00 00 00 00 00 01 07 65 78 61 
+ 0x0010: 6d 70 6c 65 03 63 6f 6d 00 00 01 00 01 0a 75 70 
+ 0x0020: 64 61 74 65 2d 6b 65 79 00 00 fa 00 ff 00 00 00 
+ 0x0030: 00 00 3d 0b 68 6d 61 63 2d 73 68 61 32 35 36 00 
+ 0x0040: 00 00 65 53 f1 00 01 2c 00 20 e5 87 09 df 1e 37 
+ 0x0050: f9 a0 62 c6 c3 97 6f 57 ab f2 9c e7 b0 46 6d 96 
+ 0x0060: ba 72 01 1e 9b 89 58 db f9 0a 12 34 00 00 00 00 
+ 0x0070:
+Header: id: 4660, opcode: QUERY, status: NOERROR
+      : flags: rd
+      : Question: 1, Answer: 0, Authority: 0, Additional: 1
+
+1 question
+   0: example.com.: qtype:1 (A), qclass:1 (IN)
+
+1 additional
+   0: update-key.: type:250 (TSIG), class:255 (ANY), ttl:0
+        rdata: rdlength:61, algorithm:hmac-sha256., fudge:300, macSize:32, 
+             : mac:e5 87 09 df 1e 37 f9 a0 62 c6 c3 97 6f 57 ab f2 9c e7 b0 46 6d 96 ba 72 01 1e 9b 89 58 db f9 0a, 
+             : originalId:4660, tsigError:0, otherLen:0, other:, 
+             : timeSigned:1700000000
+
+
+verify request: ok
+--------------------------------------------------------------
+verify response: ok
+without request MAC: BADSIG (TSIG BADSIG: MAC mismatch)
+new id: ok
+tampered: BADSIG (TSIG BADSIG: MAC mismatch)
+--------------------------------------------------------------
+wrong key: BADKEY (TSIG BADKEY: unknown key 'update-key.')
+late: BADTIME (TSIG BADTIME: time signed (1700000000) outside fudge)
+peer error: BADTIME (TSIG BADTIME: TSIG error reported by peer)
+unsigned: BADSIG (TSIG BADSIG: message is not signed)
+--------------------------------------------------------------
+error: missing TSIG key name
+error: unsupported TSIG algorithm 'hmac-gost'
+error: missing TSIG secret for key 'k.'
+--------------------------------------------------------------
+update: BADSIG (TSIG BADSIG: message is not signed)
+update: response withheld
+update: end
@@ -0,0 +1,27 @@
+--------------------------------------------------------------
+pack: true
+txt: 5 strings
+keys: txt, produced
+    'txtvers=1'
+    'rp=queue/raw'
+    'Color'
+    'note='
+    <Buffer 62 69 6e 3d 00 ff 80>
+txtObject:
+    txtvers: '1'
+    rp: 'queue/raw'
+    color: true
+    note: ''
+    bin: <Buffer 00 ff 80>
+--------------------------------------------------------------
+decode:
+    papersize: 'A4'
+    bare: true
+    empty: ''
+    eq: 'a=b'
+--------------------------------------------------------------
+empty pack: true, 36 bytes
+--------------------------------------------------------------
+error: invalid TXT key 'a=b'
+error: TXT attribute 'long' exceeds 255 bytes
+pack: false, error: TXT attribute 'long' exceeds 255 bytes
@@ -0,0 +1,79 @@
+--------------------------------------------------------------
+Header: id: 0, opcode: UPDATE, status: NOERROR
+      : flags: 
+      : Question: 1, Answer: 5, Authority: 4, Additional: 0
+
+1 question
+   0: example.com.: qtype:6 (SOA), qclass:1 (IN)
+
+5 answers
+   0: www.example.com.: type:1 (A), class:255 (ANY), ttl:0
+        rdata: null
+
+   1: www.example.com.: type:1 (A), class:1 (IN), ttl:0
+        rdata: rdlength:4, a:192.0.2.1
+
+   2: www.example.com.: type:28 (AAAA), class:254 (NONE), ttl:0
+        rdata: null
+
+   3: mail.example.com.: type:255 (ANY), class:255 (ANY), ttl:0
+        rdata: null
+
+   4: new.example.com.: type:255 (ANY), class:254 (NONE), ttl:0
+        rdata: null
+
+
+4 authorities
+   0: www.example.com.: type:16 (TXT), class:255 (ANY), ttl:0
+        rdata: null
+
+   1: old.example.com.: type:255 (ANY), class:255 (ANY), ttl:0
+        rdata: null
+
+   2: www.example.com.: type:1 (A), class:254 (NONE), ttl:0
+        rdata: rdlength:4, a:192.0.2.1
+
+   3: www.example.com.: type:1 (A), class:1 (IN), ttl:300
+        rdata: rdlength:4, a:192.0.2.2
+
+
+--------------------------------------------------------------
+Header: id: 0, opcode: UPDATE, status: NOERROR
+      : flags: 
+      : Question: 1, Answer: 5, Authority: 3, Additional: 0
+
+1 question
+   0: example.com.: qtype:6 (SOA), qclass:1 (IN)
+
+5 answers
+   0: a.example.com.: type:1 (A), class:255 (ANY), ttl:0
+        rdata: null
+
+   1: a.example.com.: type:1 (A), class:1 (IN), ttl:0
+        rdata: rdlength:4, a:192.0.2.3
+
+   2: a.example.com.: type:15 (MX), class:254 (NONE), ttl:0
+        rdata: null
+
+   3: b.example.com.: type:255 (ANY), class:255 (ANY), ttl:0
+        rdata: null
+
+   4: c.example.com.: type:255 (ANY), class:254 (NONE), ttl:0
+        rdata: null
+
+
+3 authorities
+   0: a.example.com.: type:1 (A), class:254 (NONE), ttl:0
+        rdata: rdlength:4, a:192.0.2.3
+
+   1: a.example.com.: type:16 (TXT), class:255 (ANY), ttl:0
+        rdata: null
+
+   2: d.example.com.: type:255 (ANY), class:255 (ANY), ttl:0
+        rdata: null
+
+
+--------------------------------------------------------------
+error: zone() must be called first
+error: Invalid prerequisite type [ maybe ]
+error: invalid rType "BOGUS"
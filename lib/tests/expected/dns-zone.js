@@ -0,0 +1,65 @@
+--------------------------------------------------------------
+mail.example.com. A: rcode: NOERROR, aa: true
+  answer: mail.example.com. A 3600
+--------------------------------------------------------------
+MAIL.Example.COM A: rcode: NOERROR, aa: true
+  answer: mail.example.com. A 3600
+--------------------------------------------------------------
+example.com. MX: rcode: NOERROR, aa: true
+  answer: example.com. MX 3600
+  additional: mail.example.com. A 3600
+--------------------------------------------------------------
+example.com. ANY: rcode: NOERROR, aa: true
+  answer: example.com. SOA 3600
+  answer: example.com. NS 3600
+  answer: example.com. MX 3600
+  additional: ns1.example.com. A 3600
+  additional: mail.example.com. A 3600
+--------------------------------------------------------------
+www.example.com. A: rcode: NOERROR, aa: true
+  answer: www.example.com. CNAME 3600
+  answer: mail.example.com. A 3600
+--------------------------------------------------------------
+ext.example.com. A: rcode: NOERROR, aa: true
+  answer: ext.example.com. CNAME 3600
+--------------------------------------------------------------
+www.example.com. CNAME: rcode: NOERROR, aa: true
+  answer: www.example.com. CNAME 3600
+--------------------------------------------------------------
+mail.example.com. AAAA: rcode: NOERROR, aa: true
+  authority: example.com. SOA 300
+--------------------------------------------------------------
+deep.example.com. A: rcode: NOERROR, aa: true
+  authority: example.com. SOA 300
+--------------------------------------------------------------
+missing.example.com. A: rcode: NOTFOUND, aa: true
+  authority: example.com. SOA 300
+--------------------------------------------------------------
+a.wild.example.com. TXT: rcode: NOERROR, aa: true
+  answer: a.wild.example.com. TXT 3600
+--------------------------------------------------------------
+a.b.wild.example.com. TXT: rcode: NOERROR, aa: true
+  answer: a.b.wild.example.com. TXT 3600
+--------------------------------------------------------------
+wild.example.com. TXT: rcode: NOERROR, aa: true
+  authority: example.com. SOA 300
+--------------------------------------------------------------
+sub.example.com. A: rcode: NOERROR, aa: false
+  authority: sub.example.com. NS 3600
+  additional: ns.sub.example.com. A 3600
+--------------------------------------------------------------
+host.sub.example.com. A: rcode: NOERROR, aa: false
+  authority: sub.example.com. NS 3600
+  additional: ns.sub.example.com. A 3600
+--------------------------------------------------------------
+www.example.org. A: rcode: REFUSED, aa: false
+--------------------------------------------------------------
+mail.example.com. A: rcode: REFUSED, aa: false
+--------------------------------------------------------------
+soa: example.com.
+removed: mail.example.com.
+records: 10
+--------------------------------------------------------------
+mail.example.com. A: rcode: NOTFOUND, aa: true
+  authority: example.com. SOA 300
+add: 'www.example.org.' is outside of zone 'example.com.'
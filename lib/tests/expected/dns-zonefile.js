@@ -0,0 +1,43 @@
+--------------------------------------------------------------
+example.com. 3600 IN SOA {"mname":"ns1.example.com.","rname":"hostmaster.example.com.","serial":2024010101,"refresh":7200,"retry":900,"expire":1209600,"minimum":300}
+example.com. 3600 IN NS {"ns":"ns1.example.com."}
+example.com. 3600 IN MX {"preference":10,"exchange":"mail.example.com."}
+ns1.example.com. 3600 IN A {"a":"192.0.2.1"}
+mail.example.com. 600 IN A {"a":"192.0.2.2"}
+www.example.com. 300 IN CNAME {"cname":"mail.example.com."}
+txt.example.com. 3600 IN TXT {"txt":["hello \"world\"","plain","AB","semi;colon"]}
+_sip._tcp.example.com. 3600 IN SRV {"priority":0,"weight":5,"port":5060,"target":"sip.example.org."}
+esc aped.example.com. 3600 IN A {"a":"192.0.2.3"}
+host.sub.example.com. 3600 IN AAAA {"aaaa":"2001:db8::1"}
+sub.example.com. 3600 IN 999 {"rdlength":3,"data":{"type":"Buffer","data":[1,2,3]},"consumed":5}
+generic.sub.example.com. 3600 IN A {"rdlength":4,"a":"192.0.2.5","consumed":6}
+--------------------------------------------------------------
+example.com.	3600	IN	SOA	ns1.example.com. hostmaster.example.com. 2024010101 7200 900 1209600 300
+example.com.	3600	IN	NS	ns1.example.com.
+example.com.	3600	IN	MX	10 mail.example.com.
+ns1.example.com.	3600	IN	A	192.0.2.1
+mail.example.com.	600	IN	A	192.0.2.2
+www.example.com.	300	IN	CNAME	mail.example.com.
+txt.example.com.	3600	IN	TXT	"hello \"world\"" "plain" "AB" "semi;colon"
+_sip._tcp.example.com.	3600	IN	SRV	0 5 5060 sip.example.org.
+esc\ aped.example.com.	3600	IN	A	192.0.2.3
+host.sub.example.com.	3600	IN	AAAA	2001:db8::1
+sub.example.com.	3600	IN	TYPE999	\# 3 010203
+generic.sub.example.com.	3600	IN	A	192.0.2.5
+
+round-trip: true
+--------------------------------------------------------------
+example.net.	60	IN	SOA	ns.example.net. hostmaster.example.net. 1 2 3 4 5
+www.example.net.	60	IN	A	192.0.2.9
+
+--------------------------------------------------------------
+error: test.db:1: no TTL specified (and no $TTL)
+error: test.db:2: invalid IPv4 address '192.0.2'
+error: test.db:1: unbalanced parentheses
+error: test.db:2: unknown type 'BOGUS'
+error: test.db:2: MX requires 2 fields
+error: test.db:2: invalid generic RDATA
+error: test.db:2: unterminated quoted string
+error: test.db:1: unsupported directive '$GENERATE'
+error: test.db:2: no previous owner name
+error: line 1: $INCLUDE is not permitted
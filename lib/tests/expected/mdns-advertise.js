@@ -0,0 +1,62 @@
+--------------------------------------------------------------
+A 10.0.0.1 vs A 10.0.0.2:   -1
+A 10.0.0.2 vs A 10.0.0.1:   1
+A vs SRV:                   -1
+SRV 80 vs SRV 8080:         -1
+identical:                  0
+cache-flush ignored:        0
+--------------------------------------------------------------
+lower port loses:           -1
+higher port wins:           1
+own probe is a tie:         0
+other names are ignored:    0
+fewer records loses:        -1
+case-insensitive names:     -1
+--------------------------------------------------------------
+service: My Printer (2)
+service: My Printer (3)
+service: My Printer (4)
+service: Room (11)
+service: Suite (B) (2)
+>>> rename:  host-2.local.
+host:    host-2.local.
+>>> rename:  host-3.local.
+host:    host-3.local.
+>>> rename:  host-4.local.
+host:    host-4.local.
+--------------------------------------------------------------
+probe   : PTR SRV[My Printer] TXT[rp=ipp] A (records: 0)
+probe   : PTR SRV[My Printer] TXT[rp=ipp] A (records: 0)
+probe   : PTR SRV[My Printer] TXT[rp=ipp] A (records: 0)
+probe   : PTR SRV[My Printer] TXT[rp=ipp] A (records: 0)
+announce: PTR SRV*[My Printer] TXT*[rp=ipp] A* (records: 0)
+announce: PTR SRV*[My Printer] TXT*[rp=ipp] A* (records: 0)
+announce: PTR SRV*[My Printer] TXT*[rp=ipp] A* (records: 0)
+announce: PTR SRV*[My Printer] TXT*[rp=ipp] A* (records: 4)
+announce: PTR SRV*[My Printer] TXT*[rp=ipp] A* (records: 4)
+--------------------------------------------------------------
+announce: TXT*[rp=print, note=2nd floor] (records: 4)
+announce: TXT*[rp=print, note=2nd floor] (records: 4)
+--------------------------------------------------------------
+announce: TXT(goodbye)[rp=print, note=2nd floor] (records: 3)
+--------------------------------------------------------------
+First probing: probe   : PTR SRV[First] A
+Second probing: probe   : PTR SRV[Second] A
+First probing: probe   : PTR SRV[First] A
+Second probing: probe   : PTR SRV[Second] A
+First probing: probe   : PTR SRV[First] A
+Second probing: probe   : PTR SRV[Second] A
+First probing: probe   : PTR SRV[First] A
+Second probing: probe   : PTR SRV[Second] A
+First announcing: announce: PTR SRV*[First] A*
+Second announcing: announce: PTR SRV*[Second] A*
+--------------------------------------------------------------
+First ending: announce: PTR(goodbye) SRV(goodbye)[First]
+First ending: announce: PTR(goodbye) SRV(goodbye)[First]
+First ending: announce: PTR(goodbye) SRV(goodbye)[First]
+First stopped: ok
+--------------------------------------------------------------
+Second ending: announce: PTR(goodbye) SRV(goodbye)[Second] A(goodbye)
+Second ending: announce: PTR(goodbye) SRV(goodbye)[Second] A(goodbye)
+Second ending: announce: PTR(goodbye) SRV(goodbye)[Second] A(goodbye)
+Responder stopped: ok
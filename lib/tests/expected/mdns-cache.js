@@ -0,0 +1,40 @@
+--------------------------------------------------------------
+>>> added:   host.local. 10.0.0.1
+>>> added:   host.local. 10.0.0.2
+after add/refresh: 2 records
+    10.0.0.1 ttl:115
+    10.0.0.2 ttl:55
+ANY lookup: 2 records
+AAAA lookup: 0 records
+--------------------------------------------------------------
+>>> added:   host.local. 10.0.0.3
+>>> added:   host.local. 10.0.0.4
+after cache-flush: 4 records
+    10.0.0.1 ttl:1
+    10.0.0.2 ttl:1
+    10.0.0.3 ttl:120 (cache-flush)
+    10.0.0.4 ttl:120
+--------------------------------------------------------------
+after goodbye: 4 records
+    10.0.0.1 ttl:1
+    10.0.0.2 ttl:1
+    10.0.0.3 ttl:120 (cache-flush)
+    10.0.0.4 ttl:1
+--------------------------------------------------------------
+after probe:    0 records
+>>> added:   other.local. 10.0.0.9
+after response: 1 records
+after clear:    0 records
+--------------------------------------------------------------
+>>> added:   host.local. 10.0.0.5
+lookup ttl: 115, held ttl: 120
+--------------------------------------------------------------
+>>> added:   host.local. 10.0.1.0
+>>> added:   host.local. 10.0.1.1
+>>> added:   host.local. 10.0.1.2
+>>> added:   host.local. 10.0.0.5
+<<< expired: host.local. 10.0.0.5 ttl:0
+<<< expired: host.local. 10.0.1.1 ttl:0
+<<< expired: host.local. 10.0.1.2 ttl:0
+<<< expired: host.local. 10.0.1.0 ttl:0
+after expiration: 0 records, held ttl: 120
@@ -0,0 +1,250 @@
+var Events      = require('events'),
+    Mdns        = require('../mdns.js'),
+    Advertise   = require('../advertise.js');
+
+function srv(name, port)
+{
+    return Mdns.RR({name:name, type:'SRV', class:'IN', ttl:120,
+                    rdata:{priority:0, weight:0, port:port,
+                           target:'host.local.'}});
+}
+
+function a(name, addr)
+{
+    return Mdns.RR({name:name, type:'A', class:'IN', ttl:120,
+                    rdata:{a:addr}});
+}
+
+/*****************************************************************************
+ * RR comparison (class, then type, then raw rdata)
+ *
+ */
+console.log("--------------------------------------------------------------");
+var flushed = a('host.local.', '10.0.0.1');
+flushed.cacheFlush = true;
+
+console.log("A 10.0.0.1 vs A 10.0.0.2:   %d",
+            Math.sign(a('x.local.', '10.0.0.1')
+                        .compare( a('x.local.', '10.0.0.2') )));
+console.log("A 10.0.0.2 vs A 10.0.0.1:   %d",
+            Math.sign(a('x.local.', '10.0.0.2')
+                        .compare( a('x.local.', '10.0.0.1') )));
+console.log("A vs SRV:                   %d",
+            Math.sign(a('x.local.', '10.0.0.1')
+                        .compare( srv('x.local.', 80) )));
+console.log("SRV 80 vs SRV 8080:         %d",
+            Math.sign(srv('x.local.', 80).compare( srv('x.local.', 8080) )));
+console.log("identical:                  %d",
+            a('x.local.', '10.0.0.1').compare( a('x.local.', '10.0.0.1') ));
+console.log("cache-flush ignored:        %d",
+            flushed.compare( a('host.local.', '10.0.0.1') ));
+
+/*****************************************************************************
+ * Simultaneous probe tiebreaking
+ *
+ */
+console.log("--------------------------------------------------------------");
+var name    = 'My Printer._ipp._tcp.local.',
+    ours    = [ srv(name, 631) ];
+
+console.log("lower port loses:           %d",
+            Math.sign(Advertise.tiebreak(ours, [ srv(name, 8631) ])));
+console.log("higher port wins:           %d",
+            Math.sign(Advertise.tiebreak(ours, [ srv(name, 80) ])));
+console.log("own probe is a tie:         %d",
+            Advertise.tiebreak(ours, [ srv(name, 631) ]));
+console.log("other names are ignored:    %d",
+            Advertise.tiebreak(ours, [ srv('Other._ipp._tcp.local.', 1) ]));
+console.log("fewer records loses:        %d",
+            Math.sign(Advertise.tiebreak(ours, [ srv(name, 632),
+                                                 srv(name, 631) ])));
+console.log("case-insensitive names:     %d",
+            Math.sign(Advertise.tiebreak(ours, [
+                        srv('my printer._IPP._tcp.local', 8631) ])));
+
+/*****************************************************************************
+ * Renaming following a conflict
+ *
+ */
+console.log("--------------------------------------------------------------");
+var next    = 'My Printer';
+for (var idex = 0; idex < 3; idex++)
+{
+    next = Advertise.nextName(next);
+    console.log("service: %s", next);
+}
+console.log("service: %s", Advertise.nextName('Room (10)'));
+console.log("service: %s", Advertise.nextName('Suite (B)'));
+
+// A client that is never ready, so nothing is sent
+var client      = new Events.EventEmitter(),
+    responder   = Mdns.Responder({host:'host.local', client:client});
+
+client.isReady = false;
+
+responder.on('rename', function(host) {
+    console.log(">>> rename:  %s", host);
+});
+
+for (idex = 0; idex < 3; idex++)
+{
+    console.log("host:    %s", responder.renameHost());
+}
+
+/*****************************************************************************
+ * Probing, announcing and re-announcing (cache-flush is set only on unique
+ * records and queries are answered throughout re-announcement), followed by
+ * changing and removing the TXT record
+ *
+ */
+var log     = console.log;
+
+// Skip the advertisement's own progress output
+console.log = function(fmt) {
+    if (/^>>> (Probe|Announce) /.test(fmt)) { return; }
+
+    log.apply(console, arguments);
+};
+
+var lifecycle   = _fakeResponder(),
+    advertise   = lifecycle.add('_ipp._tcp', {name:'My Printer', port:631,
+                                              txtRecords:{rp:'ipp'}}),
+    responding  = 0,
+    steps       = {
+        // Re-announcement is complete, change the TXT record
+        2:  function() {
+                log("--------------------------------------------------------------");
+                advertise.setTxt({rp:'print', note:'2nd floor'});
+            },
+
+        // The new TXT record has been announced twice, remove it
+        4:  function() {
+                log("--------------------------------------------------------------");
+                advertise.setTxt([]);
+            },
+
+        // The previous TXT record has been withdrawn
+        5:  function() {
+                log("--------------------------------------------------------------");
+                lifecycle.close();
+
+                _stopAnnouncing();
+            }
+    };
+
+Advertise.REANNOUNCE = 0.001;
+
+lifecycle.client.sent = function(msg) {
+    console.log("%s (records: %d)", _describe(msg),
+                advertise.records().length);
+
+    if (advertise.state !== 'responding')   { return; }
+
+    // Only re-announce once
+    Advertise.REANNOUNCE = 0.75;
+
+    var step    = steps[ ++responding ];
+    if (step)   { setImmediate(step); }
+};
+
+console.log("--------------------------------------------------------------");
+lifecycle.client.isReady = true;
+lifecycle.client.emit('ready');
+
+/*****************************************************************************
+ * Stopping while announcing sends goodbyes for the records already announced,
+ * other than those still published by another registration
+ *
+ */
+function _stopAnnouncing()
+{
+    var responder   = _fakeResponder(),
+        first       = responder.add('_ipp._tcp', {name:'First', port:631}),
+        second      = responder.add('_ipp._tcp', {name:'Second', port:632});
+
+    responder.client.sent = function(msg) {
+        var service = (_describe(msg).indexOf('Second') < 0 ? first : second);
+
+        console.log("%s %s: %s", service.name, service.state, _describe(msg));
+
+        // Stop the first registration once the second begins announcing
+        if ((service === second) && (msg.header.qr) &&
+            (first.state === 'announcing'))
+        {
+            setImmediate(__stop);
+        }
+    };
+
+    responder.client.isReady = true;
+    responder.client.emit('ready');
+
+    /*********************************************************************
+     * Context-bound helpers
+     *
+     */
+    function __stop()
+    {
+        log("--------------------------------------------------------------");
+        first.stop(function(err) {
+            console.log("First stopped: %s", (err || 'ok'));
+
+            log("--------------------------------------------------------------");
+            responder.stop(function(err) {
+                console.log("Responder stopped: %s", (err || 'ok'));
+            });
+        });
+    }
+}
+
+/** @brief  Describe the records of a probe or announcement.
+ *  @param  msg     The message {Mdns::Message};
+ *
+ *  @return The description {String};
+ */
+function _describe(msg)
+{
+    var records = (msg.header.qr ? msg.answer : msg.authority);
+
+    return (msg.header.qr ? 'announce' : 'probe   ') +': '+
+            records.map(function(rr) {
+                var str = Mdns.consts.TYPE_INT[ rr.type ] +
+                            (rr.cacheFlush ? '*' : '');
+
+                if (rr.ttl === 0)   { str += '(goodbye)'; }
+                switch (rr.type)
+                {
+                case Mdns.consts.TYPE_STR.TXT:
+                    str += '['+ rr.rdata.txt.join(', ') +']';
+                    break;
+
+                case Mdns.consts.TYPE_STR.SRV:
+                    str += '['+ rr.name.split('.')[0] +']';
+                    break;
+                }
+
+                return str;
+            }).join(' ');
+}
+
+/** @brief  Create a Responder using a client that records, but does not
+ *          send, each message.
+ *
+ *  @return The new Responder {Mdns::Responder};
+ */
+function _fakeResponder()
+{
+    var client      = new Events.EventEmitter(),
+        responder;
+
+    client.isReady = false;
+    client.send    = function(msg, cb) {
+        client.sent(msg);
+        if (cb) { setImmediate(cb); }
+    };
+
+    responder = Mdns.Responder({host:'host.local', client:client,
+                                pollInterval:0});
+    responder.addresses = [ {family:'IPv4', address:'192.0.2.1'} ];
+
+    return responder;
+}
@@ -0,0 +1,122 @@
+var Util    = require('util'),
+    Mdns    = require('../mdns.js'),
+    Cache   = require('../cache.js'),
+
+    cache   = new Cache(),
+    now     = Date.now(),
+    name    = 'host.local.';
+
+function show(label)
+{
+    var recs    = cache.lookup(name, 'A');
+
+    console.log("%s: %d %s", label, recs.length,
+                (recs.length === 1 ? 'record' : 'records'));
+    recs.forEach(function(rr) {
+        console.log("    %s ttl:%d%s", rr.rdata.a, rr.ttl,
+                    (rr.cacheFlush ? ' (cache-flush)' : ''));
+    });
+}
+
+cache.on('added', function(rr) {
+    console.log(">>> added:   %s %s", rr.name, rr.rdata.a);
+});
+
+/*****************************************************************************
+ * Add/refresh
+ *
+ */
+console.log("--------------------------------------------------------------");
+cache.add( Mdns.RR({name:name, type:'A', class:'IN', ttl:120,
+                    rdata:{a:'10.0.0.1'}}), now - 5000 );
+cache.add( Mdns.RR({name:name, type:'A', class:'IN', ttl:120,
+                    rdata:{a:'10.0.0.2'}}), now - 5000 );
+cache.add( Mdns.RR({name:'HOST.local', type:'A', class:'IN', ttl:60,
+                    rdata:{a:'10.0.0.2'}}), now - 5000 );
+show("after add/refresh");
+
+console.log("ANY lookup: %d records",
+            cache.lookup(name).length);
+console.log("AAAA lookup: %d records",
+            cache.lookup(name, 'AAAA').length);
+
+/*****************************************************************************
+ * Cache-flush: records received more than 1 second ago are flushed
+ *
+ */
+console.log("--------------------------------------------------------------");
+var flush   = Mdns.RR({name:name, type:'A', class:'IN', ttl:120,
+                       rdata:{a:'10.0.0.3'}});
+flush.cacheFlush = true;
+
+cache.add( flush, now );
+cache.add( Mdns.RR({name:name, type:'A', class:'IN', ttl:120,
+                    rdata:{a:'10.0.0.4'}}), now );
+show("after cache-flush");
+
+/*****************************************************************************
+ * Goodbye
+ *
+ */
+console.log("--------------------------------------------------------------");
+cache.add( Mdns.RR({name:name, type:'A', class:'IN', ttl:0,
+                    rdata:{a:'10.0.0.4'}}), now );
+show("after goodbye");
+
+/*****************************************************************************
+ * Message update (only responses are cached)
+ *
+ */
+console.log("--------------------------------------------------------------");
+var probe   = Mdns.Message({
+                header:     {id:0},
+                authority:  [ {name:'other.local.', type:'A', class:'IN',
+                               ttl:120, rdata:{a:'10.0.0.9'}} ]
+              }),
+    rsp     = Mdns.Message({
+                header:     {id:0, qr:1, aa:1},
+                answer:     [ {name:'other.local.', type:'A', class:'IN',
+                               ttl:120, rdata:{a:'10.0.0.9'}} ]
+              });
+
+cache.update( probe );
+console.log("after probe:    %d records", cache.lookup('other.local.').length);
+cache.update( rsp );
+console.log("after response: %d records", cache.lookup('other.local.').length);
+
+cache.clear();
+console.log("after clear:    %d records", cache.lookup(name).length);
+
+/*****************************************************************************
+ * Cached records are not modified by lookup or expiration
+ *
+ */
+console.log("--------------------------------------------------------------");
+var held    = Mdns.RR({name:name, type:'A', class:'IN', ttl:120,
+                       rdata:{a:'10.0.0.5'}});
+
+cache.add( held, now - 5000 );
+console.log("lookup ttl: %d, held ttl: %d",
+            cache.lookup(name, 'A')[0].ttl, held.ttl);
+
+/*****************************************************************************
+ * Expiration order
+ *
+ */
+console.log("--------------------------------------------------------------");
+cache.clear();
+cache.on('expired', function(rr) {
+    console.log("<<< expired: %s %s ttl:%d", rr.name, rr.rdata.a, rr.ttl);
+});
+
+now = Date.now();
+[ 300, 100, 200 ].forEach(function(ms, idex) {
+    cache.add( Mdns.RR({name:name, type:'A', class:'IN', ttl:1,
+                        rdata:{a:'10.0.1.'+ idex}}), now - 1000 + ms );
+});
+cache.add( held, now - 119950 );
+
+setTimeout(function() {
+    console.log("after expiration: %d records, held ttl: %d",
+                cache.lookup(name).length, held.ttl);
+}, 500);
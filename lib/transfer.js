@@ -0,0 +1,578 @@
+/**
+ *  @file
+ *
+ *  A zone transfer client performing AXFR (RFC 5936) and IXFR (RFC 1995)
+ *  over TCP.
+ *
+ *  The response to a transfer request may span many messages.  Records are
+ *  emitted as they arrive, ending at the closing SOA:
+ *      AXFR    SOA, record, ..., SOA
+ *              each emitted as 'record'(rr) (the closing SOA excepted);
+ *
+ *      IXFR    SOA(new), [ SOA(from), deleted..., SOA(to), added... ]...,
+ *              SOA(new)
+ *              each difference emitted as 'delete'(rr) / 'add'(rr), with the
+ *              SOA records of each difference being the deleted and added
+ *              SOA.  A server may instead respond to an IXFR with the full
+ *              zone (as an AXFR) or, if the zone has not changed, with a
+ *              single SOA.
+ *
+ *  An IXFR that the server refuses (by rcode) or that fails for any other
+ *  reason is retried as an AXFR, announced by 'fallback' after which anything
+ *  emitted so far should be discarded.
+ *
+ *  When given the current zone `records`, the transfer maintains the new
+ *  zone, reported in the result of 'end'.
+ *
+ *  @class  Mdns::Transfer
+ */
+var Util    = require('util'),
+    Events  = require('events'),
+    Crypto  = require('crypto'),
+    _       = require('lodash'),
+    Pack    = require('./pack').Pack,
+    Tcp     = require('./tcp'),
+    Mdns    = require('./mdns');
+
+/**
+ *  Create a new zone transfer.
+ *  @constructor
+ *  @param  config                  The configuration object {Object};
+ *  @param  config.server           The server, as 'address[:port]' or
+ *                                  {address:, port:} {String | Object};
+ *  @param  config.zone             The name of the zone {String};
+ *  @param  [config.type]           The type of transfer ( 'AXFR' | 'IXFR' ),
+ *                                  [ 'IXFR' if a `serial` is provided,
+ *                                    otherwise 'AXFR' ] {String};
+ *  @param  [config.serial]         For an IXFR, the serial of the zone
+ *                                  currently held {Number};
+ *  @param  [config.records]        The zone currently held, to which the
+ *                                  transfer is applied {Array};
+ *  @param  [config.class='IN']     The class of the zone {String};
+ *  @param  [config.timeout=30000]  The time (in milliseconds) to wait for the
+ *                                  next message, 0 for no timeout {Number};
+ *
+ *  @emits  message(msg)            each response message;
+ *          record(rr)              each record of a full (AXFR) transfer;
+ *          delete(rr)              each record removed by an IXFR;
+ *          add(rr)                 each record added by an IXFR;
+ *          fallback(err)           an IXFR failed and is being retried as an
+ *                                  AXFR;
+ *          error(err)
+ *          end(result)             the transfer is complete (result is null
+ *                                  on error):
+ *                                      { type:     'AXFR' | 'IXFR' | 'NONE',
+ *                                        serial:   the new serial,
+ *                                        soa:      the new SOA record,
+ *                                        records:  the new zone (only with
+ *                                                  `config.records`) }
+ */
+function Transfer(config)
+{
+    var self    = this,
+        server;
+
+    Events.EventEmitter.call(self);
+
+    config = config || {};
+    server = config.server;
+
+    if (_.isString(server))
+    {
+        server = server.split(':');
+        server = { address: server[0], port: server[1] };
+    }
+    if ((! server) || (! server.address))
+    {
+        throw new Error("missing server");
+    }
+    if (! config.zone)
+    {
+        throw new Error("missing zone");
+    }
+
+    self.server  = { address:  server.address,
+                     port:     (parseInt(server.port, 10) ||
+                                Mdns.consts.DNS.PORT) };
+    self.zone    = _fqdn(config.zone);
+    self.class   = (config.class || 'IN');
+    self.serial  = (config.serial != null ? config.serial : null);
+    self.type    = (config.type
+                        ? String(config.type).toUpperCase()
+                        : (self.serial !== null ? 'IXFR' : 'AXFR'));
+    self.records = (_.isArray(config.records) ? config.records.slice() : null);
+    self.timeout = (config.timeout != null ? config.timeout
+                                           : Transfer.TIMEOUT);
+
+    if ((self.type !== 'AXFR') && (self.type !== 'IXFR'))
+    {
+        throw new Error("invalid transfer type '"+ config.type +"'");
+    }
+    if ((self.type === 'IXFR') && (self.serial === null))
+    {
+        throw new Error("an IXFR requires the current serial");
+    }
+
+    self._tcp    = null;
+    self._timer  = null;
+    self._state  = null;
+}
+Util.inherits(Transfer, Events.EventEmitter);
+
+/** The default time (in milliseconds) to wait for the next message. */
+Transfer.TIMEOUT = 30000;
+
+_.extend(Transfer.prototype, {
+    /**
+     *  Begin the transfer.
+     *  @method begin
+     *
+     *  @return this for a fluent interface;
+     */
+    begin: function() {
+        var self    = this;
+
+        _request.call(self, self.type);
+
+        return self;
+    },
+
+    /**
+     *  Abandon the transfer, ending it with an error.
+     *  @method cancel
+     *
+     *  @return this for a fluent interface;
+     */
+    cancel: function() {
+        var self    = this;
+
+        if (self._state)    { _finish.call(self, new Error('cancelled')); }
+
+        return self;
+    }
+});
+
+module.exports = Transfer;
+
+/**********************************************************************
+ * Private helpers and utilities
+ *
+ */
+
+/**
+ *  Send a transfer request over a new connection.
+ *  @method _request
+ *  @param  type    The type of transfer ( 'AXFR' | 'IXFR' ) {String};
+ *
+ *  `this` is the controlling Transfer instance;
+ */
+function _request(type)
+{
+    var self    = this,
+        msg     = Mdns.Message({
+                    header:     { id: Crypto.randomBytes(2).readUInt16BE(0) },
+                    question:   { qname:    self.zone,
+                                  qtype:    type,
+                                  qclass:   self.class }
+                  }),
+        pack    = new Pack( new Buffer( 512 ) ),
+        tcp;
+
+    if (type === 'IXFR')
+    {
+        /* The serial currently held is conveyed in the authority section
+         * (RFC 1995 section 3).
+         */
+        msg.addAuthority(self.zone, 'SOA', self.class, 0, {
+                            mname:  '.',
+                            rname:  '.',
+                            serial: self.serial,
+                            refresh:0,
+                            retry:  0,
+                            expire: 0,
+                            minimum:0
+                         });
+    }
+
+    self._state = {
+        type:       type,
+        id:         msg.header.id,
+        mode:       null,       // 'axfr' | 'delete' | 'add'
+        soa:        null,       // The new SOA
+        to:         null,       // The serial at the end of the current diff
+        count:      0,          // Records received
+        records:    null,       // The new zone (with `config.records`)
+        done:       false
+    };
+
+    self._tcp = tcp = new Tcp({ address:        self.server.address,
+                                port:           self.server.port,
+                                idleTimeout:    0 });
+
+    tcp.on('message', function(data) {
+        if (self._tcp === tcp)  { _onMessage.call(self, data); }
+    });
+    tcp.on('error', function(err) {
+        if (self._tcp === tcp)  { _failed.call(self, err); }
+    });
+    tcp.on('close', function() {
+        if ((self._tcp === tcp) && self._state)
+        {
+            _failed.call(self, new Error("connection closed"));
+        }
+    });
+
+    _restartTimer.call(self);
+
+    if (! msg.pack( pack ))
+    {
+        return _finish.call(self, msg.error);
+    }
+
+    tcp.send( pack.buf.slice(pack.begin, pack.offset), function(err) {
+        if (err && (self._tcp === tcp)) { _failed.call(self, err); }
+    });
+}
+
+/**
+ *  Process a single response message.
+ *  @method _onMessage
+ *  @param  data    The raw message {Buffer};
+ *
+ *  `this` is the controlling Transfer instance;
+ */
+function _onMessage(data)
+{
+    var self        = this,
+        state       = self._state,
+        response    = Mdns.Message(data),
+        rcode;
+
+    if ((! state) || response.error || (response.header.id !== state.id) ||
+        (response.header.qr !== 1))
+    {
+        // Ignore anything that is not a response to our request
+        return;
+    }
+
+    _restartTimer.call(self);
+
+    self.emit('message', response);
+
+    rcode = response.rcode();
+    if (rcode !== Mdns.consts.RCODE_STR.NOERROR)
+    {
+        return _failed.call(self, new Error('DNS error: '+
+                                            Mdns.consts.rcode2str( rcode )));
+    }
+
+    for (var idex = 0; idex < response.answer.length; idex++)
+    {
+        if (! _onRecord.call(self, response.answer[idex]))  { return; }
+
+        if (state.done) { return _finish.call(self, null); }
+    }
+
+    /* A first message holding only a newer (or the same) SOA means the zone
+     * held is current (RFC 1995 section 2).
+     */
+    if ((state.type === 'IXFR') && (state.count === 1) &&
+        (! _serialNewer(state.soa.rdata.serial, self.serial)))
+    {
+        state.mode = 'none';
+        return _finish.call(self, null);
+    }
+}
+
+/**
+ *  Process a single record of the transfer stream.
+ *  @method _onRecord
+ *  @param  rr      The record {Mdns::RR};
+ *
+ *  `this` is the controlling Transfer instance;
+ *
+ *  @return false if the transfer failed, otherwise true;
+ */
+function _onRecord(rr)
+{
+    var self    = this,
+        state   = self._state,
+        isSoa   = (rr.type === Mdns.consts.TYPE_STR.SOA),
+        serial  = (isSoa ? rr.rdata.serial : null);
+
+    state.count++;
+
+    if (state.count === 1)
+    {
+        if (! isSoa)
+        {
+            _failed.call(self, new Error("transfer does not begin with SOA"));
+            return false;
+        }
+
+        state.soa = rr;
+        return true;
+    }
+
+    if (state.count === 2)
+    {
+        if (isSoa && (state.type === 'IXFR') &&
+            (serial !== state.soa.rdata.serial))
+        {
+            // An incremental transfer, beginning the first difference
+            state.mode    = 'delete';
+            state.records = (self.records ? self.records.slice() : null);
+
+            _delete.call(self, rr);
+            return true;
+        }
+
+        // A full transfer (beginning with the leading SOA)
+        state.mode    = 'axfr';
+        state.records = (self.records ? [] : null);
+
+        _record.call(self, state.soa);
+    }
+
+    switch (state.mode)
+    {
+    case 'axfr':
+        if (isSoa && (serial === state.soa.rdata.serial))
+        {
+            state.done = true;
+        }
+        else
+        {
+            _record.call(self, rr);
+        }
+        break;
+
+    case 'delete':
+        if (isSoa)
+        {
+            // The SOA of the version this difference leads to
+            state.mode = 'add';
+            state.to   = serial;
+            _add.call(self, rr);
+        }
+        else
+        {
+            _delete.call(self, rr);
+        }
+        break;
+
+    case 'add':
+        if (isSoa && (serial === state.soa.rdata.serial) &&
+            (state.to === serial))
+        {
+            state.done = true;
+        }
+        else if (isSoa)
+        {
+            // The next difference
+            state.mode = 'delete';
+            _delete.call(self, rr);
+        }
+        else
+        {
+            _add.call(self, rr);
+        }
+        break;
+    }
+
+    return true;
+}
+
+/**
+ *  A record of a full transfer.
+ *  @method _record
+ *  @param  rr      The record {Mdns::RR};
+ *
+ *  `this` is the controlling Transfer instance;
+ */
+function _record(rr)
+{
+    var self    = this;
+
+    if (self._state.records)    { self._state.records.push( rr ); }
+
+    self.emit('record', rr);
+}
+
+/**
+ *  A record removed by an incremental transfer.
+ *  @method _delete
+ *  @param  rr      The record {Mdns::RR};
+ *
+ *  `this` is the controlling Transfer instance;
+ */
+function _delete(rr)
+{
+    var self    = this,
+        name    = String(rr.name).toLowerCase();
+
+    if (self._state.records)
+    {
+        self._state.records = self._state.records.filter(function(held) {
+            return ((String(held.name).toLowerCase() !== name) ||
+                    (held.compare(rr) !== 0));
+        });
+    }
+
+    self.emit('delete', rr);
+}
+
+/**
+ *  A record added by an incremental transfer.
+ *  @method _add
+ *  @param  rr      The record {Mdns::RR};
+ *
+ *  `this` is the controlling Transfer instance;
+ */
+function _add(rr)
+{
+    var self    = this;
+
+    if (self._state.records)    { self._state.records.push( rr ); }
+
+    self.emit('add', rr);
+}
+
+/**
+ *  The current request failed.  An IXFR is retried as an AXFR, otherwise
+ *  the transfer ends with an error.
+ *  @method _failed
+ *  @param  err     The error {Error};
+ *
+ *  `this` is the controlling Transfer instance;
+ */
+function _failed(err)
+{
+    var self    = this,
+        state   = self._state;
+
+    if (! state)    { return; }
+
+    if (state.type === 'IXFR')
+    {
+        _close.call(self);
+
+        self.emit('fallback', err);
+
+        _request.call(self, 'AXFR');
+        return;
+    }
+
+    _finish.call(self, err);
+}
+
+/**
+ *  Complete the transfer.
+ *  @method _finish
+ *  @param  err     Any error {Error};
+ *
+ *  `this` is the controlling Transfer instance;
+ */
+function _finish(err)
+{
+    var self    = this,
+        state   = self._state,
+        result  = null;
+
+    _close.call(self);
+
+    self._state = null;
+
+    if (err)
+    {
+        self.emit('error', err);
+    }
+    else
+    {
+        if (state.records)  { self.records = state.records; }
+
+        self.serial = state.soa.rdata.serial;
+
+        result = {
+            type:       (state.mode === 'axfr'
+                            ? 'AXFR'
+                            : (state.mode === 'none' ? 'NONE' : 'IXFR')),
+            serial:     self.serial,
+            soa:        state.soa
+        };
+
+        if (self.records)   { result.records = self.records; }
+    }
+
+    self.emit('end', result);
+}
+
+/**
+ *  Close the current connection and any timer.
+ *  @method _close
+ *
+ *  `this` is the controlling Transfer instance;
+ */
+function _close()
+{
+    var self    = this,
+        tcp     = self._tcp;
+
+    if (self._timer)    { clearTimeout(self._timer); }
+    self._timer = null;
+
+    self._tcp   = null;
+    if (tcp)    { tcp.close(); }
+}
+
+/**
+ *  (Re)start the timer awaiting the next message.
+ *  @method _restartTimer
+ *
+ *  `this` is the controlling Transfer instance;
+ */
+function _restartTimer()
+{
+    var self    = this;
+
+    if (self._timer)    { clearTimeout(self._timer); }
+    self._timer = null;
+
+    if (self.timeout > 0)
+    {
+        self._timer = setTimeout(function() {
+                        self._timer = null;
+
+                        _failed.call(self, new Error('timeout'));
+                      }, self.timeout);
+    }
+}
+
+/**
+ *  Is serial `a` newer than serial `b` (RFC 1982 serial arithmetic)?
+ *  @method _serialNewer
+ *  @param  a   The first serial {Number};
+ *  @param  b   The second serial {Number};
+ *
+ *  @return true | false
+ */
+function _serialNewer(a, b)
+{
+    var diff    = ((a - b) >>> 0);
+
+    return ((diff !== 0) && (diff < 0x80000000));
+}
+
+/**
+ *  Generate a fully-qualified, lower-case name.
+ *  @method _fqdn
+ *  @param  name    The name {String};
+ *
+ *  @return The name, with a trailing '.' {String};
+ */
+function _fqdn(name)
+{
+    name = String(name || '').toLowerCase();
+
+    return (name.slice(-1) === '.' ? name : name +'.');
+}
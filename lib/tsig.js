@@ -0,0 +1,441 @@
+/**
+ *  @file
+ *
+ *  Secret Key Transaction Authentication for DNS (TSIG, RFC 8945).
+ *
+ *  A Tsig instance represents a single named, shared secret key used to sign
+ *  outgoing messages and verify incoming ones:
+ *      var key = new Tsig({name: 'update-key', algorithm: 'hmac-sha256',
+ *                          secret: 'base64...'});
+ *
+ *      mac = key.sign(request);
+ *      ...
+ *      err = key.verify(data, response, mac);
+ *
+ *  Keys may also be loaded from BIND-style key blocks:
+ *      key "update-key" {
+ *          algorithm hmac-sha256;
+ *          secret "base64...";
+ *      };
+ *
+ *  @class  Mdns::Tsig
+ */
+var Fs      = require('fs'),
+    Crypto  = require('crypto'),
+    _       = require('lodash'),
+    Consts  = require('./consts'),
+    Pack    = require('./pack').Pack,
+    RR      = require('./rr');
+
+/**
+ *  Create a new TSIG key.
+ *  @constructor
+ *  @param  config                  The configuration object {Object};
+ *  @param  config.name             The name of the key {String};
+ *  @param  config.secret           The shared secret, raw or base64 encoded
+ *                                  {Buffer | String};
+ *  @param  [config.algorithm='hmac-sha256']
+ *                                  The HMAC algorithm (see Tsig.ALGORITHMS),
+ *                                  with or without the trailing '.' {String};
+ *  @param  [config.fudge=300]      The permitted clock skew (in seconds)
+ *                                  {Number};
+ */
+function Tsig(config)
+{
+    var self    = this;
+
+    config = config || {};
+
+    self.name      = _fqdn(config.name);
+    self.algorithm = _algorithm(config.algorithm || 'hmac-sha256');
+    self.secret    = (Buffer.isBuffer(config.secret)
+                        ? config.secret
+                        : new Buffer(String(config.secret || ''), 'base64'));
+    self.fudge     = (config.fudge != null ? config.fudge : Tsig.FUDGE);
+
+    if ((! config.name) || (self.name === '.'))
+    {
+        throw new Error("missing TSIG key name");
+    }
+    if (! Tsig.ALGORITHMS[ self.algorithm ])
+    {
+        throw new Error("unsupported TSIG algorithm '"+ config.algorithm +"'");
+    }
+    if (self.secret.length < 1)
+    {
+        throw new Error("missing TSIG secret for key '"+ self.name +"'");
+    }
+}
+
+/** The default permitted clock skew (in seconds, RFC 8945 section 10). */
+Tsig.FUDGE      = 300;
+
+/** Supported algorithm names and the matching crypto digest. */
+Tsig.ALGORITHMS = {
+    'hmac-md5.sig-alg.reg.int.':    'md5',
+    'hmac-sha1.':                   'sha1',
+    'hmac-sha224.':                 'sha224',
+    'hmac-sha256.':                 'sha256',
+    'hmac-sha384.':                 'sha384',
+    'hmac-sha512.':                 'sha512'
+};
+
+/**
+ *  Parse BIND-style key blocks.
+ *  @method parseKeys
+ *  @static
+ *  @param  text    The text of a keyfile (e.g. named.conf or tsig-keygen
+ *                  output) {String};
+ *
+ *  @return The keys, by (fully-qualified) name {Object};
+ *  @throws An Error if a key block is incomplete or invalid;
+ */
+Tsig.parseKeys = function(text) {
+    var keys    = {},
+        keyRe   = /key\s+("([^"]+)"|([^\s{]+))\s*\{([^}]*)\}\s*;?/g,
+        match, body, config, key;
+
+    // Strip comments (#, // and /* */), but not from quoted strings (a
+    // base64 secret may well contain '//')
+    text = String(text).replace(/("[^"]*")|\/\*[\s\S]*?\*\/|(#|\/\/).*/g,
+                                function(match, quoted) {
+                                    return (quoted || '');
+                                });
+
+    while ((match = keyRe.exec(text)) !== null)
+    {
+        body   = match[4];
+        config = {
+            name:       (match[2] || match[3]),
+            algorithm:  _statement(body, 'algorithm'),
+            secret:     _statement(body, 'secret')
+        };
+
+        key = new Tsig(config);
+
+        keys[ key.name ] = key;
+    }
+
+    return keys;
+};
+
+/**
+ *  Load the BIND-style key blocks of a keyfile.
+ *  @method loadKeys
+ *  @static
+ *  @param  path        The path of the keyfile {String};
+ *  @param  callback    The callback to invoke {Function}:
+ *                          callback(err, keys);
+ */
+Tsig.loadKeys = function(path, callback) {
+    Fs.readFile(path, 'utf8', function(err, text) {
+        var keys;
+
+        if (err)    { return callback(err); }
+
+        try {
+            keys = Tsig.parseKeys(text);
+        } catch(e) {
+            return callback(e);
+        }
+
+        callback(null, keys);
+    });
+};
+
+_.extend(Tsig.prototype, {
+    /**
+     *  Sign a message, replacing any existing TSIG record.  The message must
+     *  not be changed before it is sent.
+     *  @method sign
+     *  @param  message         The message to sign {Mdns::Message};
+     *  @param  [requestMac]    When signing a response, the MAC of the
+     *                          request {Buffer};
+     *  @param  [tsigError=0]   When signing a response, any TSIG error
+     *                          (e.g. Consts.RCODE_STR.BADTIME) {Number};
+     *
+     *  @return The MAC {Buffer};
+     *  @throws An Error if the message cannot be packed;
+     */
+    sign: function(message, requestMac, tsigError) {
+        var self    = this,
+            rdata   = {
+                algorithm:  self.algorithm,
+                timeSigned: Math.floor(Date.now() / 1000),
+                fudge:      self.fudge,
+                originalId: message.header.id,
+                tsigError:  (tsigError || 0),
+                other:      new Buffer(0)
+            },
+            pack    = new Pack( new Buffer( 0xffff ) );
+
+        _remove(message);
+
+        if (! message.pack(pack))
+        {
+            throw (message.error || new Error("cannot pack message"));
+        }
+
+        rdata.mac     = _mac.call(self, requestMac,
+                                  pack.buf.slice(pack.begin, pack.offset),
+                                  rdata);
+        rdata.macSize = rdata.mac.length;
+
+        message.additional.push( new RR( message, {
+                                    name:   self.name,
+                                    type:   Consts.TYPE_STR.TSIG,
+                                    class:  Consts.CLASS_STR.ANY,
+                                    ttl:    0,
+                                    rdata:  rdata
+                                 }) );
+
+        message.header.arCount = message.additional.length;
+
+        return rdata.mac;
+    },
+
+    /**
+     *  Verify the TSIG record of a received message (RFC 8945 section 5).
+     *  @method verify
+     *  @param  data            The raw message as received {Buffer};
+     *  @param  message         The unpacked message {Mdns::Message};
+     *  @param  [requestMac]    When verifying a response, the MAC of the
+     *                          request {Buffer};
+     *
+     *  @return null if valid, otherwise an Error with a `code` of
+     *          'FORMERR', 'BADSIG', 'BADKEY' or 'BADTIME' {Error};
+     */
+    verify: function(data, message, requestMac) {
+        var self        = this,
+            additional  = message.additional,
+            tsig        = _find(message),
+            rdata, digest, min, signed, now;
+
+        if (! tsig)
+        {
+            return _error('BADSIG', "message is not signed");
+        }
+        if (tsig !== additional[ additional.length - 1 ])
+        {
+            return _error('FORMERR', "TSIG is not the last record");
+        }
+
+        rdata = tsig.rdata;
+
+        if ((tsig.name.toLowerCase() !== self.name) ||
+            (_algorithm(rdata.algorithm) !== self.algorithm))
+        {
+            return _error('BADKEY', "unknown key '"+ tsig.name +"'");
+        }
+
+        // An error reported by the signer (BADSIG/BADKEY are not signed)
+        if (rdata.tsigError)
+        {
+            return _error(Consts.rcode2str(rdata.tsigError) ||
+                                                String(rdata.tsigError),
+                          "TSIG error reported by peer");
+        }
+
+        // Reconstruct the message as signed: without the TSIG, original id
+        signed = new Buffer( data.length - tsig.consumed );
+        data.copy(signed, 0, 0, signed.length);
+
+        signed.writeUInt16BE(rdata.originalId, 0);
+        signed.writeUInt16BE(additional.length - 1, 10);
+
+        digest = _mac.call(self, requestMac, signed, rdata);
+        min    = Math.max(10, digest.length / 2);
+
+        if ((rdata.mac.length < min) || (rdata.mac.length > digest.length))
+        {
+            return _error('FORMERR', "invalid MAC size ("
+                                        + rdata.mac.length +")");
+        }
+        if (! _equal(digest.slice(0, rdata.mac.length), rdata.mac))
+        {
+            return _error('BADSIG', "MAC mismatch");
+        }
+
+        now = Math.floor(Date.now() / 1000);
+        if (Math.abs(now - rdata.timeSigned) > rdata.fudge)
+        {
+            return _error('BADTIME', "time signed ("+ rdata.timeSigned
+                                        +") outside fudge");
+        }
+
+        return null;
+    }
+});
+
+module.exports = Tsig;
+
+/**********************************************************************
+ * Private helpers and utilities
+ *
+ */
+
+/**
+ *  Compute the MAC of a message (RFC 8945 section 4.3).
+ *  @method _mac
+ *  @param  requestMac  Any request MAC (when signing/verifying a response)
+ *                      {Buffer};
+ *  @param  wire        The message, as sent, without the TSIG {Buffer};
+ *  @param  rdata       The TSIG RDATA fields {Object};
+ *
+ *  `this` is the controlling Tsig instance;
+ *
+ *  @return The MAC {Buffer};
+ */
+function _mac(requestMac, wire, rdata)
+{
+    var self    = this,
+        hmac    = Crypto.createHmac( Tsig.ALGORITHMS[ self.algorithm ],
+                                     self.secret ),
+        other   = (rdata.other || new Buffer(0)),
+        pack    = new Pack( new Buffer( 512 + other.length ) ),
+        prefix;
+
+    if (requestMac)
+    {
+        prefix = new Buffer(2);
+        prefix.writeUInt16BE(requestMac.length, 0);
+
+        hmac.update( prefix );
+        hmac.update( requestMac );
+    }
+
+    hmac.update( wire );
+
+    // TSIG variables, with names in canonical (uncompressed) form
+    pack.compress = false;
+
+    pack.domainName( self.name );
+    pack.uint16( Consts.CLASS_STR.ANY );
+    pack.uint32( 0 );
+    pack.domainName( self.algorithm );
+    pack.uint16( Math.floor(rdata.timeSigned / 0x100000000) );
+    pack.uint32( rdata.timeSigned % 0x100000000 );
+    pack.uint16( rdata.fudge );
+    pack.uint16( rdata.tsigError || 0 );
+    pack.uint16( other.length );
+    if (other.length > 0)   { pack.data( other ); }
+
+    hmac.update( pack.buf.slice(0, pack.offset) );
+
+    return hmac.digest();
+}
+
+/**
+ *  Locate the TSIG record of a message.
+ *  @method _find
+ *  @param  message     The message {Mdns::Message};
+ *
+ *  @return The TSIG record (null if none) {Mdns::RR};
+ */
+function _find(message)
+{
+    return (_.find(message.additional, function(rr) {
+                return (rr.type === Consts.TYPE_STR.TSIG);
+            }) || null);
+}
+
+/**
+ *  Remove any TSIG record from a message.
+ *  @method _remove
+ *  @param  message     The message {Mdns::Message};
+ */
+function _remove(message)
+{
+    var tsig    = _find(message);
+
+    if (tsig)
+    {
+        message.additional.splice( message.additional.indexOf(tsig), 1 );
+
+        message.header.arCount = message.additional.length;
+    }
+}
+
+/**
+ *  Compare two buffers in constant time.
+ *  @method _equal
+ *  @param  a   The first buffer {Buffer};
+ *  @param  b   The second buffer {Buffer};
+ *
+ *  @return true | false
+ */
+function _equal(a, b)
+{
+    var diff    = 0;
+
+    if (a.length !== b.length)  { return false; }
+
+    for (var idex = 0; idex < a.length; idex++)
+    {
+        diff |= (a[idex] ^ b[idex]);
+    }
+
+    return (diff === 0);
+}
+
+/**
+ *  Generate a verification error.
+ *  @method _error
+ *  @param  code    The error code (e.g. 'BADSIG') {String};
+ *  @param  message The error message {String};
+ *
+ *  @return A new Error {Error};
+ */
+function _error(code, message)
+{
+    var err = new Error('TSIG '+ code +': '+ message);
+
+    err.code = code;
+
+    return err;
+}
+
+/**
+ *  Normalize an algorithm name (e.g. 'HMAC-MD5' or 'hmac-sha256').
+ *  @method _algorithm
+ *  @param  name    The algorithm name {String};
+ *
+ *  @return The fully-qualified, lower-case name {String};
+ */
+function _algorithm(name)
+{
+    name = _fqdn(name);
+
+    return (name === 'hmac-md5.' ? 'hmac-md5.sig-alg.reg.int.' : name);
+}
+
+/**
+ *  Generate a fully-qualified, lower-case name.
+ *  @method _fqdn
+ *  @param  name    The name {String};
+ *
+ *  @return The name, with a trailing '.' {String};
+ */
+function _fqdn(name)
+{
+    name = String(name || '').toLowerCase();
+
+    return (name.slice(-1) === '.' ? name : name +'.');
+}
+
+/**
+ *  Retrieve the value of a statement within a key block
+ *  (e.g. `secret "...";`).
+ *  @method _statement
+ *  @param  body    The body of the key block {String};
+ *  @param  name    The statement name {String};
+ *
+ *  @return The (unquoted) value (undefined if missing) {String};
+ */
+function _statement(body, name)
+{
+    var match   = body.match( new RegExp('(^|[\\s;])'+ name
+                                         +'\\s+("([^"]*)"|([^\\s;]+))\\s*;') );
+
+    return (match ? (match[3] != null ? match[3] : match[4]) : undefined);
+}
@@ -210,7 +210,10 @@ Unpack.prototype.A = function() {
 
 /** @brief  Unpack a 16-octet IPv6 address.
  *
- *  @return The unpacked address as a colon-separated string (null on error)
+ *  @return The unpacked address as a standard, compressed colon-separated
+ *          string (e.g. 'fe80::1'), with an IPv4-mapped address in mixed
+ *          notation (e.g. '::ffff:192.0.2.1', RFC 5952 section 5) (null on
+ *          error)
  */
 Unpack.prototype.AAAA = function(buf, offset) {
     var self    = this;
@@ -221,26 +224,42 @@ Unpack.prototype.AAAA = function(buf, offset) {
         return null;
     }
 
-    return [ Utils.octet2hex( self.uint8() ),
-             Utils.octet2hex( self.uint8() ),
-             Utils.octet2hex( self.uint8() ),
-             Utils.octet2hex( self.uint8() ),
-
-             Utils.octet2hex( self.uint8() ),
-             Utils.octet2hex( self.uint8() ),
-             Utils.octet2hex( self.uint8() ),
-             Utils.octet2hex( self.uint8() ),
-
-             Utils.octet2hex( self.uint8() ),
-             Utils.octet2hex( self.uint8() ),
-             Utils.octet2hex( self.uint8() ),
-             Utils.octet2hex( self.uint8() ),
-
-             Utils.octet2hex( self.uint8() ),
-             Utils.octet2hex( self.uint8() ),
-             Utils.octet2hex( self.uint8() ),
-             Utils.octet2hex( self.uint8() )
-           ].join(':');
+    var groups  = [],
+        best    = { at: -1, len: 0 },
+        run     = { at: -1, len: 0 },
+        idex;
+
+    for (idex = 0; idex < 8; idex++)
+    {
+        groups.push( self.uint16() );
+
+        // Track the longest run of zero groups (RFC 5952 section 4.2)
+        if (groups[idex] === 0)
+        {
+            if (run.at < 0) { run.at = idex; run.len = 0; }
+            run.len++;
+
+            if (run.len > best.len) { best = { at: run.at, len: run.len }; }
+        }
+        else
+        {
+            run.at = -1;
+        }
+    }
+
+    if ((best.at === 0) && (best.len === 5) && (groups[5] === 0xffff))
+    {
+        return '::ffff:'+ [ groups[6] >> 8, groups[6] & 0xff,
+                            groups[7] >> 8, groups[7] & 0xff ].join('.');
+    }
+
+    groups = groups.map(function(group) { return group.toString(16); });
+
+    if (best.len < 2)   { return groups.join(':'); }
+
+    return groups.slice(0, best.at).join(':')
+         + '::'
+         + groups.slice(best.at + best.len).join(':');
 };
 
 /** @brief  Unpack a label, comprised of an 8-bit length and length-specified
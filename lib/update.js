@@ -5,10 +5,11 @@
  */
 var Util        = require('util'),
     Events      = require('events'),
-    Net         = require('net'),
     Dgram       = require('dgram'),
     Utils       = require('./utils.js'),
     Pack        = require('./pack.js').Pack,
+    Tcp         = require('./tcp.js'),
+    Tsig        = require('./tsig.js'),
     Mdns        = require('./mdns.js');
 
 /** @brief  Create a new Update instance.
@@ -18,8 +19,12 @@ var Util        = require('util'),
  *                      prerequisites   Acceptable for prerequisites(obj);
  *                      add             Acceptable for add(obj);
  *                      del             Acceptable for del(obj);
- *                      timeout         Query timeout (in micro-seconds)
+ *                      timeout         Query timeout (in milliseconds)
  *                                      ( 0 == no timeout ) [ 6000 ];
+ *                      tsig            If provided, the TSIG key (a Tsig
+ *                                      instance or configuration object) with
+ *                                      which to sign each update and verify
+ *                                      each response (RFC 8945);
  *
  *
  *  @emits  response  records, rinfo, response-message, raw-data (for mDNS 0+)
@@ -45,6 +50,10 @@ function Update(config)
                         ? 6000
                         : config.timeout);
 
+    self.tsig     = (config.tsig && (! (config.tsig instanceof Tsig))
+                        ? new Tsig( config.tsig )
+                        : (config.tsig || null));
+
     if (config.server)
     {
         self.server(config.server);
@@ -148,13 +157,13 @@ Update.prototype.zone = function(zone) {
  *
  *                           for 'exists':
  *                              name    The domain-name to match;
- *                              type    The RR type to match;
- *                              class   If provided, the RR class to match
- *                                      [ 'ANY' ];
+ *                              rrtype  The RR type to match;
+ *                              rdata   If provided, the RR data to match
+ *                                      (see requireValue());
  *
  *                           for 'notExists':
  *                              name    The domain-name to match;
- *                              type    The Resource Record type to match;
+ *                              rrtype  The Resource Record type to match;
  *
  *                           for 'inUse' / 'notInUse':
  *                              name    The domain-name to match;
@@ -163,7 +172,7 @@ Update.prototype.zone = function(zone) {
  *
  *  @return this for a fluent interface.
  */
-Update.prototype.prerquisites = function(config) {
+Update.prototype.prerequisites = function(config) {
     var self    = this;
 
     if (! config)           { throw new Error("missing config"); }
@@ -174,54 +183,118 @@ Update.prototype.prerquisites = function(config) {
         config = [ config ];
     }
 
-    if (! Array.isArray( self._current.answer ))
-    {
-        self._current.answer = [];
-    }
-
-    // Prerequesites are in the Answer section of an Update request
-    var msg = self._current;
     config.forEach(function(aConfig) {
-        var rr  = aConfig;
-        if (Mdns.isRR(rr))
+        if (Mdns.isRR(aConfig))
         {
-            msg.addAnswer(rr);
+            // Used as-is
+            _addRR(self, 'answer', aConfig);
+            return;
         }
-        else
+
+        switch (String(aConfig.type).toLowerCase())
         {
-            switch (aConfig.type.toLowerCase())
+        case 'exists':
+            if (aConfig.rdata)
+            {
+                self.requireValue({ name:   aConfig.name,
+                                    type:   aConfig.rrtype,
+                                    rdata:  aConfig.rdata });
+            }
+            else
             {
-            case 'exists':
-                rr = msg.addAnswer(aConfig.name, aConfig.type,
-                                   (aConfig.class || 'ANY'), 0, null);
-                break;
-
-            case 'notexists':
-            case '!exists':
-                rr = msg.addAnswer(qConfig.name, aConfig.type,
-                                   'NONE', 0, null);
-                break;
-
-            case 'inuse':
-                rr = msg.addAnswer(qConfig.name, 'ANY', 'ANY', 0, null);
-                break;
-
-            case 'notinuse':
-            case '!inuse':
-                rr = msg.addAnswer(qConfig.name, 'ANY', 'NONE', 0, null);
-                break;
-
-            default:
-                throw new Error("Invalid prerequisite type "
-                                +"[ "+ qConfig.type +" ]");
+                self.requireExists(aConfig.name, aConfig.rrtype);
             }
+            break;
+
+        case 'notexists':
+        case '!exists':
+            self.requireAbsent(aConfig.name, aConfig.rrtype);
+            break;
+
+        case 'inuse':
+            self.requireNameInUse(aConfig.name);
+            break;
+
+        case 'notinuse':
+        case '!inuse':
+            self.requireNameNotInUse(aConfig.name);
+            break;
+
+        default:
+            throw new Error("Invalid prerequisite type "
+                            +"[ "+ aConfig.type +" ]");
         }
     });
 
     return self;
 };
 
-/** @brief  Include record addition(s) in the update.
+/** @brief  Require that an RRset exists, regardless of its value
+ *          (RFC 2136 section 2.4.1).
+ *  @param  name    The domain-name of the RRset;
+ *  @param  type    The RR type of the RRset (integer or string);
+ *
+ *  NOTE: MUST be preceeded by a call to zone().
+ *
+ *  @return this for a fluent interface.
+ */
+Update.prototype.requireExists = function(name, type) {
+    return _addRR(this, 'answer', name, type, 'ANY');
+};
+
+/** @brief  Require that an RRset exists with exactly the given value
+ *          (RFC 2136 section 2.4.2).  Call once for each RR of the RRset.
+ *  @param  rr      An RR instance or configuration object {name:, type:,
+ *                  rdata:} (any class and ttl are ignored);
+ *
+ *  NOTE: MUST be preceeded by a call to zone().
+ *
+ *  @return this for a fluent interface.
+ */
+Update.prototype.requireValue = function(rr) {
+    var self    = this;
+
+    return _addRR(self, 'answer', rr.name, rr.type, _zoneClass(self),
+                  _prune(rr.rdata));
+};
+
+/** @brief  Require that an RRset does not exist (RFC 2136 section 2.4.3).
+ *  @param  name    The domain-name of the RRset;
+ *  @param  type    The RR type of the RRset (integer or string);
+ *
+ *  NOTE: MUST be preceeded by a call to zone().
+ *
+ *  @return this for a fluent interface.
+ */
+Update.prototype.requireAbsent = function(name, type) {
+    return _addRR(this, 'answer', name, type, 'NONE');
+};
+
+/** @brief  Require that a name owns at least one RR (RFC 2136
+ *          section 2.4.4).
+ *  @param  name    The domain-name;
+ *
+ *  NOTE: MUST be preceeded by a call to zone().
+ *
+ *  @return this for a fluent interface.
+ */
+Update.prototype.requireNameInUse = function(name) {
+    return _addRR(this, 'answer', name, 'ANY', 'ANY');
+};
+
+/** @brief  Require that a name owns no RRs (RFC 2136 section 2.4.5).
+ *  @param  name    The domain-name;
+ *
+ *  NOTE: MUST be preceeded by a call to zone().
+ *
+ *  @return this for a fluent interface.
+ */
+Update.prototype.requireNameNotInUse = function(name) {
+    return _addRR(this, 'answer', name, 'ANY', 'NONE');
+};
+
+/** @brief  Include record addition(s) in the update (RFC 2136
+ *          section 2.5.1).
  *  @param  config      An RR instance, array of RR instances, RR configuration
  *                      object, or array of RR configuration objects;
  *
@@ -239,14 +312,13 @@ Update.prototype.add = function(config) {
     }
 
     // Adds are in the Authority section of an Update request
-    var msg = self._current;
     config.forEach(function(rr) {
         if (! Mdns.isRR(rr))
         {
             rr = Mdns.RR( rr );
         }
 
-        msg.addAuthority( rr );
+        _addRR(self, 'authority', rr);
     });
 
     return self;
@@ -257,7 +329,12 @@ Update.prototype.add = function(config) {
  *                          (class:'ANY', ttl:0, rdata:null)
  *                      array of properly configured RR instances, RR
  *                      configuration object, or array of RR configuration
- *                      objects;
+ *                      objects.
+ *
+ *                      A configuration object is deleted via:
+ *                          deleteRecord()  if it includes rdata;
+ *                          deleteRRset()   if it includes a type;
+ *                          deleteName()    otherwise;
  *
  *  @return this for a fluent interface;
  */
@@ -272,22 +349,53 @@ Update.prototype.del = function(config) {
         config = [ config ];
     }
 
-    // Adds are in the Authority section of an Update request
-    var msg = self._current;
+    // Deletes are in the Authority section of an Update request
     config.forEach(function(rr) {
-        if (! Mdns.isRR(rr))
-        {
-            msg.addAuthority( rr.name, rr.type, 'ANY', 0, null );
-        }
-        else
-        {
-            msg.addAuthority( rr );
-        }
+        if (Mdns.isRR(rr))      { _addRR(self, 'authority', rr); }
+        else if (rr.rdata)      { self.deleteRecord(rr); }
+        else if (rr.type)       { self.deleteRRset(rr.name, rr.type); }
+        else                    { self.deleteName(rr.name); }
     });
 
     return self;
 };
 
+/** @brief  Delete an RRset (RFC 2136 section 2.5.2).
+ *  @param  name    The domain-name of the RRset;
+ *  @param  type    The RR type of the RRset (integer or string);
+ *
+ *  NOTE: MUST be preceeded by a call to zone().
+ *
+ *  @return this for a fluent interface.
+ */
+Update.prototype.deleteRRset = function(name, type) {
+    return _addRR(this, 'authority', name, type, 'ANY');
+};
+
+/** @brief  Delete all RRsets of a name (RFC 2136 section 2.5.3).
+ *  @param  name    The domain-name;
+ *
+ *  NOTE: MUST be preceeded by a call to zone().
+ *
+ *  @return this for a fluent interface.
+ */
+Update.prototype.deleteName = function(name) {
+    return _addRR(this, 'authority', name, 'ANY', 'ANY');
+};
+
+/** @brief  Delete a single RR from an RRset (RFC 2136 section 2.5.4).
+ *  @param  rr      An RR instance or configuration object {name:, type:,
+ *                  rdata:} (any class and ttl are ignored);
+ *
+ *  NOTE: MUST be preceeded by a call to zone().
+ *
+ *  @return this for a fluent interface.
+ */
+Update.prototype.deleteRecord = function(rr) {
+    return _addRR(this, 'authority', rr.name, rr.type, 'NONE',
+                  _prune(rr.rdata));
+};
+
 /** @brief  Begin an update.
  *
  *  @return true | Error instance;
@@ -300,7 +408,7 @@ Update.prototype.begin = function() {
     var proto   = (self._server.proto === 'tcp'
                     ? 'tcp'
                     : 'udp'),
-        bufSize = (proto === 'tcp' ? 4096 : 512);
+        bufSize = (proto === 'tcp' ? Tcp.MAX_MESSAGE : 512);
 
     self._requests = [];
 
@@ -321,6 +429,7 @@ Update.prototype.begin = function() {
                 id:     idex,
                 msg:    update,
                 pack:   new Pack( new Buffer( bufSize ) ),
+                mac:    null,   // The TSIG MAC of the signed update
 
                 // Related response information
                 response:   {
@@ -331,6 +440,8 @@ Update.prototype.begin = function() {
                 }
             };
 
+        if (self.tsig)  { request.mac = self.tsig.sign( request.msg ); }
+
         if (! request.msg.pack( request.pack ))
         {
             // :XXX: Packing error...
@@ -365,6 +476,11 @@ Update.prototype.end   = function(request) {
 
     if (request)
     {
+        var idex    = self._requests.indexOf( request );
+
+        // (no effect if already ended)
+        if (idex < 0)   { return; }
+
         var sock    = request.socket;
         if (sock)
         {
@@ -376,7 +492,7 @@ Update.prototype.end   = function(request) {
             delete request.sock;
         }
 
-        self._requests[ request.id ] = null;
+        self._requests[ idex ] = null;
 
         self.emit('response', request.response.records,
                               request.response.rinfo,
@@ -427,6 +543,17 @@ function _udp(self, request)
     });
 
     request.socket.on('message', function(msg, rinfo) {
+        if (Mdns.Message(msg).isTruncated())
+        {
+            /* Retry over TCP (RFC 1035 section 4.2.1), without ending this
+             * request.
+             */
+            request.socket.removeAllListeners();
+            request.socket.close();
+
+            return _tcp(self, request);
+        }
+
         _processResponse(self, request, msg, rinfo);
 
         return self.end( request );
@@ -462,10 +589,10 @@ function _udp(self, request)
  */
 function _tcp(self, request)
 {
-    request.socket = Net.connect(self._server.port, self._server.address);
-
-    request.socket.on('connect', function() {
-    });
+    request.socket = new Tcp({
+                        address:    self._server.address,
+                        port:       self._server.port
+                     });
 
     request.socket.on('timeout', function() {
         self.end( request );
@@ -479,10 +606,18 @@ function _tcp(self, request)
         self.end( request );
     });
 
-    request.socket.on('data', function(data) {
+    request.socket.on('message', function(msg, rinfo) {
+        _processResponse(self, request, msg, rinfo);
+
+        return self.end( request );
     });
 
-    // :XXX: Send the question
+    if (request.pack)
+    {
+        // Send the request
+        request.socket.send( request.pack.buf.slice(request.pack.begin,
+                                                    request.pack.offset) );
+    }
 }
 
 /** @brief  Process a DNS response packet.
@@ -513,8 +648,22 @@ function _processResponse(self, request, data, rinfo)
                     ascii:      true}));
     // */
 
-    request.response.data  = data;
     request.response.rinfo = rinfo;
+
+    if (request.mac)
+    {
+        /* An unsigned or invalid response is reported as an error, without
+         * the (untrusted) response.
+         */
+        var err = self.tsig.verify(data, response, request.mac);
+        if (err)
+        {
+            self.emit('error', err);
+            return self.end( request );
+        }
+    }
+
+    request.response.data  = data;
     request.response.msg   = response;
 
     if (response.header.rcode !== Mdns.consts.RCODE_STR.NOERROR)
@@ -582,6 +731,45 @@ function _processResponse(self, request, data, rinfo)
     });
 }
 
+/** @brief  Add a record to a section of the current update.
+ *  @param  self    The Update instance;
+ *  @param  section The message section ( 'answer' | 'authority' );
+ *  @param  name    The domain-name of the record OR a complete RR instance;
+ *  @param  type    The record type (integer or string);
+ *  @param  cls     The record class (integer or string);
+ *  @param  rdata   If provided, the record data, otherwise the record has
+ *                  an empty RDATA (RDLENGTH 0);
+ *
+ *  Records other than additions always have a TTL of 0.
+ *
+ *  @return The Update instance for a fluent interface.
+ */
+function _addRR(self, section, name, type, cls, rdata)
+{
+    var msg = self._current;
+
+    if (! msg)  { throw new Error("zone() must be called first"); }
+
+    if (! (msg.addRR(section, name, type, cls, 0, rdata || null)))
+    {
+        throw msg.error;
+    }
+
+    return self;
+}
+
+/** @brief  Retrieve the class of the current update zone.
+ *  @param  self    The Update instance;
+ *
+ *  @return The zone class (integer).
+ */
+function _zoneClass(self)
+{
+    if (! self._current)    { throw new Error("zone() must be called first"); }
+
+    return self._current.question[0].qclass;
+}
+
 /** @brief  Generate a shallow clone of the given object, excluding 'consumed'.
  *  @param  src     The object to clone;
  *
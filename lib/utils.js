@@ -160,5 +160,278 @@ module.exports  = {
         }
 
         return word;
+    },
+
+    /** @brief  Encode a key/value object as the character-strings of a DNS-SD
+     *          TXT record (RFC 6763 section 6).
+     *  @param  obj     The key/value object, where each value may be:
+     *                      true                a boolean attribute ('key');
+     *                      false | null        omitted;
+     *                      Buffer              a binary value ('key=<data>');
+     *                      other               a string value ('key=value');
+     *
+     *  Keys must be non-empty, printable US-ASCII excluding '='.  An object
+     *  with no attributes produces a single empty string, since a TXT record
+     *  may not be empty (RFC 6763 section 6.1).
+     *
+     *  @return An array of Buffers, one per character-string (throws an Error
+     *          on an invalid key or an attribute longer than the 255-byte
+     *          limit of a character-string);
+     */
+    txtEncode: function(obj) {
+        var strings = [];
+
+        Object.keys(obj || {}).forEach(function(key) {
+            var val = obj[key];
+
+            if (! key.match(/^[\x20-\x3c\x3e-\x7e]+$/))
+            {
+                throw new Error("invalid TXT key '"+ key +"'");
+            }
+
+            if ((val === false) || (val == null))   { return; }
+
+            if (val === true)
+            {
+                strings.push( new Buffer(key) );
+            }
+            else if (Buffer.isBuffer(val))
+            {
+                strings.push( Buffer.concat([ new Buffer(key +'='), val ]) );
+            }
+            else
+            {
+                strings.push( new Buffer(key +'='+ val) );
+            }
+
+            if (strings[ strings.length - 1 ].length > 255)
+            {
+                throw new Error("TXT attribute '"+ key +"' exceeds 255 bytes");
+            }
+        });
+
+        if (strings.length < 1) { strings.push( new Buffer(0) ); }
+
+        return strings;
+    },
+
+    /** @brief  Decode the character-strings of a DNS-SD TXT record into a
+     *          key/value object (RFC 6763 section 6).
+     *  @param  strings The character-strings (Strings or Buffers) {Array};
+     *
+     *  Keys are case-insensitive and returned in lower-case, with only the
+     *  first occurrence of a key used (section 6.4).  A bare key yields
+     *  true; a value that is not valid UTF-8 is returned as a Buffer.
+     *  Empty strings and strings beginning with '=' are ignored.
+     *
+     *  @return The key/value object {Object};
+     */
+    txtDecode:  function(strings) {
+        var self    = this,
+            obj     = {};
+
+        (strings || []).forEach(function(str) {
+            var data    = (Buffer.isBuffer(str) ? str : new Buffer(String(str))),
+                eq      = -1,
+                key;
+
+            for (var idex = 0, len = data.length; idex < len; idex++)
+            {
+                if (data[idex] === 0x3d)    { eq = idex; break; }
+            }
+
+            if ((data.length < 1) || (eq === 0))    { return; }
+
+            key = data.toString('ascii', 0, (eq < 0 ? data.length : eq))
+                      .toLowerCase();
+
+            if (obj.hasOwnProperty(key))    { return; }
+
+            obj[key] = (eq < 0 ? true : self.text( data.slice(eq + 1) ));
+        });
+
+        return obj;
+    },
+
+    /** @brief  Return the given data as a string if it is valid UTF-8.
+     *  @param  data    The data {Buffer};
+     *
+     *  @return A String, or the original Buffer if it is not valid UTF-8;
+     */
+    text:       function(data) {
+        var str = data.toString('utf8');
+
+        return (new Buffer(str).equals(data) ? str : data);
+    },
+
+    /** @brief  Decode the escapes of presentation-format text (RFC 1035
+     *          section 5.1), where '\X' is the character X and '\DDD' the
+     *          octet with decimal value DDD.
+     *  @param  text    The text {String};
+     *
+     *  @return The octets {Buffer};
+     */
+    unescape:   function(text) {
+        var parts   = [],
+            start   = 0,
+            idex    = 0,
+            len     = text.length;
+
+        while (idex < len)
+        {
+            if (text[idex] !== '\\')  { idex++; continue; }
+
+            parts.push( new Buffer( text.slice(start, idex) ) );
+
+            if (/^[0-9]{3}$/.test( text.substr(idex + 1, 3) ))
+            {
+                parts.push( new Buffer([ parseInt(text.substr(idex + 1, 3), 10)
+                                            & 0xff ]) );
+                idex += 4;
+            }
+            else
+            {
+                parts.push( new Buffer( text.substr(idex + 1, 1) ) );
+                idex += 2;
+            }
+
+            start = idex;
+        }
+
+        parts.push( new Buffer( text.slice(start) ) );
+
+        return Buffer.concat( parts );
+    },
+
+    /** @brief  Escape octets for presentation format (RFC 1035 section 5.1),
+     *          using '\DDD' for any octet that is not printable ASCII.
+     *  @param  data        The octets {Buffer};
+     *  @param  special     The printable characters to escape as '\X'
+     *                      {RegExp};
+     *
+     *  @return The text {String};
+     */
+    escape:     function(data, special) {
+        var str = '',
+            ch;
+
+        for (var idex = 0, len = data.length; idex < len; idex++)
+        {
+            ch = String.fromCharCode( data[idex] );
+
+            if ((data[idex] < 0x20) || (data[idex] > 0x7e))
+            {
+                str += '\\'+ ('00'+ data[idex]).slice(-3);
+            }
+            else
+            {
+                str += (special.test(ch) ? '\\' : '') + ch;
+            }
+        }
+
+        return str;
+    },
+
+    /** @brief  Parse a presentation-format domain-name.
+     *  @param  text    The name, with any escapes {String};
+     *  @param  origin  The origin of a relative name, with '@' denoting the
+     *                  origin itself [ '.' ];
+     *
+     *  Since names are represented as dotted strings, a label may not
+     *  contain an (escaped) '.'.
+     *
+     *  @return The fully-qualified name {String} (throws an Error on an
+     *          invalid name);
+     */
+    nameFromText:   function(text, origin) {
+        var self    = this,
+            labels  = [],
+            start   = 0,
+            idex    = 0,
+            len     = text.length,
+            label;
+
+        origin = origin || '.';
+
+        if (text === '@')   { return origin; }
+        if (text === '.')   { return '.'; }
+
+        // Split on (unescaped) '.'
+        while (idex <= len)
+        {
+            if ((idex < len) && (text[idex] === '\\'))  { idex += 2; continue; }
+
+            if ((idex === len) || (text[idex] === '.'))
+            {
+                label = self.unescape( text.slice(start, idex) )
+                            .toString('utf8');
+
+                if ((label.length < 1) && (idex < len))
+                {
+                    throw new Error("empty label in '"+ text +"'");
+                }
+                if (label.indexOf('.') >= 0)
+                {
+                    throw new Error("unsupported '.' within a label of '"
+                                    + text +"'");
+                }
+
+                labels.push( label );
+                start = idex + 1;
+            }
+
+            idex++;
+        }
+
+        // An absolute name ends with an empty label
+        if (labels[ labels.length - 1 ] === '') { return labels.join('.'); }
+
+        return labels.join('.') + (origin === '.' ? '.' : '.'+ origin);
+    },
+
+    /** @brief  Generate the presentation format of a domain-name.
+     *  @param  name    The name {String};
+     *
+     *  @return The fully-qualified, lower-case (RFC 4034 section 6.2),
+     *          escaped name {String};
+     */
+    nameToText: function(name) {
+        var self    = this;
+
+        name = String(name || '').toLowerCase();
+
+        if ((name === '') || (name === '.'))    { return '.'; }
+
+        return name.replace(/\.$/, '').split('.').map(function(label) {
+                    return self.escape( new Buffer(label), /[\\"();@$ ]/ );
+               }).join('.') +'.';
+    },
+
+    /** @brief  Parse a presentation-format TTL (or other period), either in
+     *          seconds or, BIND-style, with units (e.g. '1h30m').
+     *  @param  text    The text {String};
+     *
+     *  @return The period in seconds (null if not a valid period);
+     */
+    ttlFromText:    function(text) {
+        var units   = { s: 1, m: 60, h: 3600, d: 86400, w: 604800 },
+            ttl     = 0,
+            re      = /([0-9]+)([smhdw])/gi,
+            match;
+
+        if (/^[0-9]+$/.test(text))  { ttl = parseInt(text, 10); }
+        else if (/^([0-9]+[smhdw])+$/i.test(text))
+        {
+            while ((match = re.exec(text)) !== null)
+            {
+                ttl += parseInt(match[1], 10) * units[ match[2].toLowerCase() ];
+            }
+        }
+        else
+        {
+            return null;
+        }
+
+        return (ttl <= 0xffffffff ? ttl : null);
     }
 };
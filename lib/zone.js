@@ -0,0 +1,470 @@
+/**
+ *  @file
+ *
+ *  An in-memory, authoritative DNS zone.
+ *
+ *  A zone holds the records at and below its origin, indexed by owner name,
+ *  and answers queries against them (RFC 1034 section 4.3.2):
+ *      - names outside of the zone are REFUSED (not authoritative);
+ *      - names at or below a delegation (NS records below the origin) are
+ *        referred, with the NS records in authority plus any glue;
+ *      - a CNAME is followed while the target remains within the zone;
+ *      - a name with no records of the requested type is NODATA (NOERROR
+ *        with the SOA in authority);
+ *      - a missing name is NXDOMAIN (with the SOA in authority) unless a
+ *        wildcard (RFC 4592) matches;
+ *
+ *  The TTL of a negative SOA is the lesser of its TTL and MINIMUM (RFC 2308
+ *  section 3).
+ *
+ *  @class  Mdns::Zone
+ */
+var _           = require('lodash'),
+    Consts      = require('./consts'),
+    RR          = require('./rr'),
+    ZoneFile    = require('./zonefile');
+
+var TYPE    = Consts.TYPE_STR;
+
+/**
+ *  Create a new zone.
+ *  @constructor
+ *  @param  config                  The configuration object {Object};
+ *  @param  config.origin           The name of the zone {String};
+ *  @param  [config.class='IN']     The class of the zone {String};
+ *  @param  [config.records]        The records of the zone, RR instances or
+ *                                  configuration data for new instances
+ *                                  {Array};
+ */
+function Zone(config)
+{
+    var self    = this;
+
+    config = config || {};
+
+    if (! config.origin)
+    {
+        throw new Error("missing origin");
+    }
+
+    self.origin  = _fqdn(config.origin);
+    self.class   = (_.isString(config.class)
+                        ? Consts.str2class( config.class.toUpperCase() )
+                        : (config.class || Consts.CLASS_STR.IN));
+    self.records = [];
+
+    self._names  = {};      // Lower-case owner name => [ RR, ... ]
+
+    if (config.records) { self.add( config.records ); }
+}
+
+/** The maximum length of a CNAME chain followed within the zone. */
+Zone.MAX_CHAIN = 8;
+
+/**
+ *  Load a zone from a master file (see ZoneFile.parse()).
+ *  @method load
+ *  @static
+ *  @param  path                The path of the master file {String};
+ *  @param  config              The configuration object {Object};
+ *  @param  config.origin       The name of the zone, also the initial
+ *                              origin of the file {String};
+ *  @param  [config.class='IN'] The class of the zone {String};
+ *  @param  [config.ttl]        The default TTL (as if by $TTL) {Number};
+ *  @param  callback            The callback to invoke {Function}:
+ *                                  callback(err, zone);
+ */
+Zone.load = function(path, config, callback) {
+    ZoneFile.load(path, config, function(err, records) {
+        var zone;
+
+        if (err)    { return callback(err); }
+
+        try {
+            zone = new Zone(_.extend({}, config, { records: records }));
+        } catch(e) {
+            return callback(e);
+        }
+
+        callback(null, zone);
+    });
+};
+
+_.extend(Zone.prototype, {
+    /**
+     *  Add one or more records to the zone.
+     *  @method add
+     *  @param  records     An RR instance or configuration data for a new
+     *                      instance, or an array of either {RR | Object |
+     *                      Array};
+     *
+     *  @return this for a fluent interface;
+     */
+    add: function(records) {
+        var self    = this;
+
+        if (! _.isArray(records))   { records = [ records ]; }
+
+        records.forEach(function(rr) {
+            var name;
+
+            if (! (rr instanceof RR))
+            {
+                rr = new RR(null, _.extend({ class: self.class }, rr));
+            }
+
+            name = _fqdn(rr.name);
+            if (! self.contains(name))
+            {
+                throw new Error("'"+ rr.name +"' is outside of zone '"
+                                + self.origin +"'");
+            }
+
+            // Owner names are always fully-qualified
+            if (rr.name.slice(-1) !== '.')  { rr.name += '.'; }
+
+            (self._names[name] || (self._names[name] = [])).push( rr );
+            self.records.push( rr );
+        });
+
+        return self;
+    },
+
+    /**
+     *  Remove a record from the zone.
+     *  @method remove
+     *  @param  rr      The record to remove, either the instance added or an
+     *                  equivalent record (see RR.compare()) {Mdns::RR};
+     *
+     *  @return The removed record (null if not found) {Mdns::RR};
+     */
+    remove: function(rr) {
+        var self    = this,
+            name    = _fqdn(rr.name),
+            rrs     = (self._names[name] || []),
+            found   = _.find(rrs, function(item) {
+                        return ((item === rr) || (item.compare(rr) === 0));
+                      });
+
+        if (! found)    { return null; }
+
+        rrs.splice( rrs.indexOf(found), 1 );
+        self.records.splice( self.records.indexOf(found), 1 );
+
+        if (rrs.length < 1) { delete self._names[name]; }
+
+        return found;
+    },
+
+    /**
+     *  Generate the master file of the zone, beginning with the SOA (see
+     *  ZoneFile.serialize()).
+     *  @method toText
+     *
+     *  @return The text {String};
+     */
+    toText: function() {
+        var soa     = this.soa(),
+            records = (soa ? [ soa ].concat( _.without(this.records, soa) )
+                           : this.records);
+
+        return ZoneFile.serialize( records );
+    },
+
+    /**
+     *  Retrieve the SOA record of the zone.
+     *  @method soa
+     *
+     *  @return The SOA record (null if none) {Mdns::RR};
+     */
+    soa: function() {
+        return (_.find(this._names[this.origin] || [], function(rr) {
+                    return (rr.type === TYPE.SOA);
+                }) || null);
+    },
+
+    /**
+     *  Is the given name at or below the origin of this zone?
+     *  @method contains
+     *  @param  name    The name {String};
+     *
+     *  @return true | false
+     */
+    contains: function(name) {
+        var origin  = this.origin;
+
+        name = _fqdn(name);
+
+        return ((origin === '.') || (name === origin) ||
+                (name.slice( -(origin.length + 1) ) === '.'+ origin));
+    },
+
+    /**
+     *  Answer a query against the zone.
+     *  @method lookup
+     *  @param  qname       The name queried {String};
+     *  @param  qtype       The type queried {Number | String};
+     *  @param  [qclass]    The class queried [ the zone class ]
+     *                      {Number | String};
+     *
+     *  @return The answer {Object}:
+     *              { rcode:            the response code,
+     *                authoritative:    should the AA bit be set,
+     *                answer:           [ RR, ... ],
+     *                authority:        [ RR, ... ],
+     *                additional:       [ RR, ... ] }
+     */
+    lookup: function(qname, qtype, qclass) {
+        var self    = this,
+            name    = _fqdn(qname),
+            result  = { rcode:          Consts.RCODE_STR.NOERROR,
+                        authoritative:  true,
+                        answer:         [],
+                        authority:      [],
+                        additional:     [] },
+            chain   = 0,
+            cut, rrs, matched, cname;
+
+        if (_.isString(qtype))  { qtype  = Consts.str2type( qtype ); }
+        if (_.isString(qclass)) { qclass = Consts.str2class( qclass ); }
+        if (qclass == null)     { qclass = self.class; }
+
+        if ((! self.contains(name)) ||
+            ((qclass !== self.class) && (qclass !== Consts.CLASS_STR.ANY)))
+        {
+            result.rcode         = Consts.RCODE_STR.REFUSED;
+            result.authoritative = false;
+            return result;
+        }
+
+        while (true)
+        {
+            // Anything at or below a delegation belongs to the child zone
+            cut = _delegation.call(self, name);
+            if (cut)
+            {
+                result.authoritative = (result.answer.length > 0);
+                result.authority     = cut;
+                _additional.call(self, result, cut);
+                return result;
+            }
+
+            rrs = self._names[name];
+            if ((! rrs) && _isEmptyNonTerminal.call(self, name))
+            {
+                return _negative.call(self, result);
+            }
+
+            if ((! rrs) && (! (rrs = _wildcard.call(self, name))))
+            {
+                result.rcode = Consts.RCODE_STR.NOTFOUND;
+                return _negative.call(self, result);
+            }
+
+            matched = _.filter(rrs, function(rr) {
+                        return ((qtype === TYPE.ANY) || (rr.type === qtype));
+                      });
+            if (matched.length > 0)
+            {
+                result.answer = result.answer.concat( matched );
+                _additional.call(self, result, matched);
+                return result;
+            }
+
+            cname = _.find(rrs, function(rr) {
+                        return (rr.type === TYPE.CNAME);
+                    });
+            if (! cname)    { return _negative.call(self, result); }
+
+            result.answer.push( cname );
+
+            name = _fqdn(cname.rdata.cname);
+            if ((! self.contains(name)) || (++chain >= Zone.MAX_CHAIN))
+            {
+                // The remainder of the chain is for the requestor to follow
+                return result;
+            }
+        }
+    }
+});
+
+module.exports = Zone;
+
+/**********************************************************************
+ * Private helpers and utilities
+ *
+ */
+
+/**
+ *  Locate the top-most delegation at or above a name (but below the origin).
+ *  @method _delegation
+ *  @param  name    The (fully-qualified, lower-case) name {String};
+ *
+ *  `this` is the controlling Zone instance;
+ *
+ *  @return The NS records of the delegation (null if none) {Array};
+ */
+function _delegation(name)
+{
+    var self    = this,
+        labels  = name.slice(0, -(self.origin.length)).split('.'),
+        owner   = (self.origin === '.' ? '' : self.origin),
+        ns;
+
+    // From just below the origin, down to the name itself
+    for (var idex = labels.length - 1; idex >= 0; idex--)
+    {
+        if (labels[idex] === '')    { continue; }
+
+        owner = labels[idex] +'.'+ owner;
+        ns    = _.filter(self._names[owner] || [], function(rr) {
+                    return (rr.type === TYPE.NS);
+                });
+
+        if (ns.length > 0)  { return ns; }
+    }
+
+    return null;
+}
+
+/**
+ *  Synthesize the records of a name from a matching wildcard (RFC 4592
+ *  section 3.3.1).
+ *  @method _wildcard
+ *  @param  name    The (fully-qualified, lower-case) name, which does not
+ *                  exist {String};
+ *
+ *  `this` is the controlling Zone instance;
+ *
+ *  @return The synthesized records (null if no wildcard matches) {Array};
+ */
+function _wildcard(name)
+{
+    var self        = this,
+        encloser    = name,
+        rrs;
+
+    if (name === self.origin)   { return null; }
+
+    // The closest encloser is the nearest existing ancestor
+    do
+    {
+        encloser = encloser.slice( encloser.indexOf('.') + 1 ) || '.';
+    } while ((encloser !== self.origin) && (! self._names[encloser]) &&
+             (! _isEmptyNonTerminal.call(self, encloser)));
+
+    rrs = self._names[ (encloser === '.' ? '*.' : '*.'+ encloser) ];
+
+    return (rrs ? rrs.map(function(rr) { return _copy(rr, name); }) : null);
+}
+
+/**
+ *  Does a name exist only as an ancestor of other names (RFC 4592
+ *  section 2.2.2)?
+ *  @method _isEmptyNonTerminal
+ *  @param  name    The (fully-qualified, lower-case) name {String};
+ *
+ *  `this` is the controlling Zone instance;
+ *
+ *  @return true | false
+ */
+function _isEmptyNonTerminal(name)
+{
+    var suffix  = (name === '.' ? '.' : '.'+ name);
+
+    return _.some(Object.keys(this._names), function(owner) {
+                return ((owner !== name) &&
+                        (owner.slice( -suffix.length ) === suffix));
+            });
+}
+
+/**
+ *  Complete a negative (NXDOMAIN or NODATA) answer with the SOA of the zone
+ *  (RFC 2308 section 3).
+ *  @method _negative
+ *  @param  result  The answer being generated {Object};
+ *
+ *  `this` is the controlling Zone instance;
+ *
+ *  @return The answer {Object};
+ */
+function _negative(result)
+{
+    var soa = this.soa();
+
+    if (soa)
+    {
+        result.authority.push( _copy(soa, soa.name,
+                                     Math.min(soa.ttl, soa.rdata.minimum)) );
+    }
+
+    return result;
+}
+
+/**
+ *  Add the addresses of the targets of NS, MX and SRV records that are held
+ *  within the zone to the additional section (RFC 1034 section 4.3.2).
+ *  @method _additional
+ *  @param  result  The answer being generated {Object};
+ *  @param  rrs     The records whose targets should be included {Array};
+ *
+ *  `this` is the controlling Zone instance;
+ */
+function _additional(result, rrs)
+{
+    var self    = this;
+
+    rrs.forEach(function(rr) {
+        var target;
+
+        switch (rr.type)
+        {
+        case TYPE.NS:   target = rr.rdata.ns;       break;
+        case TYPE.MX:   target = rr.rdata.exchange; break;
+        case TYPE.SRV:  target = rr.rdata.target;   break;
+        default:        return;
+        }
+
+        (self._names[ _fqdn(target) ] || []).forEach(function(addr) {
+            if (((addr.type === TYPE.A) || (addr.type === TYPE.AAAA)) &&
+                (result.additional.indexOf(addr) < 0))
+            {
+                result.additional.push( addr );
+            }
+        });
+    });
+}
+
+/**
+ *  Copy a record, possibly with a new owner name and TTL.
+ *  @method _copy
+ *  @param  rr      The record {Mdns::RR};
+ *  @param  name    The owner name of the copy {String};
+ *  @param  [ttl]   The TTL of the copy [ rr.ttl ] {Number};
+ *
+ *  @return The new record {Mdns::RR};
+ */
+function _copy(rr, name, ttl)
+{
+    return new RR(null, { name:     name,
+                          type:     rr.type,
+                          class:    rr.class,
+                          ttl:      (ttl != null ? ttl : rr.ttl),
+                          rdata:    _.omit(_.assign({}, rr.rdata),
+                                           [ 'consumed', 'produced',
+                                             'rdlength', 'error' ]) });
+}
+
+/**
+ *  Generate a fully-qualified, lower-case name.
+ *  @method _fqdn
+ *  @param  name    The name {String};
+ *
+ *  @return The name, with a trailing '.' {String};
+ */
+function _fqdn(name)
+{
+    name = String(name || '').toLowerCase();
+
+    return (name.slice(-1) === '.' ? name : name +'.');
+}
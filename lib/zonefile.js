@@ -0,0 +1,480 @@
+/** @file
+ *
+ *  Master (zone) file parsing and serialization (RFC 1035 section 5).
+ *
+ *  A master file is a sequence of entries, one per line unless continued
+ *  within parentheses, with ';' beginning a comment:
+ *      $ORIGIN <domain-name>
+ *      $TTL    <ttl>                                       (RFC 2308)
+ *      $INCLUDE <file-name> [<domain-name>]
+ *      <domain-name> [<ttl>] [<class>] <type> <RDATA>
+ *                    [<class>] [<ttl>] <type> <RDATA>
+ *
+ *  where:
+ *      - an entry beginning with whitespace is owned by the previous owner;
+ *      - a name not ending with '.' is relative to the current origin, with
+ *        '@' denoting the origin itself;
+ *      - a TTL may use units (e.g. '1h30m', BIND-style);
+ *      - the class and TTL default to those of the previous record, with
+ *        $TTL providing a default TTL;
+ *      - '\X' escapes the character X and '\DDD' is the octet with decimal
+ *        value DDD;
+ *      - character-strings may be "quoted";
+ *      - RDATA is in the presentation format of RData.fromText(), where
+ *        any type may use the generic form of RFC 3597:
+ *            \# <length> <hex> ...
+ *
+ *  Serialization produces one record per line, with fully-qualified,
+ *  lower-case names, the explicit TTL and class of each record and RDATA
+ *  from RData#toText().
+ */
+var Fs      = require('fs'),
+    Path    = require('path'),
+    _       = require('lodash'),
+    Consts  = require('./consts.js'),
+    Utils   = require('./utils.js'),
+    RR      = require('./rr.js'),
+    RData   = require('./rdata.js');
+
+/** The maximum depth of nested $INCLUDE directives. */
+var MAX_INCLUDE = 16;
+
+/** @brief  Parse the text of a master file.
+ *  @param  text    The text {String};
+ *  @param  config  If provided, a configuration object:
+ *                      origin  The initial origin [ '.' ];
+ *                      ttl     The default TTL (as if by $TTL);
+ *                      class   The default class [ 'IN' ];
+ *                      file    The name of the file holding 'text', used to
+ *                              locate relative $INCLUDE files and in error
+ *                              messages;
+ *                      include If false, reject $INCLUDE [ true ];
+ *
+ *  @return The records [ RR, ... ] (throws an Error, identifying the file
+ *          and line, on an invalid entry).
+ */
+function parse(text, config)
+{
+    config = config || {};
+
+    return _parse(String(text), {
+                file:       (config.file || null),
+                origin:     _absolute(config.origin || '.'),
+                ttl:        (config.ttl != null ? config.ttl : null),
+                lastTtl:    null,
+                class:      _class(config.class || 'IN'),
+                owner:      null,
+                include:    (config.include !== false),
+                depth:      0
+           });
+}
+
+/** @brief  Load and parse a master file.
+ *  @param  path        The path of the file;
+ *  @param  config      If provided, a configuration object (see parse());
+ *  @param  callback    The callback to invoke:
+ *                          callback(err, records);
+ */
+function load(path, config, callback)
+{
+    if (_.isFunction(config))   { callback = config; config = {}; }
+
+    Fs.readFile(path, 'utf8', function(err, text) {
+        var records;
+
+        if (err)    { return callback(err); }
+
+        try {
+            records = parse(text, _.extend({}, config, {file: path}));
+        } catch(e) {
+            return callback(e);
+        }
+
+        callback(null, records);
+    });
+}
+
+/** @brief  Serialize records in presentation format, one per line.
+ *  @param  records     The records [ RR, ... ];
+ *
+ *  @return The text.
+ */
+function serialize(records)
+{
+    return (records || []).map(function(rr) {
+                return [ Utils.nameToText( rr.name ),
+                         rr.ttl,
+                         (Consts.class2str( rr.class ) || 'CLASS'+ rr.class),
+                         (Consts.type2str(  rr.type )  || 'TYPE'+  rr.type),
+                         rr.rdata.toText() ].join('\t') +'\n';
+           }).join('');
+}
+
+module.exports  = {
+    parse:      parse,
+    load:       load,
+    serialize:  serialize
+};
+
+/**********************************************************************
+ * Private helpers and utilities
+ *
+ */
+
+/** @brief  Parse the text of a master file within the given context.
+ *  @param  text    The text;
+ *  @param  ctx     The parsing context (see parse());
+ *
+ *  @return The records [ RR, ... ].
+ */
+function _parse(text, ctx)
+{
+    var records = [];
+
+    _tokenize(text, ctx).forEach(function(entry) {
+        var tokens  = entry.tokens,
+            first   = tokens[0];
+
+        ctx.line = entry.line;
+
+        if ((! entry.continued) && (! first.quoted) &&
+            (first.text[0] === '$'))
+        {
+            records = records.concat( _directive(tokens, ctx) );
+            return;
+        }
+
+        records.push( _record(entry, ctx) );
+    });
+
+    return records;
+}
+
+/** @brief  Split the text of a master file into entries, each an array of
+ *          tokens, removing comments and joining parenthesized lines.
+ *  @param  text    The text;
+ *  @param  ctx     The parsing context;
+ *
+ *  @return The entries [ { line:, continued:, tokens: [ {text:, quoted:} ] },
+ *                        ... ] where 'continued' indicates an entry beginning
+ *          with whitespace and each token retains any escapes.
+ */
+function _tokenize(text, ctx)
+{
+    var entries = [],
+        entry   = null,
+        parens  = 0,
+        line    = 1,
+        idex    = 0,
+        len     = text.length,
+        ch, start, token;
+
+    while (idex < len)
+    {
+        ch = text[idex];
+
+        if (ch === '\n')
+        {
+            if ((parens === 0) && entry)
+            {
+                if (entry.tokens.length > 0)    { entries.push( entry ); }
+                entry = null;
+            }
+
+            line++;
+            idex++;
+            continue;
+        }
+
+        if (! entry)
+        {
+            entry = { line: line, continued: /[ \t]/.test(ch), tokens: [] };
+        }
+
+        if ((ch === ' ') || (ch === '\t') || (ch === '\r'))
+        {
+            idex++;
+        }
+        else if (ch === ';')
+        {
+            while ((idex < len) && (text[idex] !== '\n'))   { idex++; }
+        }
+        else if (ch === '(')
+        {
+            parens++;
+            idex++;
+        }
+        else if (ch === ')')
+        {
+            if (--parens < 0)
+            {
+                throw _error(ctx, line, "unbalanced parentheses");
+            }
+            idex++;
+        }
+        else if (ch === '"')
+        {
+            start = ++idex;
+            while ((idex < len) && (text[idex] !== '"'))
+            {
+                if (text[idex] === '\n')
+                {
+                    throw _error(ctx, line, "unterminated quoted string");
+                }
+
+                idex += (text[idex] === '\\' ? 2 : 1);
+            }
+            if (idex >= len)
+            {
+                throw _error(ctx, line, "unterminated quoted string");
+            }
+
+            entry.tokens.push({ text: text.slice(start, idex), quoted: true });
+            idex++;
+        }
+        else
+        {
+            start = idex;
+            while ((idex < len) && (! /[\s;()"]/.test(text[idex])))
+            {
+                idex += (text[idex] === '\\' ? 2 : 1);
+            }
+
+            token = text.slice(start, Math.min(idex, len));
+            entry.tokens.push({ text: token, quoted: false });
+        }
+    }
+
+    if (parens > 0) { throw _error(ctx, line, "unbalanced parentheses"); }
+
+    if (entry && (entry.tokens.length > 0)) { entries.push( entry ); }
+
+    return entries;
+}
+
+/** @brief  Process a $ORIGIN, $TTL or $INCLUDE directive.
+ *  @param  tokens  The tokens of the directive;
+ *  @param  ctx     The parsing context;
+ *
+ *  @return Any records included [ RR, ... ].
+ */
+function _directive(tokens, ctx)
+{
+    var name    = tokens[0].text.toUpperCase(),
+        args    = tokens.slice(1),
+        path, text;
+
+    switch (name)
+    {
+    case '$ORIGIN':
+        _expect(args, 1, name, ctx);
+
+        ctx.origin = _name(args[0], ctx);
+        return [];
+
+    case '$TTL':
+        _expect(args, 1, name, ctx);
+
+        if ((ctx.ttl = Utils.ttlFromText(args[0].text)) === null)
+        {
+            throw _error(ctx, ctx.line, "invalid TTL '"+ args[0].text +"'");
+        }
+        return [];
+
+    case '$INCLUDE':
+        if ((args.length < 1) || (args.length > 2))
+        {
+            throw _error(ctx, ctx.line, "$INCLUDE requires a file name and "
+                                        + "optional origin");
+        }
+        if (! ctx.include)
+        {
+            throw _error(ctx, ctx.line, "$INCLUDE is not permitted");
+        }
+        if (ctx.depth >= MAX_INCLUDE)
+        {
+            throw _error(ctx, ctx.line, "$INCLUDE nested too deeply");
+        }
+
+        path = Utils.unescape(args[0].text).toString('utf8');
+        path = Path.resolve( (ctx.file ? Path.dirname(ctx.file) : '.'),
+                             path );
+
+        try {
+            text = Fs.readFileSync(path, 'utf8');
+        } catch(e) {
+            throw _error(ctx, ctx.line, "cannot $INCLUDE '"+ path +"': "
+                                        + e.message);
+        }
+
+        // The origin (and other state) of this file is unaffected
+        return _parse(text, _.extend({}, ctx, {
+                    file:   path,
+                    origin: (args[1] ? _name(args[1], ctx) : ctx.origin),
+                    depth:  ctx.depth + 1
+               }));
+    }
+
+    throw _error(ctx, ctx.line, "unsupported directive '"+ tokens[0].text +"'");
+}
+
+/** @brief  Generate the record of a single entry.
+ *  @param  entry   The entry (see _tokenize());
+ *  @param  ctx     The parsing context;
+ *
+ *  @return The new record (RR).
+ */
+function _record(entry, ctx)
+{
+    var tokens  = entry.tokens.slice(),
+        ttl     = null,
+        cls     = null,
+        type    = null,
+        token, val, rr;
+
+    if (! entry.continued)
+    {
+        ctx.owner = _name(tokens.shift(), ctx);
+    }
+    else if (ctx.owner === null)
+    {
+        throw _error(ctx, ctx.line, "no previous owner name");
+    }
+
+    // Any TTL and class (in either order) precede the type
+    while ((token = tokens.shift()))
+    {
+        if ((ttl === null) && (val = Utils.ttlFromText(token.text)) !== null)
+        {
+            ttl = val;
+        }
+        else if ((cls === null) && (val = _class(token.text)) != null)
+        {
+            cls = val;
+        }
+        else
+        {
+            type = _type(token.text);
+            break;
+        }
+    }
+
+    if (type == null)
+    {
+        throw _error(ctx, ctx.line, (token ? "unknown type '"+ token.text +"'"
+                                           : "missing type"));
+    }
+
+    if (cls === null)   { cls = ctx.class; }
+    if (ttl === null)   { ttl = (ctx.ttl !== null ? ctx.ttl : ctx.lastTtl); }
+    if (ttl === null)
+    {
+        throw _error(ctx, ctx.line, "no TTL specified (and no $TTL)");
+    }
+
+    ctx.class   = cls;
+    ctx.lastTtl = ttl;
+
+    rr = new RR(null, { name: ctx.owner, type: type, class: cls, ttl: ttl });
+
+    try {
+        rr.rdata = RData.fromText(type, tokens, ctx.origin);
+    } catch(e) {
+        throw _error(ctx, ctx.line, e.message);
+    }
+
+    return rr;
+}
+
+/** @brief  Generate a fully-qualified name from a name token.
+ *  @param  token   The token;
+ *  @param  ctx     The parsing context;
+ *
+ *  @return The name (String).
+ */
+function _name(token, ctx)
+{
+    if (token.quoted)
+    {
+        throw _error(ctx, ctx.line, "invalid domain-name \""+ token.text +"\"");
+    }
+
+    try {
+        return Utils.nameFromText(token.text, ctx.origin);
+    } catch(e) {
+        throw _error(ctx, ctx.line, e.message);
+    }
+}
+
+/** @brief  Parse a class mnemonic (or RFC 3597 'CLASSnnn').
+ *  @param  text    The text;
+ *
+ *  @return The class (undefined if not a class).
+ */
+function _class(text)
+{
+    var match   = /^CLASS([0-9]+)$/i.exec(text),
+        cls;
+
+    if (match)  { return parseInt(match[1], 10); }
+
+    text = String(text).toUpperCase();
+    if ((text === 'NONE') || (text === 'ANY'))  { return undefined; }
+
+    cls = Consts.CLASS_STR[ text ];
+
+    return cls;
+}
+
+/** @brief  Parse a type mnemonic (or RFC 3597 'TYPEnnn').
+ *  @param  text    The text;
+ *
+ *  @return The type (undefined if not a type).
+ */
+function _type(text)
+{
+    var match   = /^TYPE([0-9]+)$/i.exec(text);
+
+    if (match)  { return parseInt(match[1], 10); }
+
+    return Consts.TYPE_STR[ String(text).toUpperCase() ];
+}
+
+/** @brief  Ensure an entry has the expected number of tokens.
+ *  @param  tokens  The tokens;
+ *  @param  count   The expected number;
+ *  @param  what    What is being parsed (for error messages);
+ *  @param  ctx     The parsing context;
+ */
+function _expect(tokens, count, what, ctx)
+{
+    if (tokens.length !== count)
+    {
+        throw _error(ctx, ctx.line, what +" requires "+ count +" "
+                                    + Utils.plural(count, 'field'));
+    }
+}
+
+/** @brief  Generate a fully-qualified name from a configured origin.
+ *  @param  name    The name;
+ *
+ *  @return The name, with a trailing '.'.
+ */
+function _absolute(name)
+{
+    name = String(name);
+
+    return (name.slice(-1) === '.' ? name : name +'.');
+}
+
+/** @brief  Generate a parsing error identifying the file and line.
+ *  @param  ctx     The parsing context;
+ *  @param  line    The line number;
+ *  @param  msg     The error message;
+ *
+ *  @return The new Error.
+ */
+function _error(ctx, line, msg)
+{
+    return new Error((ctx.file ? ctx.file +':' : 'line ') + line +': '+ msg);
+}